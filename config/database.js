@@ -1,5 +1,6 @@
 const mysql = require('mysql2/promise');
 require('dotenv').config();
+const { getPendingMigrations } = require('./migrations');
 
 const dbConfig = {
   host: process.env.DB_HOST,
@@ -14,83 +15,31 @@ const dbConfig = {
 // Create connection pool
 const pool = mysql.createPool(dbConfig);
 
-// Initialize database and tables
-const initDatabase = async () => {
-  try {
-    const connection = await mysql.createConnection({
-      host: process.env.DB_HOST,
-      user: process.env.DB_USER,
-      password: process.env.DB_PASSWORD
-    });
-
-    // Create database if not exists
-    await connection.execute(`CREATE DATABASE IF NOT EXISTS ${process.env.DB_NAME}`);
-    await connection.end();
-
-    // Create tables
-    const db = await pool.getConnection();
-
-    // Admins table
-    await db.execute(`
-      CREATE TABLE IF NOT EXISTS admins (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password VARCHAR(255) NOT NULL,
-        name VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-      )
-    `);
+// Create the database itself if it does not exist yet
+const ensureDatabase = async () => {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD
+  });
 
-    // Categories table
-    await db.execute(`
-      CREATE TABLE IF NOT EXISTS categories (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        description TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Materials table
-    await db.execute(`
-      CREATE TABLE IF NOT EXISTS materials (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        title VARCHAR(255) NOT NULL,
-        content TEXT NOT NULL,
-        category_id INT,
-        image VARCHAR(255),
-        status ENUM('published', 'draft') DEFAULT 'published',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL
-      )
-    `);
+  await connection.execute(`CREATE DATABASE IF NOT EXISTS ${process.env.DB_NAME}`);
+  await connection.end();
+};
 
-    // Videos table
-    await db.execute(`
-      CREATE TABLE IF NOT EXISTS videos (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        title VARCHAR(255) NOT NULL,
-        description TEXT NOT NULL,
-        video_url VARCHAR(500) NOT NULL,
-        thumbnail VARCHAR(255),
-        duration INT DEFAULT 0,
-        category_id INT,
-        status ENUM('published', 'draft') DEFAULT 'published',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL
-      )
-    `);
+// Verify the schema is up to date. Tables are created and altered by the
+// migrations in /migrations (run `npm run migrate`), never at startup, so a
+// server deployed against an out-of-date database refuses to start.
+const initDatabase = async () => {
+  await ensureDatabase();
 
-    db.release();
-    console.log('Database tables created successfully');
-  } catch (error) {
-    console.error('Error initializing database:', error);
-    process.exit(1);
+  const pending = await getPendingMigrations(pool);
+  if (pending.length > 0) {
+    const list = pending.map(migration => migration.file).join(', ');
+    throw new Error(`Database has ${pending.length} pending migration(s): ${list}. Run \`npm run migrate\` first.`);
   }
+
+  console.log('Database schema is up to date');
 };
 
-module.exports = { pool, initDatabase };
\ No newline at end of file
+module.exports = { pool, ensureDatabase, initDatabase };
\ No newline at end of file
@@ -0,0 +1,10 @@
+// Content locales. The text columns on categories, materials and videos hold
+// the default locale; other locales live in content_translations and fall
+// back to the default field by field.
+
+const DEFAULT_LOCALE = 'id';
+const LOCALES = ['id', 'en'];
+
+const isSupportedLocale = (locale) => LOCALES.includes(locale);
+
+module.exports = { DEFAULT_LOCALE, LOCALES, isSupportedLocale };
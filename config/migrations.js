@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations. Each file in /migrations is named
+// NNN_description.js and exports async up(db) and down(db) functions.
+// Applied versions are recorded in the schema_migrations table.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+const LOCK_NAME = 'schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+// Helpers for migrations that must cope with databases patched by hand
+const columnExists = async (db, table, column) => {
+  const [rows] = await db.execute(
+    `SELECT COUNT(*) as count FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows[0].count > 0;
+};
+
+const indexExists = async (db, table, index) => {
+  const [rows] = await db.execute(
+    `SELECT COUNT(*) as count FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, index]
+  );
+  return rows[0].count > 0;
+};
+
+const foreignKeyExists = async (db, table, constraint) => {
+  const [rows] = await db.execute(
+    `SELECT COUNT(*) as count FROM information_schema.TABLE_CONSTRAINTS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND CONSTRAINT_NAME = ? AND CONSTRAINT_TYPE = 'FOREIGN KEY'`,
+    [table, constraint]
+  );
+  return rows[0].count > 0;
+};
+
+const loadMigrations = () => {
+  if (!fs.existsSync(MIGRATIONS_DIR)) {
+    return [];
+  }
+
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down() functions`);
+      }
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+};
+
+const ensureMigrationsTable = async (db) => {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedMigrations = async (db) => {
+  const [rows] = await db.execute(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return rows;
+};
+
+// Serialize migration runs across processes (e.g. several instances
+// deploying at once) with a MySQL named lock.
+const withMigrationLock = async (pool, fn) => {
+  const db = await pool.getConnection();
+  try {
+    const [lock] = await db.execute('SELECT GET_LOCK(?, ?) as acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (lock[0].acquired !== 1) {
+      throw new Error('Could not acquire migration lock; another migration may be running');
+    }
+
+    try {
+      await ensureMigrationsTable(db);
+      return await fn(db);
+    } finally {
+      await db.execute('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    db.release();
+  }
+};
+
+const getPendingMigrations = async (pool) => {
+  const db = await pool.getConnection();
+  try {
+    await ensureMigrationsTable(db);
+    const applied = new Set((await getAppliedMigrations(db)).map(row => row.version));
+    return loadMigrations().filter(migration => !applied.has(migration.version));
+  } finally {
+    db.release();
+  }
+};
+
+// Apply all pending migrations in version order. Stops at the first failure;
+// migrations that completed before it stay recorded.
+const migrate = async (pool) => {
+  return withMigrationLock(pool, async (db) => {
+    const applied = new Set((await getAppliedMigrations(db)).map(row => row.version));
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+    const ran = [];
+
+    for (const migration of pending) {
+      try {
+        await migration.up(db);
+      } catch (error) {
+        error.message = `Migration ${migration.file} failed: ${error.message}`;
+        throw error;
+      }
+
+      await db.execute(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      ran.push(migration);
+    }
+
+    return ran;
+  });
+};
+
+// Revert the most recently applied migrations, newest first.
+const rollback = async (pool, steps = 1) => {
+  return withMigrationLock(pool, async (db) => {
+    const available = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const applied = (await getAppliedMigrations(db)).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const row of applied) {
+      const migration = available.get(row.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back version ${row.version} (${row.name}): migration file is missing`);
+      }
+
+      try {
+        await migration.down(db);
+      } catch (error) {
+        error.message = `Rollback of ${migration.file} failed: ${error.message}`;
+        throw error;
+      }
+
+      await db.execute('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+      reverted.push(migration);
+    }
+
+    return reverted;
+  });
+};
+
+// Every known migration with its applied state, plus any versions recorded
+// in the database that no longer have a file.
+const status = async (pool) => {
+  const db = await pool.getConnection();
+  try {
+    await ensureMigrationsTable(db);
+    const applied = new Map((await getAppliedMigrations(db)).map(row => [row.version, row]));
+    const migrations = loadMigrations();
+    const known = new Set(migrations.map(migration => migration.version));
+
+    const rows = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+
+    applied.forEach((row, version) => {
+      if (!known.has(version)) {
+        rows.push({ version, name: row.name, applied: true, applied_at: row.applied_at, missing: true });
+      }
+    });
+
+    return rows.sort((a, b) => a.version - b.version);
+  } finally {
+    db.release();
+  }
+};
+
+module.exports = {
+  columnExists,
+  indexExists,
+  foreignKeyExists,
+  loadMigrations,
+  getPendingMigrations,
+  migrate,
+  rollback,
+  status
+};
@@ -0,0 +1,44 @@
+// Admin roles and the permissions each one grants. Routes check
+// permissions (via requirePermission), never role names, so a role can be
+// widened or narrowed here without touching the handlers.
+
+const ROLES = ['superadmin', 'editor', 'medical_reviewer', 'viewer'];
+
+const CONTENT_READ = [
+  'stats:read', 'categories:read', 'materials:read', 'videos:read', 'questionnaires:read', 'facilities:read',
+  'notifications:read'
+];
+
+const ROLE_PERMISSIONS = {
+  superadmin: ['*'],
+  editor: [
+    ...CONTENT_READ,
+    'categories:write', 'categories:delete',
+    'materials:write', 'materials:delete',
+    'videos:write', 'videos:delete',
+    'questionnaires:write', 'questionnaires:delete',
+    'facilities:write', 'facilities:delete',
+    'notifications:send',
+    'workflow:submit', 'workflow:publish'
+  ],
+  // Reviewers approve content for publication but cannot publish it
+  medical_reviewer: [
+    ...CONTENT_READ,
+    'materials:write',
+    'videos:write',
+    'questionnaires:write',
+    'workflow:submit', 'workflow:review'
+  ],
+  viewer: [...CONTENT_READ]
+};
+
+const isValidRole = (role) => ROLES.includes(role);
+
+const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+module.exports = { ROLES, isValidRole, hasPermission, getPermissions };
@@ -0,0 +1,44 @@
+// Breast self-examination (SADARI) vocabulary and scheduling rules.
+//
+// Findings are what a user can report from an exam; every reported finding
+// counts as abnormal and triggers the "see a doctor" action. RELATED_TAGS
+// links each finding to material tags (slugs, see services/tags) so the
+// action can point at relevant reading; DOCTOR_TAGS apply to every finding.
+
+const FINDING_TYPES = ['lump', 'skin_change', 'nipple_discharge', 'nipple_change', 'pain', 'swelling', 'other'];
+const SIDES = ['left', 'right'];
+const QUADRANTS = ['upper_outer', 'upper_inner', 'lower_outer', 'lower_inner', 'central', 'axilla'];
+
+const RELATED_TAGS = {
+  lump: ['benjolan'],
+  skin_change: ['perubahan-kulit'],
+  nipple_discharge: ['cairan-puting'],
+  nipple_change: ['perubahan-puting'],
+  pain: ['nyeri-payudara'],
+  swelling: ['pembengkakan'],
+  other: []
+};
+
+const DOCTOR_TAGS = ['gejala', 'periksa-dokter', 'deteksi-dini'];
+
+// Optional category (and its subcategories) whose materials are also linked
+const DOCTOR_CATEGORY_ID = parseInt(process.env.SELF_EXAM_DOCTOR_CATEGORY_ID || '', 10) || null;
+
+// Examine a week after the period starts, when breasts are least tender
+const EXAM_DAY_OFFSET = 7;
+const MIN_CYCLE_LENGTH = 21;
+const MAX_CYCLE_LENGTH = 45;
+const DEFAULT_CYCLE_LENGTH = 28;
+
+module.exports = {
+  FINDING_TYPES,
+  SIDES,
+  QUADRANTS,
+  RELATED_TAGS,
+  DOCTOR_TAGS,
+  DOCTOR_CATEGORY_ID,
+  EXAM_DAY_OFFSET,
+  MIN_CYCLE_LENGTH,
+  MAX_CYCLE_LENGTH,
+  DEFAULT_CYCLE_LENGTH
+};
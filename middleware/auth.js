@@ -0,0 +1,62 @@
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+const { hasPermission } = require('../config/roles');
+const { ADMIN_TOKEN_AUDIENCE } = require('../services/sessions');
+
+// Verify the admin access token and load the admin's current role and
+// status, together with the session the token belongs to. Revoked sessions,
+// deactivated admins and role changes therefore take effect immediately.
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET, { audience: ADMIN_TOKEN_AUDIENCE });
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  if (!payload.sid) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    const [rows] = await pool.execute(
+      `SELECT a.id, a.email, a.name, a.role, a.is_active
+       FROM admins a
+       JOIN admin_sessions s ON s.admin_id = a.id
+       WHERE a.id = ? AND s.id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+      [payload.id, payload.sid]
+    );
+
+    if (rows.length === 0) {
+      return res.status(401).json({ error: 'Session has ended, please log in again' });
+    }
+
+    if (!rows[0].is_active) {
+      return res.status(401).json({ error: 'Account is no longer active' });
+    }
+
+    const admin = rows[0];
+    req.user = { id: admin.id, email: admin.email, name: admin.name, role: admin.role, sessionId: payload.sid };
+    next();
+  } catch (error) {
+    console.error('Authenticate token error:', error);
+    res.status(500).json({ error: 'Failed to authenticate' });
+  }
+};
+
+// Must run after authenticateToken
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ error: 'Insufficient permissions', required: permission });
+  }
+  next();
+};
+
+module.exports = { authenticateToken, requirePermission };
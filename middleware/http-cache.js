@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { getEntry, versionsOf, storeEntry } = require('../services/response-cache');
+
+// HTTP caching for public JSON GETs. conditionalGet gives every successful
+// response a strong ETag and Cache-Control and answers revalidations with
+// 304; cacheResponse(tags) additionally serves a route from the in-process
+// LRU cache (services/response-cache). Cache keys include the negotiated
+// locale, so both run after negotiateLocale.
+//
+// There is no Last-Modified: nothing records when a response's rows last
+// changed (a publish_at passing changes a list without any write), so
+// clients revalidate with the ETag only and If-Modified-Since is ignored.
+
+const MAX_AGE = parseInt(process.env.HTTP_CACHE_MAX_AGE_SECONDS || '60', 10);
+
+const strongEtag = (body) => `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+
+const isNotModified = (req, etag) => {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (!ifNoneMatch) return false;
+  return ifNoneMatch === '*' || ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+};
+
+const sendBody = (req, res, send, { body, etag }) => {
+  res.set('ETag', etag);
+  if (!res.get('Cache-Control')) {
+    res.set('Cache-Control', res.locals.cacheTags ? `public, max-age=${MAX_AGE}` : 'public, no-cache');
+  }
+  if (isNotModified(req, etag)) {
+    return res.status(304).end();
+  }
+  res.type('application/json');
+  return send(body);
+};
+
+const conditionalGet = (req, res, next) => {
+  if (req.method !== 'GET') return next();
+
+  const send = res.send.bind(res);
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    if (res.statusCode !== 200) {
+      res.set('Cache-Control', 'no-store');
+      return json(payload);
+    }
+    const body = JSON.stringify(payload);
+    const entry = { body, etag: strongEtag(body) };
+    if (res.locals.cacheKey) {
+      storeEntry(res.locals.cacheKey, entry, res.locals.cacheTags, res.locals.cacheVersions);
+    }
+    return sendBody(req, res, send, entry);
+  };
+  next();
+};
+
+// tags: entity types the route's data comes from
+const cacheResponse = (tags) => (req, res, next) => {
+  res.locals.cacheTags = tags;
+  const key = `${req.locale} ${req.originalUrl}`;
+  const entry = getEntry(key);
+  if (entry) {
+    res.set('X-Cache', 'HIT');
+    return sendBody(req, res, res.send.bind(res), entry);
+  }
+
+  res.set('X-Cache', 'MISS');
+  res.locals.cacheKey = key;
+  res.locals.cacheVersions = versionsOf(tags);
+  next();
+};
+
+module.exports = { conditionalGet, cacheResponse };
@@ -0,0 +1,45 @@
+const { DEFAULT_LOCALE, LOCALES, isSupportedLocale } = require('../config/locales');
+
+// Pick the best supported locale from an Accept-Language header, honouring
+// q-values and matching "en-US" to "en"
+const fromAcceptLanguage = (header) => {
+  if (!header) return null;
+
+  const ranges = header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { tag: tag.trim().toLowerCase(), q: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(range => range.tag && range.q > 0)
+    .sort((a, b) => (b.q - a.q) || (a.index - b.index));
+
+  for (const { tag } of ranges) {
+    const language = tag.split('-')[0];
+    if (isSupportedLocale(language)) return language;
+    if (tag === '*') return DEFAULT_LOCALE;
+  }
+  return null;
+};
+
+// Sets req.locale from ?lang= (which wins) or Accept-Language, falling back
+// to the default locale
+const negotiateLocale = (req, res, next) => {
+  const { lang } = req.query;
+
+  if (lang !== undefined) {
+    const locale = String(lang).toLowerCase();
+    if (!isSupportedLocale(locale)) {
+      return res.status(400).json({ success: false, error: `lang must be one of: ${LOCALES.join(', ')}` });
+    }
+    req.locale = locale;
+  } else {
+    req.locale = fromAcceptLanguage(req.headers['accept-language']) || DEFAULT_LOCALE;
+  }
+
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = { negotiateLocale, fromAcceptLanguage };
@@ -0,0 +1,59 @@
+const { pool } = require('../config/database');
+const { verifyUserToken } = require('../services/user-sessions');
+
+// Verify an end-user access token (audience "user") and check its session is
+// still live, like authenticateToken does for admins. Sets req.account so it
+// never collides with the admin req.user.
+const authenticateUser = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ success: false, error: 'Access token required' });
+  }
+
+  let payload;
+  try {
+    payload = verifyUserToken(token);
+  } catch (err) {
+    return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+  }
+
+  try {
+    const [rows] = await pool.execute(
+      `SELECT u.id, u.email, u.is_anonymous, u.locale
+       FROM users u
+       JOIN user_sessions s ON s.user_id = u.id
+       WHERE u.id = ? AND s.id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+      [payload.id, payload.sid]
+    );
+
+    if (rows.length === 0) {
+      return res.status(401).json({ success: false, error: 'Session has ended, please log in again' });
+    }
+
+    const user = rows[0];
+    req.account = {
+      id: user.id,
+      email: user.email,
+      isAnonymous: Boolean(user.is_anonymous),
+      locale: user.locale,
+      sessionId: payload.sid
+    };
+    next();
+  } catch (error) {
+    console.error('Authenticate user error:', error);
+    res.status(500).json({ success: false, error: 'Failed to authenticate' });
+  }
+};
+
+// For endpoints open to everyone that remember who signed-in users are:
+// without a token the request stays anonymous, with one it must be valid
+const optionalUser = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  authenticateUser(req, res, next);
+};
+
+module.exports = { authenticateUser, optionalUser };
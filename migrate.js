@@ -0,0 +1,62 @@
+// migrate.js - Jalankan dengan: node migrate.js <migrate|rollback|status> [steps]
+const { pool, ensureDatabase } = require('./config/database');
+const migrations = require('./config/migrations');
+
+const commands = {
+  async migrate() {
+    const ran = await migrations.migrate(pool);
+    if (ran.length === 0) {
+      console.log('Nothing to migrate, database is up to date');
+      return;
+    }
+    ran.forEach(migration => console.log(`✅ Applied ${migration.file}`));
+  },
+
+  async rollback(steps = '1') {
+    const count = parseInt(steps, 10);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('Rollback steps must be a positive integer');
+    }
+
+    const reverted = await migrations.rollback(pool, count);
+    if (reverted.length === 0) {
+      console.log('Nothing to roll back');
+      return;
+    }
+    reverted.forEach(migration => console.log(`↩️  Rolled back ${migration.file}`));
+  },
+
+  async status() {
+    const rows = await migrations.status(pool);
+    rows.forEach(row => {
+      const state = row.missing ? 'MISSING FILE' : (row.applied ? 'applied' : 'pending');
+      const appliedAt = row.applied_at ? ` (${new Date(row.applied_at).toISOString()})` : '';
+      console.log(`${String(row.version).padStart(3, '0')}_${row.name}: ${state}${appliedAt}`);
+    });
+
+    const pending = rows.filter(row => !row.applied).length;
+    console.log(pending > 0 ? `${pending} pending migration(s)` : 'Database is up to date');
+  }
+};
+
+async function run() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await ensureDatabase();
+    await commands[command](...args);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+run();
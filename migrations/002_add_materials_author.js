@@ -0,0 +1,18 @@
+const { columnExists } = require('../config/migrations');
+
+// The admin and public routes read and write materials.author, but the
+// original schema never created it. Some databases had it added by hand.
+const up = async (db) => {
+  if (!(await columnExists(db, 'materials', 'author'))) {
+    await db.execute('ALTER TABLE materials ADD COLUMN author VARCHAR(255) NULL AFTER content');
+  }
+};
+
+// Irreversible: there is no telling whether this migration or an admin
+// added the column, and dropping it would lose every author. Refusing keeps
+// schema_migrations from claiming the column is gone.
+const down = async () => {
+  throw new Error('materials.author is kept on rollback; drop the column by hand if it really has to go');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,41 @@
+const { columnExists } = require('../config/migrations');
+
+// Admins that existed before roles were introduced keep full access.
+const up = async (db) => {
+  if (!(await columnExists(db, 'admins', 'role'))) {
+    await db.execute(`
+      ALTER TABLE admins
+      ADD COLUMN role ENUM('superadmin', 'editor', 'medical_reviewer', 'viewer') NOT NULL DEFAULT 'viewer' AFTER name
+    `);
+    await db.execute("UPDATE admins SET role = 'superadmin'");
+  }
+
+  if (!(await columnExists(db, 'admins', 'is_active'))) {
+    await db.execute('ALTER TABLE admins ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1 AFTER role');
+  }
+
+  if (!(await columnExists(db, 'admins', 'invited_by'))) {
+    await db.execute(`
+      ALTER TABLE admins
+      ADD COLUMN invited_by INT NULL AFTER is_active,
+      ADD CONSTRAINT fk_admins_invited_by FOREIGN KEY (invited_by) REFERENCES admins(id) ON DELETE SET NULL
+    `);
+  }
+
+  if (!(await columnExists(db, 'admins', 'last_login_at'))) {
+    await db.execute('ALTER TABLE admins ADD COLUMN last_login_at TIMESTAMP NULL AFTER invited_by');
+  }
+};
+
+const down = async (db) => {
+  if (await columnExists(db, 'admins', 'invited_by')) {
+    await db.execute('ALTER TABLE admins DROP FOREIGN KEY fk_admins_invited_by');
+  }
+  for (const column of ['last_login_at', 'invited_by', 'is_active', 'role']) {
+    if (await columnExists(db, 'admins', column)) {
+      await db.execute(`ALTER TABLE admins DROP COLUMN ${column}`);
+    }
+  }
+};
+
+module.exports = { up, down };
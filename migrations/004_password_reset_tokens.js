@@ -0,0 +1,23 @@
+// Only a SHA-256 hash of each reset token is stored; the raw token exists
+// solely in the message sent to the admin.
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      admin_id INT NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP NULL,
+      requested_ip VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_password_reset_admin (admin_id),
+      FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS password_reset_tokens');
+};
+
+module.exports = { up, down };
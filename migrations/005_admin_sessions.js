@@ -0,0 +1,28 @@
+// One row per login. The refresh token rotates in place on every refresh;
+// the previous hash is kept so a replayed (stolen) token can be detected.
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      admin_id INT NOT NULL,
+      refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+      previous_token_hash CHAR(64) NULL,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP NULL,
+      revoked_reason VARCHAR(50) NULL,
+      ip VARCHAR(45),
+      user_agent VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP NULL,
+      INDEX idx_admin_sessions_admin (admin_id),
+      INDEX idx_admin_sessions_previous (previous_token_hash),
+      FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS admin_sessions');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// Failed-login counters shared by every server instance. attempt_key is
+// "account:<email>" or "ip:<address>".
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      attempt_key VARCHAR(255) PRIMARY KEY,
+      failures INT NOT NULL DEFAULT 0,
+      window_started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      next_attempt_at TIMESTAMP NULL,
+      locked_until TIMESTAMP NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_login_attempts_locked (locked_until)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS login_attempts');
+};
+
+module.exports = { up, down };
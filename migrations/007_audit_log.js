@@ -0,0 +1,28 @@
+// actor_email is copied at write time so entries stay readable after the
+// admin account is deleted.
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      actor_id INT NULL,
+      actor_email VARCHAR(255),
+      action VARCHAR(50) NOT NULL,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id VARCHAR(255),
+      before_data JSON NULL,
+      after_data JSON NULL,
+      ip VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_audit_entity (entity_type, entity_id),
+      INDEX idx_audit_actor (actor_id),
+      INDEX idx_audit_created (created_at),
+      FOREIGN KEY (actor_id) REFERENCES admins(id) ON DELETE SET NULL
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS audit_log');
+};
+
+module.exports = { up, down };
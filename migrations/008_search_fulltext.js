@@ -0,0 +1,45 @@
+const { indexExists } = require('../config/migrations');
+
+// FULLTEXT indexes for /api/search. The content tables are converted to
+// utf8mb4_unicode_ci so matching is case- and accent-insensitive
+// ("kanker" matches "Kanker", "cafe" matches "café").
+
+const FULLTEXT_INDEXES = [
+  { table: 'materials', name: 'ft_materials_all', columns: 'title, content, author' },
+  { table: 'materials', name: 'ft_materials_title', columns: 'title' },
+  { table: 'videos', name: 'ft_videos_all', columns: 'title, description' },
+  { table: 'videos', name: 'ft_videos_title', columns: 'title' },
+  { table: 'categories', name: 'ft_categories_name', columns: 'name' }
+];
+
+const up = async (db) => {
+  for (const table of ['categories', 'materials', 'videos']) {
+    await db.execute(`ALTER TABLE ${table} CONVERT TO CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`);
+  }
+
+  for (const index of FULLTEXT_INDEXES) {
+    if (!(await indexExists(db, index.table, index.name))) {
+      await db.execute(`ALTER TABLE ${index.table} ADD FULLTEXT INDEX ${index.name} (${index.columns})`);
+    }
+  }
+
+  // Vocabulary of indexed words, used for "did you mean" suggestions
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS search_terms (
+      term VARCHAR(64) PRIMARY KEY,
+      frequency INT NOT NULL DEFAULT 0
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS search_terms');
+
+  for (const index of FULLTEXT_INDEXES) {
+    if (await indexExists(db, index.table, index.name)) {
+      await db.execute(`ALTER TABLE ${index.table} DROP INDEX ${index.name}`);
+    }
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,41 @@
+// Immutable snapshots of materials and videos, one per save. Revisions have
+// no foreign key to the content row so history survives deletion.
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS content_revisions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      entity_type ENUM('material', 'video') NOT NULL,
+      entity_id INT NOT NULL,
+      revision_number INT NOT NULL,
+      data JSON NOT NULL,
+      author_id INT NULL,
+      author_email VARCHAR(255),
+      restored_from INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_content_revision (entity_type, entity_id, revision_number),
+      FOREIGN KEY (author_id) REFERENCES admins(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Existing content starts its history with the current state
+  await db.execute(`
+    INSERT IGNORE INTO content_revisions (entity_type, entity_id, revision_number, data)
+    SELECT 'material', id, 1, JSON_OBJECT(
+      'title', title, 'content', content, 'author', author,
+      'category_id', category_id, 'image', image, 'status', status
+    ) FROM materials
+  `);
+  await db.execute(`
+    INSERT IGNORE INTO content_revisions (entity_type, entity_id, revision_number, data)
+    SELECT 'video', id, 1, JSON_OBJECT(
+      'title', title, 'description', description, 'video_url', video_url,
+      'thumbnail', thumbnail, 'duration', duration, 'category_id', category_id, 'status', status
+    ) FROM videos
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS content_revisions');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,46 @@
+const { columnExists, indexExists } = require('../config/migrations');
+
+// Editorial workflow states plus optional publish/unpublish times. Existing
+// 'published' and 'draft' values are kept as they are.
+const up = async (db) => {
+  for (const table of ['materials', 'videos']) {
+    // The original column was nullable; NOT NULL would fail on (or blank out)
+    // those rows
+    await db.execute(`UPDATE ${table} SET status = 'draft' WHERE status IS NULL`);
+    await db.execute(`
+      ALTER TABLE ${table}
+      MODIFY COLUMN status ENUM('draft', 'in_review', 'approved', 'published', 'archived') NOT NULL DEFAULT 'draft'
+    `);
+
+    if (!(await columnExists(db, table, 'publish_at'))) {
+      await db.execute(`ALTER TABLE ${table} ADD COLUMN publish_at TIMESTAMP NULL AFTER status`);
+    }
+    if (!(await columnExists(db, table, 'unpublish_at'))) {
+      await db.execute(`ALTER TABLE ${table} ADD COLUMN unpublish_at TIMESTAMP NULL AFTER publish_at`);
+    }
+    if (!(await indexExists(db, table, `idx_${table}_schedule`))) {
+      await db.execute(`ALTER TABLE ${table} ADD INDEX idx_${table}_schedule (status, publish_at, unpublish_at)`);
+    }
+  }
+};
+
+const down = async (db) => {
+  for (const table of ['materials', 'videos']) {
+    if (await indexExists(db, table, `idx_${table}_schedule`)) {
+      await db.execute(`ALTER TABLE ${table} DROP INDEX idx_${table}_schedule`);
+    }
+    for (const column of ['unpublish_at', 'publish_at']) {
+      if (await columnExists(db, table, column)) {
+        await db.execute(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+
+    await db.execute(`UPDATE ${table} SET status = 'draft' WHERE status IN ('in_review', 'approved', 'archived')`);
+    await db.execute(`
+      ALTER TABLE ${table}
+      MODIFY COLUMN status ENUM('published', 'draft') DEFAULT 'published'
+    `);
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+const { columnExists, indexExists } = require('../config/migrations');
+
+// Soft delete: rows with deleted_at set are in the trash and hidden
+// everywhere except the trash view
+const TABLES = ['categories', 'materials', 'videos'];
+
+const up = async (db) => {
+  for (const table of TABLES) {
+    if (!(await columnExists(db, table, 'deleted_at'))) {
+      await db.execute(`ALTER TABLE ${table} ADD COLUMN deleted_at TIMESTAMP NULL`);
+    }
+    if (!(await columnExists(db, table, 'deleted_by'))) {
+      await db.execute(`ALTER TABLE ${table} ADD COLUMN deleted_by VARCHAR(255) NULL AFTER deleted_at`);
+    }
+    if (!(await indexExists(db, table, `idx_${table}_deleted`))) {
+      await db.execute(`ALTER TABLE ${table} ADD INDEX idx_${table}_deleted (deleted_at)`);
+    }
+  }
+};
+
+const down = async (db) => {
+  for (const table of TABLES) {
+    if (await indexExists(db, table, `idx_${table}_deleted`)) {
+      await db.execute(`ALTER TABLE ${table} DROP INDEX idx_${table}_deleted`);
+    }
+    for (const column of ['deleted_by', 'deleted_at']) {
+      if (await columnExists(db, table, column)) {
+        await db.execute(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+  }
+};
+
+module.exports = { up, down };
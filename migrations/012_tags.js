@@ -0,0 +1,30 @@
+// Free-form tags shared by materials and videos. content_tags links a tag
+// to either kind of content, like content_revisions does.
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(50) NOT NULL,
+      slug VARCHAR(60) NOT NULL UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS content_tags (
+      entity_type ENUM('material', 'video') NOT NULL,
+      entity_id INT NOT NULL,
+      tag_id INT NOT NULL,
+      PRIMARY KEY (entity_type, entity_id, tag_id),
+      INDEX idx_content_tags_tag (tag_id, entity_type),
+      FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS content_tags');
+  await db.execute('DROP TABLE IF EXISTS tags');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,47 @@
+const { columnExists, indexExists } = require('../config/migrations');
+
+// Nested categories with a manual order and a display icon/color. Top-level
+// categories have parent_id NULL.
+const up = async (db) => {
+  if (!(await columnExists(db, 'categories', 'parent_id'))) {
+    await db.execute('ALTER TABLE categories ADD COLUMN parent_id INT NULL AFTER id');
+    await db.execute(`
+      ALTER TABLE categories
+      ADD CONSTRAINT fk_categories_parent FOREIGN KEY (parent_id) REFERENCES categories(id) ON DELETE RESTRICT
+    `);
+  }
+  if (!(await columnExists(db, 'categories', 'sort_order'))) {
+    await db.execute('ALTER TABLE categories ADD COLUMN sort_order INT NOT NULL DEFAULT 0 AFTER description');
+  }
+  if (!(await columnExists(db, 'categories', 'icon'))) {
+    await db.execute('ALTER TABLE categories ADD COLUMN icon VARCHAR(50) NULL AFTER sort_order');
+  }
+  if (!(await columnExists(db, 'categories', 'color'))) {
+    await db.execute('ALTER TABLE categories ADD COLUMN color VARCHAR(7) NULL AFTER icon');
+  }
+  if (!(await indexExists(db, 'categories', 'idx_categories_parent_order'))) {
+    await db.execute('ALTER TABLE categories ADD INDEX idx_categories_parent_order (parent_id, sort_order)');
+  }
+
+  // Keep today's alphabetical order as the starting manual order
+  const [categories] = await db.execute('SELECT id FROM categories WHERE sort_order = 0 ORDER BY name');
+  for (const [index, { id }] of categories.entries()) {
+    await db.execute('UPDATE categories SET sort_order = ? WHERE id = ?', [(index + 1) * 10, id]);
+  }
+};
+
+const down = async (db) => {
+  if (await columnExists(db, 'categories', 'parent_id')) {
+    await db.execute('ALTER TABLE categories DROP FOREIGN KEY fk_categories_parent');
+  }
+  if (await indexExists(db, 'categories', 'idx_categories_parent_order')) {
+    await db.execute('ALTER TABLE categories DROP INDEX idx_categories_parent_order');
+  }
+  for (const column of ['color', 'icon', 'sort_order', 'parent_id']) {
+    if (await columnExists(db, 'categories', column)) {
+      await db.execute(`ALTER TABLE categories DROP COLUMN ${column}`);
+    }
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+// Per-locale text for categories, materials and videos. The default locale
+// stays in the content tables; data holds only the translated fields
+// (e.g. { "title": ..., "content": ... }).
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS content_translations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      entity_type ENUM('category', 'material', 'video') NOT NULL,
+      entity_id INT NOT NULL,
+      locale VARCHAR(10) NOT NULL,
+      data JSON NOT NULL,
+      updated_by VARCHAR(255),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_content_translation (entity_type, entity_id, locale),
+      INDEX idx_content_translations_locale (locale, entity_type)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS content_translations');
+};
+
+module.exports = { up, down };
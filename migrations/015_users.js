@@ -0,0 +1,46 @@
+// End-user accounts for the mobile app, separate from admins. Anonymous
+// device accounts have no email or password until they are upgraded.
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(255) NULL UNIQUE,
+      password VARCHAR(255) NULL,
+      display_name VARCHAR(100) NULL,
+      age_range VARCHAR(10) NULL,
+      locale VARCHAR(10) NOT NULL DEFAULT 'id',
+      is_anonymous BOOLEAN NOT NULL DEFAULT FALSE,
+      device_id VARCHAR(100) NULL,
+      last_login_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+
+  // Same rotation scheme as admin_sessions
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+      previous_token_hash CHAR(64) NULL,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP NULL,
+      revoked_reason VARCHAR(50) NULL,
+      ip VARCHAR(45),
+      user_agent VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP NULL,
+      INDEX idx_user_sessions_user (user_id),
+      INDEX idx_user_sessions_previous (previous_token_hash),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS user_sessions');
+  await db.execute('DROP TABLE IF EXISTS users');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,43 @@
+// Per-user bookmarks and reading/watch progress for materials and videos.
+// Both go away with the user (ON DELETE CASCADE) and with purged content
+// (services/trash).
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS user_bookmarks (
+      user_id INT NOT NULL,
+      entity_type ENUM('material', 'video') NOT NULL,
+      entity_id INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, entity_type, entity_id),
+      INDEX idx_user_bookmarks_recent (user_id, entity_type, created_at),
+      INDEX idx_user_bookmarks_entity (entity_type, entity_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // percent is scroll depth for materials and position / duration for
+  // videos (NULL while the video duration is unknown)
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS user_progress (
+      user_id INT NOT NULL,
+      entity_type ENUM('material', 'video') NOT NULL,
+      entity_id INT NOT NULL,
+      percent DECIMAL(5,2) NULL,
+      position_seconds INT NULL,
+      completed_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, entity_type, entity_id),
+      INDEX idx_user_progress_activity (user_id, completed_at, updated_at),
+      INDEX idx_user_progress_entity (entity_type, entity_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS user_progress');
+  await db.execute('DROP TABLE IF EXISTS user_bookmarks');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,52 @@
+// Breast self-examination tracker: each user's scheduling preference, the
+// exams they log and the findings of each exam. Everything is removed with
+// the user (ON DELETE CASCADE).
+const up = async (db) => {
+  // mode "cycle" schedules from the menstrual cycle, "fixed_day" uses the
+  // same day every month (e.g. after menopause)
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS self_exam_settings (
+      user_id INT PRIMARY KEY,
+      mode ENUM('cycle', 'fixed_day') NOT NULL,
+      last_period_start DATE NULL,
+      cycle_length TINYINT UNSIGNED NULL,
+      fixed_day TINYINT UNSIGNED NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS self_exams (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      exam_date DATE NOT NULL,
+      has_findings BOOLEAN NOT NULL DEFAULT FALSE,
+      notes TEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_self_exams_user_date (user_id, exam_date),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS self_exam_findings (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      exam_id INT NOT NULL,
+      finding_type VARCHAR(30) NOT NULL,
+      side ENUM('left', 'right') NOT NULL,
+      quadrant VARCHAR(20) NULL,
+      notes VARCHAR(500) NULL,
+      INDEX idx_self_exam_findings_exam (exam_id),
+      FOREIGN KEY (exam_id) REFERENCES self_exams(id) ON DELETE CASCADE
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS self_exam_findings');
+  await db.execute('DROP TABLE IF EXISTS self_exams');
+  await db.execute('DROP TABLE IF EXISTS self_exam_settings');
+};
+
+module.exports = { up, down };
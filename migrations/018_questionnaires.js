@@ -0,0 +1,106 @@
+// Risk-awareness questionnaires authored in the dashboard. Questions are
+// single choice, multiple choice or numeric; option scores (or numeric score
+// ranges) times the question weight add up to a total that falls into a
+// result band. Bands carry explanatory text and recommended content.
+//
+// Submissions are not stored individually: questionnaire_result_counts only
+// keeps per-day counts and score totals per band.
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS questionnaires (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      description TEXT,
+      status ENUM('draft', 'published') NOT NULL DEFAULT 'draft',
+      created_by VARCHAR(255),
+      updated_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+
+  // score_ranges (numeric questions): [{ "min": 0, "max": 11, "score": 2 }, ...]
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS questionnaire_questions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      questionnaire_id INT NOT NULL,
+      section VARCHAR(30) NOT NULL DEFAULT 'other',
+      question_text TEXT NOT NULL,
+      help_text TEXT,
+      question_type ENUM('single', 'multiple', 'numeric') NOT NULL,
+      weight DECIMAL(6,2) NOT NULL DEFAULT 1,
+      is_required BOOLEAN NOT NULL DEFAULT TRUE,
+      numeric_min DECIMAL(10,2) NULL,
+      numeric_max DECIMAL(10,2) NULL,
+      unit VARCHAR(20) NULL,
+      score_ranges JSON NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      INDEX idx_questionnaire_questions_order (questionnaire_id, sort_order),
+      FOREIGN KEY (questionnaire_id) REFERENCES questionnaires(id) ON DELETE CASCADE
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS questionnaire_options (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      question_id INT NOT NULL,
+      label VARCHAR(255) NOT NULL,
+      score DECIMAL(6,2) NOT NULL DEFAULT 0,
+      sort_order INT NOT NULL DEFAULT 0,
+      INDEX idx_questionnaire_options_order (question_id, sort_order),
+      FOREIGN KEY (question_id) REFERENCES questionnaire_questions(id) ON DELETE CASCADE
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+
+  // A total falls into the band with the highest min_score not above it
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS questionnaire_bands (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      questionnaire_id INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      min_score DECIMAL(8,2) NOT NULL,
+      description TEXT,
+      color VARCHAR(7) NULL,
+      INDEX idx_questionnaire_bands_score (questionnaire_id, min_score),
+      FOREIGN KEY (questionnaire_id) REFERENCES questionnaires(id) ON DELETE CASCADE
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS questionnaire_band_content (
+      band_id INT NOT NULL,
+      entity_type ENUM('material', 'video') NOT NULL,
+      entity_id INT NOT NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      PRIMARY KEY (band_id, entity_type, entity_id),
+      FOREIGN KEY (band_id) REFERENCES questionnaire_bands(id) ON DELETE CASCADE
+    )
+  `);
+
+  // band_id 0 means the score was below every band. band_name keeps the
+  // name so counts of later-deleted bands stay readable.
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS questionnaire_result_counts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      questionnaire_id INT NOT NULL,
+      band_id INT NOT NULL DEFAULT 0,
+      band_name VARCHAR(100) NULL,
+      result_date DATE NOT NULL,
+      submissions INT NOT NULL DEFAULT 0,
+      score_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+      UNIQUE KEY uq_questionnaire_result_count (questionnaire_id, band_id, result_date),
+      FOREIGN KEY (questionnaire_id) REFERENCES questionnaires(id) ON DELETE CASCADE
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS questionnaire_result_counts');
+  await db.execute('DROP TABLE IF EXISTS questionnaire_band_content');
+  await db.execute('DROP TABLE IF EXISTS questionnaire_bands');
+  await db.execute('DROP TABLE IF EXISTS questionnaire_options');
+  await db.execute('DROP TABLE IF EXISTS questionnaire_questions');
+  await db.execute('DROP TABLE IF EXISTS questionnaires');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,88 @@
+// Comprehension quizzes attached to materials. A question is multiple choice
+// (one or more correct options) or true/false (exactly two options, one
+// correct); every option can explain why it is right or wrong.
+//
+// Attempts keep the graded answer per question and the options picked, so
+// admins can see which questions (and which wrong options) confuse readers.
+// Everything goes away with a purged material (ON DELETE CASCADE); attempts
+// of deleted app users stay for the statistics without the user link.
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS quiz_questions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      material_id INT NOT NULL,
+      question_text TEXT NOT NULL,
+      question_type ENUM('multiple_choice', 'true_false') NOT NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      created_by VARCHAR(255),
+      updated_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_quiz_questions_order (material_id, sort_order),
+      FOREIGN KEY (material_id) REFERENCES materials(id) ON DELETE CASCADE
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS quiz_options (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      question_id INT NOT NULL,
+      label VARCHAR(500) NOT NULL,
+      is_correct BOOLEAN NOT NULL DEFAULT FALSE,
+      explanation TEXT,
+      sort_order INT NOT NULL DEFAULT 0,
+      INDEX idx_quiz_options_order (question_id, sort_order),
+      FOREIGN KEY (question_id) REFERENCES quiz_questions(id) ON DELETE CASCADE
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS quiz_attempts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      material_id INT NOT NULL,
+      user_id INT NULL,
+      correct_count INT NOT NULL,
+      question_count INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_quiz_attempts_material (material_id, created_at),
+      INDEX idx_quiz_attempts_user (user_id, created_at),
+      FOREIGN KEY (material_id) REFERENCES materials(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  // is_correct is graded when the attempt is submitted, so later edits to
+  // a question do not rewrite its history
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS quiz_attempt_answers (
+      attempt_id INT NOT NULL,
+      question_id INT NOT NULL,
+      is_correct BOOLEAN NOT NULL,
+      PRIMARY KEY (attempt_id, question_id),
+      INDEX idx_quiz_attempt_answers_question (question_id),
+      FOREIGN KEY (attempt_id) REFERENCES quiz_attempts(id) ON DELETE CASCADE,
+      FOREIGN KEY (question_id) REFERENCES quiz_questions(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS quiz_attempt_choices (
+      attempt_id INT NOT NULL,
+      option_id INT NOT NULL,
+      PRIMARY KEY (attempt_id, option_id),
+      INDEX idx_quiz_attempt_choices_option (option_id),
+      FOREIGN KEY (attempt_id) REFERENCES quiz_attempts(id) ON DELETE CASCADE,
+      FOREIGN KEY (option_id) REFERENCES quiz_options(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS quiz_attempt_choices');
+  await db.execute('DROP TABLE IF EXISTS quiz_attempt_answers');
+  await db.execute('DROP TABLE IF EXISTS quiz_attempts');
+  await db.execute('DROP TABLE IF EXISTS quiz_options');
+  await db.execute('DROP TABLE IF EXISTS quiz_questions');
+};
+
+module.exports = { up, down };
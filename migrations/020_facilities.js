@@ -0,0 +1,50 @@
+// Directory of screening and health facilities (clinical breast exams,
+// ultrasound, mammography, biopsy). Services live in their own table so the
+// public search can filter on them; latitude/longitude are indexed for the
+// bounding box that narrows the nearest-facility search.
+//
+// code is an optional identifier from the source data: CSV imports update
+// the facility with the same code instead of adding a duplicate.
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS facilities (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      code VARCHAR(50) NULL,
+      name VARCHAR(255) NOT NULL,
+      address TEXT NOT NULL,
+      province VARCHAR(100) NOT NULL,
+      city VARCHAR(100) NOT NULL,
+      latitude DECIMAL(9,6) NOT NULL,
+      longitude DECIMAL(9,6) NOT NULL,
+      opening_hours TEXT,
+      phone VARCHAR(50),
+      email VARCHAR(255),
+      website VARCHAR(500),
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by VARCHAR(255),
+      updated_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_facilities_code (code),
+      INDEX idx_facilities_location (latitude, longitude),
+      INDEX idx_facilities_region (province, city)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS facility_services (
+      facility_id INT NOT NULL,
+      service VARCHAR(30) NOT NULL,
+      PRIMARY KEY (facility_id, service),
+      INDEX idx_facility_services_service (service),
+      FOREIGN KEY (facility_id) REFERENCES facilities(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS facility_services');
+  await db.execute('DROP TABLE IF EXISTS facilities');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,84 @@
+// Push notifications for app users.
+//
+// push_devices holds the provider token of each app install (a token moves
+// to whichever account registers it last). push_subscriptions are per-user
+// topics: new_content, category:<id>, lang:<locale>, self_exam_reminders.
+//
+// push_notifications is the outbox: one row per message with its text per
+// locale, fanned out into one push_deliveries row per device when it is
+// enqueued. The dispatcher job sends due deliveries and retries failures
+// with backoff. dedupe_key stops the same event from being queued twice.
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS push_devices (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      token VARCHAR(255) NOT NULL,
+      platform ENUM('android', 'ios', 'web') NOT NULL,
+      app_version VARCHAR(50) NULL,
+      disabled_at TIMESTAMP NULL,
+      last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_push_devices_token (token),
+      INDEX idx_push_devices_user (user_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS push_subscriptions (
+      user_id INT NOT NULL,
+      topic VARCHAR(100) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, topic),
+      INDEX idx_push_subscriptions_topic (topic),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // messages: { "<locale>": { "title": ..., "body": ... } }
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS push_notifications (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      kind VARCHAR(30) NOT NULL,
+      audience VARCHAR(255) NOT NULL,
+      messages JSON NOT NULL,
+      data JSON NULL,
+      entity_type VARCHAR(20) NULL,
+      entity_id INT NULL,
+      dedupe_key VARCHAR(150) NULL,
+      send_after TIMESTAMP NULL,
+      created_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_push_notifications_dedupe (dedupe_key),
+      INDEX idx_push_notifications_created (created_at)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS push_deliveries (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      notification_id INT NOT NULL,
+      device_id INT NOT NULL,
+      status ENUM('pending', 'sent', 'failed', 'cancelled') NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_error VARCHAR(500) NULL,
+      provider_id VARCHAR(255) NULL,
+      sent_at TIMESTAMP NULL,
+      UNIQUE KEY uq_push_deliveries_device (notification_id, device_id),
+      INDEX idx_push_deliveries_due (status, next_attempt_at),
+      FOREIGN KEY (notification_id) REFERENCES push_notifications(id) ON DELETE CASCADE,
+      FOREIGN KEY (device_id) REFERENCES push_devices(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS push_deliveries');
+  await db.execute('DROP TABLE IF EXISTS push_notifications');
+  await db.execute('DROP TABLE IF EXISTS push_subscriptions');
+  await db.execute('DROP TABLE IF EXISTS push_devices');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,54 @@
+// View and completion analytics for materials and videos.
+//
+// content_events is the raw stream, written in batches by services/analytics
+// and pruned after a retention period. The rollup job folds new events into
+// content_daily_stats (one row per item per day); analytics_rollup_state
+// remembers the last event id folded in so each event is counted once.
+// category_id is the item's category at the time of the event; occurred_at
+// is when the server saw it, recorded_at when its batch was written.
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS content_events (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      entity_type ENUM('material', 'video') NOT NULL,
+      entity_id INT NOT NULL,
+      category_id INT NULL,
+      event ENUM('view', 'complete') NOT NULL,
+      user_id INT NULL,
+      source VARCHAR(20) NOT NULL,
+      occurred_at TIMESTAMP NOT NULL,
+      recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_content_events_occurred (occurred_at)
+    )
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS content_daily_stats (
+      day DATE NOT NULL,
+      entity_type ENUM('material', 'video') NOT NULL,
+      entity_id INT NOT NULL,
+      category_id INT NULL,
+      views INT NOT NULL DEFAULT 0,
+      completions INT NOT NULL DEFAULT 0,
+      PRIMARY KEY (day, entity_type, entity_id),
+      INDEX idx_content_daily_stats_entity (entity_type, entity_id, day),
+      INDEX idx_content_daily_stats_category (category_id, day)
+    )
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS analytics_rollup_state (
+      name VARCHAR(50) PRIMARY KEY,
+      last_event_id BIGINT NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS analytics_rollup_state');
+  await db.execute('DROP TABLE IF EXISTS content_daily_stats');
+  await db.execute('DROP TABLE IF EXISTS content_events');
+};
+
+module.exports = { up, down };
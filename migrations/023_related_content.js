@@ -0,0 +1,27 @@
+// Precomputed related-content scores. services/related rebuilds the whole
+// table after content changes and on a schedule (co-viewing changes with
+// traffic); each item keeps only its best matches. The component scores
+// are kept next to the combined one to make rankings explainable.
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS related_content (
+      entity_type ENUM('material', 'video') NOT NULL,
+      entity_id INT NOT NULL,
+      related_type ENUM('material', 'video') NOT NULL,
+      related_id INT NOT NULL,
+      score DECIMAL(6,4) NOT NULL,
+      category_score DECIMAL(6,4) NOT NULL DEFAULT 0,
+      term_score DECIMAL(6,4) NOT NULL DEFAULT 0,
+      coview_score DECIMAL(6,4) NOT NULL DEFAULT 0,
+      computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (entity_type, entity_id, related_type, related_id),
+      INDEX idx_related_content_score (entity_type, entity_id, score)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS related_content');
+};
+
+module.exports = { up, down };
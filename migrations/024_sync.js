@@ -0,0 +1,37 @@
+const { indexExists } = require('../config/migrations');
+
+// Delta sync for offline clients (GET /api/sync). Changes are found through
+// updated_at, so it gets an index on each content table. Soft-deleted and
+// unpublished rows still exist and become tombstones from their own
+// updated_at; sync_tombstones remembers rows purged from the trash, which
+// leave nothing behind to compare against.
+const TABLES = ['categories', 'materials', 'videos'];
+
+const up = async (db) => {
+  for (const table of TABLES) {
+    if (!(await indexExists(db, table, `idx_${table}_updated`))) {
+      await db.execute(`ALTER TABLE ${table} ADD INDEX idx_${table}_updated (updated_at)`);
+    }
+  }
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS sync_tombstones (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      entity_type ENUM('category', 'material', 'video') NOT NULL,
+      entity_id INT NOT NULL,
+      deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_sync_tombstones_deleted (deleted_at)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS sync_tombstones');
+  for (const table of TABLES) {
+    if (await indexExists(db, table, `idx_${table}_updated`)) {
+      await db.execute(`ALTER TABLE ${table} DROP INDEX idx_${table}_updated`);
+    }
+  }
+};
+
+module.exports = { up, down };
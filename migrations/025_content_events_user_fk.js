@@ -0,0 +1,27 @@
+const { foreignKeyExists } = require('../config/migrations');
+
+// content_events.user_id follows the account: deleting a user keeps their
+// events for the totals but drops the link to them. Events of accounts
+// deleted before this migration are unlinked first.
+const up = async (db) => {
+  await db.execute(`
+    UPDATE content_events e
+    LEFT JOIN users u ON u.id = e.user_id
+    SET e.user_id = NULL
+    WHERE e.user_id IS NOT NULL AND u.id IS NULL
+  `);
+  if (!(await foreignKeyExists(db, 'content_events', 'fk_content_events_user'))) {
+    await db.execute(`
+      ALTER TABLE content_events
+      ADD CONSTRAINT fk_content_events_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    `);
+  }
+};
+
+const down = async (db) => {
+  if (await foreignKeyExists(db, 'content_events', 'fk_content_events_user')) {
+    await db.execute('ALTER TABLE content_events DROP FOREIGN KEY fk_content_events_user');
+  }
+};
+
+module.exports = { up, down };
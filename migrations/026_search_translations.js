@@ -0,0 +1,56 @@
+const { columnExists, indexExists } = require('../config/migrations');
+
+// Full-text search over translations (see migration 008 for the default
+// locale). FULLTEXT cannot index JSON, so the translated text is copied into
+// stored generated columns: search_title holds a title or category name,
+// search_body a material's content or a video's or category's description.
+
+const COLUMNS = [
+  {
+    name: 'search_title',
+    definition: `VARCHAR(500) COLLATE utf8mb4_unicode_ci GENERATED ALWAYS AS (
+      COALESCE(JSON_UNQUOTE(JSON_EXTRACT(data, '$.title')), JSON_UNQUOTE(JSON_EXTRACT(data, '$.name')))
+    ) STORED`
+  },
+  {
+    name: 'search_body',
+    definition: `LONGTEXT COLLATE utf8mb4_unicode_ci GENERATED ALWAYS AS (
+      CONCAT_WS(' ', JSON_UNQUOTE(JSON_EXTRACT(data, '$.content')), JSON_UNQUOTE(JSON_EXTRACT(data, '$.description')))
+    ) STORED`
+  }
+];
+
+const FULLTEXT_INDEXES = [
+  { name: 'ft_translations_all', columns: 'search_title, search_body' },
+  { name: 'ft_translations_title', columns: 'search_title' }
+];
+
+const up = async (db) => {
+  for (const column of COLUMNS) {
+    if (!(await columnExists(db, 'content_translations', column.name))) {
+      await db.execute(`ALTER TABLE content_translations ADD COLUMN ${column.name} ${column.definition}`);
+    }
+  }
+
+  for (const index of FULLTEXT_INDEXES) {
+    if (!(await indexExists(db, 'content_translations', index.name))) {
+      await db.execute(`ALTER TABLE content_translations ADD FULLTEXT INDEX ${index.name} (${index.columns})`);
+    }
+  }
+};
+
+const down = async (db) => {
+  for (const index of FULLTEXT_INDEXES) {
+    if (await indexExists(db, 'content_translations', index.name)) {
+      await db.execute(`ALTER TABLE content_translations DROP INDEX ${index.name}`);
+    }
+  }
+
+  for (const column of COLUMNS) {
+    if (await columnExists(db, 'content_translations', column.name)) {
+      await db.execute(`ALTER TABLE content_translations DROP COLUMN ${column.name}`);
+    }
+  }
+};
+
+module.exports = { up, down };
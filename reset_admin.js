@@ -1,57 +1,86 @@
-// reset_admin.js - Jalankan dengan: node reset_admin.js
-const mysql = require('mysql2/promise');
-const bcrypt = require('bcryptjs');
-require('dotenv').config();
+// reset_admin.js - Jalankan dengan:
+//   node reset_admin.js <email>              -> masukkan password baru (tersembunyi)
+//   node reset_admin.js <email> --generate   -> buat password acak, ditampilkan sekali
+//   node reset_admin.js <email> --send-link  -> kirim link reset lewat mailer
+const crypto = require('crypto');
+const readline = require('readline');
+const { pool } = require('./config/database');
+const { setAdminPassword, requestPasswordReset, validatePassword } = require('./services/passwords');
+
+// Read a line from the terminal without echoing it
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl.stdoutMuted = false;
+    rl._writeToOutput = (text) => {
+      if (!rl.stdoutMuted) rl.output.write(text);
+    };
+    rl.question(question, (answer) => {
+      rl.output.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+    rl.stdoutMuted = true;
+  });
+}
 
 async function resetAdminPassword() {
+  const [email, option] = process.argv.slice(2);
+
+  if (!email) {
+    console.error('Usage: node reset_admin.js <email> [--generate | --send-link]');
+    process.exitCode = 1;
+    return;
+  }
+
   try {
-    // Buat koneksi ke database
-    const connection = await mysql.createConnection({
-      host: process.env.DB_HOST,
-      user: process.env.DB_USER,
-      password: process.env.DB_PASSWORD,
-      database: process.env.DB_NAME
-    });
+    const [admins] = await pool.execute('SELECT id, email, is_active FROM admins WHERE email = ?', [email]);
+
+    if (admins.length === 0) {
+      console.log('❌ Admin not found');
+      process.exitCode = 1;
+      return;
+    }
+
+    const admin = admins[0];
 
-    // Password baru yang ingin diset
-    const newPassword = 'admin123';
-    const email = 'admin@breastcancer.com';
-    
-    // Hash password baru
-    console.log('Hashing password...');
-    const hashedPassword = await bcrypt.hash(newPassword, 12);
-    
-    console.log('New password hash:', hashedPassword);
-    
-    // Update password di database
-    const [result] = await connection.execute(
-      'UPDATE admins SET password = ? WHERE email = ?',
-      [hashedPassword, email]
-    );
-    
-    if (result.affectedRows > 0) {
-      console.log('✅ Password updated successfully!');
-      console.log('Email:', email);
-      console.log('New Password:', newPassword);
-      
-      // Test password
-      const [admin] = await connection.execute(
-        'SELECT password FROM admins WHERE email = ?',
-        [email]
-      );
-      
-      if (admin.length > 0) {
-        const isValid = await bcrypt.compare(newPassword, admin[0].password);
-        console.log('Password verification test:', isValid ? '✅ PASSED' : '❌ FAILED');
+    if (option === '--send-link') {
+      if (!admin.is_active) {
+        console.log('❌ Admin is deactivated; reactivate the account first');
+        process.exitCode = 1;
+        return;
       }
+      const result = await requestPasswordReset(email);
+      console.log(`✅ Reset link sent to ${email} (valid for ${result.expiresInMinutes} minutes)`);
+      return;
+    }
+
+    let newPassword;
+    if (option === '--generate') {
+      newPassword = crypto.randomBytes(12).toString('base64url');
     } else {
-      console.log('❌ Admin not found');
+      newPassword = await promptHidden('New password: ');
+      validatePassword(newPassword);
+      const confirmation = await promptHidden('Confirm password: ');
+      if (confirmation !== newPassword) {
+        console.log('❌ Passwords do not match');
+        process.exitCode = 1;
+        return;
+      }
+    }
+
+    await setAdminPassword(admin.id, newPassword);
+    console.log('✅ Password updated successfully for', email);
+
+    if (option === '--generate') {
+      console.log('Generated password (shown only once):', newPassword);
     }
-    
-    await connection.end();
   } catch (error) {
     console.error('Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
   }
 }
 
-resetAdminPassword();
\ No newline at end of file
+resetAdminPassword();
@@ -0,0 +1,39 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getDailySeries, getContentBreakdown, getCategoryBreakdown } = require('../services/analytics');
+const { handleAdminError } = require('../services/errors');
+const { parseLimit } = require('../services/list-query');
+
+// View and completion reports (/api/admin/analytics). Every endpoint takes
+// ?days= (default 30, today included), ?type=material|video and
+// ?category_id= (subcategories included).
+const router = express.Router();
+
+// Views and completions per day; ?entity_id= (with type) for one item
+router.get('/daily', authenticateToken, requirePermission('stats:read'), async (req, res) => {
+  try {
+    res.json(await getDailySeries(req.query));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch daily views');
+  }
+});
+
+// Most viewed items with completion rates; ?limit= (default 50)
+router.get('/content', authenticateToken, requirePermission('stats:read'), async (req, res) => {
+  try {
+    const limit = parseLimit(req.query, { defaultLimit: 50, maxLimit: 500 });
+    res.json(await getContentBreakdown(req.query, { limit }));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch content views');
+  }
+});
+
+router.get('/categories', authenticateToken, requirePermission('stats:read'), async (req, res) => {
+  try {
+    res.json(await getCategoryBreakdown(req.query));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch category views');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getCacheStats, clearCache } = require('../services/response-cache');
+const { recordAudit } = require('../services/audit');
+
+// Public API response cache (/api/admin/cache), see services/response-cache.
+// Numbers are for the instance that answers.
+const router = express.Router();
+
+// Hits, misses, evictions, size and when each entity type last changed
+router.get('/stats', authenticateToken, requirePermission('stats:read'), (req, res) => {
+  res.json(getCacheStats());
+});
+
+// Drop every cached response on this instance
+router.delete('/', authenticateToken, requirePermission('cache:clear'), async (req, res) => {
+  try {
+    const removed = clearCache();
+    await recordAudit(req, { action: 'clear', entityType: 'response_cache', after: { removed } });
+    res.json({ removed });
+  } catch (error) {
+    console.error('Failed to clear cache:', error);
+    res.status(500).json({ error: 'Failed to clear cache' });
+  }
+});
+
+module.exports = router;
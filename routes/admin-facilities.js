@@ -0,0 +1,102 @@
+const express = require('express');
+const multer = require('multer');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  SERVICES, CSV_COLUMNS, listFacilities, getFacility, createFacility, updateFacility,
+  deleteFacility, importFacilities
+} = require('../services/facilities');
+const { recordAudit } = require('../services/audit');
+const { handleAdminError } = require('../services/errors');
+
+// Screening and health facility directory (/api/admin/facilities)
+const router = express.Router();
+
+// Import files are parsed in memory, never stored
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// ?q= (name, city or code), ?province=, ?service=, list options
+router.get('/', authenticateToken, requirePermission('facilities:read'), async (req, res) => {
+  try {
+    res.json(await listFacilities(req.query));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch facilities');
+  }
+});
+
+// Services a facility can offer and the columns of the import file
+router.get('/options', authenticateToken, requirePermission('facilities:read'), (req, res) => {
+  res.json({ services: SERVICES, csvColumns: CSV_COLUMNS });
+});
+
+router.get('/:id(\\d+)', authenticateToken, requirePermission('facilities:read'), async (req, res) => {
+  try {
+    res.json(await getFacility(req.params.id));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch facility');
+  }
+});
+
+router.post('/', authenticateToken, requirePermission('facilities:write'), async (req, res) => {
+  try {
+    const facility = await createFacility(req, req.body);
+    await recordAudit(req, { action: 'create', entityType: 'facility', entityId: facility.id, after: facility });
+    res.status(201).json(facility);
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to create facility');
+  }
+});
+
+router.put('/:id(\\d+)', authenticateToken, requirePermission('facilities:write'), async (req, res) => {
+  try {
+    const before = await getFacility(req.params.id);
+    const facility = await updateFacility(req, req.params.id, req.body);
+    await recordAudit(req, { action: 'update', entityType: 'facility', entityId: facility.id, before, after: facility });
+    res.json(facility);
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to update facility');
+  }
+});
+
+router.delete('/:id(\\d+)', authenticateToken, requirePermission('facilities:delete'), async (req, res) => {
+  try {
+    const before = await getFacility(req.params.id);
+    await deleteFacility(req.params.id);
+    await recordAudit(req, { action: 'delete', entityType: 'facility', entityId: before.id, before });
+    res.json({ message: 'Facility deleted successfully' });
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to delete facility');
+  }
+});
+
+// CSV upload as the "file" field (or { csv } as JSON). ?dry_run=1 only
+// validates. Any invalid row rejects the whole file with a 400 listing the
+// errors by line.
+router.post('/import', authenticateToken, requirePermission('facilities:write'), csvUpload.single('file'), async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    if (!text) {
+      return res.status(400).json({ error: 'Upload a CSV file' });
+    }
+
+    const dryRun = ['1', 'true'].includes(String(req.query.dry_run));
+    const result = await importFacilities(req, text, { dryRun });
+    if (result.errors.length > 0) {
+      return res.status(400).json({ error: 'The file has invalid rows, nothing was imported', ...result });
+    }
+    if (result.applied) {
+      await recordAudit(req, {
+        action: 'import',
+        entityType: 'facility',
+        after: { file: req.file ? req.file.originalname : null, rows: result.rows, created: result.created, updated: result.updated }
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to import facilities');
+  }
+});
+
+module.exports = router;
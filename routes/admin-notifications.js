@@ -0,0 +1,56 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  availableTopics, listNotifications, sendManualNotification, retryFailedDeliveries
+} = require('../services/notifications');
+const { recordAudit } = require('../services/audit');
+const { handleAdminError } = require('../services/errors');
+
+// Push notification outbox (/api/admin/notifications)
+const router = express.Router();
+
+// Recent notifications with delivery counts by status, one page at a time
+router.get('/', authenticateToken, requirePermission('notifications:read'), async (req, res) => {
+  try {
+    res.json(await listNotifications(req.query));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch notifications');
+  }
+});
+
+router.get('/topics', authenticateToken, requirePermission('notifications:read'), async (req, res) => {
+  try {
+    res.json(await availableTopics());
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch topics');
+  }
+});
+
+// Announcement: { topics, title, body, messages: { en: { title, body } } }
+router.post('/', authenticateToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const notification = await sendManualNotification(req, req.body);
+    await recordAudit(req, {
+      action: 'send',
+      entityType: 'notification',
+      entityId: notification.id,
+      after: { topics: req.body.topics, title: req.body.title, body: req.body.body, deliveries: notification.deliveries }
+    });
+    res.status(201).json(notification);
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to send notification');
+  }
+});
+
+// Requeue failed deliveries of a notification
+router.post('/:id(\\d+)/retry', authenticateToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const requeued = await retryFailedDeliveries(req.params.id);
+    await recordAudit(req, { action: 'retry', entityType: 'notification', entityId: parseInt(req.params.id, 10), after: { requeued } });
+    res.json({ requeued });
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to retry notification');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  SECTIONS, QUESTION_TYPES, listQuestionnaires, getQuestionnaire, loadQuestionnaire,
+  createQuestionnaire, updateQuestionnaire, deleteQuestionnaire, getBandDistribution, getDailyResults
+} = require('../services/questionnaires');
+const { recordAudit } = require('../services/audit');
+const { handleAdminError } = require('../services/errors');
+
+// Risk-awareness questionnaire builder (/api/admin/questionnaires). A
+// questionnaire is saved as one document: questions with their options and
+// result bands with their recommended content.
+const router = express.Router();
+
+router.get('/', authenticateToken, requirePermission('questionnaires:read'), async (req, res) => {
+  try {
+    res.json(await listQuestionnaires(req.query));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch questionnaires');
+  }
+});
+
+// Sections and question types for the builder
+router.get('/options', authenticateToken, requirePermission('questionnaires:read'), (req, res) => {
+  res.json({ sections: SECTIONS, questionTypes: QUESTION_TYPES });
+});
+
+router.get('/:id(\\d+)', authenticateToken, requirePermission('questionnaires:read'), async (req, res) => {
+  try {
+    res.json(await getQuestionnaire(req.params.id));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch questionnaire');
+  }
+});
+
+router.post('/', authenticateToken, requirePermission('questionnaires:write'), async (req, res) => {
+  try {
+    const questionnaire = await createQuestionnaire(req, req.body);
+    await recordAudit(req, { action: 'create', entityType: 'questionnaire', entityId: questionnaire.id, after: questionnaire });
+    res.status(201).json(questionnaire);
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to create questionnaire');
+  }
+});
+
+// Replaces the whole document; questions, options and bands sent with their
+// id keep it
+router.put('/:id(\\d+)', authenticateToken, requirePermission('questionnaires:write'), async (req, res) => {
+  try {
+    const before = await loadQuestionnaire(req.params.id);
+    const questionnaire = await updateQuestionnaire(req, req.params.id, req.body);
+    await recordAudit(req, { action: 'update', entityType: 'questionnaire', entityId: questionnaire.id, before, after: questionnaire });
+    res.json(questionnaire);
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to update questionnaire');
+  }
+});
+
+// Also removes its aggregate results
+router.delete('/:id(\\d+)', authenticateToken, requirePermission('questionnaires:delete'), async (req, res) => {
+  try {
+    const before = await loadQuestionnaire(req.params.id);
+    await deleteQuestionnaire(req.params.id);
+    await recordAudit(req, { action: 'delete', entityType: 'questionnaire', entityId: req.params.id, before });
+    res.json({ message: 'Questionnaire deleted successfully' });
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to delete questionnaire');
+  }
+});
+
+// Band distribution and daily submissions over the last ?days= (default 30)
+router.get('/:id(\\d+)/results', authenticateToken, requirePermission('questionnaires:read'), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    await getQuestionnaire(req.params.id);
+
+    const [distribution] = await getBandDistribution({ questionnaireId: req.params.id, days });
+    res.json({ days, ...distribution, daily: await getDailyResults(req.params.id, days) });
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch questionnaire results');
+  }
+});
+
+module.exports = router;
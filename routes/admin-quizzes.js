@@ -0,0 +1,99 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  QUESTION_TYPES, listQuizzes, getQuiz, getQuestion, createQuestion, updateQuestion,
+  deleteQuestion, reorderQuestions, getQuestionStats
+} = require('../services/quizzes');
+const { recordAudit } = require('../services/audit');
+const { handleAdminError } = require('../services/errors');
+
+// Comprehension quizzes of materials (/api/admin/quizzes/:materialId).
+// Quizzes are part of a material, so they use the materials permissions.
+const router = express.Router();
+
+// Materials with a quiz, question counts and attempt totals
+router.get('/', authenticateToken, requirePermission('materials:read'), async (req, res) => {
+  try {
+    res.json(await listQuizzes(req.query));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch quizzes');
+  }
+});
+
+router.get('/options', authenticateToken, requirePermission('materials:read'), (req, res) => {
+  res.json({ questionTypes: QUESTION_TYPES });
+});
+
+// Questions with options, correct answers and explanations
+router.get('/:materialId(\\d+)', authenticateToken, requirePermission('materials:read'), async (req, res) => {
+  try {
+    res.json(await getQuiz(req.params.materialId));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch quiz');
+  }
+});
+
+// Per-question correctness and option pick rates over ?days= (all time
+// when omitted)
+router.get('/:materialId(\\d+)/stats', authenticateToken, requirePermission('materials:read'), async (req, res) => {
+  try {
+    const days = req.query.days ? Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365) : null;
+    res.json(await getQuestionStats(req.params.materialId, { days }));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch quiz statistics');
+  }
+});
+
+// { question_text, question_type, options: [{ label, is_correct, explanation }] }
+router.post('/:materialId(\\d+)/questions', authenticateToken, requirePermission('materials:write'), async (req, res) => {
+  try {
+    const question = await createQuestion(req, req.params.materialId, req.body);
+    await recordAudit(req, { action: 'create', entityType: 'quiz_question', entityId: question.id, after: question });
+    res.status(201).json(question);
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to create quiz question');
+  }
+});
+
+// Options sent with their id keep it (and their statistics)
+router.put('/:materialId(\\d+)/questions/:id(\\d+)', authenticateToken, requirePermission('materials:write'), async (req, res) => {
+  try {
+    const before = await getQuestion(req.params.materialId, req.params.id);
+    const question = await updateQuestion(req, req.params.materialId, req.params.id, req.body);
+    await recordAudit(req, { action: 'update', entityType: 'quiz_question', entityId: question.id, before, after: question });
+    res.json(question);
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to update quiz question');
+  }
+});
+
+router.delete('/:materialId(\\d+)/questions/:id(\\d+)', authenticateToken, requirePermission('materials:write'), async (req, res) => {
+  try {
+    const before = await getQuestion(req.params.materialId, req.params.id);
+    await deleteQuestion(req.params.materialId, req.params.id);
+    await recordAudit(req, { action: 'delete', entityType: 'quiz_question', entityId: before.id, before });
+    res.json({ message: 'Question deleted successfully' });
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to delete quiz question');
+  }
+});
+
+// { ids: [every question id in the new order] }
+router.put('/:materialId(\\d+)/order', authenticateToken, requirePermission('materials:write'), async (req, res) => {
+  try {
+    const before = await getQuiz(req.params.materialId);
+    const questions = await reorderQuestions(req.params.materialId, req.body.ids);
+    await recordAudit(req, {
+      action: 'reorder',
+      entityType: 'quiz',
+      entityId: before.material_id,
+      before: { ids: before.questions.map(question => question.id) },
+      after: { ids: questions.map(question => question.id) }
+    });
+    res.json(questions);
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to reorder quiz questions');
+  }
+});
+
+module.exports = router;
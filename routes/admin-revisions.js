@@ -0,0 +1,66 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { listRevisions, getRevision, diffRevisions, restoreRevision } = require('../services/revisions');
+const { loadSnapshot, recordAudit } = require('../services/audit');
+const { handleAdminError } = require('../services/errors');
+
+// Revision history routes for /materials/:id/... and /videos/:id/...
+const router = express.Router();
+
+const ENTITY_TYPES = { materials: 'material', videos: 'video' };
+const TYPE_PARAM = ':type(materials|videos)';
+
+// Same permission as reading or writing the content itself
+const requireContentPermission = (access) => (req, res, next) => {
+  requirePermission(`${req.params.type}:${access}`)(req, res, next);
+};
+
+router.get(`/${TYPE_PARAM}/:id/revisions`, authenticateToken, requireContentPermission('read'), async (req, res) => {
+  try {
+    res.json(await listRevisions(ENTITY_TYPES[req.params.type], req.params.id));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch revisions');
+  }
+});
+
+// Field-level diff: ?from=<revision>&to=<revision>
+router.get(`/${TYPE_PARAM}/:id/revisions/diff`, authenticateToken, requireContentPermission('read'), async (req, res) => {
+  try {
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to revision numbers are required' });
+    }
+
+    res.json(await diffRevisions(ENTITY_TYPES[req.params.type], req.params.id, from, to));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to diff revisions');
+  }
+});
+
+router.get(`/${TYPE_PARAM}/:id/revisions/:revision(\\d+)`, authenticateToken, requireContentPermission('read'), async (req, res) => {
+  try {
+    res.json(await getRevision(ENTITY_TYPES[req.params.type], req.params.id, parseInt(req.params.revision, 10)));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch revision');
+  }
+});
+
+router.post(`/${TYPE_PARAM}/:id/revisions/:revision(\\d+)/restore`, authenticateToken, requireContentPermission('write'), async (req, res) => {
+  try {
+    const entityType = ENTITY_TYPES[req.params.type];
+    const { id } = req.params;
+    const before = await loadSnapshot(entityType, id);
+
+    await restoreRevision(req, entityType, id, parseInt(req.params.revision, 10));
+
+    const after = await loadSnapshot(entityType, id);
+    await recordAudit(req, { action: 'restore_revision', entityType, entityId: id, before, after });
+    res.json(after);
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to restore revision');
+  }
+});
+
+module.exports = router;
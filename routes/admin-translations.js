@@ -0,0 +1,47 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getTranslations, saveTranslation } = require('../services/translations');
+const { recordAudit } = require('../services/audit');
+const { handleAdminError } = require('../services/errors');
+
+// Per-locale text for categories, materials and videos
+const router = express.Router();
+
+const ENTITY_TYPES = { categories: 'category', materials: 'material', videos: 'video' };
+const TYPE_PARAM = ':type(categories|materials|videos)';
+
+const requireContentPermission = (access) => (req, res, next) => {
+  requirePermission(`${req.params.type}:${access}`)(req, res, next);
+};
+
+router.get(`/${TYPE_PARAM}/:id/translations`, authenticateToken, requireContentPermission('read'), async (req, res) => {
+  try {
+    res.json(await getTranslations(ENTITY_TYPES[req.params.type], req.params.id));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch translations');
+  }
+});
+
+// Body holds the translated fields, e.g. { "title": "...", "content": "..." }
+router.put(`/${TYPE_PARAM}/:id/translations/:locale`, authenticateToken, requireContentPermission('write'), async (req, res) => {
+  try {
+    const entityType = ENTITY_TYPES[req.params.type];
+    const { id, locale } = req.params;
+    const before = (await getTranslations(entityType, id)).locales[locale];
+
+    const data = await saveTranslation(req, entityType, id, locale, req.body || {});
+
+    await recordAudit(req, {
+      action: 'translate',
+      entityType,
+      entityId: id,
+      before: before ? { locale, ...before.fields } : null,
+      after: data ? { locale, ...data } : null
+    });
+    res.json(await getTranslations(entityType, id));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to save translation');
+  }
+});
+
+module.exports = router;
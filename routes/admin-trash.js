@@ -0,0 +1,90 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/roles');
+const { listTrash, restoreContent, purgeContent } = require('../services/trash');
+const { loadSnapshot, recordAudit } = require('../services/audit');
+const { emitContentChange } = require('../services/content-events');
+const { handleAdminError } = require('../services/errors');
+const { parsePage } = require('../services/list-query');
+
+// Trash view for soft-deleted categories, materials and videos
+const router = express.Router();
+
+const ENTITY_TYPES = { categories: 'category', materials: 'material', videos: 'video' };
+const TYPE_PARAM = ':type(categories|materials|videos)';
+
+// Restoring and purging need the same permission as deleting
+const requireDeletePermission = (req, res, next) => {
+  requirePermission(`${req.params.type}:delete`)(req, res, next);
+};
+
+// ?type=categories|materials|videos narrows the list; otherwise every type
+// the admin can read is included
+router.get('/trash', authenticateToken, async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !ENTITY_TYPES[type]) {
+      return res.status(400).json({ error: 'type must be one of: categories, materials, videos' });
+    }
+
+    const types = (type ? [type] : Object.keys(ENTITY_TYPES))
+      .filter(name => hasPermission(req.user.role, `${name}:read`));
+    if (types.length === 0) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const { page, limit } = parsePage(req.query, { defaultLimit: 20, maxLimit: 100 });
+    const { items, total } = await listTrash(types.map(name => ENTITY_TYPES[name]), { page, limit });
+
+    res.json({
+      items,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch trash');
+  }
+});
+
+router.post(`/trash/${TYPE_PARAM}/:id/restore`, authenticateToken, requireDeletePermission, async (req, res) => {
+  try {
+    const entityType = ENTITY_TYPES[req.params.type];
+    const { id } = req.params;
+    const before = await loadSnapshot(entityType, id);
+
+    const { counts, changed } = await restoreContent(entityType, id);
+
+    const after = await loadSnapshot(entityType, id);
+    await recordAudit(req, { action: 'restore', entityType, entityId: id, before, after });
+    emitContentChange({ entityType, entityId: parseInt(id, 10), action: 'restore' });
+    changed.forEach(change => emitContentChange({ ...change, action: 'restore' }));
+
+    res.json({ message: 'Restored from trash', item: after, restored: counts });
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to restore from trash');
+  }
+});
+
+// Permanent: the row, its revisions and any upload files only it used
+router.delete(`/trash/${TYPE_PARAM}/:id`, authenticateToken, requireDeletePermission, async (req, res) => {
+  try {
+    const entityType = ENTITY_TYPES[req.params.type];
+    const { id } = req.params;
+    const before = await loadSnapshot(entityType, id);
+
+    const purged = await purgeContent(entityType, id);
+
+    await recordAudit(req, { action: 'purge', entityType, entityId: id, before, after: null });
+    emitContentChange({ entityType, entityId: parseInt(id, 10), action: 'purge' });
+
+    res.json({ message: 'Permanently deleted', purged });
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to purge from trash');
+  }
+});
+
+module.exports = router;
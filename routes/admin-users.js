@@ -0,0 +1,196 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { ROLES, isValidRole } = require('../config/roles');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { revokeAllSessions } = require('../services/sessions');
+const { loadSnapshot, recordAudit } = require('../services/audit');
+const { handleAdminError } = require('../services/errors');
+const { parseListQuery, fetchList, pickFields } = require('../services/list-query');
+
+const router = express.Router();
+
+router.use(authenticateToken, requirePermission('users:manage'));
+
+const ADMIN_COLUMNS = 'id, email, name, role, is_active, invited_by, last_login_at, created_at, updated_at';
+
+// List options (see services/list-query); without them the dashboard gets
+// every admin as a bare array
+const ADMIN_LIST = {
+  sortable: { id: 'id', email: 'email', name: 'name', role: 'role', created_at: 'created_at' },
+  defaultSort: '-created_at',
+  dates: { created: 'created_at', last_login: 'last_login_at' },
+  fields: ADMIN_COLUMNS.split(', '),
+  optional: true,
+  defaultLimit: 20,
+  maxLimit: 100
+};
+
+// Refuse changes that would leave nobody able to manage admins
+const isLastActiveSuperadmin = async (adminId) => {
+  const [rows] = await pool.execute(
+    "SELECT id FROM admins WHERE role = 'superadmin' AND is_active = 1"
+  );
+  return rows.length === 1 && rows[0].id === adminId;
+};
+
+const findAdmin = async (id) => {
+  const [rows] = await pool.execute(`SELECT ${ADMIN_COLUMNS} FROM admins WHERE id = ?`, [id]);
+  return rows[0] || null;
+};
+
+router.get('/', async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, ADMIN_LIST);
+    const { rows, pagination } = await fetchList({ select: ADMIN_COLUMNS, from: 'admins' }, list);
+    const data = pickFields(rows, list.fields);
+    res.json(pagination ? { data, pagination } : data);
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch admins');
+  }
+});
+
+router.get('/roles', (req, res) => {
+  res.json(ROLES);
+});
+
+// Invite a new admin. The temporary password is only returned here.
+router.post('/invite', async (req, res) => {
+  try {
+    const { email, name, role = 'viewer' } = req.body;
+
+    if (!email || !name) {
+      return res.status(400).json({ error: 'Email and name are required' });
+    }
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const [existing] = await pool.execute('SELECT id FROM admins WHERE email = ?', [email]);
+    if (existing.length > 0) {
+      return res.status(409).json({ error: 'An admin with this email already exists' });
+    }
+
+    const tempPassword = crypto.randomBytes(12).toString('base64url');
+    const hashedPassword = await bcrypt.hash(tempPassword, 12);
+
+    const [result] = await pool.execute(
+      'INSERT INTO admins (email, password, name, role, invited_by) VALUES (?, ?, ?, ?, ?)',
+      [email, hashedPassword, name, role, req.user.id]
+    );
+
+    const admin = await findAdmin(result.insertId);
+    await recordAudit(req, { action: 'invite', entityType: 'admin', entityId: admin.id, after: admin });
+
+    res.status(201).json({ ...admin, tempPassword });
+  } catch (error) {
+    console.error('Invite admin error:', error);
+    res.status(500).json({ error: 'Failed to invite admin' });
+  }
+});
+
+router.put('/:id/role', async (req, res) => {
+  try {
+    const { role } = req.body;
+    const id = parseInt(req.params.id, 10);
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const admin = await findAdmin(id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    if (admin.role === 'superadmin' && role !== 'superadmin' && await isLastActiveSuperadmin(id)) {
+      return res.status(400).json({ error: 'Cannot demote the last active superadmin' });
+    }
+
+    await pool.execute('UPDATE admins SET role = ? WHERE id = ?', [role, id]);
+    const updated = await findAdmin(id);
+    await recordAudit(req, { action: 'change_role', entityType: 'admin', entityId: id, before: admin, after: updated });
+    res.json(updated);
+  } catch (error) {
+    console.error('Update admin role error:', error);
+    res.status(500).json({ error: 'Failed to update admin role' });
+  }
+});
+
+// Deactivate or reactivate an admin. Deactivated admins cannot log in and
+// their existing tokens are rejected by authenticateToken.
+router.put('/:id/status', async (req, res) => {
+  try {
+    const { is_active } = req.body;
+    const id = parseInt(req.params.id, 10);
+
+    if (typeof is_active !== 'boolean') {
+      return res.status(400).json({ error: 'is_active must be true or false' });
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own status' });
+    }
+
+    const admin = await findAdmin(id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    if (!is_active && admin.role === 'superadmin' && await isLastActiveSuperadmin(id)) {
+      return res.status(400).json({ error: 'Cannot deactivate the last active superadmin' });
+    }
+
+    await pool.execute('UPDATE admins SET is_active = ? WHERE id = ?', [is_active ? 1 : 0, id]);
+    if (!is_active) {
+      await revokeAllSessions(id, { reason: 'deactivated' });
+    }
+    const updated = await findAdmin(id);
+    await recordAudit(req, {
+      action: is_active ? 'activate' : 'deactivate',
+      entityType: 'admin',
+      entityId: id,
+      before: admin,
+      after: updated
+    });
+    res.json(updated);
+  } catch (error) {
+    console.error('Update admin status error:', error);
+    res.status(500).json({ error: 'Failed to update admin status' });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    const admin = await findAdmin(id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    if (admin.role === 'superadmin' && await isLastActiveSuperadmin(id)) {
+      return res.status(400).json({ error: 'Cannot delete the last active superadmin' });
+    }
+
+    const before = await loadSnapshot('admin', id);
+    await pool.execute('DELETE FROM admins WHERE id = ?', [id]);
+    await recordAudit(req, { action: 'delete', entityType: 'admin', entityId: id, before });
+    res.json({ message: 'Admin deleted successfully' });
+  } catch (error) {
+    console.error('Delete admin error:', error);
+    res.status(500).json({ error: 'Failed to delete admin' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { STATUSES, TRANSITIONS, allowedTransitions, transitionContent } = require('../services/publishing');
+const { recordRevision } = require('../services/revisions');
+const { loadSnapshot, recordAudit } = require('../services/audit');
+const { handleAdminError } = require('../services/errors');
+const { emitContentChange } = require('../services/content-events');
+
+const router = express.Router();
+
+const ENTITY_TYPES = { materials: 'material', videos: 'video' };
+
+// Workflow graph plus the transitions the current admin may perform
+router.get('/workflow', authenticateToken, (req, res) => {
+  const allowed = {};
+  STATUSES.forEach(status => {
+    allowed[status] = allowedTransitions(req.user.role, status);
+  });
+
+  res.json({
+    statuses: STATUSES,
+    transitions: Object.fromEntries(
+      Object.entries(TRANSITIONS).map(([from, targets]) => [from, Object.keys(targets)])
+    ),
+    allowed
+  });
+});
+
+// Move a material or video to another workflow status: { "to": "in_review" }.
+// Publishing announces the item to subscribed app users unless "notify" is
+// false.
+router.post('/:type(materials|videos)/:id/transition', authenticateToken, (req, res, next) => {
+  requirePermission(`${req.params.type}:read`)(req, res, next);
+}, async (req, res) => {
+  try {
+    const entityType = ENTITY_TYPES[req.params.type];
+    const { id } = req.params;
+    const before = await loadSnapshot(entityType, id);
+
+    const { from, to } = await transitionContent(req, entityType, id, req.body.to);
+
+    await recordRevision(req, entityType, id);
+    const after = await loadSnapshot(entityType, id);
+    await recordAudit(req, { action: 'transition', entityType, entityId: id, before, after });
+    if (to === 'published') {
+      emitContentChange({ entityType, entityId: parseInt(id, 10), action: 'publish', notify: req.body.notify !== false });
+    }
+
+    res.json({ id: parseInt(id, 10), from, to, status: after.status });
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to change status');
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,42 @@
-// Fixed version of admin.js with better error handling
-
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const path = require('path');
 const { pool } = require('../config/database');
+const { getPermissions } = require('../config/roles');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { requestPasswordReset, resetPasswordWithToken, changePassword, validatePassword } = require('../services/passwords');
+const { createSession, rotateSession, revokeSession, revokeAllSessions, findSessionByRefreshToken, listSessions } = require('../services/sessions');
+const { checkLogin, recordFailure, recordSuccess, listLockouts, unlock, consumeRateLimit } = require('../services/login-throttle');
+const { redactEmail } = require('../services/redact');
+const { loadSnapshot, recordAudit, queryAudit, exportAuditCsv } = require('../services/audit');
+const { emitContentChange } = require('../services/content-events');
+const { ServiceError, handleAdminError } = require('../services/errors');
+const { recordRevision } = require('../services/revisions');
+const { parseScheduleTime, validateSchedule } = require('../services/publishing');
+const { assertCategoryActive, trashContent } = require('../services/trash');
+const { parseTagList, setContentTags, attachTags, listTags } = require('../services/tags');
+const { loadCategories, flattenTree, validateCategoryFields } = require('../services/categories');
+const { attachTranslationStatus } = require('../services/translations');
+const { getBandDistribution } = require('../services/questionnaires');
+const { getDailySeries } = require('../services/analytics');
+const { parseLimit, parsePage, parseListQuery, fetchList, pickFields } = require('../services/list-query');
+const adminUsersRoutes = require('./admin-users');
+const adminRevisionsRoutes = require('./admin-revisions');
+const adminWorkflowRoutes = require('./admin-workflow');
+const adminTrashRoutes = require('./admin-trash');
+const adminTranslationsRoutes = require('./admin-translations');
+const adminQuestionnairesRoutes = require('./admin-questionnaires');
+const adminQuizzesRoutes = require('./admin-quizzes');
+const adminFacilitiesRoutes = require('./admin-facilities');
+const adminNotificationsRoutes = require('./admin-notifications');
+const adminAnalyticsRoutes = require('./admin-analytics');
+const adminCacheRoutes = require('./admin-cache');
 
 const router = express.Router();
 
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 12);
+
 // Multer configuration for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -48,23 +76,27 @@ const upload = multer({
   }
 });
 
-// Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+// Announce successful content mutations (see services/content-events)
+const CONTENT_ROUTE = /^\/(categories|materials|videos)(?:\/(\d+))?(\/.+)?$/;
+const ENTITY_TYPES = { categories: 'category', materials: 'material', videos: 'video' };
+const ACTIONS = { POST: 'create', PUT: 'update', DELETE: 'delete' };
+
+router.use((req, res, next) => {
+  const match = req.method !== 'GET' && req.path.match(CONTENT_ROUTE);
+  if (match) {
+    res.on('finish', () => {
+      if (res.statusCode < 400) {
+        emitContentChange({
+          entityType: ENTITY_TYPES[match[1]],
+          entityId: match[2] ? parseInt(match[2], 10) : null,
+          // Sub-resource calls (e.g. restoring a revision) change the entity itself
+          action: match[3] ? 'update' : (ACTIONS[req.method] || req.method.toLowerCase())
+        });
+      }
+    });
   }
-
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
-};
+  next();
+});
 
 // Check if admin exists
 router.get('/check', async (req, res) => {
@@ -80,7 +112,9 @@ router.get('/check', async (req, res) => {
   }
 });
 
-// Create default admin if not exists
+// Create the first admin from ADMIN_EMAIL/ADMIN_PASSWORD if none exists.
+// The password is never defaulted or echoed back; use reset_admin.js to
+// recover access later.
 router.post('/init', async (req, res) => {
   try {
     // Check if admin already exists
@@ -94,85 +128,92 @@ router.post('/init', async (req, res) => {
       });
     }
 
-    // Create default admin
     const email = process.env.ADMIN_EMAIL || 'admin@breastcancer.com';
-    const password = process.env.ADMIN_PASSWORD || 'admin123';
+    const password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+      throw new ServiceError('Set ADMIN_PASSWORD in the server environment to create the first admin', 503);
+    }
+    validatePassword(password);
     
-    console.log('Creating admin with email:', email);
+    console.log('Creating admin with email:', redactEmail(email));
     
     const hashedPassword = await bcrypt.hash(password, 12);
     
     const [result] = await pool.execute(
-      'INSERT INTO admins (email, password, name) VALUES (?, ?, ?)',
-      [email, hashedPassword, 'Administrator']
+      'INSERT INTO admins (email, password, name, role) VALUES (?, ?, ?, ?)',
+      [email, hashedPassword, 'Administrator', 'superadmin']
     );
 
     console.log('Admin created with ID:', result.insertId);
 
     res.json({ 
-      message: 'Default admin created successfully',
+      message: `Admin ${email} created, sign in with the password from ADMIN_PASSWORD`,
       adminId: result.insertId,
-      email: email,
-      tempPassword: password // Remove this in production
+      email: email
     });
   } catch (error) {
-    console.error('Init admin error:', error);
-    res.status(500).json({ 
-      error: 'Failed to create admin', 
-      details: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
+    handleAdminError(res, error, 'Failed to create admin');
   }
 });
 
-// Admin login with detailed error logging
+// Admin login, throttled per account and per IP (see services/login-throttle)
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
     
-    console.log('Login attempt for email:', email);
-    
     if (!email || !password) {
       return res.status(400).json({ error: 'Email and password are required' });
     }
+
+    const throttle = await checkLogin({ email, ip: req.ip });
+    if (!throttle.allowed) {
+      console.log(`Login throttled for ${redactEmail(email)} (retry in ${throttle.retryAfter}s)`);
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        error: throttle.locked
+          ? 'Too many failed attempts. Account temporarily locked.'
+          : 'Too many failed attempts. Please wait before trying again.',
+        retryAfter: throttle.retryAfter
+      });
+    }
     
     const [rows] = await pool.execute(
       'SELECT * FROM admins WHERE email = ?',
       [email]
     );
 
-    console.log('Found admins:', rows.length);
+    // Compare against a dummy hash for unknown emails so response timing
+    // does not reveal which accounts exist
+    const admin = rows[0];
+    const isValidPassword = await bcrypt.compare(password, admin ? admin.password : DUMMY_PASSWORD_HASH);
 
-    if (rows.length === 0) {
-      console.log('No admin found with email:', email);
+    if (!admin || !isValidPassword) {
+      await recordFailure({ email, ip: req.ip });
+      console.log(`Failed login for ${redactEmail(email)}`);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    const admin = rows[0];
-    console.log('Checking password for admin ID:', admin.id);
-    
-    const isValidPassword = await bcrypt.compare(password, admin.password);
-    console.log('Password valid:', isValidPassword);
+    await recordSuccess({ email });
 
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+    if (!admin.is_active) {
+      return res.status(403).json({ error: 'Account is deactivated' });
     }
 
-    const token = jwt.sign(
-      { id: admin.id, email: admin.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    await pool.execute('UPDATE admins SET last_login_at = NOW() WHERE id = ?', [admin.id]);
+
+    const session = await createSession(admin, { ip: req.ip, userAgent: req.get('user-agent') });
 
     console.log('Login successful for admin ID:', admin.id);
 
     res.json({
       success: true,
-      token,
+      ...session,
       admin: {
         id: admin.id,
         email: admin.email,
-        name: admin.name
+        name: admin.name,
+        role: admin.role,
+        permissions: getPermissions(admin.role)
       }
     });
   } catch (error) {
@@ -185,44 +226,200 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Reset admin password (for debugging)
-router.post('/reset-password', async (req, res) => {
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
   try {
-    const { email, newPassword } = req.body;
-    
-    if (!email || !newPassword) {
-      return res.status(400).json({ error: 'Email and new password are required' });
+    const session = await rotateSession(req.body.refreshToken, { ip: req.ip, userAgent: req.get('user-agent') });
+    res.json({ success: true, ...session });
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to refresh token');
+  }
+});
+
+// End the session named by the refresh token. Works without a valid access
+// token so clients holding an expired one can still log out.
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
     }
 
-    const hashedPassword = await bcrypt.hash(newPassword, 12);
-    
-    const [result] = await pool.execute(
-      'UPDATE admins SET password = ? WHERE email = ?',
-      [hashedPassword, email]
-    );
+    const session = await findSessionByRefreshToken(refreshToken);
+    if (session) {
+      await revokeSession(session.id, 'logout');
+    }
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: 'Admin not found' });
+// End every session of the logged-in admin, including the current one
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.id, { reason: 'logout_all' });
+    await recordAudit(req, { action: 'logout_all', entityType: 'admin', entityId: req.user.id });
+    res.json({ message: 'All sessions logged out', sessions: count });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out all sessions' });
+  }
+});
+
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    res.json(sessions.map(session => ({ ...session, current: session.id === req.user.sessionId })));
+  } catch (error) {
+    console.error('Fetch sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Request a password reset link. Always responds the same way, before any
+// lookup or mail happens, so the endpoint cannot be used to find out which
+// emails belong to admins. Limited per email and per IP so it cannot be used
+// to flood an admin's inbox or keep invalidating their reset links.
+const RESET_LIMITS = {
+  email: { limit: 3, windowSeconds: 60 * 60 },
+  ip: { limit: 10, windowSeconds: 60 * 60 }
+};
+
+router.post('/password/forgot', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
     }
 
+    const limits = [
+      await consumeRateLimit(`reset:account:${String(email).trim().toLowerCase()}`, RESET_LIMITS.email),
+      await consumeRateLimit(`reset:ip:${req.ip}`, RESET_LIMITS.ip)
+    ];
+    const blocked = limits.find(limit => !limit.allowed);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(429).json({ error: 'Too many reset requests. Please try again later.', retryAfter: blocked.retryAfter });
+    }
+
+    requestPasswordReset(email, { ip: req.ip })
+      .catch(error => console.error(`Password reset for ${redactEmail(email)} error:`, error));
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+// Complete a reset with the token from the emailed link
+router.post('/password/reset', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    await resetPasswordWithToken(token, newPassword);
     res.json({ message: 'Password updated successfully' });
   } catch (error) {
-    console.error('Reset password error:', error);
-    res.status(500).json({ error: 'Failed to reset password', details: error.message });
+    handleAdminError(res, error, 'Failed to reset password');
+  }
+});
+
+// Change the logged-in admin's own password
+router.put('/password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    await changePassword(req.user.id, currentPassword, newPassword, { keepSessionId: req.user.sessionId });
+    await recordAudit(req, { action: 'change_password', entityType: 'admin', entityId: req.user.id });
+    res.json({ message: 'Password updated successfully' });
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to change password');
+  }
+});
+
+// Current admin profile and permissions
+router.get('/me', authenticateToken, (req, res) => {
+  res.json({ ...req.user, permissions: getPermissions(req.user.role) });
+});
+
+// Admin account management
+router.use('/users', adminUsersRoutes);
+
+// Accounts and IPs currently locked out by login throttling
+router.get('/lockouts', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    res.json(await listLockouts());
+  } catch (error) {
+    console.error('Fetch lockouts error:', error);
+    res.status(500).json({ error: 'Failed to fetch lockouts' });
+  }
+});
+
+router.delete('/lockouts/:key', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const cleared = await unlock(req.params.key);
+    if (!cleared) {
+      return res.status(404).json({ error: 'Lockout not found' });
+    }
+    await recordAudit(req, { action: 'unlock', entityType: 'lockout', entityId: req.params.key });
+    res.json({ message: 'Lockout cleared successfully' });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ error: 'Failed to clear lockout' });
+  }
+});
+
+// Audit trail of admin changes. ?format=csv downloads the filtered entries.
+router.get('/audit', authenticateToken, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { actor, action, entity_type, entity_id, from, to, format } = req.query;
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const filters = { actor, action, entity_type, entity_id, from, to };
+
+    if (format === 'csv') {
+      const csv = await exportAuditCsv(filters);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(csv);
+    }
+
+    const { page: pageNumber, limit: pageSize } = parsePage(req.query, { defaultLimit: 50, maxLimit: 200 });
+    const { entries, total } = await queryAudit(filters, { page: pageNumber, limit: pageSize });
+
+    res.json({
+      data: entries,
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: pageSize,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch audit log');
   }
 });
 
 // Dashboard stats
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, requirePermission('stats:read'), async (req, res) => {
   try {
-    const [materialCount] = await pool.execute('SELECT COUNT(*) as count FROM materials');
-    const [videoCount] = await pool.execute('SELECT COUNT(*) as count FROM videos');
-    const [categoryCount] = await pool.execute('SELECT COUNT(*) as count FROM categories');
+    const [materialCount] = await pool.execute('SELECT COUNT(*) as count FROM materials WHERE deleted_at IS NULL');
+    const [videoCount] = await pool.execute('SELECT COUNT(*) as count FROM videos WHERE deleted_at IS NULL');
+    const [categoryCount] = await pool.execute('SELECT COUNT(*) as count FROM categories WHERE deleted_at IS NULL');
 
     res.json({
       materials: materialCount[0].count,
       videos: videoCount[0].count,
-      categories: categoryCount[0].count
+      categories: categoryCount[0].count,
+      // Result band distribution of every questionnaire, all time
+      questionnaires: await getBandDistribution(),
+      // Views and completions per day over the last 30 days
+      views: (await getDailySeries({})).series
     });
   } catch (error) {
     console.error('Stats error:', error);
@@ -231,81 +428,231 @@ router.get('/stats', authenticateToken, async (req, res) => {
 });
 
 // Categories CRUD
-router.get('/categories', authenticateToken, async (req, res) => {
+router.get('/categories', authenticateToken, requirePermission('categories:read'), async (req, res) => {
   try {
-    const [categories] = await pool.execute('SELECT * FROM categories ORDER BY created_at DESC');
-    res.json(categories);
+    // Tree order, each with its depth for indenting
+    res.json(await attachTranslationStatus('category', flattenTree(await loadCategories())));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch categories' });
+    handleAdminError(res, error, 'Failed to fetch categories');
   }
 });
 
-router.post('/categories', authenticateToken, async (req, res) => {
+router.post('/categories', authenticateToken, requirePermission('categories:write'), async (req, res) => {
   try {
     const { name, description } = req.body;
+    const fields = await validateCategoryFields(req.body);
+    const parentId = fields.parent_id || null;
+
+    // New categories go last among their siblings unless placed explicitly
+    let sortOrder = fields.sort_order;
+    if (sortOrder === undefined) {
+      const [last] = await pool.execute(
+        'SELECT COALESCE(MAX(sort_order), 0) + 10 as next FROM categories WHERE parent_id <=> ? AND deleted_at IS NULL',
+        [parentId]
+      );
+      sortOrder = last[0].next;
+    }
+
     const [result] = await pool.execute(
-      'INSERT INTO categories (name, description) VALUES (?, ?)',
-      [name, description]
+      'INSERT INTO categories (parent_id, name, description, sort_order, icon, color) VALUES (?, ?, ?, ?, ?, ?)',
+      [parentId, name, description, sortOrder, fields.icon || null, fields.color || null]
     );
-    res.json({ id: result.insertId, name, description });
+    const after = await loadSnapshot('category', result.insertId);
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'category',
+      entityId: result.insertId,
+      after
+    });
+    res.json(after);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to create category' });
+    handleAdminError(res, error, 'Failed to create category');
   }
 });
 
-router.put('/categories/:id', authenticateToken, async (req, res) => {
+router.put('/categories/:id', authenticateToken, requirePermission('categories:write'), async (req, res) => {
   try {
     const { name, description } = req.body;
     const { id } = req.params;
+    const before = await loadSnapshot('category', id);
+
+    if (!before || before.deleted_at) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const fields = await validateCategoryFields({ ...req.body, id });
+    let query = 'UPDATE categories SET name = ?, description = ?';
+    const params = [name, description];
+
+    Object.entries(fields).forEach(([field, value]) => {
+      query += `, ${field} = ?`;
+      params.push(value);
+    });
+
+    query += ' WHERE id = ?';
+    params.push(id);
     
-    await pool.execute(
-      'UPDATE categories SET name = ?, description = ? WHERE id = ?',
-      [name, description, id]
-    );
-    res.json({ id, name, description });
+    await pool.execute(query, params);
+    const after = await loadSnapshot('category', id);
+    await recordAudit(req, { action: 'update', entityType: 'category', entityId: id, before, after });
+    res.json(after);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update category' });
+    handleAdminError(res, error, 'Failed to update category');
   }
 });
 
-router.delete('/categories/:id', authenticateToken, async (req, res) => {
+// Moves the category to the trash together with its subcategories and their
+// materials and videos, which keep their category_id so restoring the
+// category brings them back
+router.delete('/categories/:id', authenticateToken, requirePermission('categories:delete'), async (req, res) => {
   try {
-    await pool.execute('DELETE FROM categories WHERE id = ?', [req.params.id]);
-    res.json({ message: 'Category deleted successfully' });
+    const before = await loadSnapshot('category', req.params.id);
+    const { counts, changed } = await trashContent(req, 'category', req.params.id);
+    await recordAudit(req, { action: 'delete', entityType: 'category', entityId: req.params.id, before, after: await loadSnapshot('category', req.params.id) });
+    // The category itself is announced by the content route hook
+    changed.forEach(change => emitContentChange({ ...change, action: 'delete' }));
+    res.json({ message: 'Category moved to trash', trashed: counts });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to delete category' });
+    handleAdminError(res, error, 'Failed to delete category');
   }
 });
 
-// Materials CRUD
-// Updated Materials CRUD operations with author field
-// Replace the materials section in your admin.js file
+// Existing tags for autocomplete: ?q=<prefix>
+router.get('/tags', authenticateToken, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query, { defaultLimit: 20, maxLimit: 100 });
+    res.json(await listTags({ q: req.query.q, limit }));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch tags');
+  }
+});
+
+// Trash: restore or permanently purge soft-deleted content
+router.use(adminTrashRoutes);
+
+// Translations of category, material and video text
+router.use(adminTranslationsRoutes);
+
+// Revision history for materials and videos
+router.use(adminRevisionsRoutes);
+
+// Editorial workflow transitions for materials and videos
+router.use(adminWorkflowRoutes);
+
+// Risk-awareness questionnaire builder and results
+router.use('/questionnaires', adminQuestionnairesRoutes);
+
+// Comprehension quizzes on materials and their statistics
+router.use('/quizzes', adminQuizzesRoutes);
+
+// Screening and health facility directory with CSV import
+router.use('/facilities', adminFacilitiesRoutes);
+
+// Push notification outbox and announcements
+router.use('/notifications', adminNotificationsRoutes);
+
+// Content view and completion reports
+router.use('/analytics', adminAnalyticsRoutes);
+
+// Public API response cache statistics
+router.use('/cache', adminCacheRoutes);
+
+// List options of the admin material and video lists (see
+// services/list-query). Without limit, page or cursor every row comes back
+// as a bare array, which is what the dashboard loads.
+const contentList = (alias, fields) => ({
+  sortable: {
+    id: `${alias}.id`,
+    title: `${alias}.title`,
+    status: `${alias}.status`,
+    created_at: `${alias}.created_at`,
+    updated_at: `${alias}.updated_at`
+  },
+  defaultSort: '-created_at',
+  dates: { created: `${alias}.created_at`, updated: `${alias}.updated_at` },
+  fields: [
+    'id', 'title', ...fields, 'category_id', 'category_name', 'status', 'publish_at', 'unpublish_at',
+    'created_at', 'updated_at', 'tags', 'translations'
+  ],
+  optional: true,
+  defaultLimit: 20,
+  maxLimit: 100
+});
+
+const CONTENT_LISTS = {
+  material: { table: 'materials', alias: 'm', spec: contentList('m', ['content', 'author', 'image']) },
+  video: { table: 'videos', alias: 'v', spec: contentList('v', ['description', 'video_url', 'thumbnail', 'duration']) }
+};
+
+const listAdminContent = async (entityType, req) => {
+  const { table, alias, spec } = CONTENT_LISTS[entityType];
+  const list = parseListQuery(req.query, spec);
+  const { rows, pagination } = await fetchList({
+    select: `${alias}.*, c.name as category_name`,
+    from: `${table} ${alias} LEFT JOIN categories c ON ${alias}.category_id = c.id`,
+    where: [`${alias}.deleted_at IS NULL`]
+  }, list);
+
+  const data = pickFields(await attachTranslationStatus(entityType, await attachTags(entityType, rows)), list.fields);
+  return pagination ? { data, pagination } : data;
+};
 
 // Materials CRUD
-router.get('/materials', authenticateToken, async (req, res) => {
+router.get('/materials', authenticateToken, requirePermission('materials:read'), async (req, res) => {
+  try {
+    res.json(await listAdminContent('material', req));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch materials');
+  }
+});
+
+// Single material regardless of status, for the edit form
+router.get('/materials/:id', authenticateToken, requirePermission('materials:read'), async (req, res) => {
   try {
     const [materials] = await pool.execute(`
       SELECT m.*, c.name as category_name 
       FROM materials m 
       LEFT JOIN categories c ON m.category_id = c.id 
-      ORDER BY m.created_at DESC
-    `);
-    res.json(materials);
+      WHERE m.id = ? AND m.deleted_at IS NULL
+    `, [req.params.id]);
+
+    if (materials.length === 0) {
+      return res.status(404).json({ error: 'Material not found' });
+    }
+    const [material] = await attachTags('material', materials);
+    res.json(material);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch materials' });
+    handleAdminError(res, error, 'Failed to fetch material');
   }
 });
 
-router.post('/materials', authenticateToken, upload.single('image'), async (req, res) => {
+router.post('/materials', authenticateToken, requirePermission('materials:write'), upload.single('image'), async (req, res) => {
   try {
-    const { title, content, author, category_id, status } = req.body;
+    const { title, content, author, category_id } = req.body;
     const image = req.file ? `/uploads/images/${req.file.filename}` : null;
-
+    const publishAt = parseScheduleTime(req.body.publish_at, 'publish_at') || null;
+    const unpublishAt = parseScheduleTime(req.body.unpublish_at, 'unpublish_at') || null;
+    validateSchedule(publishAt, unpublishAt);
+    await assertCategoryActive(category_id);
+    const tags = parseTagList(req.body.tags) || [];
+
+    // New content always starts as a draft; status changes go through the
+    // workflow transition endpoint
     const [result] = await pool.execute(
-      'INSERT INTO materials (title, content, author, category_id, image, status) VALUES (?, ?, ?, ?, ?, ?)',
-      [title, content, author || null, category_id || null, image, status || 'published']
+      'INSERT INTO materials (title, content, author, category_id, image, status, publish_at, unpublish_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [title, content, author || null, category_id || null, image, 'draft', publishAt, unpublishAt]
     );
 
+    await setContentTags('material', result.insertId, tags);
+    await recordRevision(req, 'material', result.insertId);
+    const after = await loadSnapshot('material', result.insertId);
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'material',
+      entityId: result.insertId,
+      after
+    });
+
     res.json({ 
       id: result.insertId, 
       title, 
@@ -313,69 +660,121 @@ router.post('/materials', authenticateToken, upload.single('image'), async (req,
       author,
       category_id, 
       image, 
-      status: status || 'published' 
+      status: 'draft',
+      publish_at: publishAt,
+      unpublish_at: unpublishAt,
+      tags: after.tags
     });
   } catch (error) {
-    console.error('Create material error:', error);
-    res.status(500).json({ error: 'Failed to create material' });
+    handleAdminError(res, error, 'Failed to create material');
   }
 });
 
-router.put('/materials/:id', authenticateToken, upload.single('image'), async (req, res) => {
+router.put('/materials/:id', authenticateToken, requirePermission('materials:write'), upload.single('image'), async (req, res) => {
   try {
-    const { title, content, author, category_id, status } = req.body;
+    const { title, content, author, category_id } = req.body;
     const { id } = req.params;
     const image = req.file ? `/uploads/images/${req.file.filename}` : undefined;
+    const before = await loadSnapshot('material', id);
+
+    if (!before || before.deleted_at) {
+      return res.status(404).json({ error: 'Material not found' });
+    }
 
-    let query = 'UPDATE materials SET title = ?, content = ?, author = ?, category_id = ?, status = ?';
-    let params = [title, content, author || null, category_id || null, status || 'published'];
+    const publishAt = parseScheduleTime(req.body.publish_at, 'publish_at');
+    const unpublishAt = parseScheduleTime(req.body.unpublish_at, 'unpublish_at');
+    validateSchedule(
+      publishAt === undefined ? before.publish_at : publishAt,
+      unpublishAt === undefined ? before.unpublish_at : unpublishAt
+    );
+    await assertCategoryActive(category_id);
+    const tags = parseTagList(req.body.tags);
+
+    let query = 'UPDATE materials SET title = ?, content = ?, author = ?, category_id = ?';
+    let params = [title, content, author || null, category_id || null];
 
     if (image) {
       query += ', image = ?';
       params.push(image);
     }
 
+    if (publishAt !== undefined) {
+      query += ', publish_at = ?';
+      params.push(publishAt);
+    }
+
+    if (unpublishAt !== undefined) {
+      query += ', unpublish_at = ?';
+      params.push(unpublishAt);
+    }
+
     query += ' WHERE id = ?';
     params.push(id);
 
     await pool.execute(query, params);
-    res.json({ id, title, content, author, category_id, image, status });
+    if (tags !== undefined) {
+      await setContentTags('material', id, tags);
+    }
+    await recordRevision(req, 'material', id);
+    const after = await loadSnapshot('material', id);
+    await recordAudit(req, { action: 'update', entityType: 'material', entityId: id, before, after });
+    res.json({ id, title, content, author, category_id, image, status: after.status, publish_at: after.publish_at, unpublish_at: after.unpublish_at, tags: after.tags });
   } catch (error) {
-    console.error('Update material error:', error);
-    res.status(500).json({ error: 'Failed to update material' });
+    handleAdminError(res, error, 'Failed to update material');
   }
 });
 
-router.delete('/materials/:id', authenticateToken, async (req, res) => {
+router.delete('/materials/:id', authenticateToken, requirePermission('materials:delete'), async (req, res) => {
   try {
-    await pool.execute('DELETE FROM materials WHERE id = ?', [req.params.id]);
-    res.json({ message: 'Material deleted successfully' });
+    const before = await loadSnapshot('material', req.params.id);
+    await trashContent(req, 'material', req.params.id);
+    await recordAudit(req, { action: 'delete', entityType: 'material', entityId: req.params.id, before, after: await loadSnapshot('material', req.params.id) });
+    res.json({ message: 'Material moved to trash' });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to delete material' });
+    handleAdminError(res, error, 'Failed to delete material');
   }
 });
 
 // Videos CRUD
-router.get('/videos', authenticateToken, async (req, res) => {
+router.get('/videos', authenticateToken, requirePermission('videos:read'), async (req, res) => {
+  try {
+    res.json(await listAdminContent('video', req));
+  } catch (error) {
+    handleAdminError(res, error, 'Failed to fetch videos');
+  }
+});
+
+// Single video regardless of status, for the edit form
+router.get('/videos/:id', authenticateToken, requirePermission('videos:read'), async (req, res) => {
   try {
     const [videos] = await pool.execute(`
       SELECT v.*, c.name as category_name 
       FROM videos v 
       LEFT JOIN categories c ON v.category_id = c.id 
-      ORDER BY v.created_at DESC
-    `);
-    res.json(videos);
+      WHERE v.id = ? AND v.deleted_at IS NULL
+    `, [req.params.id]);
+
+    if (videos.length === 0) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    const [video] = await attachTags('video', videos);
+    res.json(video);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch videos' });
+    handleAdminError(res, error, 'Failed to fetch video');
   }
 });
 
-router.post('/videos', authenticateToken, upload.fields([
+router.post('/videos', authenticateToken, requirePermission('videos:write'), upload.fields([
   { name: 'video', maxCount: 1 },
   { name: 'thumbnail', maxCount: 1 }
 ]), async (req, res) => {
   try {
-    const { title, description, video_url, duration, category_id, status } = req.body;
+    const { title, description, video_url, duration, category_id } = req.body;
+    const publishAt = parseScheduleTime(req.body.publish_at, 'publish_at') || null;
+    const unpublishAt = parseScheduleTime(req.body.unpublish_at, 'unpublish_at') || null;
+    validateSchedule(publishAt, unpublishAt);
+    await assertCategoryActive(category_id);
+    const tags = parseTagList(req.body.tags) || [];
     
     let videoUrl = video_url;
     let thumbnail = null;
@@ -390,10 +789,20 @@ router.post('/videos', authenticateToken, upload.fields([
     }
 
     const [result] = await pool.execute(
-      'INSERT INTO videos (title, description, video_url, thumbnail, duration, category_id, status) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [title, description, videoUrl, thumbnail, duration || 0, category_id || null, status || 'published']
+      'INSERT INTO videos (title, description, video_url, thumbnail, duration, category_id, status, publish_at, unpublish_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [title, description, videoUrl, thumbnail, duration || 0, category_id || null, 'draft', publishAt, unpublishAt]
     );
 
+    await setContentTags('video', result.insertId, tags);
+    await recordRevision(req, 'video', result.insertId);
+    const after = await loadSnapshot('video', result.insertId);
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'video',
+      entityId: result.insertId,
+      after
+    });
+
     res.json({ 
       id: result.insertId, 
       title, 
@@ -402,24 +811,50 @@ router.post('/videos', authenticateToken, upload.fields([
       thumbnail, 
       duration: duration || 0,
       category_id, 
-      status: status || 'published' 
+      status: 'draft',
+      publish_at: publishAt,
+      unpublish_at: unpublishAt,
+      tags: after.tags
     });
   } catch (error) {
-    console.error('Create video error:', error);
-    res.status(500).json({ error: 'Failed to create video' });
+    handleAdminError(res, error, 'Failed to create video');
   }
 });
 
-router.put('/videos/:id', authenticateToken, upload.fields([
+router.put('/videos/:id', authenticateToken, requirePermission('videos:write'), upload.fields([
   { name: 'video', maxCount: 1 },
   { name: 'thumbnail', maxCount: 1 }
 ]), async (req, res) => {
   try {
-    const { title, description, video_url, duration, category_id, status } = req.body;
+    const { title, description, video_url, duration, category_id } = req.body;
     const { id } = req.params;
+    const before = await loadSnapshot('video', id);
+
+    if (!before || before.deleted_at) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const publishAt = parseScheduleTime(req.body.publish_at, 'publish_at');
+    const unpublishAt = parseScheduleTime(req.body.unpublish_at, 'unpublish_at');
+    validateSchedule(
+      publishAt === undefined ? before.publish_at : publishAt,
+      unpublishAt === undefined ? before.unpublish_at : unpublishAt
+    );
+    await assertCategoryActive(category_id);
+    const tags = parseTagList(req.body.tags);
     
-    let query = 'UPDATE videos SET title = ?, description = ?, duration = ?, category_id = ?, status = ?';
-    let params = [title, description, duration || 0, category_id || null, status || 'published'];
+    let query = 'UPDATE videos SET title = ?, description = ?, duration = ?, category_id = ?';
+    let params = [title, description, duration || 0, category_id || null];
+
+    if (publishAt !== undefined) {
+      query += ', publish_at = ?';
+      params.push(publishAt);
+    }
+
+    if (unpublishAt !== undefined) {
+      query += ', unpublish_at = ?';
+      params.push(unpublishAt);
+    }
 
     if (req.files) {
       if (req.files.video) {
@@ -439,18 +874,26 @@ router.put('/videos/:id', authenticateToken, upload.fields([
     params.push(id);
 
     await pool.execute(query, params);
-    res.json({ id, title, description, duration, category_id, status });
+    if (tags !== undefined) {
+      await setContentTags('video', id, tags);
+    }
+    await recordRevision(req, 'video', id);
+    const after = await loadSnapshot('video', id);
+    await recordAudit(req, { action: 'update', entityType: 'video', entityId: id, before, after });
+    res.json({ id, title, description, duration, category_id, status: after.status, publish_at: after.publish_at, unpublish_at: after.unpublish_at, tags: after.tags });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update video' });
+    handleAdminError(res, error, 'Failed to update video');
   }
 });
 
-router.delete('/videos/:id', authenticateToken, async (req, res) => {
+router.delete('/videos/:id', authenticateToken, requirePermission('videos:delete'), async (req, res) => {
   try {
-    await pool.execute('DELETE FROM videos WHERE id = ?', [req.params.id]);
-    res.json({ message: 'Video deleted successfully' });
+    const before = await loadSnapshot('video', req.params.id);
+    await trashContent(req, 'video', req.params.id);
+    await recordAudit(req, { action: 'delete', entityType: 'video', entityId: req.params.id, before, after: await loadSnapshot('video', req.params.id) });
+    res.json({ message: 'Video moved to trash' });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to delete video' });
+    handleAdminError(res, error, 'Failed to delete video');
   }
 });
 
@@ -0,0 +1,48 @@
+const express = require('express');
+const { attachTags } = require('../services/tags');
+const { localizeRows } = require('../services/translations');
+const { parsePeriod, getPopular, recordEvent } = require('../services/analytics');
+const { ServiceError, handleApiError } = require('../services/errors');
+const { parseLimit } = require('../services/list-query');
+
+// Popular content and app-reported view/completion events. Mounted by
+// routes/api.js.
+const router = express.Router();
+
+const TYPES = { materials: 'material', videos: 'video' };
+
+// Most viewed published items: ?period=7d (1d to 90d), ?type=materials|videos,
+// ?limit= per type. Counts lag live traffic by a few minutes (daily rollups).
+router.get('/popular', async (req, res) => {
+  try {
+    const days = parsePeriod(req.query.period);
+    const limit = parseLimit(req.query, { defaultLimit: 10, maxLimit: 50 });
+    if (req.query.type && !TYPES[req.query.type]) {
+      throw new ServiceError('type must be materials or videos');
+    }
+
+    const data = { period: `${days}d` };
+    for (const [key, entityType] of Object.entries(TYPES)) {
+      if (req.query.type && req.query.type !== key) continue;
+      const rows = await getPopular(entityType, { days, limit });
+      data[key] = await localizeRows(entityType, await attachTags(entityType, rows), req.locale);
+    }
+    res.json({ success: true, data });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch popular content');
+  }
+});
+
+// Body: { type: 'material' | 'video', id, event: 'view' | 'complete' }.
+// Fetching /api/materials/:id or /api/videos/:id already counts a view;
+// repeats by the same user (or IP) within 30 minutes count once.
+router.post('/events', async (req, res) => {
+  try {
+    const counted = await recordEvent(req, req.body);
+    res.status(202).json({ success: true, data: { counted } });
+  } catch (error) {
+    handleApiError(res, error, 'Record event');
+  }
+});
+
+module.exports = router;
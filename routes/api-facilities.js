@@ -0,0 +1,37 @@
+const express = require('express');
+const { SERVICES, searchFacilities, toPublicFacility, getPublicFacility } = require('../services/facilities');
+const { handleApiError } = require('../services/errors');
+
+// Public facility directory (/api/facilities). Mounted by routes/api.js.
+const router = express.Router();
+
+// ?lat=&lng=&radius= (km, default 25) orders by distance; ?service= (comma
+// separated, all required), ?province=, ?city=, page, limit
+router.get('/', async (req, res) => {
+  try {
+    const { items, radius, pagination } = await searchFacilities(req.query);
+
+    res.json({
+      success: true,
+      data: items.map(toPublicFacility),
+      radius_km: radius,
+      pagination
+    });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch facilities');
+  }
+});
+
+router.get('/services', (req, res) => {
+  res.json({ success: true, data: SERVICES });
+});
+
+router.get('/:id(\\d+)', async (req, res) => {
+  try {
+    res.json({ success: true, data: await getPublicFacility(req.params.id) });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch facility');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const { attachTags } = require('../services/tags');
+const { localizeRows } = require('../services/translations');
+const {
+  listQuestionnaires, getPublishedQuestionnaire, toPublicQuestionnaire, submitAnswers
+} = require('../services/questionnaires');
+const { handleApiError } = require('../services/errors');
+
+// Public risk-awareness questionnaires (/api/questionnaires). Mounted by
+// routes/api.js, which negotiates req.locale. Scoring happens server-side
+// and only anonymous aggregate counts are stored.
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const questionnaires = await listQuestionnaires({}, { publishedOnly: true });
+    res.json({
+      success: true,
+      data: questionnaires.map(({ id, title, description, question_count: questionCount, updated_at: updatedAt }) => ({
+        id, title, description, question_count: questionCount, updated_at: updatedAt
+      }))
+    });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch questionnaires');
+  }
+});
+
+// Questions and options without their scores
+router.get('/:id(\\d+)', async (req, res) => {
+  try {
+    const questionnaire = await getPublishedQuestionnaire(req.params.id);
+    res.json({ success: true, data: toPublicQuestionnaire(questionnaire) });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch questionnaire');
+  }
+});
+
+// Body: { answers: { [questionId]: optionId | [optionIds] | number } }
+router.post('/:id(\\d+)/submissions', async (req, res) => {
+  try {
+    const result = await submitAnswers(req.params.id, req.body.answers);
+    const { materials, videos } = result.recommended;
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        recommended: {
+          materials: await localizeRows('material', await attachTags('material', materials), req.locale),
+          videos: await localizeRows('video', await attachTags('video', videos), req.locale)
+        }
+      }
+    });
+  } catch (error) {
+    handleApiError(res, error, 'Score questionnaire');
+  }
+});
+
+module.exports = router;
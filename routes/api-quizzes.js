@@ -0,0 +1,29 @@
+const express = require('express');
+const { optionalUser } = require('../middleware/user-auth');
+const { getPublishedQuiz, toPublicQuiz, submitAttempt } = require('../services/quizzes');
+const { handleApiError } = require('../services/errors');
+
+// Public quizzes of published materials (/api/materials/:id/quiz). Mounted
+// by routes/api.js. Answers are only revealed in the graded feedback.
+const router = express.Router();
+
+router.get('/materials/:id(\\d+)/quiz', async (req, res) => {
+  try {
+    res.json({ success: true, data: toPublicQuiz(await getPublishedQuiz(req.params.id)) });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch quiz');
+  }
+});
+
+// Body: { answers: { [questionId]: optionId | [optionIds] } }. Open to
+// everyone; with an app user token the attempt joins the user's history.
+router.post('/materials/:id(\\d+)/quiz/attempts', optionalUser, async (req, res) => {
+  try {
+    const attempt = await submitAttempt(req.params.id, req.body.answers, req.account ? req.account.id : null);
+    res.status(201).json({ success: true, data: attempt });
+  } catch (error) {
+    handleApiError(res, error, 'Submit quiz attempt');
+  }
+});
+
+module.exports = router;
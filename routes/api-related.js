@@ -0,0 +1,42 @@
+const express = require('express');
+const { attachTags } = require('../services/tags');
+const { localizeRows } = require('../services/translations');
+const { getRelated } = require('../services/related');
+const { handleApiError } = require('../services/errors');
+const { parseLimit } = require('../services/list-query');
+
+// "Read next" suggestions on material and video detail
+// (/api/materials/:id/related, /api/videos/:id/related). Mounted by
+// routes/api.js.
+const router = express.Router();
+
+const ENTITY_TYPES = { materials: 'material', videos: 'video' };
+
+// Materials and videos mixed, best match first. Each item carries
+// content_type and related_score (total plus category, terms and coview).
+router.get('/:type(materials|videos)/:id(\\d+)/related', async (req, res) => {
+  try {
+    const limit = parseLimit(req.query, { defaultLimit: 10, maxLimit: 20 });
+    const related = await getRelated(ENTITY_TYPES[req.params.type], req.params.id, { limit });
+
+    const presented = new Map();
+    for (const entityType of Object.values(ENTITY_TYPES)) {
+      const rows = related.filter(item => item.entityType === entityType).map(item => item.row);
+      const localized = await localizeRows(entityType, await attachTags(entityType, rows), req.locale);
+      localized.forEach(row => presented.set(`${entityType}:${row.id}`, row));
+    }
+
+    res.json({
+      success: true,
+      data: related.map(item => ({
+        ...presented.get(`${item.entityType}:${item.row.id}`),
+        content_type: item.entityType,
+        related_score: item.score
+      }))
+    });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch related content');
+  }
+});
+
+module.exports = router;
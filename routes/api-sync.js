@@ -0,0 +1,26 @@
+const express = require('express');
+const { getChanges } = require('../services/sync');
+const { handleApiError } = require('../services/errors');
+
+// Delta sync for offline clients (/api/sync). Mounted by routes/api.js.
+const router = express.Router();
+
+// ?since=<cursor from the previous response>; without it, or with full=1,
+// everything public is returned with full: true and the client should
+// replace its cache. Apply deleted.* ids as removals and keep data.cursor
+// for the next call. Rows may repeat across calls.
+router.get('/', async (req, res) => {
+  try {
+    const data = await getChanges({
+      since: req.query.since || null,
+      full: ['1', 'true'].includes(String(req.query.full)),
+      locale: req.locale
+    });
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, data });
+  } catch (error) {
+    handleApiError(res, error, 'Sync content');
+  }
+});
+
+module.exports = router;
@@ -1,51 +1,202 @@
 const express = require('express');
 const { pool } = require('../config/database');
+const { search } = require('../services/search');
+const { isPublic } = require('../services/publishing');
+const { attachTags, parseTagFilter, tagCondition, listTags } = require('../services/tags');
+const { loadCategories, breadcrumbsFor, getBreadcrumbs, categoryFilterIds, getCategoryTree } = require('../services/categories');
+const { localizeRows, localizeRow, localizeCategoryTree } = require('../services/translations');
+const { negotiateLocale } = require('../middleware/locale');
+const { conditionalGet, cacheResponse } = require('../middleware/http-cache');
+const { handleApiError } = require('../services/errors');
+const { parseLimit, parsePage, parseListQuery, fetchList, pickFields } = require('../services/list-query');
+const apiQuestionnairesRoutes = require('./api-questionnaires');
+const apiQuizzesRoutes = require('./api-quizzes');
+const apiFacilitiesRoutes = require('./api-facilities');
+const apiAnalyticsRoutes = require('./api-analytics');
+const apiRelatedRoutes = require('./api-related');
+const apiSyncRoutes = require('./api-sync');
+const { trackEvent, viewerFor } = require('../services/analytics');
 
 const router = express.Router();
 
+// Every endpoint answers in the locale from ?lang= or Accept-Language
+router.use(negotiateLocale);
+
+// Strong ETags and 304s on every GET; list routes below are also served
+// from the response cache, which admin changes to the tagged types clear
+router.use(conditionalGet);
+
+// Risk-awareness questionnaires and server-side scoring
+router.use('/questionnaires', apiQuestionnairesRoutes);
+
+// Material quizzes and graded attempts
+router.use(apiQuizzesRoutes);
+
+// Screening and health facilities, nearest first
+router.use('/facilities', apiFacilitiesRoutes);
+
+// Popular content and view/completion events
+router.use(apiAnalyticsRoutes);
+
+// Related materials and videos for detail screens
+router.use(apiRelatedRoutes);
+
+// Delta sync for offline clients
+router.use('/sync', apiSyncRoutes);
+
+// Tags plus translated text for material/video rows
+const presentContent = async (entityType, rows, locale) => {
+  return localizeRows(entityType, await attachTags(entityType, rows), locale);
+};
+
+// Sort, field and date range options of the public material and video lists
+// (see services/list-query)
+const contentList = (alias, fields) => ({
+  sortable: { id: `${alias}.id`, title: `${alias}.title`, created_at: `${alias}.created_at`, updated_at: `${alias}.updated_at` },
+  defaultSort: '-created_at',
+  dates: { created: `${alias}.created_at`, updated: `${alias}.updated_at` },
+  fields: [
+    'id', 'title', ...fields, 'category_id', 'category_name', 'status', 'publish_at', 'unpublish_at',
+    'created_at', 'updated_at', 'tags', 'locale'
+  ],
+  defaultLimit: 10,
+  maxLimit: 50
+});
+
+const CONTENT_LISTS = {
+  material: { table: 'materials', alias: 'm', spec: contentList('m', ['content', 'author', 'image']) },
+  video: { table: 'videos', alias: 'v', spec: contentList('v', ['description', 'video_url', 'thumbnail', 'duration']) }
+};
+
+// Response body for a list of public materials or videos narrowed by extra
+// conditions on the aliased table
+const listPublicContent = async (entityType, req, { where = [], params = [] }) => {
+  const { table, alias, spec } = CONTENT_LISTS[entityType];
+  const list = parseListQuery(req.query, spec);
+  const { rows, pagination } = await fetchList({
+    select: `${alias}.*, c.name as category_name`,
+    from: `${table} ${alias} LEFT JOIN categories c ON ${alias}.category_id = c.id`,
+    where: [isPublic(alias), ...where],
+    params
+  }, list);
+
+  return {
+    success: true,
+    data: pickFields(await presentContent(entityType, rows, req.locale), list.fields),
+    pagination
+  };
+};
+
 // API Documentation
 router.get('/', (req, res) => {
   res.json({
     message: 'Breast Cancer Education API',
     version: '1.0.0',
+    locales: 'Send Accept-Language or ?lang=id|en on any endpoint; missing translations fall back to Bahasa Indonesia',
+    lists: 'Material and video lists take limit (max 50) with page or cursor (pagination.next_cursor of the previous page), sort (id, title, created_at, updated_at; - for descending, e.g. sort=-created_at,title), fields (e.g. fields=id,title) and created_from/created_to/updated_from/updated_to (YYYY-MM-DD or ISO 8601)',
     endpoints: {
       categories: {
         'GET /api/categories': 'Get all categories',
-        'GET /api/categories/:id': 'Get category by ID'
+        'GET /api/categories/tree': 'Get nested categories with counts including subcategories',
+        'GET /api/categories/:id': 'Get category by ID with breadcrumbs and subcategories'
       },
       materials: {
-        'GET /api/materials': 'Get all published materials',
+        'GET /api/materials': 'Get all published materials (category, author, tags=a,b, tags_mode=any|all, list options)',
         'GET /api/materials/:id': 'Get material by ID',
-        'GET /api/materials/category/:categoryId': 'Get materials by category'
+        'GET /api/materials/category/:categoryId': 'Get materials by category (list options)',
+        'GET /api/materials/:id/related': 'Related materials and videos, best match first (limit)',
+        'GET /api/materials/:id/quiz': 'Quiz questions and options of a material (without answers)',
+        'POST /api/materials/:id/quiz/attempts': 'Grade a quiz attempt ({ answers: { questionId: optionId | [optionIds] } }); returns correct answers and option explanations'
       },
       videos: {
-        'GET /api/videos': 'Get all published videos',
+        'GET /api/videos': 'Get all published videos (category, tags=a,b, tags_mode=any|all, list options)',
         'GET /api/videos/:id': 'Get video by ID',
-        'GET /api/videos/category/:categoryId': 'Get videos by category'
+        'GET /api/videos/:id/related': 'Related materials and videos, best match first (limit)',
+        'GET /api/videos/category/:categoryId': 'Get videos by category (list options)'
+      },
+      tags: {
+        'GET /api/tags': 'Get tags used by published content (q, limit)'
+      },
+      analytics: {
+        'GET /api/popular': 'Most viewed materials and videos (period=7d up to 90d, type=materials|videos, limit)',
+        'POST /api/events': 'Report a view or completion ({ type: material|video, id, event: view|complete }); detail endpoints count views already'
+      },
+      sync: {
+        'GET /api/sync': 'Categories, materials and videos changed since ?since=<cursor>, with deleted ids and the next cursor; without a cursor or with full=1 a full resync (full: true)'
       },
       search: {
-        'GET /api/search?q=keyword': 'Search materials and videos'
+        'GET /api/search?q=keyword': 'Relevance-ranked search across materials and videos, in the default locale and the requested one (type, category, tags, tags_mode, page, limit)'
+      },
+      questionnaires: {
+        'GET /api/questionnaires': 'Published risk-awareness questionnaires',
+        'GET /api/questionnaires/:id': 'Questions and options of a questionnaire',
+        'POST /api/questionnaires/:id/submissions': 'Score answers ({ answers: { questionId: optionId | [optionIds] | number } }); returns the result band and recommended content'
+      },
+      facilities: {
+        'GET /api/facilities': 'Screening and health facilities; with lat, lng and radius (km, default 25) nearest first (service=usg,mammography, province, city, page, limit)',
+        'GET /api/facilities/services': 'Services a facility can offer',
+        'GET /api/facilities/:id': 'Facility details'
+      },
+      auth: {
+        'POST /api/auth/register': 'Create an account (email, password, display_name, age_range, locale)',
+        'POST /api/auth/anonymous': 'Create an anonymous device account (device_id, locale)',
+        'POST /api/auth/login': 'Log in with email and password',
+        'POST /api/auth/refresh': 'Exchange a refresh token for new tokens',
+        'POST /api/auth/logout': 'End the session of a refresh token'
+      },
+      me: {
+        'GET /api/me': 'Current user profile (Bearer token)',
+        'PUT /api/me': 'Update display_name, age_range or locale',
+        'POST /api/me/upgrade': 'Turn an anonymous account into a full account',
+        'PUT /api/me/password': 'Change password',
+        'POST /api/me/logout-all': 'End every session',
+        'DELETE /api/me': 'Delete the account and its data (password required for full accounts)',
+        'GET /api/me/bookmarks/materials|videos': 'Bookmarked materials or videos (page, limit)',
+        'POST /api/me/bookmarks': 'Bookmark an item ({ type: material|video, id })',
+        'DELETE /api/me/bookmarks/materials|videos/:id': 'Remove a bookmark',
+        'GET /api/me/progress/materials|videos/:id': 'Saved progress of an item',
+        'PUT /api/me/progress/materials|videos/:id': 'Save progress ({ percent } for materials, { position } seconds for videos, optional completed)',
+        'GET /api/me/continue': 'Unfinished items, most recently active first (page, limit)',
+        'GET /api/me/quiz-attempts': 'Quiz attempts made while signed in (material_id, page, limit)'
+      },
+      selfExams: {
+        'GET /api/me/self-exams/options': 'Finding types, sides and quadrants',
+        'GET /api/me/self-exams/settings': 'Scheduling settings',
+        'PUT /api/me/self-exams/settings': 'Schedule by cycle ({ mode: cycle, last_period_start, cycle_length }) or fixed day ({ mode: fixed_day, fixed_day })',
+        'GET /api/me/self-exams/schedule': 'Last exam and recommended next exam date',
+        'GET /api/me/self-exams': 'Logged exams with findings (page, limit)',
+        'POST /api/me/self-exams': 'Log an exam ({ exam_date, notes, findings: [{ type, side, quadrant, notes }] }); findings return a see-a-doctor action',
+        'GET /api/me/self-exams/:id': 'One exam with its findings',
+        'DELETE /api/me/self-exams/:id': 'Delete an exam'
+      },
+      notifications: {
+        'GET /api/me/notifications/devices': 'Registered push devices',
+        'POST /api/me/notifications/devices': 'Register or refresh a push token ({ token, platform: android|ios|web, app_version })',
+        'DELETE /api/me/notifications/devices/:id': 'Unregister a device',
+        'GET /api/me/notifications/subscriptions': 'Subscribed topics and every available topic',
+        'PUT /api/me/notifications/subscriptions': 'Replace subscriptions ({ topics: [new_content, category:<id>, lang:<locale>, self_exam_reminders] })'
       }
     }
   });
 });
 
 // Categories endpoints
-router.get('/categories', async (req, res) => {
+router.get('/categories', cacheResponse(['category', 'material', 'video']), async (req, res) => {
   try {
     const [categories] = await pool.execute(`
       SELECT c.*, 
         COUNT(DISTINCT m.id) as material_count,
         COUNT(DISTINCT v.id) as video_count
       FROM categories c
-      LEFT JOIN materials m ON c.id = m.category_id AND m.status = 'published'
-      LEFT JOIN videos v ON c.id = v.category_id AND v.status = 'published'
+      LEFT JOIN materials m ON c.id = m.category_id AND ${isPublic('m')}
+      LEFT JOIN videos v ON c.id = v.category_id AND ${isPublic('v')}
+      WHERE c.deleted_at IS NULL
       GROUP BY c.id
-      ORDER BY c.name
+      ORDER BY c.sort_order, c.name
     `);
     res.json({
       success: true,
-      data: categories
+      data: await localizeRows('category', categories, req.locale)
     });
   } catch (error) {
     console.error('Fetch categories error:', error);
@@ -53,20 +204,34 @@ router.get('/categories', async (req, res) => {
   }
 });
 
-router.get('/categories/:id', async (req, res) => {
+router.get('/categories/tree', cacheResponse(['category', 'material', 'video']), async (req, res) => {
   try {
-    const [categories] = await pool.execute(
-      'SELECT * FROM categories WHERE id = ?',
-      [req.params.id]
-    );
+    res.json({
+      success: true,
+      data: await localizeCategoryTree(await getCategoryTree(), req.locale)
+    });
+  } catch (error) {
+    console.error('Fetch category tree error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch category tree' });
+  }
+});
+
+router.get('/categories/:id', cacheResponse(['category', 'material', 'video']), async (req, res) => {
+  try {
+    const categories = await loadCategories();
+    const category = categories.find(row => row.id === parseInt(req.params.id));
 
-    if (categories.length === 0) {
+    if (!category) {
       return res.status(404).json({ success: false, error: 'Category not found' });
     }
 
     res.json({
       success: true,
-      data: categories[0]
+      data: {
+        ...await localizeRow('category', category, req.locale),
+        breadcrumbs: await localizeRows('category', breadcrumbsFor(categories, category.id), req.locale),
+        children: await localizeRows('category', categories.filter(row => row.parent_id === category.id), req.locale)
+      }
     });
   } catch (error) {
     console.error('Fetch category error:', error);
@@ -75,59 +240,34 @@ router.get('/categories/:id', async (req, res) => {
 });
 
 // Materials endpoints
-// Updated Materials API endpoints with author field
-// Replace the materials section in your api.js file
-
-// Materials endpoints
-router.get('/materials', async (req, res) => {
+router.get('/materials', cacheResponse(['material', 'category']), async (req, res) => {
   try {
-    const { page = 1, limit = 10, category, author } = req.query;
-    const offset = (page - 1) * limit;
-    
-    let query = `
-      SELECT m.*, c.name as category_name 
-      FROM materials m 
-      LEFT JOIN categories c ON m.category_id = c.id 
-      WHERE m.status = 'published'
-    `;
-    let countQuery = 'SELECT COUNT(*) as total FROM materials WHERE status = "published"';
-    let params = [];
-    let countParams = [];
+    const { category, author } = req.query;
+    const where = [];
+    const params = [];
 
+    // A parent category includes its subcategories
     if (category) {
-      query += ' AND m.category_id = ?';
-      countQuery += ' AND category_id = ?';
-      params.push(category);
-      countParams.push(category);
+      const categoryIds = await categoryFilterIds(category);
+      where.push(`m.category_id IN (${categoryIds.map(() => '?').join(', ')})`);
+      params.push(...categoryIds);
     }
 
     if (author) {
-      query += ' AND m.author LIKE ?';
-      countQuery += ' AND author LIKE ?';
-      const authorFilter = `%${author}%`;
-      params.push(authorFilter);
-      countParams.push(authorFilter);
+      where.push('m.author LIKE ?');
+      params.push(`%${author}%`);
     }
 
-    query += ' ORDER BY m.created_at DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), offset);
-
-    const [materials] = await pool.execute(query, params);
-    const [totalResult] = await pool.execute(countQuery, countParams);
+    const tagFilter = parseTagFilter(req.query);
+    if (tagFilter) {
+      const condition = tagCondition('material', 'm', tagFilter);
+      where.push(condition.sql);
+      params.push(...condition.params);
+    }
 
-    res.json({
-      success: true,
-      data: materials,
-      pagination: {
-        total: totalResult[0].total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(totalResult[0].total / limit)
-      }
-    });
+    res.json(await listPublicContent('material', req, { where, params }));
   } catch (error) {
-    console.error('Fetch materials error:', error);
-    res.status(500).json({ success: false, error: 'Failed to fetch materials' });
+    handleApiError(res, error, 'Fetch materials');
   }
 });
 
@@ -137,16 +277,18 @@ router.get('/materials/:id', async (req, res) => {
       SELECT m.*, c.name as category_name 
       FROM materials m 
       LEFT JOIN categories c ON m.category_id = c.id 
-      WHERE m.id = ? AND m.status = 'published'
+      WHERE m.id = ? AND ${isPublic('m')}
     `, [req.params.id]);
 
     if (materials.length === 0) {
       return res.status(404).json({ success: false, error: 'Material not found' });
     }
 
+    trackEvent({ entityType: 'material', content: materials[0], event: 'view', viewer: viewerFor(req), source: 'detail' });
+    const [material] = await presentContent('material', materials, req.locale);
     res.json({
       success: true,
-      data: materials[0]
+      data: { ...material, breadcrumbs: await localizeRows('category', await getBreadcrumbs(material.category_id), req.locale) }
     });
   } catch (error) {
     console.error('Fetch material error:', error);
@@ -154,80 +296,32 @@ router.get('/materials/:id', async (req, res) => {
   }
 });
 
-router.get('/materials/category/:categoryId', async (req, res) => {
+router.get('/materials/category/:categoryId', cacheResponse(['material', 'category']), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
-
-    const [materials] = await pool.execute(`
-      SELECT m.*, c.name as category_name 
-      FROM materials m 
-      LEFT JOIN categories c ON m.category_id = c.id 
-      WHERE m.category_id = ? AND m.status = 'published'
-      ORDER BY m.created_at DESC
-      LIMIT ? OFFSET ?
-    `, [req.params.categoryId, parseInt(limit), offset]);
-
-    const [totalResult] = await pool.execute(
-      'SELECT COUNT(*) as total FROM materials WHERE category_id = ? AND status = "published"',
-      [req.params.categoryId]
-    );
-
-    res.json({
-      success: true,
-      data: materials,
-      pagination: {
-        total: totalResult[0].total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(totalResult[0].total / limit)
-      }
-    });
+    const categoryIds = await categoryFilterIds(req.params.categoryId);
+    res.json(await listPublicContent('material', req, {
+      where: [`m.category_id IN (${categoryIds.map(() => '?').join(', ')})`],
+      params: categoryIds
+    }));
   } catch (error) {
-    console.error('Fetch materials by category error:', error);
-    res.status(500).json({ success: false, error: 'Failed to fetch materials' });
+    handleApiError(res, error, 'Fetch materials');
   }
 });
 
 // Get materials by author
-router.get('/materials/author/:author', async (req, res) => {
+router.get('/materials/author/:author', cacheResponse(['material', 'category']), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
-    const authorFilter = `%${req.params.author}%`;
-
-    const [materials] = await pool.execute(`
-      SELECT m.*, c.name as category_name 
-      FROM materials m 
-      LEFT JOIN categories c ON m.category_id = c.id 
-      WHERE m.author LIKE ? AND m.status = 'published'
-      ORDER BY m.created_at DESC
-      LIMIT ? OFFSET ?
-    `, [authorFilter, parseInt(limit), offset]);
-
-    const [totalResult] = await pool.execute(
-      'SELECT COUNT(*) as total FROM materials WHERE author LIKE ? AND status = "published"',
-      [authorFilter]
-    );
-
-    res.json({
-      success: true,
-      data: materials,
-      pagination: {
-        total: totalResult[0].total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(totalResult[0].total / limit)
-      }
-    });
+    res.json(await listPublicContent('material', req, {
+      where: ['m.author LIKE ?'],
+      params: [`%${req.params.author}%`]
+    }));
   } catch (error) {
-    console.error('Fetch materials by author error:', error);
-    res.status(500).json({ success: false, error: 'Failed to fetch materials by author' });
+    handleApiError(res, error, 'Fetch materials by author');
   }
 });
 
 // Get all authors
-router.get('/authors', async (req, res) => {
+router.get('/authors', cacheResponse(['material']), async (req, res) => {
   try {
     const [authors] = await pool.execute(`
       SELECT 
@@ -235,7 +329,7 @@ router.get('/authors', async (req, res) => {
         COUNT(*) as material_count,
         MAX(created_at) as latest_material
       FROM materials 
-      WHERE author IS NOT NULL AND author != '' AND status = 'published'
+      WHERE author IS NOT NULL AND author != '' AND ${isPublic()}
       GROUP BY author 
       ORDER BY material_count DESC, author
     `);
@@ -251,47 +345,29 @@ router.get('/authors', async (req, res) => {
 });
 
 // Videos endpoints
-router.get('/videos', async (req, res) => {
+router.get('/videos', cacheResponse(['video', 'category']), async (req, res) => {
   try {
-    const { page = 1, limit = 10, category } = req.query;
-    const offset = (page - 1) * limit;
-    
-    let query = `
-      SELECT v.*, c.name as category_name 
-      FROM videos v 
-      LEFT JOIN categories c ON v.category_id = c.id 
-      WHERE v.status = 'published'
-    `;
-    let countQuery = 'SELECT COUNT(*) as total FROM videos WHERE status = "published"';
-    let params = [];
-    let countParams = [];
+    const { category } = req.query;
+    const where = [];
+    const params = [];
 
+    // A parent category includes its subcategories
     if (category) {
-      query += ' AND v.category_id = ?';
-      countQuery += ' AND category_id = ?';
-      params.push(category);
-      countParams.push(category);
+      const categoryIds = await categoryFilterIds(category);
+      where.push(`v.category_id IN (${categoryIds.map(() => '?').join(', ')})`);
+      params.push(...categoryIds);
     }
 
-    query += ' ORDER BY v.created_at DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), offset);
-
-    const [videos] = await pool.execute(query, params);
-    const [totalResult] = await pool.execute(countQuery, countParams);
+    const tagFilter = parseTagFilter(req.query);
+    if (tagFilter) {
+      const condition = tagCondition('video', 'v', tagFilter);
+      where.push(condition.sql);
+      params.push(...condition.params);
+    }
 
-    res.json({
-      success: true,
-      data: videos,
-      pagination: {
-        total: totalResult[0].total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(totalResult[0].total / limit)
-      }
-    });
+    res.json(await listPublicContent('video', req, { where, params }));
   } catch (error) {
-    console.error('Fetch videos error:', error);
-    res.status(500).json({ success: false, error: 'Failed to fetch videos' });
+    handleApiError(res, error, 'Fetch videos');
   }
 });
 
@@ -301,16 +377,18 @@ router.get('/videos/:id', async (req, res) => {
       SELECT v.*, c.name as category_name 
       FROM videos v 
       LEFT JOIN categories c ON v.category_id = c.id 
-      WHERE v.id = ? AND v.status = 'published'
+      WHERE v.id = ? AND ${isPublic('v')}
     `, [req.params.id]);
 
     if (videos.length === 0) {
       return res.status(404).json({ success: false, error: 'Video not found' });
     }
 
+    trackEvent({ entityType: 'video', content: videos[0], event: 'view', viewer: viewerFor(req), source: 'detail' });
+    const [video] = await presentContent('video', videos, req.locale);
     res.json({
       success: true,
-      data: videos[0]
+      data: { ...video, breadcrumbs: await localizeRows('category', await getBreadcrumbs(video.category_id), req.locale) }
     });
   } catch (error) {
     console.error('Fetch video error:', error);
@@ -318,151 +396,109 @@ router.get('/videos/:id', async (req, res) => {
   }
 });
 
-router.get('/videos/category/:categoryId', async (req, res) => {
+router.get('/videos/category/:categoryId', cacheResponse(['video', 'category']), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
-
-    const [videos] = await pool.execute(`
-      SELECT v.*, c.name as category_name 
-      FROM videos v 
-      LEFT JOIN categories c ON v.category_id = c.id 
-      WHERE v.category_id = ? AND v.status = 'published'
-      ORDER BY v.created_at DESC
-      LIMIT ? OFFSET ?
-    `, [req.params.categoryId, parseInt(limit), offset]);
+    const categoryIds = await categoryFilterIds(req.params.categoryId);
+    res.json(await listPublicContent('video', req, {
+      where: [`v.category_id IN (${categoryIds.map(() => '?').join(', ')})`],
+      params: categoryIds
+    }));
+  } catch (error) {
+    handleApiError(res, error, 'Fetch videos');
+  }
+});
 
-    const [totalResult] = await pool.execute(
-      'SELECT COUNT(*) as total FROM videos WHERE category_id = ? AND status = "published"',
-      [req.params.categoryId]
-    );
+// Tags on published content, most used first; ?q= narrows for autocomplete
+router.get('/tags', cacheResponse(['material', 'video']), async (req, res) => {
+  try {
+    const limit = parseLimit(req.query, { defaultLimit: 50, maxLimit: 200 });
+    const tags = await listTags({ q: req.query.q, limit, publicOnly: true });
 
     res.json({
       success: true,
-      data: videos,
-      pagination: {
-        total: totalResult[0].total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(totalResult[0].total / limit)
-      }
+      data: tags
     });
   } catch (error) {
-    console.error('Fetch videos by category error:', error);
-    res.status(500).json({ success: false, error: 'Failed to fetch videos' });
+    handleApiError(res, error, 'Fetch tags');
   }
 });
 
-// Search endpoint
-// Updated search endpoint to include author field
-// Replace the search section in your api.js file
-
-// Search endpoint
+// Search endpoint: relevance-ranked across materials and videos
 router.get('/search', async (req, res) => {
   try {
-    const { q: query, type, category, page = 1, limit = 10 } = req.query;
+    const { q: query, type, category } = req.query;
+    const tagFilter = parseTagFilter(req.query);
     
-    if (!query) {
+    if (!query || !String(query).trim()) {
       return res.status(400).json({ success: false, error: 'Search query is required' });
     }
 
-    const offset = (page - 1) * limit;
-    const searchTerm = `%${query}%`;
-    let results = { materials: [], videos: [] };
-
-    // Search materials (including author field)
-    if (!type || type === 'materials') {
-      let materialQuery = `
-        SELECT m.*, c.name as category_name, 'material' as content_type
-        FROM materials m 
-        LEFT JOIN categories c ON m.category_id = c.id 
-        WHERE m.status = 'published' 
-        AND (m.title LIKE ? OR m.content LIKE ? OR m.author LIKE ?)
-      `;
-      let materialParams = [searchTerm, searchTerm, searchTerm];
-
-      if (category) {
-        materialQuery += ' AND m.category_id = ?';
-        materialParams.push(category);
-      }
-
-      materialQuery += ' ORDER BY m.created_at DESC LIMIT ? OFFSET ?';
-      materialParams.push(parseInt(limit), offset);
-
-      const [materials] = await pool.execute(materialQuery, materialParams);
-      results.materials = materials;
+    if (type && type !== 'materials' && type !== 'videos') {
+      return res.status(400).json({ success: false, error: 'type must be "materials" or "videos"' });
     }
 
-    // Search videos (unchanged)
-    if (!type || type === 'videos') {
-      let videoQuery = `
-        SELECT v.*, c.name as category_name, 'video' as content_type
-        FROM videos v 
-        LEFT JOIN categories c ON v.category_id = c.id 
-        WHERE v.status = 'published' AND (v.title LIKE ? OR v.description LIKE ?)
-      `;
-      let videoParams = [searchTerm, searchTerm];
-
-      if (category) {
-        videoQuery += ' AND v.category_id = ?';
-        videoParams.push(category);
-      }
-
-      videoQuery += ' ORDER BY v.created_at DESC LIMIT ? OFFSET ?';
-      videoParams.push(parseInt(limit), offset);
+    const { page: pageNumber, limit: pageSize } = parsePage(req.query, { defaultLimit: 10, maxLimit: 50 });
 
-      const [videos] = await pool.execute(videoQuery, videoParams);
-      results.videos = videos;
-    }
+    const { results, total, totals, suggestions } = await search({
+      query: String(query).trim(),
+      type,
+      categoryIds: category ? await categoryFilterIds(category) : null,
+      tags: tagFilter,
+      locale: req.locale,
+      page: pageNumber,
+      limit: pageSize
+    });
 
     res.json({
       success: true,
       data: results,
       query: query,
+      totals: totals,
+      suggestions: suggestions,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit)
+        total: total,
+        page: pageNumber,
+        limit: pageSize,
+        pages: Math.ceil(total / pageSize)
       }
     });
   } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({ success: false, error: 'Search failed' });
+    handleApiError(res, error, 'Search');
   }
 });
 
 // Get latest content (for home screen)
-router.get('/latest', async (req, res) => {
+router.get('/latest', cacheResponse(['material', 'video', 'category']), async (req, res) => {
   try {
-    const { limit = 5 } = req.query;
+    const limit = parseLimit(req.query, { defaultLimit: 5, maxLimit: 20 });
 
     const [materials] = await pool.execute(`
       SELECT m.*, c.name as category_name, 'material' as content_type
       FROM materials m 
       LEFT JOIN categories c ON m.category_id = c.id 
-      WHERE m.status = 'published'
+      WHERE ${isPublic('m')}
       ORDER BY m.created_at DESC
       LIMIT ?
-    `, [parseInt(limit)]);
+    `, [limit]);
 
     const [videos] = await pool.execute(`
       SELECT v.*, c.name as category_name, 'video' as content_type
       FROM videos v 
       LEFT JOIN categories c ON v.category_id = c.id 
-      WHERE v.status = 'published'
+      WHERE ${isPublic('v')}
       ORDER BY v.created_at DESC
       LIMIT ?
-    `, [parseInt(limit)]);
+    `, [limit]);
 
     res.json({
       success: true,
       data: {
-        materials: materials,
-        videos: videos
+        materials: await presentContent('material', materials, req.locale),
+        videos: await presentContent('video', videos, req.locale)
       }
     });
   } catch (error) {
-    console.error('Fetch latest content error:', error);
-    res.status(500).json({ success: false, error: 'Failed to fetch latest content' });
+    handleApiError(res, error, 'Fetch latest content');
   }
 });
 
@@ -0,0 +1,137 @@
+const express = require('express');
+const { attachTags } = require('../services/tags');
+const { localizeRows } = require('../services/translations');
+const { negotiateLocale } = require('../middleware/locale');
+const { parseEntityType, addBookmark, removeBookmark, listBookmarks } = require('../services/bookmarks');
+const { getProgress, saveProgress, listUnfinished } = require('../services/progress');
+const { listUserAttempts } = require('../services/quizzes');
+const { handleApiError } = require('../services/errors');
+const { parsePage } = require('../services/list-query');
+
+// Bookmarks, progress, quiz attempts and the "continue learning" feed of
+// the signed-in app user. Mounted by routes/me.js, which authenticates the request.
+const router = express.Router();
+
+router.use(negotiateLocale);
+
+const ENTITY_TYPES = { materials: 'material', videos: 'video' };
+const TYPE_PARAM = ':type(materials|videos)';
+
+// Tags plus translated text, as in the public lists (routes/api.js)
+const presentContent = async (entityType, rows, locale) => {
+  return localizeRows(entityType, await attachTags(entityType, rows), locale);
+};
+
+const pageParams = (query) => parsePage(query, { defaultLimit: 10, maxLimit: 50 });
+
+// Same shape as GET /api/materials and /api/videos, plus bookmarked_at
+router.get(`/bookmarks/${TYPE_PARAM}`, async (req, res) => {
+  try {
+    const entityType = ENTITY_TYPES[req.params.type];
+    const { page, limit } = pageParams(req.query);
+    const { items, total } = await listBookmarks(req.account.id, entityType, { page, limit });
+
+    res.json({
+      success: true,
+      data: await presentContent(entityType, items, req.locale),
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch bookmarks');
+  }
+});
+
+// Body: { type: 'material' | 'video', id }
+router.post('/bookmarks', async (req, res) => {
+  try {
+    const entityType = parseEntityType(req.body.type);
+    const id = parseInt(req.body.id, 10);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'id is required' });
+    }
+
+    const created = await addBookmark(req.account.id, entityType, id);
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Bookmark added' : 'Already bookmarked',
+      data: { entity_type: entityType, entity_id: id }
+    });
+  } catch (error) {
+    handleApiError(res, error, 'Add bookmark');
+  }
+});
+
+router.delete(`/bookmarks/${TYPE_PARAM}/:id`, async (req, res) => {
+  try {
+    await removeBookmark(req.account.id, ENTITY_TYPES[req.params.type], req.params.id);
+    res.json({ success: true, message: 'Bookmark removed' });
+  } catch (error) {
+    handleApiError(res, error, 'Remove bookmark');
+  }
+});
+
+// Where to resume an item
+router.get(`/progress/${TYPE_PARAM}/:id`, async (req, res) => {
+  try {
+    const progress = await getProgress(req.account.id, ENTITY_TYPES[req.params.type], req.params.id);
+    res.json({ success: true, data: progress });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch progress');
+  }
+});
+
+// Materials: { percent } (scroll depth 0-100). Videos: { position } in
+// seconds. Either may send { completed: true } when the item is finished.
+router.put(`/progress/${TYPE_PARAM}/:id`, async (req, res) => {
+  try {
+    const progress = await saveProgress(req.account.id, ENTITY_TYPES[req.params.type], req.params.id, req.body);
+    res.json({ success: true, data: progress });
+  } catch (error) {
+    handleApiError(res, error, 'Save progress');
+  }
+});
+
+// Started but unfinished items, most recently active first
+router.get('/continue', async (req, res) => {
+  try {
+    const { page, limit } = pageParams(req.query);
+    const { items, total } = await listUnfinished(req.account.id, { page, limit });
+
+    const presented = {};
+    for (const entityType of Object.values(ENTITY_TYPES)) {
+      const rows = items.filter(entry => entry.entity_type === entityType).map(entry => entry.item);
+      const localized = await presentContent(entityType, rows, req.locale);
+      presented[entityType] = new Map(localized.map(row => [row.id, row]));
+    }
+
+    res.json({
+      success: true,
+      data: items.map(entry => ({
+        entity_type: entry.entity_type,
+        item: presented[entry.entity_type].get(entry.item.id),
+        progress: entry.progress
+      })),
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch continue learning');
+  }
+});
+
+// Quiz attempts signed in with this account, newest first (?material_id=)
+router.get('/quiz-attempts', async (req, res) => {
+  try {
+    const { page, limit } = pageParams(req.query);
+    const materialId = parseInt(req.query.material_id, 10) || null;
+    const { items, total } = await listUserAttempts(req.account.id, { materialId, page, limit });
+    res.json({
+      success: true,
+      data: items,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch quiz attempts');
+  }
+});
+
+module.exports = router;
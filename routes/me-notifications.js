@@ -0,0 +1,58 @@
+const express = require('express');
+const {
+  registerDevice, listDevices, removeDevice, availableTopics, listSubscriptions, setSubscriptions
+} = require('../services/notifications');
+const { handleApiError } = require('../services/errors');
+
+// Push devices and notification topics of the signed-in app user
+// (/api/me/notifications). Mounted by routes/me.js, which authenticates the request.
+const router = express.Router();
+
+router.get('/devices', async (req, res) => {
+  try {
+    res.json({ success: true, data: await listDevices(req.account.id) });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch devices');
+  }
+});
+
+// Body: { token, platform: 'android' | 'ios' | 'web', app_version }. Call on
+// every app start; registering the same token again refreshes it.
+router.post('/devices', async (req, res) => {
+  try {
+    res.status(201).json({ success: true, data: await registerDevice(req.account.id, req.body) });
+  } catch (error) {
+    handleApiError(res, error, 'Register device');
+  }
+});
+
+router.delete('/devices/:id(\\d+)', async (req, res) => {
+  try {
+    await removeDevice(req.account.id, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    handleApiError(res, error, 'Remove device');
+  }
+});
+
+// Subscribed topics plus every topic that can be chosen
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const [topics, available] = await Promise.all([listSubscriptions(req.account.id), availableTopics()]);
+    res.json({ success: true, data: { topics, available } });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch subscriptions');
+  }
+});
+
+// Body: { topics: ['new_content', 'category:3', 'lang:en', 'self_exam_reminders'] }
+// replaces the current subscriptions
+router.put('/subscriptions', async (req, res) => {
+  try {
+    res.json({ success: true, data: { topics: await setSubscriptions(req.account.id, req.body.topics) } });
+  } catch (error) {
+    handleApiError(res, error, 'Update subscriptions');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const { attachTags } = require('../services/tags');
+const { localizeRows } = require('../services/translations');
+const { negotiateLocale } = require('../middleware/locale');
+const {
+  getSettings, saveSettings, getSchedule, getExam, logExam, listExams, deleteExam, doctorAction
+} = require('../services/self-exams');
+const { FINDING_TYPES, SIDES, QUADRANTS } = require('../config/self-exam');
+const { handleApiError } = require('../services/errors');
+const { parsePage } = require('../services/list-query');
+
+// Breast self-examination tracker of the signed-in app user
+// (/api/me/self-exams). Mounted by routes/me.js, which authenticates.
+const router = express.Router();
+
+router.use(negotiateLocale);
+
+const pageParams = (query) => parsePage(query, { defaultLimit: 20, maxLimit: 50 });
+
+// The "see a doctor" action with its materials in the request locale
+const presentAction = async (exam, locale) => {
+  const action = await doctorAction(exam, locale);
+  if (!action) return null;
+  return { ...action, materials: await localizeRows('material', await attachTags('material', action.materials), locale) };
+};
+
+// Values the app can offer when logging findings
+router.get('/options', (req, res) => {
+  res.json({ success: true, data: { finding_types: FINDING_TYPES, sides: SIDES, quadrants: QUADRANTS } });
+});
+
+router.get('/settings', async (req, res) => {
+  try {
+    res.json({ success: true, data: await getSettings(req.account.id) });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch self-exam settings');
+  }
+});
+
+// { mode: 'cycle', last_period_start, cycle_length } or
+// { mode: 'fixed_day', fixed_day }
+router.put('/settings', async (req, res) => {
+  try {
+    await saveSettings(req.account.id, req.body);
+    res.json({ success: true, data: await getSchedule(req.account.id) });
+  } catch (error) {
+    handleApiError(res, error, 'Save self-exam settings');
+  }
+});
+
+router.get('/schedule', async (req, res) => {
+  try {
+    res.json({ success: true, data: await getSchedule(req.account.id) });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch self-exam schedule');
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const { page, limit } = pageParams(req.query);
+    const { items, total } = await listExams(req.account.id, { page, limit });
+    res.json({
+      success: true,
+      data: items,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch self-exams');
+  }
+});
+
+// Log an exam. Any finding makes the response carry a "see a doctor"
+// action; the schedule reflects the new exam.
+router.post('/', async (req, res) => {
+  try {
+    const exam = await logExam(req.account.id, req.body);
+    res.status(201).json({
+      success: true,
+      data: {
+        exam,
+        action: await presentAction(exam, req.locale),
+        schedule: await getSchedule(req.account.id)
+      }
+    });
+  } catch (error) {
+    handleApiError(res, error, 'Log self-exam');
+  }
+});
+
+router.get('/:id(\\d+)', async (req, res) => {
+  try {
+    const exam = await getExam(req.account.id, req.params.id);
+    res.json({ success: true, data: { exam, action: await presentAction(exam, req.locale) } });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch self-exam');
+  }
+});
+
+router.delete('/:id(\\d+)', async (req, res) => {
+  try {
+    await deleteExam(req.account.id, req.params.id);
+    res.json({ success: true, message: 'Exam deleted' });
+  } catch (error) {
+    handleApiError(res, error, 'Delete self-exam');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/user-auth');
+const { findUser, toProfile, updateProfile, upgradeAnonymousUser, changeUserPassword, deleteUser } = require('../services/users');
+const { revokeAllUserSessions } = require('../services/user-sessions');
+const { handleApiError } = require('../services/errors');
+const meLibraryRoutes = require('./me-library');
+const meSelfExamsRoutes = require('./me-self-exams');
+const meNotificationsRoutes = require('./me-notifications');
+
+// The signed-in app user's own account (/api/me)
+const router = express.Router();
+
+router.use(authenticateUser);
+
+// Bookmarks, progress, quiz attempts and continue learning
+router.use(meLibraryRoutes);
+
+// Breast self-examination tracker
+router.use('/self-exams', meSelfExamsRoutes);
+
+// Push devices and notification topics
+router.use('/notifications', meNotificationsRoutes);
+
+router.get('/', async (req, res) => {
+  try {
+    const user = await findUser(req.account.id);
+    res.json({ success: true, data: toProfile(user) });
+  } catch (error) {
+    handleApiError(res, error, 'Fetch profile');
+  }
+});
+
+// display_name, age_range and locale
+router.put('/', async (req, res) => {
+  try {
+    const user = await updateProfile(req.account.id, req.body);
+    res.json({ success: true, data: toProfile(user) });
+  } catch (error) {
+    handleApiError(res, error, 'Update profile');
+  }
+});
+
+// Give an anonymous account an email and password. The id stays the same,
+// so everything saved so far carries over.
+router.post('/upgrade', async (req, res) => {
+  try {
+    const user = await upgradeAnonymousUser(req.account.id, req.body);
+    res.json({ success: true, data: toProfile(user) });
+  } catch (error) {
+    handleApiError(res, error, 'Upgrade account');
+  }
+});
+
+// Other sessions are signed out; this one stays
+router.put('/password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ success: false, error: 'Current password and new password are required' });
+    }
+
+    await changeUserPassword(req.account.id, currentPassword, newPassword, { keepSessionId: req.account.sessionId });
+    res.json({ success: true, message: 'Password changed successfully' });
+  } catch (error) {
+    handleApiError(res, error, 'Change password');
+  }
+});
+
+router.post('/logout-all', async (req, res) => {
+  try {
+    const revoked = await revokeAllUserSessions(req.account.id);
+    res.json({ success: true, message: 'Logged out of all sessions', revoked });
+  } catch (error) {
+    handleApiError(res, error, 'Log out');
+  }
+});
+
+// Permanently erase the account and everything stored for it
+router.delete('/', async (req, res) => {
+  try {
+    await deleteUser(req.account.id, req.body.password);
+    console.log('User account deleted:', req.account.id);
+    res.json({ success: true, message: 'Account deleted' });
+  } catch (error) {
+    handleApiError(res, error, 'Delete account');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { checkLogin, recordFailure, recordSuccess, consumeRateLimit } = require('../services/login-throttle');
+const { registerUser, createAnonymousUser, verifyCredentials, toProfile } = require('../services/users');
+const { createUserSession, rotateUserSession, revokeUserSession, findUserSessionByRefreshToken } = require('../services/user-sessions');
+const { redactEmail } = require('../services/redact');
+const { handleApiError } = require('../services/errors');
+
+// Sign-in for mobile app users (/api/auth). Admins log in through
+// /api/admin/login; the two token kinds are not interchangeable.
+const router = express.Router();
+
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 12);
+
+// User throttle keys must not share counters with admin accounts
+const throttleEmail = (email) => `user:${String(email).trim().toLowerCase()}`;
+
+const clientInfo = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
+// Account creation per client IP, generous enough for a household or office
+// behind one address
+const SIGNUP_LIMITS = {
+  register: { limit: 10, windowSeconds: 60 * 60 },
+  anonymous: { limit: 20, windowSeconds: 60 * 60 }
+};
+
+const limitSignups = (kind) => async (req, res, next) => {
+  try {
+    const limit = await consumeRateLimit(`signup:${kind}:${req.ip}`, SIGNUP_LIMITS[kind]);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many accounts created from this address. Please try again later.',
+        retryAfter: limit.retryAfter
+      });
+    }
+    next();
+  } catch (error) {
+    handleApiError(res, error, 'Check sign-up limit');
+  }
+};
+
+router.post('/register', limitSignups('register'), async (req, res) => {
+  try {
+    const user = await registerUser(req.body);
+    const session = await createUserSession(user, clientInfo(req));
+    res.status(201).json({ success: true, data: { ...session, user: toProfile(user) } });
+  } catch (error) {
+    handleApiError(res, error, 'Register');
+  }
+});
+
+// Start an anonymous device account; the app keeps the refresh token
+router.post('/anonymous', limitSignups('anonymous'), async (req, res) => {
+  try {
+    const user = await createAnonymousUser(req.body);
+    const session = await createUserSession(user, clientInfo(req));
+    res.status(201).json({ success: true, data: { ...session, user: toProfile(user) } });
+  } catch (error) {
+    handleApiError(res, error, 'Create anonymous account');
+  }
+});
+
+// Throttled like admin login (see services/login-throttle)
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ success: false, error: 'Email and password are required' });
+    }
+
+    const throttle = await checkLogin({ email: throttleEmail(email), ip: req.ip });
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed attempts. Please wait before trying again.',
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    const user = await verifyCredentials(email, password, DUMMY_PASSWORD_HASH);
+    if (!user) {
+      await recordFailure({ email: throttleEmail(email), ip: req.ip });
+      console.log(`Failed user login for ${redactEmail(email)}`);
+      return res.status(401).json({ success: false, error: 'Invalid email or password' });
+    }
+
+    await recordSuccess({ email: throttleEmail(email) });
+
+    const session = await createUserSession(user, clientInfo(req));
+    res.json({ success: true, data: { ...session, user: toProfile(user) } });
+  } catch (error) {
+    handleApiError(res, error, 'Log in');
+  }
+});
+
+router.post('/refresh', async (req, res) => {
+  try {
+    const session = await rotateUserSession(req.body.refreshToken, clientInfo(req));
+    res.json({ success: true, data: session });
+  } catch (error) {
+    handleApiError(res, error, 'Refresh token');
+  }
+});
+
+// Works with an expired access token, like admin logout
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, error: 'Refresh token is required' });
+    }
+
+    const session = await findUserSessionByRefreshToken(refreshToken);
+    if (session) {
+      await revokeUserSession(session.id, 'logout');
+    }
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    handleApiError(res, error, 'Log out');
+  }
+});
+
+module.exports = router;
@@ -5,8 +5,16 @@ const fs = require('fs');
 require('dotenv').config();
 
 const { initDatabase } = require('./config/database');
+const { registerJob, startScheduler } = require('./services/scheduler');
+const { runScheduledPublishing } = require('./services/publishing');
+const { dispatchOutbox, enqueueSelfExamReminders } = require('./services/notifications');
+const { rollupEvents } = require('./services/analytics');
+const { rebuildRelated } = require('./services/related');
+const { assertMailConfigured } = require('./services/mailer');
 const adminRoutes = require('./routes/admin');
 const apiRoutes = require('./routes/api');
+const userAuthRoutes = require('./routes/user-auth');
+const meRoutes = require('./routes/me');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,6 +27,14 @@ dirs.forEach(dir => {
   }
 });
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For, otherwise
+// login throttling would see every client as the proxy
+// (TRUST_PROXY is a hop count, "true", or a list of proxy addresses)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : (trustProxy === 'true' || trustProxy));
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
@@ -30,6 +46,8 @@ app.use('/admin', express.static('public'));
 
 // Routes
 app.use('/api/admin', adminRoutes);
+app.use('/api/auth', userAuthRoutes);
+app.use('/api/me', meRoutes);
 app.use('/api', apiRoutes);
 
 // Admin dashboard route
@@ -66,7 +84,18 @@ app.use((req, res) => {
 // Initialize database and start server
 const startServer = async () => {
   try {
+    assertMailConfigured();
     await initDatabase();
+
+    // Background jobs
+    registerJob('scheduled-publishing', parseInt(process.env.SCHEDULER_INTERVAL_SECONDS || '60', 10) * 1000, runScheduledPublishing);
+    registerJob('push-dispatch', parseInt(process.env.PUSH_DISPATCH_INTERVAL_SECONDS || '30', 10) * 1000, dispatchOutbox);
+    registerJob('self-exam-reminders', 60 * 60 * 1000, enqueueSelfExamReminders);
+    registerJob('analytics-rollup', parseInt(process.env.ANALYTICS_ROLLUP_INTERVAL_SECONDS || '300', 10) * 1000, rollupEvents);
+    // Content changes trigger a rebuild too; this picks up co-viewing
+    registerJob('related-content', 6 * 60 * 60 * 1000, rebuildRelated);
+    startScheduler();
+
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
       console.log(`Admin Dashboard: http://localhost:${PORT}/admin`);
@@ -0,0 +1,428 @@
+const { pool } = require('../config/database');
+const { ServiceError } = require('./errors');
+const { isPublic } = require('./publishing');
+const { loadCategories, descendantIds } = require('./categories');
+const { verifyUserToken } = require('./user-sessions');
+
+// View and completion analytics (see migrations/022_content_analytics.js).
+//
+// Events are buffered in memory and written in batches, so recording one
+// never waits on the database and never fails the request that caused it.
+// Events still buffered when the process exits are lost, which is fine for
+// analytics. The same viewer viewing (or completing) the same item again
+// within VIEW_DEDUPE_SECONDS counts once, so the app can call the event
+// endpoint on top of fetching the detail endpoint. rollupEvents() (a
+// scheduler job) folds raw events into daily aggregates.
+
+const TABLES = { material: 'materials', video: 'videos' };
+const EVENTS = ['view', 'complete'];
+
+const FLUSH_INTERVAL_MS = parseInt(process.env.ANALYTICS_FLUSH_INTERVAL_MS || '5000', 10);
+const FLUSH_BATCH_SIZE = 500;
+// Cap on buffered events while the database is unreachable (oldest dropped)
+const MAX_BUFFERED = 20000;
+const VIEW_DEDUPE_SECONDS = 30 * 60;
+const MAX_RECENT_VIEWERS = 50000;
+
+// Events written more recently than this are left for the next rollup: a
+// concurrent batch insert that got earlier ids may still be committing
+const ROLLUP_SETTLE_SECONDS = 60;
+const RETENTION_DAYS = parseInt(process.env.ANALYTICS_RETENTION_DAYS || '90', 10);
+const PURGE_BATCH_SIZE = 10000;
+
+const MAX_POPULAR_DAYS = 90;
+const MAX_REPORT_DAYS = 365;
+
+const buffer = [];
+let flushTimer = null;
+let flushing = false;
+const recentViewers = new Map();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const pad = (number) => String(number).padStart(2, '0');
+
+const todayString = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+// Date arithmetic in UTC so DST never shifts a day
+const addDays = (date, days) => {
+  const ms = Date.UTC(Number(date.slice(0, 4)), Number(date.slice(5, 7)) - 1, Number(date.slice(8, 10))) + days * DAY_MS;
+  return new Date(ms).toISOString().slice(0, 10);
+};
+
+const withTransaction = async (fn) => {
+  const db = await pool.getConnection();
+  try {
+    await db.beginTransaction();
+    const result = await fn(db);
+    await db.commit();
+    return result;
+  } catch (error) {
+    await db.rollback();
+    throw error;
+  } finally {
+    db.release();
+  }
+};
+
+// Recording
+
+// Position of user_id in a buffered event row
+const USER_ID = 4;
+// Lock wait timeout and deadlock: worth another try like a lost connection
+const RETRYABLE_ERRNOS = [1205, 1213];
+const ER_NO_REFERENCED_ROW = 1452;
+
+// A user token stays valid for a while after the account is deleted, and
+// content_events.user_id must name an existing user: events of accounts
+// that are gone are kept without the link
+const unlinkDeletedUsers = async (batch) => {
+  const userIds = [...new Set(batch.map(row => row[USER_ID]).filter(id => id !== null))];
+  if (userIds.length === 0) return batch;
+  const [users] = await pool.query('SELECT id FROM users WHERE id IN (?)', [userIds]);
+  const existing = new Set(users.map(user => user.id));
+  return batch.map(row => (row[USER_ID] === null || existing.has(row[USER_ID])
+    ? row
+    : row.map((value, index) => (index === USER_ID ? null : value))));
+};
+
+const insertEvents = (batch) => pool.query(
+  `INSERT INTO content_events (entity_type, entity_id, category_id, event, user_id, source, occurred_at)
+   VALUES ?`,
+  [batch]
+);
+
+// Only a batch that failed for want of the database goes back in the
+// buffer; one the database refused would fail on every flush and hold up
+// every event behind it
+const isRetryable = (error) => !error.sqlState || RETRYABLE_ERRNOS.includes(error.errno);
+
+const flushEvents = async () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (flushing || buffer.length === 0) return;
+
+  flushing = true;
+  const batch = buffer.splice(0, FLUSH_BATCH_SIZE);
+  try {
+    try {
+      await insertEvents(await unlinkDeletedUsers(batch));
+    } catch (error) {
+      // An account deleted between the check and the insert
+      if (error.errno !== ER_NO_REFERENCED_ROW) throw error;
+      await insertEvents(await unlinkDeletedUsers(batch));
+    }
+  } catch (error) {
+    if (isRetryable(error)) {
+      console.error('Flush analytics events error:', error);
+      buffer.unshift(...batch.slice(0, Math.max(0, MAX_BUFFERED - buffer.length)));
+    } else {
+      console.error(`Flush analytics events error, dropped ${batch.length} events:`, error);
+    }
+  } finally {
+    flushing = false;
+    if (buffer.length > 0) scheduleFlush();
+  }
+};
+
+const scheduleFlush = () => {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushEvents().catch(error => console.error('Flush analytics events error:', error));
+  }, FLUSH_INTERVAL_MS);
+  flushTimer.unref();
+};
+
+// True when the same viewer sent the same event for the item recently
+const isRepeat = (key) => {
+  const now = Date.now();
+  const seenAt = recentViewers.get(key);
+  if (seenAt && now - seenAt < VIEW_DEDUPE_SECONDS * 1000) return true;
+
+  if (recentViewers.size >= MAX_RECENT_VIEWERS) {
+    recentViewers.forEach((time, existing) => {
+      if (now - time >= VIEW_DEDUPE_SECONDS * 1000) recentViewers.delete(existing);
+    });
+    if (recentViewers.size >= MAX_RECENT_VIEWERS) recentViewers.clear();
+  }
+  recentViewers.set(key, now);
+  return false;
+};
+
+// Queue an event for content the caller has already loaded: content is a
+// material or video row (id, category_id). viewer identifies the person for
+// de-duplication (see viewerFor). Returns true if the event was counted.
+const trackEvent = ({ entityType, content, event, viewer, source }) => {
+  if (!TABLES[entityType] || !EVENTS.includes(event)) {
+    throw new Error(`Unknown analytics event ${entityType}/${event}`);
+  }
+  if (isRepeat(`${entityType}:${content.id}:${event}:${viewer.key}`)) return false;
+
+  if (buffer.length >= MAX_BUFFERED) buffer.shift();
+  buffer.push([entityType, content.id, content.category_id || null, event, viewer.userId, source, new Date()]);
+  if (buffer.length >= FLUSH_BATCH_SIZE) {
+    flushEvents().catch(error => console.error('Flush analytics events error:', error));
+  } else {
+    scheduleFlush();
+  }
+  return true;
+};
+
+// Who is looking: the signed-in app user when the request carries a valid
+// user token (checked without a database round trip, which is enough for
+// counting), otherwise the client IP
+const viewerFor = (req) => {
+  if (req.account) {
+    return { key: `user:${req.account.id}`, userId: req.account.id };
+  }
+  const header = req.headers['authorization'];
+  const token = header && header.split(' ')[1];
+  if (token) {
+    try {
+      const payload = verifyUserToken(token);
+      return { key: `user:${payload.id}`, userId: payload.id };
+    } catch (error) {
+      // Fall through to the IP
+    }
+  }
+  return { key: `ip:${req.ip}`, userId: null };
+};
+
+// Body of POST /api/events: { type: 'material' | 'video', id, event: 'view' | 'complete' }
+const recordEvent = async (req, body) => {
+  const entityType = body.type;
+  if (!TABLES[entityType]) {
+    throw new ServiceError(`type must be one of: ${Object.keys(TABLES).join(', ')}`);
+  }
+  if (!EVENTS.includes(body.event)) {
+    throw new ServiceError(`event must be one of: ${EVENTS.join(', ')}`);
+  }
+  const id = parseInt(body.id, 10);
+  if (!id) {
+    throw new ServiceError('id is required');
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT id, category_id FROM ${TABLES[entityType]} WHERE id = ? AND ${isPublic()}`,
+    [id]
+  );
+  if (rows.length === 0) {
+    throw new ServiceError(`${entityType === 'material' ? 'Material' : 'Video'} not found`, 404);
+  }
+  return trackEvent({ entityType, content: rows[0], event: body.event, viewer: viewerFor(req), source: 'app' });
+};
+
+// Rollup
+
+// Scheduler job: add settled events to content_daily_stats, then prune raw
+// events past the retention period. Returns the number of events added.
+const rollupEvents = async () => {
+  const added = await withTransaction(async (db) => {
+    await db.execute("INSERT IGNORE INTO analytics_rollup_state (name, last_event_id) VALUES ('daily', 0)");
+    const [state] = await db.execute("SELECT last_event_id FROM analytics_rollup_state WHERE name = 'daily' FOR UPDATE");
+    const from = state[0].last_event_id;
+
+    const [recent] = await db.execute(
+      'SELECT MIN(id) as first_id FROM content_events WHERE id > ? AND recorded_at > DATE_SUB(NOW(), INTERVAL ? SECOND)',
+      [from, ROLLUP_SETTLE_SECONDS]
+    );
+    const [settled] = await db.execute(
+      'SELECT COUNT(*) as count, MAX(id) as last_id FROM content_events WHERE id > ? AND id < ?',
+      [from, recent[0].first_id || Number.MAX_SAFE_INTEGER]
+    );
+    const to = settled[0].last_id;
+    if (!to) return 0;
+
+    await db.execute(`
+      INSERT INTO content_daily_stats (day, entity_type, entity_id, category_id, views, completions)
+      SELECT DATE(occurred_at), entity_type, entity_id, MAX(category_id), SUM(event = 'view'), SUM(event = 'complete')
+      FROM content_events
+      WHERE id > ? AND id <= ?
+      GROUP BY DATE(occurred_at), entity_type, entity_id
+      ON DUPLICATE KEY UPDATE
+        views = views + VALUES(views),
+        completions = completions + VALUES(completions),
+        category_id = COALESCE(VALUES(category_id), category_id)
+    `, [from, to]);
+    await db.execute("UPDATE analytics_rollup_state SET last_event_id = ? WHERE name = 'daily'", [to]);
+    return settled[0].count;
+  });
+
+  await pool.execute(`
+    DELETE FROM content_events
+    WHERE id <= (SELECT last_event_id FROM analytics_rollup_state WHERE name = 'daily')
+      AND occurred_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+    LIMIT ?
+  `, [RETENTION_DAYS, PURGE_BATCH_SIZE]);
+
+  return added;
+};
+
+// Reports
+
+// "7d" style periods for the public popular endpoint
+const parsePeriod = (value) => {
+  const match = /^(\d{1,3})d$/.exec(value || '7d');
+  const days = match ? Number(match[1]) : 0;
+  if (days < 1 || days > MAX_POPULAR_DAYS) {
+    throw new ServiceError(`period must be between 1d and ${MAX_POPULAR_DAYS}d`);
+  }
+  return days;
+};
+
+// Most viewed public items over the last `days` days (today included)
+const getPopular = async (entityType, { days, limit }) => {
+  const table = TABLES[entityType];
+  const [rows] = await pool.execute(`
+    SELECT x.*, c.name as category_name, t.view_count, t.completion_count
+    FROM (
+      SELECT entity_id, SUM(views) as view_count, SUM(completions) as completion_count
+      FROM content_daily_stats
+      WHERE entity_type = ? AND day > DATE_SUB(CURDATE(), INTERVAL ? DAY)
+      GROUP BY entity_id
+    ) t
+    JOIN ${table} x ON x.id = t.entity_id
+    LEFT JOIN categories c ON x.category_id = c.id
+    WHERE ${isPublic('x')} AND t.view_count > 0
+    ORDER BY t.view_count DESC, x.id DESC
+    LIMIT ?
+  `, [entityType, days, limit]);
+  return rows.map(row => ({ ...row, view_count: Number(row.view_count), completion_count: Number(row.completion_count) }));
+};
+
+// Admin report filters: ?days= (default 30), ?type=material|video,
+// ?category_id= (subcategories included), ?entity_id= (with type)
+const parseReportFilters = async (query) => {
+  const days = query.days === undefined ? 30 : Number(query.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_REPORT_DAYS) {
+    throw new ServiceError(`days must be a whole number from 1 to ${MAX_REPORT_DAYS}`);
+  }
+  const entityType = query.type || null;
+  if (entityType && !TABLES[entityType]) {
+    throw new ServiceError(`type must be one of: ${Object.keys(TABLES).join(', ')}`);
+  }
+  const entityId = query.entity_id ? parseInt(query.entity_id, 10) : null;
+  if (entityId && !entityType) {
+    throw new ServiceError('entity_id needs a type');
+  }
+
+  const to = todayString();
+  const from = addDays(to, -(days - 1));
+  const conditions = ['s.day >= ?'];
+  const params = [from];
+  if (entityType) {
+    conditions.push('s.entity_type = ?');
+    params.push(entityType);
+  }
+  if (entityId) {
+    conditions.push('s.entity_id = ?');
+    params.push(entityId);
+  }
+  if (query.category_id) {
+    const ids = descendantIds(await loadCategories(), query.category_id);
+    conditions.push(`s.category_id IN (${ids.map(() => '?').join(', ')})`);
+    params.push(...ids);
+  }
+  return { from, to, where: conditions.join(' AND '), params };
+};
+
+const toCounts = (row) => {
+  const views = Number(row.views || 0);
+  const completions = Number(row.completions || 0);
+  return { views, completions, completion_rate: views ? Math.round((completions / views) * 1000) / 10 : null };
+};
+
+// Views and completions per day, every day of the range present
+const getDailySeries = async (query) => {
+  const { from, to, where, params } = await parseReportFilters(query);
+  const [rows] = await pool.execute(`
+    SELECT DATE_FORMAT(s.day, '%Y-%m-%d') as date, SUM(s.views) as views, SUM(s.completions) as completions
+    FROM content_daily_stats s
+    WHERE ${where}
+    GROUP BY s.day
+  `, params);
+
+  const byDate = new Map(rows.map(row => [row.date, row]));
+  const series = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    series.push({ date, ...toCounts(byDate.get(date) || {}) });
+  }
+  return { from, to, series };
+};
+
+// Totals per item, most viewed first. Titles come from the content tables,
+// including unpublished and deleted items that were viewed in the range.
+const getContentBreakdown = async (query, { limit = 50 } = {}) => {
+  const { from, to, where, params } = await parseReportFilters(query);
+  const [rows] = await pool.execute(`
+    SELECT s.entity_type, s.entity_id, SUM(s.views) as views, SUM(s.completions) as completions
+    FROM content_daily_stats s
+    WHERE ${where}
+    GROUP BY s.entity_type, s.entity_id
+    ORDER BY views DESC, s.entity_type, s.entity_id
+    LIMIT ?
+  `, [...params, limit]);
+
+  const titles = new Map();
+  for (const entityType of Object.keys(TABLES)) {
+    const ids = rows.filter(row => row.entity_type === entityType).map(row => row.entity_id);
+    if (ids.length === 0) continue;
+    const [content] = await pool.query(
+      `SELECT x.id, x.title, x.status, x.deleted_at, c.name as category_name
+       FROM ${TABLES[entityType]} x LEFT JOIN categories c ON x.category_id = c.id
+       WHERE x.id IN (?)`,
+      [ids]
+    );
+    content.forEach(item => titles.set(`${entityType}:${item.id}`, item));
+  }
+
+  return {
+    from,
+    to,
+    items: rows.map(row => {
+      const content = titles.get(`${row.entity_type}:${row.entity_id}`) || {};
+      return {
+        entity_type: row.entity_type,
+        entity_id: row.entity_id,
+        title: content.title || null,
+        status: content.deleted_at ? 'deleted' : content.status || null,
+        category_name: content.category_name || null,
+        ...toCounts(row)
+      };
+    })
+  };
+};
+
+// Totals per category (the item's own category, not its ancestors)
+const getCategoryBreakdown = async (query) => {
+  const { from, to, where, params } = await parseReportFilters(query);
+  const [rows] = await pool.execute(`
+    SELECT s.category_id, c.name, SUM(s.views) as views, SUM(s.completions) as completions
+    FROM content_daily_stats s
+    LEFT JOIN categories c ON c.id = s.category_id
+    WHERE ${where}
+    GROUP BY s.category_id, c.name
+    ORDER BY views DESC
+  `, params);
+  return {
+    from,
+    to,
+    items: rows.map(row => ({ category_id: row.category_id, name: row.name || null, ...toCounts(row) }))
+  };
+};
+
+module.exports = {
+  EVENTS,
+  trackEvent,
+  viewerFor,
+  recordEvent,
+  flushEvents,
+  rollupEvents,
+  parsePeriod,
+  getPopular,
+  getDailySeries,
+  getContentBreakdown,
+  getCategoryBreakdown
+};
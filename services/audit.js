@@ -0,0 +1,144 @@
+const { pool } = require('../config/database');
+
+// Audit trail of admin mutations. Handlers load a snapshot before and after
+// the write and call recordAudit() with both.
+
+const ENTITY_TABLES = {
+  category: 'categories',
+  material: 'materials',
+  video: 'videos',
+  admin: 'admins'
+};
+
+// Never copied into the audit trail
+const REDACTED_FIELDS = ['password'];
+
+const MAX_EXPORT_ROWS = 10000;
+
+const loadSnapshot = async (entityType, id) => {
+  const table = ENTITY_TABLES[entityType];
+  if (!table) {
+    throw new Error(`Unknown audit entity type "${entityType}"`);
+  }
+
+  const [rows] = await pool.execute(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const snapshot = { ...rows[0] };
+  REDACTED_FIELDS.forEach(field => delete snapshot[field]);
+
+  // Tags live in content_tags but are part of what an edit changes
+  if (entityType === 'material' || entityType === 'video') {
+    const [tags] = await pool.execute(
+      `SELECT t.name FROM content_tags ct JOIN tags t ON t.id = ct.tag_id
+       WHERE ct.entity_type = ? AND ct.entity_id = ? ORDER BY t.name`,
+      [entityType, id]
+    );
+    snapshot.tags = tags.map(tag => tag.name);
+  }
+  return snapshot;
+};
+
+// Failures are logged rather than thrown: the mutation has already been
+// committed and the client should still get its result.
+const recordAudit = async (req, { action, entityType, entityId = null, before = null, after = null }) => {
+  try {
+    await pool.execute(
+      `INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, before_data, after_data, ip)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.user ? req.user.id : null,
+        req.user ? req.user.email : null,
+        action,
+        entityType,
+        entityId === null ? null : String(entityId),
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null,
+        req.ip || null
+      ]
+    );
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+const buildFilters = ({ actor, action, entity_type, entity_id, from, to }) => {
+  const conditions = [];
+  const params = [];
+
+  if (actor) {
+    if (/^\d+$/.test(String(actor))) {
+      conditions.push('actor_id = ?');
+      params.push(parseInt(actor, 10));
+    } else {
+      conditions.push('actor_email = ?');
+      params.push(actor);
+    }
+  }
+  if (action) {
+    conditions.push('action = ?');
+    params.push(action);
+  }
+  if (entity_type) {
+    conditions.push('entity_type = ?');
+    params.push(entity_type);
+  }
+  if (entity_id) {
+    conditions.push('entity_id = ?');
+    params.push(String(entity_id));
+  }
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(new Date(from));
+  }
+  if (to) {
+    conditions.push('created_at <= ?');
+    params.push(new Date(to));
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+const queryAudit = async (filters, { page = 1, limit = 50 } = {}) => {
+  const { where, params } = buildFilters(filters);
+  const offset = (page - 1) * limit;
+
+  const [entries] = await pool.execute(
+    `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const [totalResult] = await pool.execute(`SELECT COUNT(*) as total FROM audit_log ${where}`, params);
+
+  return { entries, total: totalResult[0].total };
+};
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date
+    ? value.toISOString()
+    : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = ['id', 'created_at', 'actor_id', 'actor_email', 'action', 'entity_type', 'entity_id', 'ip', 'before_data', 'after_data'];
+
+const exportAuditCsv = async (filters) => {
+  const { where, params } = buildFilters(filters);
+  const [entries] = await pool.execute(
+    `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ?`,
+    [...params, MAX_EXPORT_ROWS]
+  );
+
+  const lines = [CSV_COLUMNS.join(',')];
+  entries.forEach(entry => {
+    lines.push(CSV_COLUMNS.map(column => csvValue(entry[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = { loadSnapshot, recordAudit, queryAudit, exportAuditCsv };
@@ -0,0 +1,82 @@
+const { pool } = require('../config/database');
+const { ServiceError } = require('./errors');
+const { isPublic } = require('./publishing');
+
+// Saved materials and videos of app users. Only published content can be
+// bookmarked, and bookmarks of content that is later unpublished or trashed
+// are hidden from the list (but kept, so they come back with the content).
+
+const TABLES = { material: 'materials', video: 'videos' };
+const LABELS = { material: 'Material', video: 'Video' };
+
+const parseEntityType = (type) => {
+  if (!TABLES[type]) {
+    throw new ServiceError('type must be "material" or "video"');
+  }
+  return type;
+};
+
+const assertPublicContent = async (entityType, id) => {
+  const [rows] = await pool.execute(
+    `SELECT * FROM ${TABLES[entityType]} WHERE id = ? AND ${isPublic()}`,
+    [id]
+  );
+  if (rows.length === 0) {
+    throw new ServiceError(`${LABELS[entityType]} not found`, 404);
+  }
+  return rows[0];
+};
+
+// Returns true if the bookmark is new
+const addBookmark = async (userId, entityType, id) => {
+  await assertPublicContent(entityType, id);
+  const [result] = await pool.execute(
+    'INSERT IGNORE INTO user_bookmarks (user_id, entity_type, entity_id) VALUES (?, ?, ?)',
+    [userId, entityType, id]
+  );
+  return result.affectedRows > 0;
+};
+
+const removeBookmark = async (userId, entityType, id) => {
+  const [result] = await pool.execute(
+    'DELETE FROM user_bookmarks WHERE user_id = ? AND entity_type = ? AND entity_id = ?',
+    [userId, entityType, id]
+  );
+  if (result.affectedRows === 0) {
+    throw new ServiceError('Bookmark not found', 404);
+  }
+};
+
+// Bookmarked rows in the same shape as the public lists, plus
+// bookmarked_at, newest bookmark first
+const listBookmarks = async (userId, entityType, { page = 1, limit = 10 } = {}) => {
+  const table = TABLES[entityType];
+  const offset = (page - 1) * limit;
+
+  const [items] = await pool.execute(`
+    SELECT t.*, c.name as category_name, b.created_at as bookmarked_at
+    FROM user_bookmarks b
+    JOIN ${table} t ON t.id = b.entity_id
+    LEFT JOIN categories c ON t.category_id = c.id
+    WHERE b.user_id = ? AND b.entity_type = ? AND ${isPublic('t')}
+    ORDER BY b.created_at DESC
+    LIMIT ? OFFSET ?
+  `, [userId, entityType, limit, offset]);
+
+  const [totalResult] = await pool.execute(`
+    SELECT COUNT(*) as total
+    FROM user_bookmarks b
+    JOIN ${table} t ON t.id = b.entity_id
+    WHERE b.user_id = ? AND b.entity_type = ? AND ${isPublic('t')}
+  `, [userId, entityType]);
+
+  return { items, total: totalResult[0].total };
+};
+
+module.exports = {
+  parseEntityType,
+  assertPublicContent,
+  addBookmark,
+  removeBookmark,
+  listBookmarks
+};
@@ -0,0 +1,180 @@
+const { pool } = require('../config/database');
+const { ServiceError } = require('./errors');
+const { isPublic } = require('./publishing');
+
+// Category hierarchy helpers. The whole (small) categories table is loaded
+// and walked in memory rather than with recursive SQL.
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const MAX_ICON_LENGTH = 50;
+
+const byOrder = (a, b) => (a.sort_order - b.sort_order) || a.name.localeCompare(b.name);
+
+// Categories outside the trash, in tree order
+const loadCategories = async () => {
+  const [rows] = await pool.execute(
+    'SELECT * FROM categories WHERE deleted_at IS NULL ORDER BY sort_order, name'
+  );
+  return rows;
+};
+
+const childrenByParent = (categories) => {
+  const children = new Map();
+  categories.forEach(category => {
+    const key = category.parent_id || null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(category);
+  });
+  children.forEach(list => list.sort(byOrder));
+  return children;
+};
+
+// The category and every category below it
+const descendantIds = (categories, categoryId) => {
+  const children = childrenByParent(categories);
+  const ids = [];
+  const stack = [Number(categoryId)];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    ids.push(id);
+    (children.get(id) || []).forEach(child => stack.push(child.id));
+  }
+  return ids;
+};
+
+// Expand a ?category= filter to include subcategories. Unknown ids still
+// filter (to nothing) rather than being ignored.
+const categoryFilterIds = async (categoryId) => {
+  const categories = await loadCategories();
+  if (!categories.some(category => category.id === Number(categoryId))) {
+    return [Number(categoryId) || 0];
+  }
+  return descendantIds(categories, categoryId);
+};
+
+// Root-first path to a category: [{ id, name }, ...]
+const breadcrumbsFor = (categories, categoryId) => {
+  const byId = new Map(categories.map(category => [category.id, category]));
+  const trail = [];
+  let current = byId.get(Number(categoryId));
+  while (current && trail.length <= categories.length) {
+    trail.unshift({ id: current.id, name: current.name });
+    current = byId.get(current.parent_id);
+  }
+  return trail;
+};
+
+const getBreadcrumbs = async (categoryId) => {
+  if (!categoryId) return [];
+  return breadcrumbsFor(await loadCategories(), categoryId);
+};
+
+// Flat list in depth-first tree order with each category's depth, for
+// indented pickers
+const flattenTree = (categories) => {
+  const children = childrenByParent(categories);
+  const flat = [];
+  const visit = (parentId, depth) => {
+    (children.get(parentId) || []).forEach(category => {
+      flat.push({ ...category, depth });
+      visit(category.id, depth + 1);
+    });
+  };
+  visit(null, 0);
+  return flat;
+};
+
+// Nested tree of public categories. material_count/video_count cover the
+// category itself; total_* include every descendant.
+const getCategoryTree = async () => {
+  const categories = await loadCategories();
+  const [materialCounts] = await pool.execute(
+    `SELECT category_id, COUNT(*) as count FROM materials WHERE ${isPublic()} GROUP BY category_id`
+  );
+  const [videoCounts] = await pool.execute(
+    `SELECT category_id, COUNT(*) as count FROM videos WHERE ${isPublic()} GROUP BY category_id`
+  );
+  const materials = new Map(materialCounts.map(row => [row.category_id, row.count]));
+  const videos = new Map(videoCounts.map(row => [row.category_id, row.count]));
+  const children = childrenByParent(categories);
+
+  const build = (category) => {
+    const nested = (children.get(category.id) || []).map(build);
+    const materialCount = materials.get(category.id) || 0;
+    const videoCount = videos.get(category.id) || 0;
+    return {
+      id: category.id,
+      parent_id: category.parent_id,
+      name: category.name,
+      description: category.description,
+      icon: category.icon,
+      color: category.color,
+      sort_order: category.sort_order,
+      material_count: materialCount,
+      video_count: videoCount,
+      total_material_count: nested.reduce((sum, child) => sum + child.total_material_count, materialCount),
+      total_video_count: nested.reduce((sum, child) => sum + child.total_video_count, videoCount),
+      children: nested
+    };
+  };
+
+  return (children.get(null) || []).map(build);
+};
+
+// Validate the hierarchy/display fields of a create or update. Fields left
+// undefined are not changed.
+const validateCategoryFields = async ({ id = null, parent_id: parentId, sort_order: sortOrder, icon, color }) => {
+  const fields = {};
+
+  if (parentId !== undefined) {
+    fields.parent_id = parentId === null || parentId === '' ? null : parseInt(parentId, 10);
+    if (Number.isNaN(fields.parent_id)) {
+      throw new ServiceError('parent_id must be a category id');
+    }
+
+    if (fields.parent_id !== null) {
+      const categories = await loadCategories();
+      if (!categories.some(category => category.id === fields.parent_id)) {
+        throw new ServiceError('Parent category not found');
+      }
+      // A category cannot sit under itself or anything below it
+      if (id && descendantIds(categories, id).includes(fields.parent_id)) {
+        throw new ServiceError('A category cannot be moved under itself or one of its subcategories', 409);
+      }
+    }
+  }
+
+  if (sortOrder !== undefined && sortOrder !== '') {
+    fields.sort_order = parseInt(sortOrder, 10);
+    if (Number.isNaN(fields.sort_order)) {
+      throw new ServiceError('sort_order must be a number');
+    }
+  }
+
+  if (icon !== undefined) {
+    fields.icon = icon ? String(icon).trim() : null;
+    if (fields.icon && fields.icon.length > MAX_ICON_LENGTH) {
+      throw new ServiceError(`icon must be at most ${MAX_ICON_LENGTH} characters`);
+    }
+  }
+
+  if (color !== undefined) {
+    fields.color = color ? String(color).trim() : null;
+    if (fields.color && !COLOR_PATTERN.test(fields.color)) {
+      throw new ServiceError('color must be a hex color like #e91e63');
+    }
+  }
+
+  return fields;
+};
+
+module.exports = {
+  loadCategories,
+  descendantIds,
+  categoryFilterIds,
+  breadcrumbsFor,
+  getBreadcrumbs,
+  flattenTree,
+  getCategoryTree,
+  validateCategoryFields
+};
@@ -0,0 +1,15 @@
+const { EventEmitter } = require('events');
+
+// In-process notifications about admin content changes. Emitted once per
+// successful mutating admin request with { entityType, entityId, action },
+// so derived data (search vocabulary, caches, ...) can refresh itself
+// without every handler knowing about every consumer. Publishing (workflow
+// or scheduler) additionally emits action "publish", with notify: false
+// when the editor opted out of push notifications.
+const contentEvents = new EventEmitter();
+
+const emitContentChange = (change) => {
+  contentEvents.emit('change', change);
+};
+
+module.exports = { contentEvents, emitContentChange };
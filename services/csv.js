@@ -0,0 +1,77 @@
+// Minimal RFC 4180 reader for admin imports: comma separated, fields
+// optionally wrapped in double quotes ("" escapes a quote, quoted fields may
+// span lines). A leading BOM and blank lines are dropped.
+
+// [{ line, cells }] where line is the 1-based line the row starts on
+const parseRows = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let cells = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(field);
+    if (cells.some(cell => cell.trim() !== '')) {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (char === '\n') line++;
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+        line++;
+      } else if (char === '\r') {
+        line++;
+      }
+      endRow();
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || cells.length > 0) {
+    endRow();
+  }
+  return rows;
+};
+
+// Rows after the header as objects keyed by the trimmed, lower-cased column
+// names, plus the line number for error messages
+const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseRows(text);
+  if (!header) return [];
+  const columns = header.cells.map(name => name.trim().toLowerCase());
+
+  return rows.map(({ line, cells }) => {
+    const record = { line };
+    columns.forEach((column, position) => {
+      record[column] = (cells[position] || '').trim();
+    });
+    return record;
+  });
+};
+
+module.exports = { parseCsvRecords };
@@ -0,0 +1,32 @@
+// Thrown by services for expected failures (bad input, wrong state) that
+// routes should report to the client with the given HTTP status.
+class ServiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+  }
+}
+
+// Route catch blocks: a ServiceError goes to the client with its status,
+// anything else is logged and answered with a 500. Admin routes answer
+// { error: message }, where message is the full text ("Failed to fetch
+// quizzes"); app-facing routes answer { success: false, error } and take
+// the action only ("Fetch facilities").
+const handleAdminError = (res, error, message) => {
+  if (error instanceof ServiceError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+};
+
+const handleApiError = (res, error, message) => {
+  if (error instanceof ServiceError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`${message} error:`, error);
+  res.status(500).json({ success: false, error: `Failed to ${message.toLowerCase()}` });
+};
+
+module.exports = { ServiceError, handleAdminError, handleApiError };
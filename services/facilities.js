@@ -0,0 +1,430 @@
+const { pool } = require('../config/database');
+const { ServiceError } = require('./errors');
+const { parsePage, parseListQuery, fetchList, pickFields } = require('./list-query');
+const { parseCsvRecords } = require('./csv');
+
+// Screening and health facility directory. Admins maintain it by hand or by
+// CSV import; the public search orders active facilities by great-circle
+// distance from the user.
+
+const SERVICES = ['clinical_exam', 'usg', 'mammography', 'biopsy'];
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = 111.045;
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+const MAX_IMPORT_ROWS = 5000;
+
+// Columns of the import file; services are separated by ";" or "|"
+const CSV_COLUMNS = [
+  'code', 'name', 'address', 'province', 'city', 'latitude', 'longitude',
+  'services', 'opening_hours', 'phone', 'email', 'website', 'is_active'
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// List options of the admin list (see services/list-query)
+const FACILITY_LIST = {
+  sortable: {
+    id: 'f.id',
+    name: 'f.name',
+    province: 'f.province',
+    city: 'f.city',
+    created_at: 'f.created_at',
+    updated_at: 'f.updated_at'
+  },
+  defaultSort: 'province,city,name',
+  dates: { created: 'f.created_at', updated: 'f.updated_at' },
+  fields: [
+    'id', 'code', 'name', 'address', 'province', 'city', 'latitude', 'longitude', 'services', 'opening_hours',
+    'phone', 'email', 'website', 'is_active', 'created_by', 'updated_by', 'created_at', 'updated_at'
+  ],
+  optional: true,
+  defaultLimit: 20,
+  maxLimit: 100
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const parseText = (value, name, { max = null, optional = false } = {}) => {
+  const text = isBlank(value) ? '' : String(value).trim();
+  if (!text && !optional) {
+    throw new ServiceError(`${name} is required`);
+  }
+  if (max && text.length > max) {
+    throw new ServiceError(`${name} must be at most ${max} characters`);
+  }
+  return text || null;
+};
+
+const parseCoordinate = (value, name, limit) => {
+  if (isBlank(value)) {
+    throw new ServiceError(`${name} is required`);
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || Math.abs(number) > limit) {
+    throw new ServiceError(`${name} must be a number between -${limit} and ${limit}`);
+  }
+  return number;
+};
+
+const parseServices = (value) => {
+  const list = Array.isArray(value)
+    ? value
+    : (isBlank(value) ? [] : String(value).split(/[;|,]/));
+  const services = [...new Set(list.map(service => String(service).trim().toLowerCase()).filter(Boolean))];
+  const unknown = services.find(service => !SERVICES.includes(service));
+  if (unknown) {
+    throw new ServiceError(`Unknown service "${unknown}" (use ${SERVICES.join(', ')})`);
+  }
+  return services;
+};
+
+const parseBoolean = (value, fallback) => {
+  if (isBlank(value)) return fallback;
+  if (typeof value === 'boolean') return value;
+  return ['1', 'true', 'yes', 'y'].includes(String(value).trim().toLowerCase());
+};
+
+const validateFacility = (body) => {
+  const email = parseText(body.email, 'email', { max: 255, optional: true });
+  if (email && !EMAIL_PATTERN.test(email)) {
+    throw new ServiceError('email is not a valid email address');
+  }
+  const website = parseText(body.website, 'website', { max: 500, optional: true });
+  if (website && !/^https?:\/\//i.test(website)) {
+    throw new ServiceError('website must start with http:// or https://');
+  }
+
+  return {
+    code: parseText(body.code, 'code', { max: 50, optional: true }),
+    name: parseText(body.name, 'name', { max: 255 }),
+    address: parseText(body.address, 'address'),
+    province: parseText(body.province, 'province', { max: 100 }),
+    city: parseText(body.city, 'city', { max: 100 }),
+    latitude: parseCoordinate(body.latitude, 'latitude', 90),
+    longitude: parseCoordinate(body.longitude, 'longitude', 180),
+    opening_hours: parseText(body.opening_hours, 'opening_hours', { optional: true }),
+    phone: parseText(body.phone, 'phone', { max: 50, optional: true }),
+    email,
+    website,
+    is_active: parseBoolean(body.is_active, true),
+    services: parseServices(body.services)
+  };
+};
+
+const FACILITY_COLUMNS = [
+  'code', 'name', 'address', 'province', 'city', 'latitude', 'longitude',
+  'opening_hours', 'phone', 'email', 'website', 'is_active'
+];
+
+const withTransaction = async (fn) => {
+  const db = await pool.getConnection();
+  try {
+    await db.beginTransaction();
+    const result = await fn(db);
+    await db.commit();
+    return result;
+  } catch (error) {
+    await db.rollback();
+    throw error;
+  } finally {
+    db.release();
+  }
+};
+
+const saveServices = async (db, facilityId, services) => {
+  await db.execute('DELETE FROM facility_services WHERE facility_id = ?', [facilityId]);
+  if (services.length > 0) {
+    await db.query(
+      'INSERT INTO facility_services (facility_id, service) VALUES ?',
+      [services.map(service => [facilityId, service])]
+    );
+  }
+};
+
+const insertFacility = async (db, facility, author) => {
+  const [result] = await db.execute(
+    `INSERT INTO facilities (${FACILITY_COLUMNS.join(', ')}, created_by, updated_by)
+     VALUES (${FACILITY_COLUMNS.map(() => '?').join(', ')}, ?, ?)`,
+    [...FACILITY_COLUMNS.map(column => facility[column]), author, author]
+  );
+  await saveServices(db, result.insertId, facility.services);
+  return result.insertId;
+};
+
+const writeFacility = async (db, id, facility, author) => {
+  await db.execute(
+    `UPDATE facilities SET ${FACILITY_COLUMNS.map(column => `${column} = ?`).join(', ')}, updated_by = ? WHERE id = ?`,
+    [...FACILITY_COLUMNS.map(column => facility[column]), author, id]
+  );
+  await saveServices(db, id, facility.services);
+};
+
+// Adds the services array; DECIMAL coordinates come back as numbers
+const attachServices = async (rows) => {
+  if (rows.length === 0) return rows;
+  const [services] = await pool.query(
+    'SELECT facility_id, service FROM facility_services WHERE facility_id IN (?) ORDER BY service',
+    [rows.map(row => row.id)]
+  );
+  return rows.map(row => ({
+    ...row,
+    latitude: Number(row.latitude),
+    longitude: Number(row.longitude),
+    is_active: Boolean(row.is_active),
+    services: services.filter(service => service.facility_id === row.id).map(service => service.service)
+  }));
+};
+
+// Condition that a facility offers every listed service
+const servicesCondition = (services, alias = 'f') => ({
+  sql: services.map(() => `EXISTS (SELECT 1 FROM facility_services fs WHERE fs.facility_id = ${alias}.id AND fs.service = ?)`),
+  params: services
+});
+
+// Admin list (q matches name, city or code) with the list options in
+// query. A bare array unless query asks for a page.
+const listFacilities = async (query = {}) => {
+  const { q, province, service } = query;
+  const conditions = [];
+  const params = [];
+  if (q) {
+    conditions.push('(f.name LIKE ? OR f.city LIKE ? OR f.code = ?)');
+    params.push(`%${q}%`, `%${q}%`, q);
+  }
+  if (province) {
+    conditions.push('f.province = ?');
+    params.push(province);
+  }
+  if (service) {
+    const filter = servicesCondition(parseServices(service));
+    conditions.push(...filter.sql);
+    params.push(...filter.params);
+  }
+
+  const list = parseListQuery(query, FACILITY_LIST);
+  const { rows, pagination } = await fetchList({ select: 'f.*', from: 'facilities f', where: conditions, params }, list);
+  const data = pickFields(await attachServices(rows), list.fields);
+  return pagination ? { data, pagination } : data;
+};
+
+const loadFacility = async (id) => {
+  const [rows] = await pool.execute('SELECT * FROM facilities WHERE id = ?', [id]);
+  if (rows.length === 0) return null;
+  const [facility] = await attachServices(rows);
+  return facility;
+};
+
+const getFacility = async (id) => {
+  const facility = await loadFacility(id);
+  if (!facility) {
+    throw new ServiceError('Facility not found', 404);
+  }
+  return facility;
+};
+
+const assertCodeFree = async (code, exceptId = null) => {
+  if (!code) return;
+  const [rows] = await pool.execute('SELECT id FROM facilities WHERE code = ?', [code]);
+  if (rows.length > 0 && rows[0].id !== Number(exceptId)) {
+    throw new ServiceError(`Another facility already uses code "${code}"`, 409);
+  }
+};
+
+const createFacility = async (req, body) => {
+  const facility = validateFacility(body);
+  await assertCodeFree(facility.code);
+  const id = await withTransaction(db => insertFacility(db, facility, req.user ? req.user.email : null));
+  return getFacility(id);
+};
+
+const updateFacility = async (req, id, body) => {
+  await getFacility(id);
+  const facility = validateFacility(body);
+  await assertCodeFree(facility.code, id);
+  await withTransaction(db => writeFacility(db, id, facility, req.user ? req.user.email : null));
+  return getFacility(id);
+};
+
+const deleteFacility = async (id) => {
+  const [result] = await pool.execute('DELETE FROM facilities WHERE id = ?', [id]);
+  if (result.affectedRows === 0) {
+    throw new ServiceError('Facility not found', 404);
+  }
+};
+
+// Import a CSV file (see CSV_COLUMNS). Rows whose code matches an existing
+// facility update it, the rest are added. The file is applied all or
+// nothing: with any invalid row nothing is written and errors lists every
+// problem by line. dryRun only validates. created/updated count what the
+// file does (or would do); applied says whether it was written.
+const importFacilities = async (req, text, { dryRun = false } = {}) => {
+  const records = parseCsvRecords(text);
+  if (records.length === 0) {
+    throw new ServiceError('The file has no rows after the header');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new ServiceError(`At most ${MAX_IMPORT_ROWS} rows per import`);
+  }
+  const missing = ['name', 'address', 'province', 'city', 'latitude', 'longitude']
+    .filter(column => !(column in records[0]));
+  if (missing.length > 0) {
+    throw new ServiceError(`Missing columns: ${missing.join(', ')}`);
+  }
+
+  const errors = [];
+  const facilities = [];
+  const seenCodes = new Map();
+  for (const record of records) {
+    try {
+      const facility = validateFacility(record);
+      if (facility.code && seenCodes.has(facility.code)) {
+        throw new ServiceError(`code "${facility.code}" already used on line ${seenCodes.get(facility.code)}`);
+      }
+      if (facility.code) seenCodes.set(facility.code, record.line);
+      facilities.push(facility);
+    } catch (error) {
+      if (!(error instanceof ServiceError)) throw error;
+      errors.push({ line: record.line, error: error.message });
+    }
+  }
+
+  const codes = [...seenCodes.keys()];
+  const [existing] = codes.length > 0
+    ? await pool.query('SELECT id, code FROM facilities WHERE code IN (?)', [codes])
+    : [[]];
+  const idsByCode = new Map(existing.map(row => [row.code, row.id]));
+  const summary = {
+    rows: records.length,
+    created: facilities.filter(facility => !idsByCode.has(facility.code)).length,
+    updated: facilities.filter(facility => idsByCode.has(facility.code)).length,
+    errors,
+    applied: false
+  };
+
+  if (errors.length > 0 || dryRun) {
+    return summary;
+  }
+
+  const author = req.user ? req.user.email : null;
+  await withTransaction(async (db) => {
+    for (const facility of facilities) {
+      if (idsByCode.has(facility.code)) {
+        await writeFacility(db, idsByCode.get(facility.code), facility, author);
+      } else {
+        await insertFacility(db, facility, author);
+      }
+    }
+  });
+  return { ...summary, applied: true };
+};
+
+const parseSearchNumber = (value, name, limit) => {
+  if (isBlank(value)) return null;
+  return parseCoordinate(value, name, limit);
+};
+
+// Active facilities for the public API. With lat/lng: within radius km,
+// nearest first, each with distance_km. Without: by province, city and name.
+// Pages with page and limit; returns { items, radius, pagination }.
+// A bounding box on the indexed coordinates narrows the rows before the
+// haversine distance is computed.
+const searchFacilities = async (query = {}) => {
+  const lat = parseSearchNumber(query.lat, 'lat', 90);
+  const lng = parseSearchNumber(query.lng, 'lng', 180);
+  if ((lat === null) !== (lng === null)) {
+    throw new ServiceError('lat and lng must be given together');
+  }
+  let radius = DEFAULT_RADIUS_KM;
+  if (!isBlank(query.radius)) {
+    radius = Number(query.radius);
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+      throw new ServiceError(`radius must be between 0 and ${MAX_RADIUS_KM} km`);
+    }
+  }
+  const { page, limit, offset } = parsePage(query, { defaultLimit: 20, maxLimit: 50 });
+  const pagination = (total) => ({ total, page, limit, pages: Math.ceil(total / limit) });
+
+  const conditions = ['f.is_active = TRUE'];
+  const params = [];
+  const filter = servicesCondition(parseServices(query.service));
+  conditions.push(...filter.sql);
+  params.push(...filter.params);
+  for (const column of ['province', 'city']) {
+    if (query[column]) {
+      conditions.push(`f.${column} = ?`);
+      params.push(String(query[column]));
+    }
+  }
+
+  if (lat === null) {
+    const where = conditions.join(' AND ');
+    const [rows] = await pool.execute(
+      `SELECT f.* FROM facilities f WHERE ${where} ORDER BY f.province, f.city, f.name LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const [count] = await pool.execute(`SELECT COUNT(*) as total FROM facilities f WHERE ${where}`, params);
+    return { items: await attachServices(rows), radius: null, pagination: pagination(count[0].total) };
+  }
+
+  const latDelta = radius / KM_PER_DEGREE;
+  const lngDelta = radius / (KM_PER_DEGREE * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+  conditions.push('f.latitude BETWEEN ? AND ?', 'f.longitude BETWEEN ? AND ?');
+  params.push(lat - latDelta, lat + latDelta, lng - lngDelta, lng + lngDelta);
+
+  const distance = `${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+      POWER(SIN(RADIANS(f.latitude - ?) / 2), 2)
+      + COS(RADIANS(?)) * COS(RADIANS(f.latitude)) * POWER(SIN(RADIANS(f.longitude - ?) / 2), 2)
+    ))`;
+  const nearby = `
+    SELECT f.*, ${distance} as distance_km
+    FROM facilities f
+    WHERE ${conditions.join(' AND ')}
+  `;
+  const nearbyParams = [lat, lat, lng, ...params];
+
+  const [rows] = await pool.execute(
+    `SELECT * FROM (${nearby}) nearby WHERE distance_km <= ? ORDER BY distance_km, name LIMIT ? OFFSET ?`,
+    [...nearbyParams, radius, limit, offset]
+  );
+  const [count] = await pool.execute(
+    `SELECT COUNT(*) as total FROM (${nearby}) nearby WHERE distance_km <= ?`,
+    [...nearbyParams, radius]
+  );
+
+  const items = (await attachServices(rows)).map(row => ({
+    ...row,
+    distance_km: Math.round(Number(row.distance_km) * 10) / 10
+  }));
+  return { items, radius, pagination: pagination(count[0].total) };
+};
+
+// Fields the public API shows
+const toPublicFacility = (facility) => {
+  const { code, is_active: isActive, created_by: createdBy, updated_by: updatedBy, ...rest } = facility;
+  return rest;
+};
+
+const getPublicFacility = async (id) => {
+  const facility = await loadFacility(id);
+  if (!facility || !facility.is_active) {
+    throw new ServiceError('Facility not found', 404);
+  }
+  return toPublicFacility(facility);
+};
+
+module.exports = {
+  SERVICES,
+  CSV_COLUMNS,
+  listFacilities,
+  loadFacility,
+  getFacility,
+  createFacility,
+  updateFacility,
+  deleteFacility,
+  importFacilities,
+  searchFacilities,
+  toPublicFacility,
+  getPublicFacility
+};
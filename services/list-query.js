@@ -0,0 +1,246 @@
+const { pool } = require('../config/database');
+const { ServiceError } = require('./errors');
+
+// Query string handling shared by list endpoints:
+//
+//   limit, page          page-number pagination, validated against the
+//                        list's maximum
+//   cursor               pagination.next_cursor of the previous response,
+//                        instead of page; stable while rows are added
+//   sort                 comma separated fields, "-" for descending, e.g.
+//                        sort=-created_at,title
+//   fields               sparse fieldsets, e.g. fields=id,title (id is
+//                        always included)
+//   <date>_from, _to     date ranges, e.g. created_from=2024-01-01; a bare
+//                        date in _to includes that whole day
+//
+// What each list allows is described by a spec:
+//
+//   sortable      field -> SQL expression; must include id, and every
+//                 expression must be NOT NULL since cursors compare them
+//   defaultSort   sort used when none is given
+//   dates         range name -> SQL column
+//   fields        fields that may be selected
+//   defaultLimit, maxLimit
+//   optional      pagination only when limit, page or cursor is given;
+//                 otherwise every row is returned (admin lists)
+//
+// Routes that only page or limit (search, bookmarks, ...) use parsePage and
+// parseLimit for the same validation. Admin categories are left out: they
+// come back as one tree, ordered by parent and sort_order.
+
+const CURSOR_VERSION = 1;
+const MAX_PAGE = 100000;
+const WHOLE_NUMBER = /^\d+$/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const parseWholeNumber = (value, name, max, fallback) => {
+  if (isBlank(value)) return fallback;
+  const text = String(value).trim();
+  const number = WHOLE_NUMBER.test(text) ? parseInt(text, 10) : NaN;
+  if (!(number >= 1 && number <= max)) {
+    throw new ServiceError(`${name} must be a whole number between 1 and ${max}`);
+  }
+  return number;
+};
+
+const parseLimit = (query, { defaultLimit = 10, maxLimit = 50 } = {}) => {
+  return parseWholeNumber(query.limit, 'limit', maxLimit, defaultLimit);
+};
+
+const parsePage = (query, options) => {
+  const limit = parseLimit(query, options);
+  const page = parseWholeNumber(query.page, 'page', MAX_PAGE, 1);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+const splitList = (value) => String(value).split(',').map(part => part.trim()).filter(Boolean);
+
+// [{ field, column, desc }], always ending with id so every row has a fixed
+// place in the order
+const parseSort = (value, spec) => {
+  const names = splitList(isBlank(value) ? spec.defaultSort : value);
+  const sort = names.map(name => {
+    const desc = name.startsWith('-');
+    const field = desc ? name.slice(1) : name;
+    if (!Object.prototype.hasOwnProperty.call(spec.sortable, field)) {
+      throw new ServiceError(`sort must list fields from: ${Object.keys(spec.sortable).join(', ')} (prefix - for descending)`);
+    }
+    return { field, column: spec.sortable[field], desc };
+  });
+  if (sort.length === 0 || new Set(sort.map(key => key.field)).size !== sort.length) {
+    throw new ServiceError('sort must list each field once');
+  }
+
+  const idIndex = sort.findIndex(key => key.field === 'id');
+  if (idIndex === -1) {
+    sort.push({ field: 'id', column: spec.sortable.id, desc: sort[0].desc });
+  }
+  // Keys after id can never decide the order
+  return idIndex === -1 ? sort : sort.slice(0, idIndex + 1);
+};
+
+const sortParam = (sort) => sort.map(key => `${key.desc ? '-' : ''}${key.field}`).join(',');
+
+const parseFields = (value, spec) => {
+  if (isBlank(value)) return null;
+  const fields = [...new Set(splitList(value))];
+  const unknown = fields.filter(field => !spec.fields.includes(field));
+  if (unknown.length > 0) {
+    throw new ServiceError(`Unknown fields: ${unknown.join(', ')}. Available: ${spec.fields.join(', ')}`);
+  }
+  return fields.includes('id') ? fields : ['id', ...fields];
+};
+
+// Bare dates are passed through as strings so MySQL reads them in its own
+// time zone, like the stored timestamps
+const parseDate = (value, name) => {
+  const text = String(value).trim();
+  const time = Date.parse(text);
+  // Date.parse rolls 2024-02-30 over into March
+  if (isNaN(time) || (DATE_ONLY.test(text) && new Date(time).toISOString().slice(0, 10) !== text)) {
+    throw new ServiceError(`${name} must be a date (YYYY-MM-DD) or an ISO 8601 time`);
+  }
+  return DATE_ONLY.test(text) ? { value: text, dateOnly: true } : { value: new Date(time), dateOnly: false };
+};
+
+const dateConditions = (query, spec) => {
+  const where = [];
+  const params = [];
+  Object.entries(spec.dates || {}).forEach(([name, column]) => {
+    const from = query[`${name}_from`];
+    const to = query[`${name}_to`];
+    if (!isBlank(from)) {
+      where.push(`${column} >= ?`);
+      params.push(parseDate(from, `${name}_from`).value);
+    }
+    if (!isBlank(to)) {
+      const date = parseDate(to, `${name}_to`);
+      where.push(date.dateOnly ? `${column} < DATE_ADD(?, INTERVAL 1 DAY)` : `${column} <= ?`);
+      params.push(date.value);
+    }
+  });
+  return { where, params };
+};
+
+// A cursor holds the sort it was issued for and the sort values of the last
+// row served; dates are tagged so they go back to MySQL as dates
+const encodeCursor = (sort, row) => Buffer
+  .from(JSON.stringify({
+    v: CURSOR_VERSION,
+    s: sortParam(sort),
+    k: sort.map(key => (row[key.field] instanceof Date ? { d: row[key.field].toISOString() } : row[key.field]))
+  }))
+  .toString('base64url');
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (cursor.v === CURSOR_VERSION && typeof cursor.s === 'string' && Array.isArray(cursor.k)) {
+      const values = cursor.k.map(item => (item && typeof item === 'object' ? new Date(item.d) : item));
+      if (!values.some(item => item instanceof Date && isNaN(item))) {
+        return { sort: cursor.s, values };
+      }
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new ServiceError('Invalid cursor, start again without one');
+};
+
+// Rows strictly after the cursor in sort order:
+// (a > ?) OR (a = ? AND b < ?) OR (a = ? AND b = ? AND id > ?) ...
+const afterCursor = (sort, values) => {
+  const clauses = [];
+  const params = [];
+  sort.forEach((key, index) => {
+    const equal = sort.slice(0, index).map(previous => `${previous.column} = ?`);
+    clauses.push(`(${[...equal, `${key.column} ${key.desc ? '<' : '>'} ?`].join(' AND ')})`);
+    params.push(...values.slice(0, index), values[index]);
+  });
+  return { sql: `(${clauses.join(' OR ')})`, params };
+};
+
+// Validate the list options of a request against the list's spec. Throws
+// ServiceError (400) for anything the list does not allow.
+const parseListQuery = (query, spec) => {
+  if (!isBlank(query.cursor) && !isBlank(query.page)) {
+    throw new ServiceError('Send either cursor or page, not both');
+  }
+  const cursor = isBlank(query.cursor) ? null : decodeCursor(query.cursor);
+
+  const sort = parseSort(cursor && isBlank(query.sort) ? cursor.sort : query.sort, spec);
+  if (cursor && (sortParam(sort) !== cursor.sort || cursor.values.length !== sort.length)) {
+    throw new ServiceError(`This cursor is for sort=${cursor.sort}; leave sort out or start again without a cursor`);
+  }
+
+  const paginated = !spec.optional || ['limit', 'page', 'cursor'].some(name => !isBlank(query[name]));
+  const { page, limit, offset } = paginated ? parsePage(query, spec) : { page: null, limit: null, offset: 0 };
+
+  return {
+    sort,
+    fields: parseFields(query.fields, spec),
+    ...dateConditions(query, spec),
+    after: cursor ? afterCursor(sort, cursor.values) : null,
+    page: cursor ? null : page,
+    limit,
+    offset: cursor ? 0 : offset
+  };
+};
+
+const whereClause = (conditions) => (conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '');
+
+// Run a parsed list over { select, from, where: [conditions], params }.
+// Returns the rows (as selected, before any presenting) and pagination:
+// { total, page, limit, pages, next_cursor } with page numbers,
+// { total, limit, next_cursor } with a cursor, null for an unpaginated
+// optional list. total covers the whole filtered list either way.
+const fetchList = async ({ select, from, where = [], params = [] }, list) => {
+  const conditions = [...where, ...list.where];
+  const conditionParams = [...params, ...list.params];
+  const rowConditions = list.after ? [...conditions, list.after.sql] : conditions;
+  const rowParams = list.after ? [...conditionParams, ...list.after.params] : conditionParams;
+  const orderBy = list.sort.map(key => `${key.column} ${key.desc ? 'DESC' : 'ASC'}`).join(', ');
+  const query = `SELECT ${select} FROM ${from} ${whereClause(rowConditions)} ORDER BY ${orderBy}`;
+
+  if (list.limit === null) {
+    const [rows] = await pool.execute(query, rowParams);
+    return { rows, pagination: null };
+  }
+
+  // One extra row tells whether there is a next page
+  const [fetched] = await pool.execute(`${query} LIMIT ? OFFSET ?`, [...rowParams, list.limit + 1, list.offset]);
+  const [[{ total }]] = await pool.execute(
+    `SELECT COUNT(*) as total FROM ${from} ${whereClause(conditions)}`,
+    conditionParams
+  );
+
+  const rows = fetched.slice(0, list.limit);
+  const nextCursor = fetched.length > list.limit ? encodeCursor(list.sort, rows[rows.length - 1]) : null;
+  const pagination = list.page === null
+    ? { total, limit: list.limit, next_cursor: nextCursor }
+    : { total, page: list.page, limit: list.limit, pages: Math.ceil(total / list.limit), next_cursor: nextCursor };
+  return { rows, pagination };
+};
+
+// Apply a sparse fieldset to presented rows
+const pickFields = (rows, fields) => {
+  if (!fields) return rows;
+  return rows.map(row => {
+    const picked = {};
+    fields.forEach(field => {
+      if (field in row) picked[field] = row[field];
+    });
+    return picked;
+  });
+};
+
+module.exports = {
+  parseLimit,
+  parsePage,
+  parseListQuery,
+  fetchList,
+  pickFields
+};
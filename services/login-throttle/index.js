@@ -0,0 +1,134 @@
+const { createMemoryStore } = require('./memory');
+const { createMysqlStore } = require('./mysql');
+
+// Brute-force protection for admin login. Failures are counted per account
+// (email) and per client IP. Past a soft threshold every further attempt must
+// wait an exponentially growing delay; past a hard threshold the key is
+// locked out. LOGIN_THROTTLE_STORE picks the counter store (mysql or memory).
+//
+// A store implements:
+//   increment(key, windowSeconds) -> failure count in the current window
+//   get(key)                      -> { failures, nextAttemptAt, lockedUntil } | null
+//   block(key, { nextAttemptAt, lockedUntil })
+//   reset(key)                    -> true if something was cleared
+//   listLocked()                  -> entries whose lockedUntil is in the future
+
+const POLICIES = {
+  account: { delayAfter: 3, lockAfter: 5 },
+  ip: { delayAfter: 10, lockAfter: 20 }
+};
+
+const WINDOW_SECONDS = 15 * 60;
+const LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10) * 60;
+const MAX_DELAY_SECONDS = 60;
+
+const stores = {
+  memory: createMemoryStore,
+  mysql: createMysqlStore
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    const name = process.env.LOGIN_THROTTLE_STORE || 'mysql';
+    if (!stores[name]) {
+      throw new Error(`Unknown LOGIN_THROTTLE_STORE "${name}". Use one of: ${Object.keys(stores).join(', ')}`);
+    }
+    store = stores[name]();
+  }
+  return store;
+};
+
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+const keysFor = ({ email, ip }) => {
+  const keys = [];
+  if (email) keys.push({ type: 'account', key: `account:${String(email).trim().toLowerCase()}` });
+  if (ip) keys.push({ type: 'ip', key: `ip:${ip}` });
+  return keys;
+};
+
+// Returns { allowed: true } or { allowed: false, locked, retryAfter } where
+// retryAfter is in seconds.
+const checkLogin = async ({ email, ip }) => {
+  const now = Date.now();
+  let retryAfter = 0;
+  let locked = false;
+
+  for (const { key } of keysFor({ email, ip })) {
+    const entry = await getStore().get(key);
+    if (!entry) continue;
+
+    const lockedUntil = entry.lockedUntil ? new Date(entry.lockedUntil).getTime() : 0;
+    const nextAttemptAt = entry.nextAttemptAt ? new Date(entry.nextAttemptAt).getTime() : 0;
+
+    if (lockedUntil > now) {
+      locked = true;
+      retryAfter = Math.max(retryAfter, Math.ceil((lockedUntil - now) / 1000));
+    } else if (nextAttemptAt > now) {
+      retryAfter = Math.max(retryAfter, Math.ceil((nextAttemptAt - now) / 1000));
+    }
+  }
+
+  return retryAfter > 0 ? { allowed: false, locked, retryAfter } : { allowed: true };
+};
+
+const recordFailure = async ({ email, ip }) => {
+  const now = Date.now();
+
+  for (const { type, key } of keysFor({ email, ip })) {
+    const policy = POLICIES[type];
+    const failures = await getStore().increment(key, WINDOW_SECONDS);
+
+    if (failures >= policy.lockAfter) {
+      await getStore().block(key, { lockedUntil: new Date(now + LOCKOUT_SECONDS * 1000) });
+    } else if (failures >= policy.delayAfter) {
+      const delaySeconds = Math.min(2 ** (failures - policy.delayAfter), MAX_DELAY_SECONDS);
+      await getStore().block(key, { nextAttemptAt: new Date(now + delaySeconds * 1000) });
+    }
+  }
+};
+
+// A successful login clears the account counter. The IP counter is left to
+// expire so one valid account cannot be used to reset an attacker's IP.
+const recordSuccess = async ({ email }) => {
+  for (const { key } of keysFor({ email })) {
+    await getStore().reset(key);
+  }
+};
+
+const listLockouts = async () => {
+  const entries = await getStore().listLocked();
+  return entries.map(entry => {
+    const [type, ...rest] = entry.key.split(':');
+    return {
+      key: entry.key,
+      type,
+      identifier: rest.join(':'),
+      failures: entry.failures,
+      locked_until: entry.lockedUntil
+    };
+  });
+};
+
+const unlock = async (key) => getStore().reset(key);
+
+// Plain fixed-window limit for other endpoints open to abuse (password reset
+// requests, sign-ups), counted in the same store under the caller's key.
+// Every call counts. Returns { allowed: true } or { allowed: false, retryAfter }.
+const consumeRateLimit = async (key, { limit, windowSeconds }) => {
+  const count = await getStore().increment(key, windowSeconds);
+  if (count <= limit) {
+    return { allowed: true };
+  }
+
+  const entry = await getStore().get(key);
+  const windowStartedAt = entry && entry.windowStartedAt ? new Date(entry.windowStartedAt).getTime() : Date.now();
+  const retryAfter = Math.ceil((windowStartedAt + windowSeconds * 1000 - Date.now()) / 1000);
+  return { allowed: false, retryAfter: Math.max(retryAfter, 1) };
+};
+
+module.exports = { checkLogin, recordFailure, recordSuccess, listLockouts, unlock, consumeRateLimit, setStore };
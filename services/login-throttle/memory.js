@@ -0,0 +1,48 @@
+// In-process attempt store. Fine for a single server or for tests; use the
+// MySQL store when several instances sit behind a load balancer.
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowSeconds) {
+      const now = Date.now();
+      const entry = entries.get(key);
+
+      if (!entry || entry.windowStartedAt.getTime() < now - windowSeconds * 1000) {
+        entries.set(key, { failures: 1, windowStartedAt: new Date(now), nextAttemptAt: null, lockedUntil: null });
+        return 1;
+      }
+
+      entry.failures += 1;
+      return entry.failures;
+    },
+
+    async get(key) {
+      const entry = entries.get(key);
+      return entry ? { key, ...entry } : null;
+    },
+
+    async block(key, { nextAttemptAt = null, lockedUntil = null }) {
+      const entry = entries.get(key);
+      if (entry) {
+        entry.nextAttemptAt = nextAttemptAt;
+        entry.lockedUntil = lockedUntil;
+      }
+    },
+
+    async reset(key) {
+      return entries.delete(key);
+    },
+
+    async listLocked() {
+      const now = Date.now();
+      return [...entries.entries()]
+        .filter(([, entry]) => entry.lockedUntil && entry.lockedUntil.getTime() > now)
+        .map(([key, entry]) => ({ key, ...entry }));
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
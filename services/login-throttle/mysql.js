@@ -0,0 +1,58 @@
+const { pool } = require('../../config/database');
+
+const toEntry = (row) => ({
+  key: row.attempt_key,
+  failures: row.failures,
+  windowStartedAt: row.window_started_at,
+  nextAttemptAt: row.next_attempt_at,
+  lockedUntil: row.locked_until
+});
+
+// Attempt store backed by the login_attempts table, shared by all instances.
+const createMysqlStore = () => {
+  return {
+    name: 'mysql',
+
+    // Atomic: starts a new window when the previous one has expired.
+    // MySQL evaluates the assignments left to right, so window_started_at
+    // sees the already-updated failures value.
+    async increment(key, windowSeconds) {
+      await pool.execute(
+        `INSERT INTO login_attempts (attempt_key, failures, window_started_at)
+         VALUES (?, 1, NOW())
+         ON DUPLICATE KEY UPDATE
+           failures = IF(window_started_at < DATE_SUB(NOW(), INTERVAL ? SECOND), 1, failures + 1),
+           window_started_at = IF(failures = 1, NOW(), window_started_at)`,
+        [key, windowSeconds]
+      );
+      const [rows] = await pool.execute('SELECT failures FROM login_attempts WHERE attempt_key = ?', [key]);
+      return rows[0].failures;
+    },
+
+    async get(key) {
+      const [rows] = await pool.execute('SELECT * FROM login_attempts WHERE attempt_key = ?', [key]);
+      return rows.length > 0 ? toEntry(rows[0]) : null;
+    },
+
+    async block(key, { nextAttemptAt = null, lockedUntil = null }) {
+      await pool.execute(
+        'UPDATE login_attempts SET next_attempt_at = ?, locked_until = ? WHERE attempt_key = ?',
+        [nextAttemptAt, lockedUntil, key]
+      );
+    },
+
+    async reset(key) {
+      const [result] = await pool.execute('DELETE FROM login_attempts WHERE attempt_key = ?', [key]);
+      return result.affectedRows > 0;
+    },
+
+    async listLocked() {
+      const [rows] = await pool.execute(
+        'SELECT * FROM login_attempts WHERE locked_until > NOW() ORDER BY locked_until DESC'
+      );
+      return rows.map(toEntry);
+    }
+  };
+};
+
+module.exports = { createMysqlStore };
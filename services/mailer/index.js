@@ -0,0 +1,64 @@
+const { createSmtpTransport } = require('./smtp');
+const { createFileTransport, createConsoleTransport } = require('./outbox');
+
+// Pluggable mailer. MAIL_DRIVER selects the transport (smtp, file or
+// console; default console). A transport is any object with an async
+// send({ to, from, subject, text, html }) method, so tests or other
+// providers can be swapped in with setTransport().
+//
+// The file and console transports keep whole messages, reset links
+// included, on disk or in the logs, so production refuses to start with
+// anything but smtp.
+
+const drivers = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+const PRODUCTION_DRIVERS = ['smtp'];
+
+let transport = null;
+
+const configuredDriver = () => {
+  const driver = process.env.MAIL_DRIVER || 'console';
+  if (!drivers[driver]) {
+    throw new Error(`Unknown MAIL_DRIVER "${driver}". Use one of: ${Object.keys(drivers).join(', ')}`);
+  }
+  if (process.env.NODE_ENV === 'production' && !PRODUCTION_DRIVERS.includes(driver)) {
+    throw new Error(`MAIL_DRIVER must be one of: ${PRODUCTION_DRIVERS.join(', ')} when NODE_ENV is production (got "${driver}")`);
+  }
+  if (driver === 'smtp' && !process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST must be set when MAIL_DRIVER is smtp');
+  }
+  return driver;
+};
+
+// Called at startup so a misconfigured mailer stops the server instead of
+// surfacing on the first reset request
+const assertMailConfigured = () => {
+  if (!transport) configuredDriver();
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = drivers[configuredDriver()]();
+  }
+  return transport;
+};
+
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@breastcancer.com',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = { sendMail, setTransport, assertMailConfigured };
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local development transports. "file" writes each message as JSON into
+// MAIL_OUTBOX_DIR (default: outbox/), "console" prints it to stdout.
+
+const createFileTransport = (dir = process.env.MAIL_OUTBOX_DIR || 'outbox') => {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+      const file = path.join(dir, `${id}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      return { id, file };
+    }
+  };
+};
+
+const createConsoleTransport = () => {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log('--- Outgoing mail ---');
+      console.log(`To: ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log(message.text);
+      console.log('---------------------');
+      return { id: `console-${Date.now()}` };
+    }
+  };
+};
+
+module.exports = { createFileTransport, createConsoleTransport };
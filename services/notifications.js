@@ -0,0 +1,464 @@
+const { pool } = require('../config/database');
+const { DEFAULT_LOCALE, LOCALES } = require('../config/locales');
+const { ServiceError } = require('./errors');
+const { isPublic } = require('./publishing');
+const { contentEvents } = require('./content-events');
+const { getBreadcrumbs, loadCategories } = require('./categories');
+const { localizeRow } = require('./translations');
+const { getSchedule } = require('./self-exams');
+const { parseListQuery, fetchList, pickFields } = require('./list-query');
+const { sendPush } = require('./push');
+
+// Push notifications: device registration, topic subscriptions and the
+// outbox (see migrations/021_push_notifications.js). Enqueueing fans a
+// message out to the matching devices right away; dispatchOutbox() (a
+// scheduler job) sends what is due through the provider in services/push
+// and retries failures with exponential backoff.
+
+const PLATFORMS = ['android', 'ios', 'web'];
+const TOPIC_PATTERN = /^(new_content|self_exam_reminders|category:\d+|lang:[a-z]{2})$/;
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 60;
+const DISPATCH_BATCH_SIZE = 100;
+const MAX_DISPATCH_PER_RUN = 1000;
+const MAX_TOPICS = 50;
+
+const TABLES = { material: 'materials', video: 'videos' };
+
+// List options of the admin outbox (see services/list-query). The outbox
+// only grows, so it is always paginated.
+const NOTIFICATION_LIST = {
+  sortable: { id: 'n.id', kind: 'n.kind', created_at: 'n.created_at' },
+  defaultSort: '-created_at',
+  dates: { created: 'n.created_at', send_after: 'n.send_after' },
+  fields: [
+    'id', 'kind', 'audience', 'messages', 'entity_type', 'entity_id', 'send_after', 'created_by', 'created_at',
+    'pending', 'sent', 'failed', 'cancelled'
+  ],
+  defaultLimit: 100,
+  maxLimit: 500
+};
+
+const CONTENT_TITLES = {
+  material: { id: 'Materi baru', en: 'New material' },
+  video: { id: 'Video baru', en: 'New video' }
+};
+
+const REMINDER_MESSAGES = {
+  id: { title: 'Waktunya SADARI', body: 'Sudah waktunya pemeriksaan payudara sendiri. Catat hasilnya di aplikasi.' },
+  en: { title: 'Time for your self-exam', body: 'Your breast self-exam is due. Log the result in the app.' }
+};
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const withTransaction = async (fn) => {
+  const db = await pool.getConnection();
+  try {
+    await db.beginTransaction();
+    const result = await fn(db);
+    await db.commit();
+    return result;
+  } catch (error) {
+    await db.rollback();
+    throw error;
+  } finally {
+    db.release();
+  }
+};
+
+// Devices
+
+// Registering a token again refreshes it; a token registered by another
+// account moves to this one (the app was signed into a different account)
+const registerDevice = async (userId, body) => {
+  const token = typeof body.token === 'string' ? body.token.trim() : '';
+  if (!token || token.length > 255) {
+    throw new ServiceError('token is required (at most 255 characters)');
+  }
+  if (!PLATFORMS.includes(body.platform)) {
+    throw new ServiceError(`platform must be one of: ${PLATFORMS.join(', ')}`);
+  }
+  const appVersion = body.app_version ? String(body.app_version).slice(0, 50) : null;
+
+  await pool.execute(
+    `INSERT INTO push_devices (user_id, token, platform, app_version) VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE user_id = VALUES(user_id), platform = VALUES(platform),
+       app_version = VALUES(app_version), disabled_at = NULL, last_seen_at = NOW()`,
+    [userId, token, body.platform, appVersion]
+  );
+  const [rows] = await pool.execute(
+    'SELECT id, platform, app_version, last_seen_at, created_at FROM push_devices WHERE token = ?',
+    [token]
+  );
+  return rows[0];
+};
+
+const listDevices = async (userId) => {
+  const [rows] = await pool.execute(
+    `SELECT id, platform, app_version, disabled_at, last_seen_at, created_at
+     FROM push_devices WHERE user_id = ? ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return rows;
+};
+
+const removeDevice = async (userId, id) => {
+  const [result] = await pool.execute('DELETE FROM push_devices WHERE id = ? AND user_id = ?', [id, userId]);
+  if (result.affectedRows === 0) {
+    throw new ServiceError('Device not found', 404);
+  }
+};
+
+// Topics
+
+// Everything a user can subscribe to, with labels for settings screens
+const availableTopics = async () => {
+  const categories = await loadCategories();
+  return [
+    { topic: 'new_content', label: 'All new materials and videos' },
+    { topic: 'self_exam_reminders', label: 'Self-exam reminders' },
+    ...LOCALES.map(locale => ({ topic: `lang:${locale}`, label: `New content available in "${locale}"` })),
+    ...categories.map(category => ({ topic: `category:${category.id}`, label: `New content in ${category.name}` }))
+  ];
+};
+
+const parseTopics = async (topics) => {
+  if (!Array.isArray(topics)) {
+    throw new ServiceError('topics must be an array');
+  }
+  if (topics.length > MAX_TOPICS) {
+    throw new ServiceError(`At most ${MAX_TOPICS} topics`);
+  }
+  const unique = [...new Set(topics.map(topic => String(topic).trim()))];
+  const known = new Set((await availableTopics()).map(item => item.topic));
+  const unknown = unique.find(topic => !TOPIC_PATTERN.test(topic) || !known.has(topic));
+  if (unknown) {
+    throw new ServiceError(`Unknown topic "${unknown}"`);
+  }
+  return unique;
+};
+
+const listSubscriptions = async (userId) => {
+  const [rows] = await pool.execute(
+    'SELECT topic FROM push_subscriptions WHERE user_id = ? ORDER BY topic',
+    [userId]
+  );
+  return rows.map(row => row.topic);
+};
+
+// Replaces the user's subscriptions with the given topics
+const setSubscriptions = async (userId, topics) => {
+  const parsed = await parseTopics(topics);
+  await withTransaction(async (db) => {
+    await db.execute('DELETE FROM push_subscriptions WHERE user_id = ?', [userId]);
+    if (parsed.length > 0) {
+      await db.query(
+        'INSERT INTO push_subscriptions (user_id, topic) VALUES ?',
+        [parsed.map(topic => [userId, topic])]
+      );
+    }
+  });
+  return listSubscriptions(userId);
+};
+
+// Outbox
+
+// Queue a message for the devices of users subscribed to any of topics, or
+// of the given userIds. messages: { [locale]: { title, body } } and must
+// include the default locale. Returns null when dedupeKey was queued before.
+const enqueueNotification = async ({
+  kind, topics = [], userIds = [], messages, data = null,
+  entityType = null, entityId = null, dedupeKey = null, sendAfter = null, createdBy = null
+}) => {
+  if (!messages || !messages[DEFAULT_LOCALE]) {
+    throw new Error(`Notification messages need the default locale "${DEFAULT_LOCALE}"`);
+  }
+  const audience = topics.length > 0 ? topics.join(', ') : `users: ${userIds.join(', ')}`;
+
+  return withTransaction(async (db) => {
+    const [result] = await db.execute(
+      `INSERT IGNORE INTO push_notifications
+         (kind, audience, messages, data, entity_type, entity_id, dedupe_key, send_after, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        kind, audience.slice(0, 255), JSON.stringify(messages), data ? JSON.stringify(data) : null,
+        entityType, entityId, dedupeKey, sendAfter, createdBy
+      ]
+    );
+    if (result.affectedRows === 0) return null;
+
+    const notificationId = result.insertId;
+    const recipients = topics.length > 0
+      ? { sql: 'SELECT s.user_id FROM push_subscriptions s WHERE s.topic IN (?)', params: [topics] }
+      : { sql: '?', params: [userIds.length > 0 ? userIds : [0]] };
+    const [deliveries] = await db.query(
+      `INSERT INTO push_deliveries (notification_id, device_id, next_attempt_at)
+       SELECT ?, d.id, COALESCE(?, NOW())
+       FROM push_devices d
+       WHERE d.disabled_at IS NULL AND d.user_id IN (${recipients.sql})`,
+      [notificationId, sendAfter, ...recipients.params]
+    );
+    return { id: notificationId, deliveries: deliveries.affectedRows };
+  });
+};
+
+// Announce a published material or video to new_content, its category and
+// the category's ancestors, and the languages it can be read in. Each item
+// is announced once; with a future publish_at delivery waits until then.
+const enqueueContentPublished = async (entityType, id, { createdBy = null } = {}) => {
+  const table = TABLES[entityType];
+  const [rows] = await pool.execute(
+    `SELECT * FROM ${table} WHERE id = ? AND deleted_at IS NULL AND status = 'published'`,
+    [id]
+  );
+  if (rows.length === 0) return null;
+  const row = rows[0];
+
+  const messages = {};
+  const topics = ['new_content'];
+  for (const locale of LOCALES) {
+    const localized = await localizeRow(entityType, row, locale);
+    messages[locale] = { title: CONTENT_TITLES[entityType][locale] || CONTENT_TITLES[entityType][DEFAULT_LOCALE], body: localized.title };
+    if (localized.locale === locale) topics.push(`lang:${locale}`);
+  }
+  (await getBreadcrumbs(row.category_id)).forEach(category => topics.push(`category:${category.id}`));
+
+  const publishAt = row.publish_at ? new Date(row.publish_at) : null;
+  return enqueueNotification({
+    kind: 'content_published',
+    topics,
+    messages,
+    data: { type: entityType, id: row.id },
+    entityType,
+    entityId: row.id,
+    dedupeKey: `content_published:${entityType}:${row.id}`,
+    sendAfter: publishAt && publishAt > new Date() ? publishAt : null,
+    createdBy
+  });
+};
+
+// Published content (workflow or scheduler) is announced unless the
+// publisher opted out with notify: false
+contentEvents.on('change', ({ entityType, entityId, action, notify }) => {
+  if (action !== 'publish' || notify === false || !TABLES[entityType]) return;
+  enqueueContentPublished(entityType, entityId).catch(error => {
+    console.error(`Failed to enqueue notification for ${entityType} ${entityId}:`, error);
+  });
+});
+
+// Scheduler job: remind subscribed users whose self-exam is due, at most
+// once per calendar month
+const enqueueSelfExamReminders = async () => {
+  const [users] = await pool.execute(`
+    SELECT s.user_id FROM push_subscriptions s
+    JOIN self_exam_settings st ON st.user_id = s.user_id
+    WHERE s.topic = 'self_exam_reminders'
+  `);
+
+  let queued = 0;
+  for (const { user_id: userId } of users) {
+    const schedule = await getSchedule(userId);
+    if (schedule.status !== 'due') continue;
+
+    const result = await enqueueNotification({
+      kind: 'self_exam_reminder',
+      userIds: [userId],
+      messages: REMINDER_MESSAGES,
+      data: { type: 'self_exam' },
+      dedupeKey: `self_exam_reminder:${userId}:${schedule.next_exam_date.slice(0, 7)}`
+    });
+    if (result) queued++;
+  }
+  return queued;
+};
+
+// { public, publishAt }: publishAt is set while published content waits for
+// a publish_at that was moved later after the announcement was queued
+const contentAvailability = async (entityType, id) => {
+  const [rows] = await pool.execute(
+    `SELECT ${isPublic()} as is_public,
+       IF(deleted_at IS NULL AND status = 'published' AND publish_at > NOW(), publish_at, NULL) as publish_at
+     FROM ${TABLES[entityType]} WHERE id = ?`,
+    [id]
+  );
+  if (rows.length === 0) return { public: false, publishAt: null };
+  return { public: Boolean(rows[0].is_public), publishAt: rows[0].publish_at };
+};
+
+const finishDelivery = async (id, status, { error = null, providerId = null, retryInSeconds = null } = {}) => {
+  if (retryInSeconds !== null) {
+    await pool.execute(
+      `UPDATE push_deliveries SET attempts = attempts + 1, last_error = ?,
+         next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id = ?`,
+      [error, retryInSeconds, id]
+    );
+    return;
+  }
+  await pool.execute(
+    `UPDATE push_deliveries SET status = ?, attempts = attempts + ?, last_error = ?, provider_id = ?,
+       sent_at = IF(? = 'sent', NOW(), sent_at) WHERE id = ?`,
+    [status, status === 'cancelled' ? 0 : 1, error, providerId, status, id]
+  );
+};
+
+// Scheduler job: send due deliveries. Runs under the scheduler's named
+// lock, so a single instance works the outbox at a time.
+const dispatchOutbox = async () => {
+  const counts = { sent: 0, retried: 0, failed: 0, cancelled: 0, rescheduled: 0 };
+  let processed = 0;
+
+  while (processed < MAX_DISPATCH_PER_RUN) {
+    const [due] = await pool.execute(`
+      SELECT d.id, d.attempts, d.notification_id, dev.id as device_id, dev.token, dev.platform, dev.disabled_at,
+        u.locale, n.messages, n.data, n.entity_type, n.entity_id
+      FROM push_deliveries d
+      JOIN push_devices dev ON dev.id = d.device_id
+      JOIN users u ON u.id = dev.user_id
+      JOIN push_notifications n ON n.id = d.notification_id
+      WHERE d.status = 'pending' AND d.next_attempt_at <= NOW()
+      ORDER BY d.next_attempt_at, d.id
+      LIMIT ?
+    `, [DISPATCH_BATCH_SIZE]);
+    if (due.length === 0) break;
+
+    const availability = new Map();
+    for (const delivery of due) {
+      processed++;
+
+      if (delivery.disabled_at) {
+        await finishDelivery(delivery.id, 'cancelled', { error: 'Device disabled' });
+        counts.cancelled++;
+        continue;
+      }
+      if (delivery.entity_type) {
+        if (!availability.has(delivery.notification_id)) {
+          availability.set(delivery.notification_id, await contentAvailability(delivery.entity_type, delivery.entity_id));
+        }
+        const content = availability.get(delivery.notification_id);
+        // The announcement is queued once per item, so a delivery that
+        // arrives before a postponed publish_at waits for it
+        if (!content.public && content.publishAt) {
+          await pool.execute('UPDATE push_deliveries SET next_attempt_at = ? WHERE id = ?', [content.publishAt, delivery.id]);
+          counts.rescheduled++;
+          continue;
+        }
+        if (!content.public) {
+          await finishDelivery(delivery.id, 'cancelled', { error: 'Content is no longer public' });
+          counts.cancelled++;
+          continue;
+        }
+      }
+
+      const messages = parseJson(delivery.messages);
+      const message = messages[delivery.locale] || messages[DEFAULT_LOCALE];
+      try {
+        const result = await sendPush({
+          token: delivery.token,
+          platform: delivery.platform,
+          title: message.title,
+          body: message.body,
+          data: { ...(parseJson(delivery.data) || {}), notification_id: delivery.notification_id }
+        });
+        await finishDelivery(delivery.id, 'sent', { providerId: result && result.id ? String(result.id).slice(0, 255) : null });
+        counts.sent++;
+      } catch (error) {
+        const reason = String(error.message || error).slice(0, 500);
+        if (error.permanent) {
+          await pool.execute('UPDATE push_devices SET disabled_at = NOW() WHERE id = ?', [delivery.device_id]);
+          await finishDelivery(delivery.id, 'failed', { error: reason });
+          counts.failed++;
+        } else if (delivery.attempts + 1 >= MAX_ATTEMPTS) {
+          await finishDelivery(delivery.id, 'failed', { error: reason });
+          counts.failed++;
+        } else {
+          await finishDelivery(delivery.id, 'pending', { error: reason, retryInSeconds: RETRY_BASE_SECONDS * 2 ** delivery.attempts });
+          counts.retried++;
+        }
+      }
+    }
+  }
+  return counts;
+};
+
+// Admin
+
+// { data, pagination } with delivery counts by status
+const listNotifications = async (query = {}) => {
+  const list = parseListQuery(query, NOTIFICATION_LIST);
+  const deliveries = (status) => `(SELECT COUNT(*) FROM push_deliveries d WHERE d.notification_id = n.id AND d.status = '${status}') as ${status}`;
+  const { rows, pagination } = await fetchList({
+    select: `n.id, n.kind, n.audience, n.messages, n.entity_type, n.entity_id, n.send_after, n.created_by, n.created_at,
+      ${['pending', 'sent', 'failed', 'cancelled'].map(deliveries).join(', ')}`,
+    from: 'push_notifications n'
+  }, list);
+
+  const data = rows.map(row => ({
+    ...row,
+    messages: parseJson(row.messages),
+    pending: Number(row.pending),
+    sent: Number(row.sent),
+    failed: Number(row.failed),
+    cancelled: Number(row.cancelled)
+  }));
+  return { data: pickFields(data, list.fields), pagination };
+};
+
+// An announcement from the dashboard: { topics, title, body, messages }
+// where messages optionally adds other locales ({ en: { title, body } })
+const sendManualNotification = async (req, body) => {
+  const topics = await parseTopics(body.topics || []);
+  if (topics.length === 0) {
+    throw new ServiceError('Choose at least one topic');
+  }
+  const text = (value, name, max) => {
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    if (!trimmed || trimmed.length > max) {
+      throw new ServiceError(`${name} is required (at most ${max} characters)`);
+    }
+    return trimmed;
+  };
+
+  const messages = { [DEFAULT_LOCALE]: { title: text(body.title, 'title', 100), body: text(body.body, 'body', 500) } };
+  Object.entries(body.messages || {}).forEach(([locale, message]) => {
+    if (!LOCALES.includes(locale) || locale === DEFAULT_LOCALE || !message || !message.title) return;
+    messages[locale] = { title: text(message.title, `${locale} title`, 100), body: text(message.body, `${locale} body`, 500) };
+  });
+
+  return enqueueNotification({
+    kind: 'announcement',
+    topics,
+    messages,
+    data: { type: 'announcement' },
+    createdBy: req.user ? req.user.email : null
+  });
+};
+
+// Put failed deliveries of a notification back in the queue (devices whose
+// token was rejected stay disabled)
+const retryFailedDeliveries = async (notificationId) => {
+  const [result] = await pool.execute(`
+    UPDATE push_deliveries d
+    JOIN push_devices dev ON dev.id = d.device_id
+    SET d.status = 'pending', d.attempts = 0, d.next_attempt_at = NOW(), d.last_error = NULL
+    WHERE d.notification_id = ? AND d.status = 'failed' AND dev.disabled_at IS NULL
+  `, [notificationId]);
+  return result.affectedRows;
+};
+
+module.exports = {
+  PLATFORMS,
+  registerDevice,
+  listDevices,
+  removeDevice,
+  availableTopics,
+  listSubscriptions,
+  setSubscriptions,
+  enqueueNotification,
+  enqueueContentPublished,
+  enqueueSelfExamReminders,
+  dispatchOutbox,
+  listNotifications,
+  sendManualNotification,
+  retryFailedDeliveries
+};
@@ -0,0 +1,142 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { sendMail } = require('./mailer');
+const { ServiceError } = require('./errors');
+const { revokeAllSessions } = require('./sessions');
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ServiceError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+};
+
+// Set a new password, invalidate every outstanding reset token and end all
+// sessions (except keepSessionId, used when an admin changes their own).
+const setAdminPassword = async (adminId, newPassword, { keepSessionId = null } = {}) => {
+  validatePassword(newPassword);
+
+  const hashedPassword = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+  await pool.execute('UPDATE admins SET password = ? WHERE id = ?', [hashedPassword, adminId]);
+  await pool.execute(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE admin_id = ? AND used_at IS NULL',
+    [adminId]
+  );
+  await revokeAllSessions(adminId, { reason: 'password_changed', exceptSessionId: keepSessionId });
+};
+
+const buildResetUrl = (token) => {
+  const baseUrl = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+  return `${baseUrl}/admin?reset_token=${token}`;
+};
+
+// Create a single-use reset token for an active admin and mail it to them.
+// Resolves with null for unknown emails. The route runs this in the
+// background, so neither its timing nor a mail failure reaches the client.
+const requestPasswordReset = async (email, { ip = null } = {}) => {
+  const [rows] = await pool.execute(
+    'SELECT id, email, name FROM admins WHERE email = ? AND is_active = 1',
+    [email]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const admin = rows[0];
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await pool.execute(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE admin_id = ? AND used_at IS NULL',
+    [admin.id]
+  );
+  await pool.execute(
+    `INSERT INTO password_reset_tokens (admin_id, token_hash, expires_at, requested_ip)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), ?)`,
+    [admin.id, hashToken(token), RESET_TOKEN_TTL_MINUTES, ip]
+  );
+
+  const resetUrl = buildResetUrl(token);
+  await sendMail({
+    to: admin.email,
+    subject: 'Reset your admin password',
+    text: [
+      `Hi ${admin.name},`,
+      '',
+      'A password reset was requested for your BC Education admin account.',
+      `Open this link within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new password:`,
+      resetUrl,
+      '',
+      'If you did not request this, you can ignore this email.'
+    ].join('\n')
+  });
+
+  return { adminId: admin.id, expiresInMinutes: RESET_TOKEN_TTL_MINUTES };
+};
+
+const resetPasswordWithToken = async (token, newPassword) => {
+  if (!token) {
+    throw new ServiceError('Reset token is required');
+  }
+  validatePassword(newPassword);
+
+  const [rows] = await pool.execute(
+    `SELECT t.id, t.admin_id FROM password_reset_tokens t
+     JOIN admins a ON a.id = t.admin_id
+     WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > NOW() AND a.is_active = 1`,
+    [hashToken(token)]
+  );
+
+  if (rows.length === 0) {
+    throw new ServiceError('Reset token is invalid or has expired');
+  }
+
+  // Claim the token first so two concurrent requests cannot both use it
+  const [claim] = await pool.execute(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+    [rows[0].id]
+  );
+  if (claim.affectedRows === 0) {
+    throw new ServiceError('Reset token is invalid or has expired');
+  }
+
+  await setAdminPassword(rows[0].admin_id, newPassword);
+  return { adminId: rows[0].admin_id };
+};
+
+const changePassword = async (adminId, currentPassword, newPassword, { keepSessionId = null } = {}) => {
+  if (!currentPassword || !newPassword) {
+    throw new ServiceError('Current password and new password are required');
+  }
+
+  const [rows] = await pool.execute('SELECT password FROM admins WHERE id = ?', [adminId]);
+  if (rows.length === 0) {
+    throw new ServiceError('Admin not found', 404);
+  }
+
+  const isValidPassword = await bcrypt.compare(currentPassword, rows[0].password);
+  if (!isValidPassword) {
+    throw new ServiceError('Current password is incorrect', 401);
+  }
+
+  if (currentPassword === newPassword) {
+    throw new ServiceError('New password must be different from the current password');
+  }
+
+  await setAdminPassword(adminId, newPassword, { keepSessionId });
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  validatePassword,
+  setAdminPassword,
+  requestPasswordReset,
+  resetPasswordWithToken,
+  changePassword
+};
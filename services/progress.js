@@ -0,0 +1,126 @@
+const { pool } = require('../config/database');
+const { ServiceError } = require('./errors');
+const { isPublic } = require('./publishing');
+const { assertPublicContent } = require('./bookmarks');
+
+// Reading progress (scroll percentage) for materials and watch progress
+// (playback position against videos.duration) for videos. An item counts as
+// finished once it reaches COMPLETE_PERCENT or the app says so; finishing
+// is sticky, so scrolling back up or rewatching does not undo it.
+
+const COMPLETE_PERCENT = 95;
+
+const toNumber = (value, name) => {
+  const number = Number(value);
+  if (value === null || value === '' || value === undefined || !Number.isFinite(number)) {
+    throw new ServiceError(`${name} must be a number`);
+  }
+  return number;
+};
+
+const toRecord = (row) => ({
+  percent: row.percent === null ? null : Number(row.percent),
+  position_seconds: row.position_seconds,
+  completed: Boolean(row.completed_at),
+  completed_at: row.completed_at,
+  updated_at: row.updated_at
+});
+
+// Work out percent/position from the request body for one item
+const measure = (entityType, content, body) => {
+  const completed = body.completed === true || body.completed === 'true';
+
+  if (entityType === 'material') {
+    if (body.percent === undefined && completed) {
+      return { percent: 100, position: null, completed };
+    }
+    const percent = Math.min(100, Math.max(0, toNumber(body.percent, 'percent')));
+    return { percent, position: null, completed: completed || percent >= COMPLETE_PERCENT };
+  }
+
+  if (body.position === undefined && completed) {
+    return { percent: content.duration > 0 ? 100 : null, position: content.duration || null, completed };
+  }
+  let position = Math.max(0, Math.round(toNumber(body.position, 'position')));
+  // Without a known duration there is no percentage; the app reports the end
+  if (!(content.duration > 0)) {
+    return { percent: null, position, completed };
+  }
+  position = Math.min(position, content.duration);
+  const percent = Math.round((position / content.duration) * 10000) / 100;
+  return { percent, position, completed: completed || percent >= COMPLETE_PERCENT };
+};
+
+const getProgress = async (userId, entityType, id) => {
+  const [rows] = await pool.execute(
+    'SELECT * FROM user_progress WHERE user_id = ? AND entity_type = ? AND entity_id = ?',
+    [userId, entityType, id]
+  );
+  if (rows.length === 0) {
+    return { percent: 0, position_seconds: entityType === 'video' ? 0 : null, completed: false, completed_at: null, updated_at: null };
+  }
+  return toRecord(rows[0]);
+};
+
+// Record the latest position. Last write wins across devices; updated_at
+// is bumped even when nothing changed so the item moves up the feed.
+const saveProgress = async (userId, entityType, id, body) => {
+  const content = await assertPublicContent(entityType, id);
+  const { percent, position, completed } = measure(entityType, content, body);
+
+  await pool.execute(
+    `INSERT INTO user_progress (user_id, entity_type, entity_id, percent, position_seconds, completed_at)
+     VALUES (?, ?, ?, ?, ?, ${completed ? 'NOW()' : 'NULL'})
+     ON DUPLICATE KEY UPDATE
+       percent = VALUES(percent),
+       position_seconds = VALUES(position_seconds),
+       completed_at = COALESCE(completed_at, VALUES(completed_at)),
+       updated_at = NOW()`,
+    [userId, entityType, id, percent, position]
+  );
+  return getProgress(userId, entityType, id);
+};
+
+// Unfinished, still-public items, most recently active first
+const listUnfinished = async (userId, { page = 1, limit = 10 } = {}) => {
+  const offset = (page - 1) * limit;
+  const from = `
+    FROM user_progress p
+    LEFT JOIN materials m ON p.entity_type = 'material' AND m.id = p.entity_id
+    LEFT JOIN videos v ON p.entity_type = 'video' AND v.id = p.entity_id
+    WHERE p.user_id = ? AND p.completed_at IS NULL
+      AND ((p.entity_type = 'material' AND ${isPublic('m')}) OR (p.entity_type = 'video' AND ${isPublic('v')}))
+  `;
+
+  const [rows] = await pool.execute(
+    `SELECT p.* ${from} ORDER BY p.updated_at DESC, p.entity_type, p.entity_id LIMIT ? OFFSET ?`,
+    [userId, limit, offset]
+  );
+  const [totalResult] = await pool.execute(`SELECT COUNT(*) as total ${from}`, [userId]);
+
+  // The content rows themselves, in the shape of the public lists
+  const content = { material: new Map(), video: new Map() };
+  for (const [entityType, table] of [['material', 'materials'], ['video', 'videos']]) {
+    const ids = rows.filter(row => row.entity_type === entityType).map(row => row.entity_id);
+    if (ids.length === 0) continue;
+    const [items] = await pool.query(
+      `SELECT t.*, c.name as category_name FROM ${table} t LEFT JOIN categories c ON t.category_id = c.id WHERE t.id IN (?)`,
+      [ids]
+    );
+    items.forEach(item => content[entityType].set(item.id, item));
+  }
+
+  const items = rows.map(row => ({
+    entity_type: row.entity_type,
+    item: content[row.entity_type].get(row.entity_id),
+    progress: toRecord(row)
+  }));
+  return { items, total: totalResult[0].total };
+};
+
+module.exports = {
+  COMPLETE_PERCENT,
+  getProgress,
+  saveProgress,
+  listUnfinished
+};
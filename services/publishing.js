@@ -0,0 +1,143 @@
+const { pool } = require('../config/database');
+const { hasPermission } = require('../config/roles');
+const { ServiceError } = require('./errors');
+const { recordAudit } = require('./audit');
+const { emitContentChange } = require('./content-events');
+
+// Editorial workflow for materials and videos:
+//
+//   draft -> in_review -> approved -> published -> archived
+//
+// with "send back" edges to draft. Each edge needs a workflow permission
+// (see config/roles.js). Content is publicly visible only while published
+// and inside its optional publish_at/unpublish_at window.
+
+const STATUSES = ['draft', 'in_review', 'approved', 'published', 'archived'];
+
+const TRANSITIONS = {
+  draft: { in_review: 'workflow:submit' },
+  in_review: { approved: 'workflow:review', draft: 'workflow:review' },
+  approved: { published: 'workflow:publish', draft: 'workflow:submit' },
+  published: { archived: 'workflow:publish' },
+  archived: { draft: 'workflow:submit' }
+};
+
+const TABLES = { material: 'materials', video: 'videos' };
+
+// SQL condition for "visible to the public". Pass the table alias used in
+// the query, or nothing for unaliased single-table queries. Trashed content
+// is never public.
+const isPublic = (alias) => {
+  const column = (name) => (alias ? `${alias}.${name}` : name);
+  return `(${column('deleted_at')} IS NULL AND ${column('status')} = 'published'`
+    + ` AND (${column('publish_at')} IS NULL OR ${column('publish_at')} <= NOW())`
+    + ` AND (${column('unpublish_at')} IS NULL OR ${column('unpublish_at')} > NOW()))`;
+};
+
+// Transitions the given role may perform from a status
+const allowedTransitions = (role, from) => {
+  return Object.entries(TRANSITIONS[from] || {})
+    .filter(([, permission]) => hasPermission(role, permission))
+    .map(([to]) => to);
+};
+
+// Parse an optional schedule timestamp from a request body. Empty values
+// clear the schedule; undefined leaves it alone.
+const parseScheduleTime = (value, field) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ServiceError(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+const validateSchedule = (publishAt, unpublishAt) => {
+  if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+    throw new ServiceError('unpublish_at must be later than publish_at');
+  }
+};
+
+const transitionContent = async (req, entityType, entityId, to) => {
+  if (!STATUSES.includes(to)) {
+    throw new ServiceError(`Status must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  const table = TABLES[entityType];
+  const [rows] = await pool.execute(`SELECT id, status FROM ${table} WHERE id = ? AND deleted_at IS NULL`, [entityId]);
+  if (rows.length === 0) {
+    throw new ServiceError(`${entityType === 'material' ? 'Material' : 'Video'} not found`, 404);
+  }
+
+  const from = rows[0].status;
+  const permission = (TRANSITIONS[from] || {})[to];
+  if (!permission) {
+    throw new ServiceError(`Cannot move from ${from} to ${to}`, 409);
+  }
+  if (!hasPermission(req.user.role, permission)) {
+    throw new ServiceError(`Your role cannot move content from ${from} to ${to}`, 403);
+  }
+
+  // Conditional on the old status so concurrent transitions cannot both apply
+  const [result] = await pool.execute(
+    `UPDATE ${table} SET status = ? WHERE id = ? AND status = ?`,
+    [to, entityId, from]
+  );
+  if (result.affectedRows === 0) {
+    throw new ServiceError('Content was changed by someone else, please reload', 409);
+  }
+
+  return { from, to };
+};
+
+// Audit actor for changes made by the scheduler rather than an admin
+const SYSTEM_REQUEST = { user: { id: null, email: 'system:scheduler' }, ip: null };
+
+const applyScheduledStatus = async (entityType, from, to, timeColumn, action) => {
+  const table = TABLES[entityType];
+  const [due] = await pool.execute(
+    `SELECT id FROM ${table} WHERE status = ? AND deleted_at IS NULL AND ${timeColumn} IS NOT NULL AND ${timeColumn} <= NOW()`,
+    [from]
+  );
+
+  for (const { id } of due) {
+    const [result] = await pool.execute(
+      `UPDATE ${table} SET status = ? WHERE id = ? AND status = ?`,
+      [to, id, from]
+    );
+    if (result.affectedRows === 0) continue;
+
+    await recordAudit(SYSTEM_REQUEST, {
+      action,
+      entityType,
+      entityId: id,
+      before: { status: from },
+      after: { status: to }
+    });
+    emitContentChange({ entityType, entityId: id, action: to === 'published' ? 'publish' : 'update' });
+  }
+
+  return due.length;
+};
+
+// Scheduler job: publish approved content whose publish_at has passed and
+// archive published content whose unpublish_at has passed
+const runScheduledPublishing = async () => {
+  for (const entityType of Object.keys(TABLES)) {
+    await applyScheduledStatus(entityType, 'approved', 'published', 'publish_at', 'scheduled_publish');
+    await applyScheduledStatus(entityType, 'published', 'archived', 'unpublish_at', 'scheduled_unpublish');
+  }
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  isPublic,
+  allowedTransitions,
+  parseScheduleTime,
+  validateSchedule,
+  transitionContent,
+  runScheduledPublishing
+};
@@ -0,0 +1,52 @@
+// Sends through an FCM-style HTTP endpoint: POST { to, notification, data }
+// with "Authorization: key=<FCM_SERVER_KEY>" to FCM_URL, answered with
+// { results: [{ message_id } | { error }] }.
+
+const FCM_URL = 'https://fcm.googleapis.com/fcm/send';
+
+// Errors that mean the token will never work again
+const PERMANENT_ERRORS = ['NotRegistered', 'InvalidRegistration', 'MismatchSenderId'];
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const createFcmProvider = () => {
+  const url = process.env.FCM_URL || FCM_URL;
+  const serverKey = process.env.FCM_SERVER_KEY;
+  if (!serverKey) {
+    throw new Error('FCM_SERVER_KEY must be set when PUSH_DRIVER is fcm');
+  }
+
+  return {
+    name: 'fcm',
+    async send({ token, title, body, data }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `key=${serverKey}`
+        },
+        body: JSON.stringify({
+          to: token,
+          notification: { title, body },
+          // FCM data values must be strings
+          data: Object.fromEntries(Object.entries(data || {}).map(([key, value]) => [key, String(value)]))
+        }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        throw new Error(`FCM responded with HTTP ${response.status}`);
+      }
+
+      const result = ((await response.json()).results || [])[0] || {};
+      if (result.error) {
+        throw Object.assign(new Error(`FCM error: ${result.error}`), {
+          permanent: PERMANENT_ERRORS.includes(result.error)
+        });
+      }
+      return { id: result.message_id || null };
+    }
+  };
+};
+
+module.exports = { createFcmProvider };
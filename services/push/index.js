@@ -0,0 +1,36 @@
+const { createFcmProvider } = require('./fcm');
+const { createFileProvider, createLogProvider } = require('./local');
+
+// Pluggable push provider. PUSH_DRIVER selects it (fcm, file or log;
+// default log). A provider is any object with an async
+// send({ token, platform, title, body, data }) method that resolves to
+// { id } or throws; an error with permanent = true means the token is no
+// longer valid and should not be retried. setProvider() swaps one in for
+// tests or other services.
+
+const drivers = {
+  fcm: createFcmProvider,
+  file: createFileProvider,
+  log: createLogProvider
+};
+
+let provider = null;
+
+const getProvider = () => {
+  if (!provider) {
+    const driver = process.env.PUSH_DRIVER || 'log';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown PUSH_DRIVER "${driver}". Use one of: ${Object.keys(drivers).join(', ')}`);
+    }
+    provider = drivers[driver]();
+  }
+  return provider;
+};
+
+const setProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+const sendPush = async (message) => getProvider().send(message);
+
+module.exports = { sendPush, setProvider };
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local development providers. "file" writes each push as JSON into
+// PUSH_OUTBOX_DIR (default: outbox/push/), "log" prints it to stdout.
+// Tokens starting with "invalid" are rejected as permanently invalid so the
+// retry and device-disabling paths can be exercised without a real service.
+
+const rejectInvalid = (message) => {
+  if (message.token.startsWith('invalid')) {
+    throw Object.assign(new Error('Token is not registered'), { permanent: true });
+  }
+};
+
+const createFileProvider = (dir = process.env.PUSH_OUTBOX_DIR || path.join('outbox', 'push')) => {
+  return {
+    name: 'file',
+    async send(message) {
+      rejectInvalid(message);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+      await fs.promises.writeFile(
+        path.join(dir, `${id}.json`),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+      return { id };
+    }
+  };
+};
+
+const createLogProvider = () => {
+  return {
+    name: 'log',
+    async send(message) {
+      rejectInvalid(message);
+      console.log(`[push] ${message.platform} ${message.token.slice(0, 12)}...: ${message.title} - ${message.body}`);
+      return { id: `log-${Date.now()}` };
+    }
+  };
+};
+
+module.exports = { createFileProvider, createLogProvider };
@@ -0,0 +1,657 @@
+const { pool } = require('../config/database');
+const { ServiceError } = require('./errors');
+const { isPublic } = require('./publishing');
+const { parseListQuery, fetchList, pickFields } = require('./list-query');
+
+// Risk-awareness questionnaires. Admins save a questionnaire as one
+// document (questions with options, result bands with recommended content);
+// the public API serves it without scores and grades submissions here, so
+// the weighting never reaches the client. Only aggregate counts per band
+// and day are kept, never individual answers.
+
+const SECTIONS = ['family_history', 'age', 'reproductive', 'lifestyle', 'medical', 'other'];
+const QUESTION_TYPES = ['single', 'multiple', 'numeric'];
+const STATUSES = ['draft', 'published'];
+const CONTENT_TABLES = { material: 'materials', video: 'videos' };
+
+// List options of the questionnaire list (see services/list-query)
+const QUESTIONNAIRE_LIST = {
+  sortable: {
+    id: 'q.id',
+    title: 'q.title',
+    status: 'q.status',
+    created_at: 'q.created_at',
+    updated_at: 'q.updated_at'
+  },
+  defaultSort: '-updated_at',
+  dates: { created: 'q.created_at', updated: 'q.updated_at' },
+  fields: [
+    'id', 'title', 'description', 'status', 'created_at', 'updated_at', 'updated_by',
+    'question_count', 'band_count', 'submissions'
+  ],
+  optional: true,
+  defaultLimit: 20,
+  maxLimit: 100
+};
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const MAX_QUESTIONS = 100;
+const MAX_OPTIONS = 20;
+const MAX_BANDS = 10;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const parseNumber = (value, name, { optional = false } = {}) => {
+  if (isBlank(value)) {
+    if (optional) return null;
+    throw new ServiceError(`${name} is required`);
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new ServiceError(`${name} must be a number`);
+  }
+  return number;
+};
+
+const parseText = (value, name, { max = null, optional = false } = {}) => {
+  const text = isBlank(value) ? '' : String(value).trim();
+  if (!text && !optional) {
+    throw new ServiceError(`${name} is required`);
+  }
+  if (max && text.length > max) {
+    throw new ServiceError(`${name} must be at most ${max} characters`);
+  }
+  return text || null;
+};
+
+const parseId = (value) => (isBlank(value) ? null : parseInt(value, 10) || null);
+
+const parseList = (value, name, max) => {
+  if (isBlank(value)) return [];
+  if (!Array.isArray(value)) {
+    throw new ServiceError(`${name} must be an array`);
+  }
+  if (value.length > max) {
+    throw new ServiceError(`At most ${max} ${name}`);
+  }
+  return value;
+};
+
+const validateOption = (option, label) => ({
+  id: parseId(option.id),
+  label: parseText(option.label, `${label}.label`, { max: 255 }),
+  score: parseNumber(option.score, `${label}.score`)
+});
+
+const validateRange = (range, label) => {
+  const parsed = {
+    min: parseNumber(range.min, `${label}.min`, { optional: true }),
+    max: parseNumber(range.max, `${label}.max`, { optional: true }),
+    score: parseNumber(range.score, `${label}.score`)
+  };
+  if (parsed.min !== null && parsed.max !== null && parsed.min > parsed.max) {
+    throw new ServiceError(`${label}.min must not be greater than max`);
+  }
+  return parsed;
+};
+
+const validateQuestion = (question, label) => {
+  if (!question || typeof question !== 'object') {
+    throw new ServiceError(`${label} must be an object`);
+  }
+  const type = question.question_type;
+  if (!QUESTION_TYPES.includes(type)) {
+    throw new ServiceError(`${label}.question_type must be one of: ${QUESTION_TYPES.join(', ')}`);
+  }
+  const section = isBlank(question.section) ? 'other' : question.section;
+  if (!SECTIONS.includes(section)) {
+    throw new ServiceError(`${label}.section must be one of: ${SECTIONS.join(', ')}`);
+  }
+
+  const weight = isBlank(question.weight) ? 1 : parseNumber(question.weight, `${label}.weight`);
+  if (weight < 0) {
+    throw new ServiceError(`${label}.weight must not be negative`);
+  }
+
+  const validated = {
+    id: parseId(question.id),
+    section,
+    question_text: parseText(question.question_text, `${label}.question_text`),
+    help_text: parseText(question.help_text, `${label}.help_text`, { optional: true }),
+    question_type: type,
+    weight,
+    is_required: question.is_required === undefined ? true : Boolean(question.is_required),
+    numeric_min: null,
+    numeric_max: null,
+    unit: null,
+    score_ranges: null,
+    options: []
+  };
+
+  if (type === 'numeric') {
+    validated.numeric_min = parseNumber(question.numeric_min, `${label}.numeric_min`, { optional: true });
+    validated.numeric_max = parseNumber(question.numeric_max, `${label}.numeric_max`, { optional: true });
+    if (validated.numeric_min !== null && validated.numeric_max !== null && validated.numeric_min > validated.numeric_max) {
+      throw new ServiceError(`${label}.numeric_min must not be greater than numeric_max`);
+    }
+    validated.unit = parseText(question.unit, `${label}.unit`, { max: 20, optional: true });
+    validated.score_ranges = parseList(question.score_ranges, `${label}.score_ranges`, MAX_OPTIONS)
+      .map((range, index) => validateRange(range || {}, `${label}.score_ranges[${index}]`));
+  } else {
+    validated.options = parseList(question.options, `${label}.options`, MAX_OPTIONS)
+      .map((option, index) => validateOption(option || {}, `${label}.options[${index}]`));
+    if (validated.options.length < 2) {
+      throw new ServiceError(`${label} needs at least two options`);
+    }
+  }
+  return validated;
+};
+
+const validateBand = (band, label) => {
+  if (!band || typeof band !== 'object') {
+    throw new ServiceError(`${label} must be an object`);
+  }
+  const color = parseText(band.color, `${label}.color`, { optional: true });
+  if (color && !COLOR_PATTERN.test(color)) {
+    throw new ServiceError(`${label}.color must be a hex color like #e91e63`);
+  }
+
+  const content = parseList(band.content, `${label}.content`, MAX_OPTIONS).map((item, index) => {
+    if (!item || !CONTENT_TABLES[item.type] || !parseId(item.id)) {
+      throw new ServiceError(`${label}.content[${index}] must be { type: "material" | "video", id }`);
+    }
+    return { type: item.type, id: parseId(item.id) };
+  });
+
+  return {
+    id: parseId(band.id),
+    name: parseText(band.name, `${label}.name`, { max: 100 }),
+    min_score: parseNumber(band.min_score, `${label}.min_score`),
+    description: parseText(band.description, `${label}.description`, { optional: true }),
+    color,
+    content
+  };
+};
+
+// Normalise and check a questionnaire document from the dashboard
+const validateQuestionnaire = async (body) => {
+  const status = isBlank(body.status) ? 'draft' : body.status;
+  if (!STATUSES.includes(status)) {
+    throw new ServiceError(`status must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  const doc = {
+    title: parseText(body.title, 'title', { max: 255 }),
+    description: parseText(body.description, 'description', { optional: true }),
+    status,
+    questions: parseList(body.questions, 'questions', MAX_QUESTIONS)
+      .map((question, index) => validateQuestion(question, `questions[${index}]`)),
+    bands: parseList(body.bands, 'bands', MAX_BANDS)
+      .map((band, index) => validateBand(band, `bands[${index}]`))
+  };
+
+  const minScores = doc.bands.map(band => band.min_score);
+  if (new Set(minScores).size !== minScores.length) {
+    throw new ServiceError('Each band needs a different min_score');
+  }
+  if (status === 'published' && (doc.questions.length === 0 || doc.bands.length === 0)) {
+    throw new ServiceError('A published questionnaire needs at least one question and one band');
+  }
+
+  // Recommended content must exist outside the trash
+  for (const [type, table] of Object.entries(CONTENT_TABLES)) {
+    const ids = [...new Set(doc.bands.flatMap(band => band.content.filter(item => item.type === type).map(item => item.id)))];
+    if (ids.length === 0) continue;
+    const [rows] = await pool.query(`SELECT id FROM ${table} WHERE id IN (?) AND deleted_at IS NULL`, [ids]);
+    const missing = ids.filter(id => !rows.some(row => row.id === id));
+    if (missing.length > 0) {
+      throw new ServiceError(`Recommended ${table} not found: ${missing.join(', ')}`);
+    }
+  }
+
+  return doc;
+};
+
+const withTransaction = async (fn) => {
+  const db = await pool.getConnection();
+  try {
+    await db.beginTransaction();
+    const result = await fn(db);
+    await db.commit();
+    return result;
+  } catch (error) {
+    await db.rollback();
+    throw error;
+  } finally {
+    db.release();
+  }
+};
+
+// Make the child rows of a parent match the list: rows whose id is listed
+// are updated, the rest are deleted and entries without a known id are
+// inserted. Keeps ids stable across edits. Returns the ids in list order.
+const syncRows = async (db, table, parentColumn, parentId, items, columns) => {
+  const [existing] = await db.execute(`SELECT id FROM ${table} WHERE ${parentColumn} = ?`, [parentId]);
+  const existingIds = new Set(existing.map(row => row.id));
+  const keptIds = items.map(item => item.id).filter(id => existingIds.has(id));
+
+  if (keptIds.length > 0) {
+    await db.query(`DELETE FROM ${table} WHERE ${parentColumn} = ? AND id NOT IN (?)`, [parentId, keptIds]);
+  } else {
+    await db.execute(`DELETE FROM ${table} WHERE ${parentColumn} = ?`, [parentId]);
+  }
+
+  const ids = [];
+  for (const [index, item] of items.entries()) {
+    const values = columns.map(column => (typeof column === 'function' ? column(item, index) : item[column]));
+    const names = columns.map(column => (typeof column === 'function' ? column.column : column));
+
+    if (existingIds.has(item.id)) {
+      await db.execute(
+        `UPDATE ${table} SET ${names.map(name => `${name} = ?`).join(', ')} WHERE id = ?`,
+        [...values, item.id]
+      );
+      ids.push(item.id);
+    } else {
+      const [result] = await db.execute(
+        `INSERT INTO ${table} (${parentColumn}, ${names.join(', ')}) VALUES (?, ${names.map(() => '?').join(', ')})`,
+        [parentId, ...values]
+      );
+      ids.push(result.insertId);
+    }
+  }
+  return ids;
+};
+
+// Column extractors with a name, for syncRows
+const column = (name, extract) => Object.assign(extract, { column: name });
+const sortOrder = column('sort_order', (item, index) => index * 10);
+
+const saveChildren = async (db, questionnaireId, doc) => {
+  const questionIds = await syncRows(db, 'questionnaire_questions', 'questionnaire_id', questionnaireId, doc.questions, [
+    'section', 'question_text', 'help_text', 'question_type', 'weight', 'is_required',
+    'numeric_min', 'numeric_max', 'unit',
+    column('score_ranges', item => (item.score_ranges ? JSON.stringify(item.score_ranges) : null)),
+    sortOrder
+  ]);
+  for (const [index, question] of doc.questions.entries()) {
+    await syncRows(db, 'questionnaire_options', 'question_id', questionIds[index], question.options, ['label', 'score', sortOrder]);
+  }
+
+  const bandIds = await syncRows(db, 'questionnaire_bands', 'questionnaire_id', questionnaireId, doc.bands, [
+    'name', 'min_score', 'description', 'color'
+  ]);
+  for (const [index, band] of doc.bands.entries()) {
+    await db.execute('DELETE FROM questionnaire_band_content WHERE band_id = ?', [bandIds[index]]);
+    if (band.content.length > 0) {
+      await db.query(
+        'INSERT IGNORE INTO questionnaire_band_content (band_id, entity_type, entity_id, sort_order) VALUES ?',
+        [band.content.map((item, position) => [bandIds[index], item.type, item.id, position])]
+      );
+    }
+  }
+};
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+// The full document, or null. DECIMAL columns come back as numbers.
+const loadQuestionnaire = async (id) => {
+  const [rows] = await pool.execute('SELECT * FROM questionnaires WHERE id = ?', [id]);
+  if (rows.length === 0) return null;
+
+  const [questions] = await pool.execute(
+    'SELECT * FROM questionnaire_questions WHERE questionnaire_id = ? ORDER BY sort_order, id',
+    [id]
+  );
+  const [options] = questions.length > 0
+    ? await pool.query(
+      'SELECT * FROM questionnaire_options WHERE question_id IN (?) ORDER BY sort_order, id',
+      [questions.map(question => question.id)]
+    )
+    : [[]];
+  const [bands] = await pool.execute(
+    'SELECT * FROM questionnaire_bands WHERE questionnaire_id = ? ORDER BY min_score, id',
+    [id]
+  );
+  const [content] = bands.length > 0
+    ? await pool.query(
+      'SELECT * FROM questionnaire_band_content WHERE band_id IN (?) ORDER BY sort_order',
+      [bands.map(band => band.id)]
+    )
+    : [[]];
+
+  return {
+    ...rows[0],
+    questions: questions.map(question => ({
+      id: question.id,
+      section: question.section,
+      question_text: question.question_text,
+      help_text: question.help_text,
+      question_type: question.question_type,
+      weight: Number(question.weight),
+      is_required: Boolean(question.is_required),
+      numeric_min: toNumber(question.numeric_min),
+      numeric_max: toNumber(question.numeric_max),
+      unit: question.unit,
+      score_ranges: question.score_ranges ? parseJson(question.score_ranges) : null,
+      options: options
+        .filter(option => option.question_id === question.id)
+        .map(option => ({ id: option.id, label: option.label, score: Number(option.score) }))
+    })),
+    bands: bands.map(band => ({
+      id: band.id,
+      name: band.name,
+      min_score: Number(band.min_score),
+      description: band.description,
+      color: band.color,
+      content: content
+        .filter(item => item.band_id === band.id)
+        .map(item => ({ type: item.entity_type, id: item.entity_id }))
+    }))
+  };
+};
+
+const getQuestionnaire = async (id) => {
+  const questionnaire = await loadQuestionnaire(id);
+  if (!questionnaire) {
+    throw new ServiceError('Questionnaire not found', 404);
+  }
+  return questionnaire;
+};
+
+// Admin list with the list options in query; publishedOnly for the public
+// one. A bare array unless query asks for a page.
+const listQuestionnaires = async (query = {}, { publishedOnly = false } = {}) => {
+  const list = parseListQuery(query, QUESTIONNAIRE_LIST);
+  const { rows, pagination } = await fetchList({
+    select: `q.id, q.title, q.description, q.status, q.created_at, q.updated_at, q.updated_by,
+      (SELECT COUNT(*) FROM questionnaire_questions qq WHERE qq.questionnaire_id = q.id) as question_count,
+      (SELECT COUNT(*) FROM questionnaire_bands qb WHERE qb.questionnaire_id = q.id) as band_count,
+      (SELECT COALESCE(SUM(rc.submissions), 0) FROM questionnaire_result_counts rc WHERE rc.questionnaire_id = q.id) as submissions`,
+    from: 'questionnaires q',
+    where: publishedOnly ? ["q.status = 'published'"] : []
+  }, list);
+
+  const data = pickFields(rows.map(row => ({ ...row, submissions: Number(row.submissions) })), list.fields);
+  return pagination ? { data, pagination } : data;
+};
+
+const createQuestionnaire = async (req, body) => {
+  const doc = await validateQuestionnaire(body);
+  const author = req.user ? req.user.email : null;
+
+  const id = await withTransaction(async (db) => {
+    const [result] = await db.execute(
+      'INSERT INTO questionnaires (title, description, status, created_by, updated_by) VALUES (?, ?, ?, ?, ?)',
+      [doc.title, doc.description, doc.status, author, author]
+    );
+    await saveChildren(db, result.insertId, doc);
+    return result.insertId;
+  });
+  return getQuestionnaire(id);
+};
+
+const updateQuestionnaire = async (req, id, body) => {
+  const doc = await validateQuestionnaire(body);
+
+  await withTransaction(async (db) => {
+    const [rows] = await db.execute('SELECT id FROM questionnaires WHERE id = ? FOR UPDATE', [id]);
+    if (rows.length === 0) {
+      throw new ServiceError('Questionnaire not found', 404);
+    }
+    await db.execute(
+      'UPDATE questionnaires SET title = ?, description = ?, status = ?, updated_by = ? WHERE id = ?',
+      [doc.title, doc.description, doc.status, req.user ? req.user.email : null, id]
+    );
+    await saveChildren(db, id, doc);
+  });
+  return getQuestionnaire(id);
+};
+
+// Removes questions, bands and the aggregate results with it
+const deleteQuestionnaire = async (id) => {
+  const [result] = await pool.execute('DELETE FROM questionnaires WHERE id = ?', [id]);
+  if (result.affectedRows === 0) {
+    throw new ServiceError('Questionnaire not found', 404);
+  }
+};
+
+const getPublishedQuestionnaire = async (id) => {
+  const questionnaire = await loadQuestionnaire(id);
+  if (!questionnaire || questionnaire.status !== 'published') {
+    throw new ServiceError('Questionnaire not found', 404);
+  }
+  return questionnaire;
+};
+
+// What the app needs to render the form: no scores, weights or bands
+const toPublicQuestionnaire = (questionnaire) => ({
+  id: questionnaire.id,
+  title: questionnaire.title,
+  description: questionnaire.description,
+  questions: questionnaire.questions.map(question => ({
+    id: question.id,
+    section: question.section,
+    question_text: question.question_text,
+    help_text: question.help_text,
+    question_type: question.question_type,
+    is_required: question.is_required,
+    numeric_min: question.numeric_min,
+    numeric_max: question.numeric_max,
+    unit: question.unit,
+    options: question.options.map(option => ({ id: option.id, label: option.label }))
+  })),
+  updated_at: questionnaire.updated_at
+});
+
+const inRange = (range, value) => (range.min === null || value >= range.min) && (range.max === null || value <= range.max);
+
+// Unweighted score of one answer; throws on answers the question cannot take
+const scoreAnswer = (question, answer, label) => {
+  if (question.question_type === 'numeric') {
+    const value = parseNumber(answer, label);
+    if ((question.numeric_min !== null && value < question.numeric_min)
+      || (question.numeric_max !== null && value > question.numeric_max)) {
+      throw new ServiceError(`${label} is out of range`);
+    }
+    const range = (question.score_ranges || []).find(candidate => inRange(candidate, value));
+    return range ? range.score : 0;
+  }
+
+  const chosen = question.question_type === 'multiple'
+    ? [...new Set((Array.isArray(answer) ? answer : [answer]).map(Number))]
+    : [Number(Array.isArray(answer) ? NaN : answer)];
+  return chosen.reduce((sum, optionId) => {
+    const option = question.options.find(candidate => candidate.id === optionId);
+    if (!option) {
+      throw new ServiceError(`${label} is not one of the question's options`);
+    }
+    return sum + option.score;
+  }, 0);
+};
+
+// Highest unweighted score a question can contribute
+const maxAnswerScore = (question) => {
+  if (question.question_type === 'numeric') {
+    return Math.max(0, ...(question.score_ranges || []).map(range => range.score));
+  }
+  if (question.question_type === 'multiple') {
+    return question.options.reduce((sum, option) => sum + Math.max(0, option.score), 0);
+  }
+  return Math.max(0, ...question.options.map(option => option.score));
+};
+
+const bandFor = (bands, score) => {
+  return [...bands].sort((a, b) => b.min_score - a.min_score).find(band => score >= band.min_score) || null;
+};
+
+// Grade answers ({ [questionId]: optionId | [optionIds] | number }) against a
+// questionnaire document
+const gradeAnswers = (questionnaire, answers) => {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new ServiceError('answers must be an object keyed by question id');
+  }
+
+  const missing = [];
+  const sections = {};
+  let score = 0;
+  let maxScore = 0;
+
+  questionnaire.questions.forEach(question => {
+    const answer = answers[question.id];
+    maxScore += maxAnswerScore(question) * question.weight;
+
+    if (isBlank(answer) || (Array.isArray(answer) && answer.length === 0)) {
+      if (question.is_required) missing.push(question.id);
+      return;
+    }
+    const weighted = scoreAnswer(question, answer, `answers[${question.id}]`) * question.weight;
+    score += weighted;
+    sections[question.section] = round((sections[question.section] || 0) + weighted);
+  });
+
+  if (missing.length > 0) {
+    throw new ServiceError(`Required questions not answered: ${missing.join(', ')}`);
+  }
+
+  score = round(score);
+  return { score, maxScore: round(maxScore), sections, band: bandFor(questionnaire.bands, score) };
+};
+
+const recordResult = async (questionnaireId, band, score) => {
+  await pool.execute(
+    `INSERT INTO questionnaire_result_counts (questionnaire_id, band_id, band_name, result_date, submissions, score_total)
+     VALUES (?, ?, ?, CURDATE(), 1, ?)
+     ON DUPLICATE KEY UPDATE submissions = submissions + 1, score_total = score_total + VALUES(score_total),
+       band_name = VALUES(band_name)`,
+    [questionnaireId, band ? band.id : 0, band ? band.name : null, score]
+  );
+};
+
+// Published recommended content of a band, in the band's order
+const loadBandContent = async (band) => {
+  const recommended = { materials: [], videos: [] };
+  if (!band) return recommended;
+
+  for (const [type, table] of Object.entries(CONTENT_TABLES)) {
+    const ids = band.content.filter(item => item.type === type).map(item => item.id);
+    if (ids.length === 0) continue;
+    const [rows] = await pool.query(
+      `SELECT t.*, c.name as category_name FROM ${table} t LEFT JOIN categories c ON t.category_id = c.id
+       WHERE t.id IN (?) AND ${isPublic('t')}`,
+      [ids]
+    );
+    recommended[table] = ids.map(id => rows.find(row => row.id === id)).filter(Boolean);
+  }
+  return recommended;
+};
+
+// Score a public submission and count it in the aggregates
+const submitAnswers = async (id, answers) => {
+  const questionnaire = await getPublishedQuestionnaire(id);
+  const { score, maxScore, sections, band } = gradeAnswers(questionnaire, answers);
+
+  await recordResult(questionnaire.id, band, score);
+
+  return {
+    questionnaire_id: questionnaire.id,
+    score,
+    max_score: maxScore,
+    sections,
+    band: band ? { id: band.id, name: band.name, description: band.description, color: band.color } : null,
+    recommended: await loadBandContent(band)
+  };
+};
+
+// Result band distribution per questionnaire, optionally limited to the last
+// `days` days. Current bands are listed even without results; counts of
+// deleted bands keep their recorded name.
+const getBandDistribution = async ({ questionnaireId = null, days = null } = {}) => {
+  const conditions = [];
+  const params = [];
+  if (questionnaireId) {
+    conditions.push('rc.questionnaire_id = ?');
+    params.push(questionnaireId);
+  }
+  if (days) {
+    conditions.push('rc.result_date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)');
+    params.push(days);
+  }
+
+  const [counts] = await pool.execute(`
+    SELECT rc.questionnaire_id, rc.band_id, MAX(rc.band_name) as band_name,
+      SUM(rc.submissions) as submissions, SUM(rc.score_total) as score_total
+    FROM questionnaire_result_counts rc
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    GROUP BY rc.questionnaire_id, rc.band_id
+  `, params);
+
+  const [questionnaires] = await pool.execute(
+    `SELECT id, title, status FROM questionnaires ${questionnaireId ? 'WHERE id = ?' : ''} ORDER BY title`,
+    questionnaireId ? [questionnaireId] : []
+  );
+  const [bands] = await pool.execute(
+    `SELECT id, questionnaire_id, name, min_score, color FROM questionnaire_bands
+     ${questionnaireId ? 'WHERE questionnaire_id = ?' : ''} ORDER BY min_score`,
+    questionnaireId ? [questionnaireId] : []
+  );
+
+  return questionnaires.map(questionnaire => {
+    const rows = counts.filter(count => count.questionnaire_id === questionnaire.id);
+    const submissions = rows.reduce((sum, row) => sum + Number(row.submissions), 0);
+    const scoreTotal = rows.reduce((sum, row) => sum + Number(row.score_total), 0);
+    const countFor = (bandId) => Number((rows.find(row => row.band_id === bandId) || {}).submissions || 0);
+
+    const current = bands.filter(band => band.questionnaire_id === questionnaire.id);
+    const distribution = current.map(band => ({ band_id: band.id, name: band.name, color: band.color, count: countFor(band.id) }));
+    rows
+      .filter(row => !current.some(band => band.id === row.band_id))
+      .forEach(row => distribution.push({
+        band_id: row.band_id || null,
+        name: row.band_id ? `${row.band_name || 'Deleted band'} (deleted)` : 'Below every band',
+        color: null,
+        count: Number(row.submissions)
+      }));
+
+    return {
+      questionnaire_id: questionnaire.id,
+      title: questionnaire.title,
+      status: questionnaire.status,
+      submissions,
+      average_score: submissions ? round(scoreTotal / submissions) : null,
+      bands: distribution.map(band => ({ ...band, percent: submissions ? round((band.count / submissions) * 100) : 0 }))
+    };
+  });
+};
+
+// Daily submissions per band for one questionnaire
+const getDailyResults = async (id, days) => {
+  const [rows] = await pool.execute(`
+    SELECT DATE_FORMAT(result_date, '%Y-%m-%d') as date, band_id, submissions
+    FROM questionnaire_result_counts
+    WHERE questionnaire_id = ? AND result_date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+    ORDER BY result_date, band_id
+  `, [id, days]);
+  return rows.map(row => ({ date: row.date, band_id: row.band_id || null, submissions: row.submissions }));
+};
+
+module.exports = {
+  SECTIONS,
+  QUESTION_TYPES,
+  listQuestionnaires,
+  getQuestionnaire,
+  loadQuestionnaire,
+  createQuestionnaire,
+  updateQuestionnaire,
+  deleteQuestionnaire,
+  getPublishedQuestionnaire,
+  toPublicQuestionnaire,
+  gradeAnswers,
+  submitAnswers,
+  getBandDistribution,
+  getDailyResults
+};
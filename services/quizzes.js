@@ -0,0 +1,475 @@
+const { pool } = require('../config/database');
+const { ServiceError } = require('./errors');
+const { isPublic } = require('./publishing');
+const { parseListQuery, fetchList, pickFields } = require('./list-query');
+
+// Comprehension quizzes on materials. Admins edit questions one at a time;
+// the public API serves a quiz without its answers and grades attempts
+// here, returning every option's explanation as feedback. Attempts keep
+// per-question correctness and the options picked for the statistics.
+
+const QUESTION_TYPES = ['multiple_choice', 'true_false'];
+const MAX_OPTIONS = 10;
+
+// List options of the quiz list (see services/list-query). A quiz is keyed
+// by its material, so id and material_id are the same.
+const QUIZ_LIST = {
+  sortable: { id: 'm.id', title: 'm.title', status: 'm.status' },
+  defaultSort: 'title',
+  fields: ['id', 'material_id', 'title', 'status', 'question_count', 'attempts', 'average_percent'],
+  optional: true,
+  defaultLimit: 20,
+  maxLimit: 100
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const parseText = (value, name, { max = null, optional = false } = {}) => {
+  const text = isBlank(value) ? '' : String(value).trim();
+  if (!text && !optional) {
+    throw new ServiceError(`${name} is required`);
+  }
+  if (max && text.length > max) {
+    throw new ServiceError(`${name} must be at most ${max} characters`);
+  }
+  return text || null;
+};
+
+const parseId = (value) => (isBlank(value) ? null : parseInt(value, 10) || null);
+
+const validateQuestion = (body) => {
+  const type = body.question_type;
+  if (!QUESTION_TYPES.includes(type)) {
+    throw new ServiceError(`question_type must be one of: ${QUESTION_TYPES.join(', ')}`);
+  }
+  if (!Array.isArray(body.options)) {
+    throw new ServiceError('options must be an array');
+  }
+  if (body.options.length > MAX_OPTIONS) {
+    throw new ServiceError(`At most ${MAX_OPTIONS} options`);
+  }
+
+  const options = body.options.map((option, index) => ({
+    id: parseId((option || {}).id),
+    label: parseText((option || {}).label, `options[${index}].label`, { max: 500 }),
+    is_correct: Boolean((option || {}).is_correct),
+    explanation: parseText((option || {}).explanation, `options[${index}].explanation`, { optional: true })
+  }));
+  const correctCount = options.filter(option => option.is_correct).length;
+
+  if (type === 'true_false' && (options.length !== 2 || correctCount !== 1)) {
+    throw new ServiceError('A true/false question needs exactly two options, one of them correct');
+  }
+  if (options.length < 2) {
+    throw new ServiceError('A question needs at least two options');
+  }
+  if (correctCount === 0) {
+    throw new ServiceError('Mark at least one option as correct');
+  }
+
+  return {
+    question_text: parseText(body.question_text, 'question_text'),
+    question_type: type,
+    options
+  };
+};
+
+const withTransaction = async (fn) => {
+  const db = await pool.getConnection();
+  try {
+    await db.beginTransaction();
+    const result = await fn(db);
+    await db.commit();
+    return result;
+  } catch (error) {
+    await db.rollback();
+    throw error;
+  } finally {
+    db.release();
+  }
+};
+
+// Options sent with a known id are updated, the rest replaced, so the pick
+// counts of unchanged options survive an edit
+const saveOptions = async (db, questionId, options) => {
+  const [existing] = await db.execute('SELECT id FROM quiz_options WHERE question_id = ?', [questionId]);
+  const existingIds = new Set(existing.map(row => row.id));
+  const keptIds = options.map(option => option.id).filter(id => existingIds.has(id));
+
+  if (keptIds.length > 0) {
+    await db.query('DELETE FROM quiz_options WHERE question_id = ? AND id NOT IN (?)', [questionId, keptIds]);
+  } else {
+    await db.execute('DELETE FROM quiz_options WHERE question_id = ?', [questionId]);
+  }
+
+  for (const [index, option] of options.entries()) {
+    const values = [option.label, option.is_correct, option.explanation, index * 10];
+    if (existingIds.has(option.id)) {
+      await db.execute(
+        'UPDATE quiz_options SET label = ?, is_correct = ?, explanation = ?, sort_order = ? WHERE id = ?',
+        [...values, option.id]
+      );
+    } else {
+      await db.execute(
+        'INSERT INTO quiz_options (question_id, label, is_correct, explanation, sort_order) VALUES (?, ?, ?, ?, ?)',
+        [questionId, ...values]
+      );
+    }
+  }
+};
+
+// Quiz questions of a material with their options, in quiz order
+const loadQuestions = async (materialId) => {
+  const [questions] = await pool.execute(
+    'SELECT * FROM quiz_questions WHERE material_id = ? ORDER BY sort_order, id',
+    [materialId]
+  );
+  const [options] = questions.length > 0
+    ? await pool.query(
+      'SELECT * FROM quiz_options WHERE question_id IN (?) ORDER BY sort_order, id',
+      [questions.map(question => question.id)]
+    )
+    : [[]];
+
+  return questions.map(question => ({
+    ...question,
+    options: options
+      .filter(option => option.question_id === question.id)
+      .map(option => ({
+        id: option.id,
+        label: option.label,
+        is_correct: Boolean(option.is_correct),
+        explanation: option.explanation
+      }))
+  }));
+};
+
+// Admins may write quizzes for any material outside the trash
+const assertMaterial = async (materialId) => {
+  const [rows] = await pool.execute(
+    'SELECT id, title, status FROM materials WHERE id = ? AND deleted_at IS NULL',
+    [materialId]
+  );
+  if (rows.length === 0) {
+    throw new ServiceError('Material not found', 404);
+  }
+  return rows[0];
+};
+
+const getQuestion = async (materialId, id) => {
+  const question = (await loadQuestions(materialId)).find(item => item.id === Number(id));
+  if (!question) {
+    throw new ServiceError('Question not found', 404);
+  }
+  return question;
+};
+
+// Materials that have a quiz, with attempt totals, and the list options in
+// query. A bare array unless query asks for a page.
+const listQuizzes = async (query = {}) => {
+  const list = parseListQuery(query, QUIZ_LIST);
+  const { rows, pagination } = await fetchList({
+    select: `m.id, m.id as material_id, m.title, m.status,
+      (SELECT COUNT(*) FROM quiz_questions q WHERE q.material_id = m.id) as question_count,
+      (SELECT COUNT(*) FROM quiz_attempts a WHERE a.material_id = m.id) as attempts,
+      (SELECT AVG(a.correct_count / a.question_count) * 100 FROM quiz_attempts a
+        WHERE a.material_id = m.id AND a.question_count > 0) as average_percent`,
+    from: 'materials m',
+    where: ['m.deleted_at IS NULL', 'EXISTS (SELECT 1 FROM quiz_questions q WHERE q.material_id = m.id)']
+  }, list);
+
+  const data = pickFields(rows.map(row => ({
+    ...row,
+    average_percent: row.average_percent === null ? null : round(Number(row.average_percent))
+  })), list.fields);
+  return pagination ? { data, pagination } : data;
+};
+
+const getQuiz = async (materialId) => {
+  const material = await assertMaterial(materialId);
+  return { material_id: material.id, title: material.title, status: material.status, questions: await loadQuestions(materialId) };
+};
+
+// New questions go last
+const createQuestion = async (req, materialId, body) => {
+  await assertMaterial(materialId);
+  const question = validateQuestion(body);
+  const author = req.user ? req.user.email : null;
+
+  const id = await withTransaction(async (db) => {
+    const [last] = await db.execute(
+      'SELECT COALESCE(MAX(sort_order), -10) as sort_order FROM quiz_questions WHERE material_id = ?',
+      [materialId]
+    );
+    const [result] = await db.execute(
+      `INSERT INTO quiz_questions (material_id, question_text, question_type, sort_order, created_by, updated_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [materialId, question.question_text, question.question_type, last[0].sort_order + 10, author, author]
+    );
+    await saveOptions(db, result.insertId, question.options);
+    return result.insertId;
+  });
+  return getQuestion(materialId, id);
+};
+
+const updateQuestion = async (req, materialId, id, body) => {
+  const question = validateQuestion(body);
+
+  await withTransaction(async (db) => {
+    const [rows] = await db.execute(
+      'SELECT id FROM quiz_questions WHERE id = ? AND material_id = ? FOR UPDATE',
+      [id, materialId]
+    );
+    if (rows.length === 0) {
+      throw new ServiceError('Question not found', 404);
+    }
+    await db.execute(
+      'UPDATE quiz_questions SET question_text = ?, question_type = ?, updated_by = ? WHERE id = ?',
+      [question.question_text, question.question_type, req.user ? req.user.email : null, id]
+    );
+    await saveOptions(db, id, question.options);
+  });
+  return getQuestion(materialId, id);
+};
+
+// Also removes the question's answers from past attempts
+const deleteQuestion = async (materialId, id) => {
+  const [result] = await pool.execute('DELETE FROM quiz_questions WHERE id = ? AND material_id = ?', [id, materialId]);
+  if (result.affectedRows === 0) {
+    throw new ServiceError('Question not found', 404);
+  }
+};
+
+// ids: every question id of the material, in the new order
+const reorderQuestions = async (materialId, ids) => {
+  await assertMaterial(materialId);
+  if (!Array.isArray(ids)) {
+    throw new ServiceError('ids must be an array of question ids');
+  }
+  const order = ids.map(id => parseInt(id, 10));
+
+  await withTransaction(async (db) => {
+    const [rows] = await db.execute('SELECT id FROM quiz_questions WHERE material_id = ? FOR UPDATE', [materialId]);
+    const current = rows.map(row => row.id).sort((a, b) => a - b);
+    const requested = [...order].sort((a, b) => a - b);
+    if (current.length !== requested.length || current.some((id, index) => id !== requested[index])) {
+      throw new ServiceError('ids must list every question of the quiz exactly once');
+    }
+    for (const [index, id] of order.entries()) {
+      await db.execute('UPDATE quiz_questions SET sort_order = ? WHERE id = ?', [index * 10, id]);
+    }
+  });
+  return loadQuestions(materialId);
+};
+
+// The quiz of a public material, or a 404 when there is none
+const getPublishedQuiz = async (materialId) => {
+  const [materials] = await pool.execute(
+    `SELECT id, title FROM materials m WHERE m.id = ? AND ${isPublic('m')}`,
+    [materialId]
+  );
+  if (materials.length === 0) {
+    throw new ServiceError('Material not found', 404);
+  }
+  const questions = await loadQuestions(materialId);
+  if (questions.length === 0) {
+    throw new ServiceError('This material has no quiz', 404);
+  }
+  return { material: materials[0], questions };
+};
+
+// What the app needs to render the quiz: no correct answers or explanations.
+// multiple_answers tells it to offer checkboxes instead of radio buttons.
+const toPublicQuiz = ({ material, questions }) => ({
+  material_id: material.id,
+  title: material.title,
+  questions: questions.map(question => ({
+    id: question.id,
+    question_text: question.question_text,
+    question_type: question.question_type,
+    multiple_answers: question.options.filter(option => option.is_correct).length > 1,
+    options: question.options.map(option => ({ id: option.id, label: option.label }))
+  }))
+});
+
+// answers: { [questionId]: optionId | [optionIds] }. A question is correct
+// when exactly its correct options are picked; unanswered ones count as
+// wrong. Returns per-question feedback with every option's explanation.
+const gradeAttempt = (questions, answers) => {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new ServiceError('answers must be an object keyed by question id');
+  }
+  const known = new Set(questions.map(question => String(question.id)));
+  const unknown = Object.keys(answers).find(key => !known.has(key));
+  if (unknown) {
+    throw new ServiceError(`Question ${unknown} is not part of this quiz`);
+  }
+
+  const results = questions.map(question => {
+    const answer = answers[question.id];
+    const picked = isBlank(answer) ? [] : (Array.isArray(answer) ? answer : [answer]).map(value => parseInt(value, 10));
+    const optionIds = question.options.map(option => option.id);
+    const invalid = picked.find(id => !optionIds.includes(id));
+    if (invalid !== undefined) {
+      throw new ServiceError(`Invalid option for question ${question.id}`);
+    }
+    const selected = [...new Set(picked)];
+    if (question.question_type === 'true_false' && selected.length > 1) {
+      throw new ServiceError(`Pick one answer for question ${question.id}`);
+    }
+
+    const correctIds = question.options.filter(option => option.is_correct).map(option => option.id);
+    const correct = selected.length === correctIds.length && selected.every(id => correctIds.includes(id));
+
+    return {
+      question_id: question.id,
+      question_text: question.question_text,
+      answered: selected.length > 0,
+      correct,
+      selected_option_ids: selected,
+      correct_option_ids: correctIds,
+      options: question.options.map(option => ({
+        id: option.id,
+        label: option.label,
+        is_correct: option.is_correct,
+        selected: selected.includes(option.id),
+        explanation: option.explanation
+      }))
+    };
+  });
+
+  const correctCount = results.filter(result => result.correct).length;
+  return {
+    correct_count: correctCount,
+    question_count: results.length,
+    percent: results.length ? round((correctCount / results.length) * 100) : 0,
+    questions: results
+  };
+};
+
+// Grade and record an attempt; userId links it to a signed-in app user
+const submitAttempt = async (materialId, answers, userId = null) => {
+  const quiz = await getPublishedQuiz(materialId);
+  const graded = gradeAttempt(quiz.questions, answers);
+
+  const attemptId = await withTransaction(async (db) => {
+    const [result] = await db.execute(
+      'INSERT INTO quiz_attempts (material_id, user_id, correct_count, question_count) VALUES (?, ?, ?, ?)',
+      [quiz.material.id, userId, graded.correct_count, graded.question_count]
+    );
+    await db.query(
+      'INSERT INTO quiz_attempt_answers (attempt_id, question_id, is_correct) VALUES ?',
+      [graded.questions.map(question => [result.insertId, question.question_id, question.correct])]
+    );
+    const choices = graded.questions.flatMap(question => question.selected_option_ids.map(id => [result.insertId, id]));
+    if (choices.length > 0) {
+      await db.query('INSERT INTO quiz_attempt_choices (attempt_id, option_id) VALUES ?', [choices]);
+    }
+    return result.insertId;
+  });
+
+  return { attempt_id: attemptId, material_id: quiz.material.id, ...graded };
+};
+
+// An app user's attempts, newest first, optionally for one material
+const listUserAttempts = async (userId, { materialId = null, page = 1, limit = 20 } = {}) => {
+  const offset = (page - 1) * limit;
+  const where = materialId ? 'a.user_id = ? AND a.material_id = ?' : 'a.user_id = ?';
+  const params = materialId ? [userId, materialId] : [userId];
+
+  const [items] = await pool.execute(`
+    SELECT a.id, a.material_id, m.title, a.correct_count, a.question_count, a.created_at
+    FROM quiz_attempts a
+    JOIN materials m ON m.id = a.material_id
+    WHERE ${where}
+    ORDER BY a.created_at DESC, a.id DESC
+    LIMIT ? OFFSET ?
+  `, [...params, limit, offset]);
+  const [count] = await pool.execute(`SELECT COUNT(*) as total FROM quiz_attempts a WHERE ${where}`, params);
+
+  return {
+    items: items.map(item => ({
+      ...item,
+      percent: item.question_count ? round((item.correct_count / item.question_count) * 100) : 0
+    })),
+    total: count[0].total
+  };
+};
+
+// Per-question correctness and per-option pick rates over the last `days`
+// (all time when omitted). Low correct_percent or a popular wrong option
+// points at content that confuses readers.
+const getQuestionStats = async (materialId, { days = null } = {}) => {
+  const quiz = await getQuiz(materialId);
+  const since = days ? 'AND a.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)' : '';
+  const params = days ? [materialId, days] : [materialId];
+
+  const [totals] = await pool.execute(`
+    SELECT COUNT(*) as attempts, AVG(a.correct_count / a.question_count) * 100 as average_percent
+    FROM quiz_attempts a
+    WHERE a.material_id = ? AND a.question_count > 0 ${since}
+  `, params);
+  const [answers] = await pool.execute(`
+    SELECT qa.question_id, COUNT(*) as answered, SUM(qa.is_correct) as correct
+    FROM quiz_attempt_answers qa
+    JOIN quiz_attempts a ON a.id = qa.attempt_id
+    WHERE a.material_id = ? ${since}
+    GROUP BY qa.question_id
+  `, params);
+  const [choices] = await pool.execute(`
+    SELECT qc.option_id, COUNT(*) as picks
+    FROM quiz_attempt_choices qc
+    JOIN quiz_attempts a ON a.id = qc.attempt_id
+    WHERE a.material_id = ? ${since}
+    GROUP BY qc.option_id
+  `, params);
+
+  const picksFor = (optionId) => Number((choices.find(row => row.option_id === optionId) || {}).picks || 0);
+
+  return {
+    material_id: quiz.material_id,
+    title: quiz.title,
+    days,
+    attempts: totals[0].attempts,
+    average_percent: totals[0].average_percent === null ? null : round(Number(totals[0].average_percent)),
+    questions: quiz.questions.map(question => {
+      const row = answers.find(item => item.question_id === question.id) || {};
+      const answered = Number(row.answered || 0);
+      const correct = Number(row.correct || 0);
+      return {
+        id: question.id,
+        question_text: question.question_text,
+        question_type: question.question_type,
+        answered,
+        correct,
+        correct_percent: answered ? round((correct / answered) * 100) : null,
+        options: question.options.map(option => ({
+          id: option.id,
+          label: option.label,
+          is_correct: option.is_correct,
+          picks: picksFor(option.id),
+          pick_percent: answered ? round((picksFor(option.id) / answered) * 100) : null
+        }))
+      };
+    })
+  };
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  listQuizzes,
+  getQuiz,
+  getQuestion,
+  createQuestion,
+  updateQuestion,
+  deleteQuestion,
+  reorderQuestions,
+  getPublishedQuiz,
+  toPublicQuiz,
+  gradeAttempt,
+  submitAttempt,
+  listUserAttempts,
+  getQuestionStats
+};
@@ -0,0 +1,12 @@
+// Helpers for keeping personal data out of log lines
+
+// "jane.doe@example.com" -> "ja***@example.com"
+const redactEmail = (email) => {
+  if (typeof email !== 'string' || !email.includes('@')) {
+    return '[redacted]';
+  }
+  const [local, domain] = email.split('@');
+  return `${local.slice(0, 2)}***@${domain}`;
+};
+
+module.exports = { redactEmail };
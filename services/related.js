@@ -0,0 +1,282 @@
+const { pool } = require('../config/database');
+const { ServiceError } = require('./errors');
+const { contentEvents } = require('./content-events');
+const { isPublic } = require('./publishing');
+const { loadCategories } = require('./categories');
+const { tokenize } = require('./search');
+
+// Related-content recommendations across materials and videos. Every pair
+// of published items is scored on three signals, each between 0 and 1:
+//
+//   category  1 for the same category, 0.5 for parent/child or sibling
+//             categories
+//   terms     cosine similarity of TF-IDF vectors over title and text
+//   coview    cosine similarity of the sets of signed-in users who viewed
+//             each item recently (from the raw analytics events)
+//
+// and the weighted sum is stored in related_content (see migration 023),
+// best MAX_RELATED per item. The table is rebuilt shortly after content
+// changes and by a scheduler job; reads only filter out items that stopped
+// being public since.
+
+const WEIGHTS = { category: 0.3, terms: 0.5, coview: 0.2 };
+const MAX_RELATED = 20;
+const TITLE_WEIGHT = 3;
+// Terms in more than this share of items say nothing about relatedness
+const MAX_TERM_SHARE = 0.4;
+const COVIEW_DAYS = 90;
+const MIN_COVIEWERS = 2;
+// Users who viewed more than this many items look like crawlers
+const MAX_ITEMS_PER_VIEWER = 200;
+const REBUILD_DEBOUNCE_MS = 10000;
+
+const TABLES = { material: 'materials', video: 'videos' };
+
+let rebuildTimer = null;
+
+const keyOf = (entityType, id) => `${entityType}:${id}`;
+
+const stripTags = (text) => String(text || '').replace(/<[^>]*>/g, ' ');
+
+const loadItems = async () => {
+  const [materials] = await pool.execute(
+    `SELECT id, category_id, title, content as body, created_at FROM materials WHERE ${isPublic()}`
+  );
+  const [videos] = await pool.execute(
+    `SELECT id, category_id, title, description as body, created_at FROM videos WHERE ${isPublic()}`
+  );
+  return [
+    ...materials.map(row => ({ ...row, entityType: 'material', key: keyOf('material', row.id) })),
+    ...videos.map(row => ({ ...row, entityType: 'video', key: keyOf('video', row.id) }))
+  ];
+};
+
+// L2-normalized TF-IDF vector per item, plus postings (term -> [[item, weight]])
+const buildTermIndex = (items) => {
+  const counts = items.map(item => {
+    const termCounts = new Map();
+    const add = (text, weight) => tokenize(text).forEach(term => {
+      termCounts.set(term, (termCounts.get(term) || 0) + weight);
+    });
+    add(item.title, TITLE_WEIGHT);
+    add(stripTags(item.body), 1);
+    return termCounts;
+  });
+
+  const documentFrequency = new Map();
+  counts.forEach(termCounts => termCounts.forEach((count, term) => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+
+  const maxFrequency = items.length >= 10 ? Math.floor(items.length * MAX_TERM_SHARE) : items.length;
+  const postings = new Map();
+  const vectors = counts.map((termCounts, index) => {
+    const vector = new Map();
+    termCounts.forEach((count, term) => {
+      const frequency = documentFrequency.get(term);
+      if (frequency > maxFrequency) return;
+      vector.set(term, (1 + Math.log(count)) * Math.log(items.length / frequency));
+    });
+    const norm = Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    vector.forEach((weight, term) => {
+      const normalized = weight / norm;
+      vector.set(term, normalized);
+      // Terms of a single item still count towards its length, but can
+      // never match another item
+      if (documentFrequency.get(term) < 2) return;
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([index, normalized]);
+    });
+    return vector;
+  });
+
+  return { vectors, postings };
+};
+
+// item key -> Set of user ids who viewed it in the last COVIEW_DAYS
+const loadViewers = async () => {
+  const [rows] = await pool.execute(`
+    SELECT DISTINCT user_id, entity_type, entity_id
+    FROM content_events
+    WHERE event = 'view' AND user_id IS NOT NULL AND occurred_at > DATE_SUB(NOW(), INTERVAL ? DAY)
+  `, [COVIEW_DAYS]);
+
+  const itemsByUser = new Map();
+  rows.forEach(row => {
+    if (!itemsByUser.has(row.user_id)) itemsByUser.set(row.user_id, []);
+    itemsByUser.get(row.user_id).push(keyOf(row.entity_type, row.entity_id));
+  });
+
+  const viewers = new Map();
+  itemsByUser.forEach((keys, userId) => {
+    if (keys.length > MAX_ITEMS_PER_VIEWER) return;
+    keys.forEach(key => {
+      if (!viewers.has(key)) viewers.set(key, new Set());
+      viewers.get(key).add(userId);
+    });
+  });
+  return { viewers, itemsByUser };
+};
+
+// 1 for the same category, 0.5 for parent/child or siblings
+const categoryRelation = (categories) => {
+  const parentOf = new Map(categories.map(category => [category.id, category.parent_id || null]));
+  return (a, b) => {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const parentA = parentOf.get(a);
+    const parentB = parentOf.get(b);
+    if (parentA === b || parentB === a || (parentA && parentA === parentB)) return 0.5;
+    return 0;
+  };
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Score every item against the others and keep the best MAX_RELATED
+const computeRelated = (items, categories, { viewers, itemsByUser }) => {
+  const { vectors, postings } = buildTermIndex(items);
+  const relation = categoryRelation(categories);
+  const indexByKey = new Map(items.map((item, index) => [item.key, index]));
+
+  const rows = [];
+  items.forEach((item, index) => {
+    const candidates = new Map();
+    const candidate = (other) => {
+      if (!candidates.has(other)) candidates.set(other, { category: 0, terms: 0, coview: 0 });
+      return candidates.get(other);
+    };
+
+    vectors[index].forEach((weight, term) => {
+      (postings.get(term) || []).forEach(([other, otherWeight]) => {
+        if (other !== index) candidate(other).terms += weight * otherWeight;
+      });
+    });
+
+    items.forEach((other, otherIndex) => {
+      if (otherIndex === index) return;
+      const score = relation(item.category_id, other.category_id);
+      if (score > 0) candidate(otherIndex).category = score;
+    });
+
+    const ownViewers = viewers.get(item.key);
+    if (ownViewers) {
+      const shared = new Map();
+      ownViewers.forEach(userId => itemsByUser.get(userId).forEach(key => {
+        const otherIndex = indexByKey.get(key);
+        if (otherIndex !== undefined && otherIndex !== index) {
+          shared.set(otherIndex, (shared.get(otherIndex) || 0) + 1);
+        }
+      }));
+      shared.forEach((count, otherIndex) => {
+        if (count < MIN_COVIEWERS) return;
+        const otherViewers = viewers.get(items[otherIndex].key).size;
+        candidate(otherIndex).coview = count / Math.sqrt(ownViewers.size * otherViewers);
+      });
+    }
+
+    [...candidates.entries()]
+      .map(([otherIndex, parts]) => ({
+        other: items[otherIndex],
+        parts,
+        score: WEIGHTS.category * parts.category + WEIGHTS.terms * Math.min(1, parts.terms) + WEIGHTS.coview * Math.min(1, parts.coview)
+      }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || new Date(b.other.created_at) - new Date(a.other.created_at))
+      .slice(0, MAX_RELATED)
+      .forEach(({ other, parts, score }) => rows.push([
+        item.entityType, item.id, other.entityType, other.id,
+        round(score), round(parts.category), round(Math.min(1, parts.terms)), round(Math.min(1, parts.coview))
+      ]));
+  });
+  return rows;
+};
+
+const rebuildRelated = async () => {
+  const items = await loadItems();
+  const rows = computeRelated(items, await loadCategories(), await loadViewers());
+
+  const db = await pool.getConnection();
+  try {
+    await db.beginTransaction();
+    await db.query('DELETE FROM related_content');
+    for (let i = 0; i < rows.length; i += 500) {
+      await db.query(
+        `INSERT INTO related_content
+           (entity_type, entity_id, related_type, related_id, score, category_score, term_score, coview_score)
+         VALUES ?`,
+        [rows.slice(i, i + 500)]
+      );
+    }
+    await db.commit();
+  } catch (error) {
+    await db.rollback();
+    throw error;
+  } finally {
+    db.release();
+  }
+  return rows.length;
+};
+
+// Content changes arrive in bursts, so rebuild once they settle
+const scheduleRelatedRebuild = () => {
+  clearTimeout(rebuildTimer);
+  rebuildTimer = setTimeout(() => {
+    rebuildRelated().catch(error => console.error('Rebuild related content error:', error));
+  }, REBUILD_DEBOUNCE_MS);
+  rebuildTimer.unref();
+};
+
+contentEvents.on('change', scheduleRelatedRebuild);
+
+// Public related items of a public material or video, best first, as
+// { entityType, row, score } with rows ready for presenting
+const getRelated = async (entityType, id, { limit }) => {
+  const [source] = await pool.execute(`SELECT id FROM ${TABLES[entityType]} WHERE id = ? AND ${isPublic()}`, [id]);
+  if (source.length === 0) {
+    throw new ServiceError(`${entityType === 'material' ? 'Material' : 'Video'} not found`, 404);
+  }
+
+  const [related] = await pool.execute(`
+    SELECT related_type, related_id, score, category_score, term_score, coview_score
+    FROM related_content
+    WHERE entity_type = ? AND entity_id = ?
+    ORDER BY score DESC, related_type, related_id
+  `, [entityType, id]);
+
+  const rows = new Map();
+  for (const relatedType of Object.keys(TABLES)) {
+    const ids = related.filter(item => item.related_type === relatedType).map(item => item.related_id);
+    if (ids.length === 0) continue;
+    const alias = relatedType === 'material' ? 'm' : 'v';
+    const [content] = await pool.query(
+      `SELECT ${alias}.*, c.name as category_name
+       FROM ${TABLES[relatedType]} ${alias}
+       LEFT JOIN categories c ON ${alias}.category_id = c.id
+       WHERE ${alias}.id IN (?) AND ${isPublic(alias)}`,
+      [ids]
+    );
+    content.forEach(row => rows.set(keyOf(relatedType, row.id), row));
+  }
+
+  return related
+    .filter(item => rows.has(keyOf(item.related_type, item.related_id)))
+    .slice(0, limit)
+    .map(item => ({
+      entityType: item.related_type,
+      row: rows.get(keyOf(item.related_type, item.related_id)),
+      score: {
+        total: Number(item.score),
+        category: Number(item.category_score),
+        terms: Number(item.term_score),
+        coview: Number(item.coview_score)
+      }
+    }));
+};
+
+module.exports = {
+  computeRelated,
+  rebuildRelated,
+  scheduleRelatedRebuild,
+  getRelated
+};
@@ -0,0 +1,130 @@
+const { contentEvents } = require('./content-events');
+
+// In-process LRU cache of public API responses (see middleware/http-cache).
+// Each entry is tagged with the entity types it was built from ("category",
+// "material", "video"); an admin change to any of them drops every entry
+// carrying that tag. The TTL covers what no event announces, such as a
+// publish_at passing on content that is already published. Instances do
+// not share invalidations, so with several instances a change can take up
+// to the TTL to show everywhere.
+
+const MAX_ENTRIES = parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES || '500', 10);
+const MAX_BYTES = parseInt(process.env.RESPONSE_CACHE_MAX_MB || '32', 10) * 1024 * 1024;
+const TTL_MS = parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS || '300', 10) * 1000;
+
+// Map iteration order is insertion order, so the first key is the least
+// recently used once every hit re-inserts its entry
+const entries = new Map();
+let totalBytes = 0;
+
+// Per tag: bumped on every invalidation, and when it last happened
+const tagVersions = new Map();
+const tagChangedAt = new Map();
+const startedAt = Date.now();
+
+const counters = { hits: 0, misses: 0, stores: 0, evictions: 0, expirations: 0, invalidations: 0 };
+
+const removeEntry = (key) => {
+  const entry = entries.get(key);
+  if (!entry) return;
+  entries.delete(key);
+  totalBytes -= entry.size;
+};
+
+const getEntry = (key) => {
+  const entry = entries.get(key);
+  if (!entry) {
+    counters.misses++;
+    return null;
+  }
+  if (Date.now() - entry.storedAt > TTL_MS) {
+    removeEntry(key);
+    counters.expirations++;
+    counters.misses++;
+    return null;
+  }
+  entries.delete(key);
+  entries.set(key, entry);
+  counters.hits++;
+  return entry;
+};
+
+// Snapshot of the tags' versions, taken before building a response
+const versionsOf = (tags) => tags.map(tag => tagVersions.get(tag) || 0);
+
+// Store a response unless one of its tags was invalidated while it was
+// being built (it could hold data from before the change)
+const storeEntry = (key, { body, etag }, tags, versions) => {
+  if (versionsOf(tags).some((version, index) => version !== versions[index])) return false;
+
+  const size = Buffer.byteLength(body);
+  if (size > MAX_BYTES / 10) return false;
+
+  removeEntry(key);
+  entries.set(key, { body, etag, tags, size, storedAt: Date.now() });
+  totalBytes += size;
+  counters.stores++;
+
+  while (entries.size > MAX_ENTRIES || totalBytes > MAX_BYTES) {
+    removeEntry(entries.keys().next().value);
+    counters.evictions++;
+  }
+  return true;
+};
+
+const invalidateTags = (tags) => {
+  const now = Date.now();
+  tags.forEach(tag => {
+    tagVersions.set(tag, (tagVersions.get(tag) || 0) + 1);
+    tagChangedAt.set(tag, now);
+  });
+  let removed = 0;
+  [...entries.entries()].forEach(([key, entry]) => {
+    if (entry.tags.some(tag => tags.includes(tag))) {
+      removeEntry(key);
+      removed++;
+    }
+  });
+  counters.invalidations += removed;
+  return removed;
+};
+
+const clearCache = () => {
+  const removed = entries.size;
+  entries.clear();
+  totalBytes = 0;
+  counters.invalidations += removed;
+  return removed;
+};
+
+const getCacheStats = () => {
+  const lookups = counters.hits + counters.misses;
+  const tags = {};
+  tagChangedAt.forEach((time, tag) => {
+    tags[tag] = { version: tagVersions.get(tag), last_changed_at: new Date(time).toISOString() };
+  });
+  return {
+    ...counters,
+    hit_rate: lookups ? Math.round((counters.hits / lookups) * 1000) / 10 : null,
+    entries: entries.size,
+    bytes: totalBytes,
+    max_entries: MAX_ENTRIES,
+    max_bytes: MAX_BYTES,
+    ttl_seconds: TTL_MS / 1000,
+    started_at: new Date(startedAt).toISOString(),
+    tags
+  };
+};
+
+contentEvents.on('change', ({ entityType }) => {
+  if (entityType) invalidateTags([entityType]);
+});
+
+module.exports = {
+  getEntry,
+  versionsOf,
+  storeEntry,
+  invalidateTags,
+  clearCache,
+  getCacheStats
+};
@@ -0,0 +1,123 @@
+const { pool } = require('../config/database');
+const { ServiceError } = require('./errors');
+
+// Revision history for materials and videos. Every save stores the fields
+// below as a new, numbered revision; restoring copies an old revision back
+// onto the row and records that as a new revision too.
+
+const REVISION_FIELDS = {
+  material: ['title', 'content', 'author', 'category_id', 'image', 'status'],
+  video: ['title', 'description', 'video_url', 'thumbnail', 'duration', 'category_id', 'status']
+};
+
+// Restoring content never changes its workflow status; that only moves
+// through the editorial workflow
+const RESTORE_EXCLUDED_FIELDS = ['status'];
+
+const TABLES = { material: 'materials', video: 'videos' };
+
+const pickFields = (entityType, row) => {
+  const snapshot = {};
+  REVISION_FIELDS[entityType].forEach(field => {
+    snapshot[field] = row[field] === undefined ? null : row[field];
+  });
+  return snapshot;
+};
+
+const parseData = (data) => (typeof data === 'string' ? JSON.parse(data) : data);
+
+// Snapshot the row's current state as the next revision
+const recordRevision = async (req, entityType, entityId, { restoredFrom = null } = {}) => {
+  const [rows] = await pool.execute(`SELECT * FROM ${TABLES[entityType]} WHERE id = ?`, [entityId]);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const data = JSON.stringify(pickFields(entityType, rows[0]));
+  const authorId = req.user ? req.user.id : null;
+  const authorEmail = req.user ? req.user.email : null;
+
+  // The unique key on (entity_type, entity_id, revision_number) turns a
+  // concurrent save into a duplicate-key error; retry with the next number.
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO content_revisions (entity_type, entity_id, revision_number, data, author_id, author_email, restored_from)
+         SELECT ?, ?, COALESCE(MAX(revision_number), 0) + 1, ?, ?, ?, ?
+         FROM content_revisions WHERE entity_type = ? AND entity_id = ?`,
+        [entityType, entityId, data, authorId, authorEmail, restoredFrom, entityType, entityId]
+      );
+      return result.insertId;
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY' || attempt === 2) throw error;
+    }
+  }
+  return null;
+};
+
+const listRevisions = async (entityType, entityId) => {
+  const [rows] = await pool.execute(
+    `SELECT id, revision_number, author_id, author_email, restored_from, created_at
+     FROM content_revisions
+     WHERE entity_type = ? AND entity_id = ?
+     ORDER BY revision_number DESC`,
+    [entityType, entityId]
+  );
+  return rows;
+};
+
+const getRevision = async (entityType, entityId, revisionNumber) => {
+  const [rows] = await pool.execute(
+    'SELECT * FROM content_revisions WHERE entity_type = ? AND entity_id = ? AND revision_number = ?',
+    [entityType, entityId, revisionNumber]
+  );
+  if (rows.length === 0) {
+    throw new ServiceError(`Revision ${revisionNumber} not found`, 404);
+  }
+  return { ...rows[0], data: parseData(rows[0].data) };
+};
+
+// Field-level diff between two revisions: only fields whose value changed
+const diffRevisions = async (entityType, entityId, fromNumber, toNumber) => {
+  const from = await getRevision(entityType, entityId, fromNumber);
+  const to = await getRevision(entityType, entityId, toNumber);
+
+  const changes = REVISION_FIELDS[entityType]
+    .filter(field => JSON.stringify(from.data[field]) !== JSON.stringify(to.data[field]))
+    .map(field => ({ field, from: from.data[field], to: to.data[field] }));
+
+  return {
+    from: { revision_number: from.revision_number, author_email: from.author_email, created_at: from.created_at },
+    to: { revision_number: to.revision_number, author_email: to.author_email, created_at: to.created_at },
+    changes
+  };
+};
+
+// Copy a revision's content fields back onto the row and record a new revision
+const restoreRevision = async (req, entityType, entityId, revisionNumber) => {
+  const revision = await getRevision(entityType, entityId, revisionNumber);
+  const fields = REVISION_FIELDS[entityType].filter(field => !RESTORE_EXCLUDED_FIELDS.includes(field));
+
+  // The revision's category may have been deleted or trashed since
+  if (revision.data.category_id) {
+    const [categories] = await pool.execute(
+      'SELECT id FROM categories WHERE id = ? AND deleted_at IS NULL',
+      [revision.data.category_id]
+    );
+    if (categories.length === 0) {
+      revision.data.category_id = null;
+    }
+  }
+
+  const [result] = await pool.execute(
+    `UPDATE ${TABLES[entityType]} SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ? AND deleted_at IS NULL`,
+    [...fields.map(field => revision.data[field]), entityId]
+  );
+  if (result.affectedRows === 0) {
+    throw new ServiceError(`${entityType === 'material' ? 'Material' : 'Video'} not found`, 404);
+  }
+
+  return recordRevision(req, entityType, entityId, { restoredFrom: revision.revision_number });
+};
+
+module.exports = { recordRevision, listRevisions, getRevision, diffRevisions, restoreRevision };
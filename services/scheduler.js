@@ -0,0 +1,55 @@
+const { pool } = require('../config/database');
+
+// Minimal in-process job scheduler. Each job runs on a fixed interval and
+// holds a MySQL named lock while it runs, so when several instances are up
+// only one of them executes a given job at a time.
+
+const jobs = new Map();
+
+const registerJob = (name, intervalMs, run) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+  jobs.set(name, { name, intervalMs, run, timer: null, running: false });
+};
+
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+
+  let db;
+  try {
+    db = await pool.getConnection();
+    const [lock] = await db.execute('SELECT GET_LOCK(?, 0) as acquired', [`job:${job.name}`]);
+    if (lock[0].acquired !== 1) return;
+
+    try {
+      await job.run();
+    } finally {
+      await db.execute('SELECT RELEASE_LOCK(?)', [`job:${job.name}`]);
+    }
+  } catch (error) {
+    console.error(`Scheduled job "${job.name}" failed:`, error);
+  } finally {
+    if (db) db.release();
+    job.running = false;
+  }
+};
+
+const startScheduler = () => {
+  jobs.forEach(job => {
+    if (job.timer) return;
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    job.timer.unref();
+    runJob(job);
+  });
+};
+
+const stopScheduler = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+module.exports = { registerJob, startScheduler, stopScheduler };
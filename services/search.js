@@ -0,0 +1,468 @@
+const { pool } = require('../config/database');
+const { contentEvents } = require('./content-events');
+const { isPublic } = require('./publishing');
+const { attachTags, tagCondition } = require('./tags');
+const { loadTranslations } = require('./translations');
+const { DEFAULT_LOCALE } = require('../config/locales');
+
+// Relevance-ranked search over published materials and videos, backed by the
+// FULLTEXT indexes from migrations 008 (default locale) and 026
+// (translations). Materials and videos are ranked in one UNION query so
+// pagination and totals cover both types together.
+
+// InnoDB ignores shorter words (innodb_ft_min_token_size defaults to 3)
+const MIN_TERM_LENGTH = 3;
+const MAX_TERM_LENGTH = 64;
+const MAX_QUERY_TERMS = 10;
+const SNIPPET_LENGTH = 160;
+const TERMS_CACHE_TTL_MS = 10 * 60 * 1000;
+const REBUILD_DEBOUNCE_MS = 5000;
+
+// Lowercase and strip diacritics so "Payudara" and "payudará" compare equal
+const normalizeText = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase();
+
+const tokenize = (text) => normalizeText(text)
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(term => term.length >= MIN_TERM_LENGTH && term.length <= MAX_TERM_LENGTH);
+
+const uniqueTerms = (query) => [...new Set(tokenize(query))].slice(0, MAX_QUERY_TERMS);
+
+// Terms only contain letters and digits, so none of the boolean-mode
+// operators can leak in. Each term is optional and prefix-matched.
+const toBooleanQuery = (terms) => terms.map(term => `${term}*`).join(' ');
+
+// LIKE treats % and _ as wildcards; backslash is the escape character
+const escapeLike = (text) => String(text).replace(/[\\%_]/g, '\\$&');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+// Material bodies are HTML: snippets show their text
+const toPlainText = (html) => String(html || '')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (entity, name) => ENTITIES[name]);
+
+// Build a normalized copy of text plus, for every normalized character, the
+// index of the original character it came from.
+const normalizeWithMap = (text) => {
+  let normalized = '';
+  const map = [];
+  for (let i = 0; i < text.length; i++) {
+    const chunk = normalizeText(text[i]);
+    for (let j = 0; j < chunk.length; j++) {
+      normalized += chunk[j];
+      map.push(i);
+    }
+  }
+  return { normalized, map };
+};
+
+// Excerpt of text, HTML tags dropped, around the first match with every
+// matched word prefix wrapped in <mark>. The excerpt is HTML-escaped.
+const highlight = (text, terms, length = SNIPPET_LENGTH) => {
+  const source = toPlainText(text).replace(/\s+/g, ' ').trim();
+  if (!source) return '';
+
+  const { normalized, map } = normalizeWithMap(source);
+  const matches = [];
+
+  terms.forEach(term => {
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${escapeRegExp(term)})`, 'gu');
+    let match;
+    while ((match = pattern.exec(normalized)) !== null) {
+      const start = match.index + match[1].length;
+      const end = start + match[2].length;
+      matches.push({ start: map[start], end: map[end - 1] + 1 });
+    }
+  });
+
+  matches.sort((a, b) => a.start - b.start);
+
+  const firstMatch = matches.length > 0 ? matches[0].start : 0;
+  let windowStart = Math.max(0, firstMatch - Math.floor(length / 3));
+  const windowEnd = Math.min(source.length, windowStart + length);
+  windowStart = Math.max(0, windowEnd - length);
+
+  let snippet = '';
+  let cursor = windowStart;
+  matches
+    .filter(match => match.start >= windowStart && match.end <= windowEnd)
+    .forEach(match => {
+      if (match.start < cursor) return;
+      snippet += escapeHtml(source.slice(cursor, match.start));
+      snippet += `<mark>${escapeHtml(source.slice(match.start, match.end))}</mark>`;
+      cursor = match.end;
+    });
+  snippet += escapeHtml(source.slice(cursor, windowEnd));
+
+  return `${windowStart > 0 ? '…' : ''}${snippet}${windowEnd < source.length ? '…' : ''}`;
+};
+
+// Search vocabulary
+
+let termsCache = null;
+let termsCacheLoadedAt = 0;
+let rebuildTimer = null;
+
+const rebuildSearchTerms = async () => {
+  const [materials] = await pool.execute(
+    `SELECT title, content, author FROM materials WHERE ${isPublic()}`
+  );
+  const [videos] = await pool.execute(
+    `SELECT title, description FROM videos WHERE ${isPublic()}`
+  );
+  const [categories] = await pool.execute('SELECT name FROM categories WHERE deleted_at IS NULL');
+  // Translated words are searchable as well, so they must not be "corrected"
+  const [translations] = await pool.execute(`
+    SELECT t.entity_type, t.search_title, t.search_body FROM content_translations t
+    LEFT JOIN materials m ON t.entity_type = 'material' AND m.id = t.entity_id
+    LEFT JOIN videos v ON t.entity_type = 'video' AND v.id = t.entity_id
+    LEFT JOIN categories c ON t.entity_type = 'category' AND c.id = t.entity_id
+    WHERE ${isPublic('m')} OR ${isPublic('v')} OR (c.id IS NOT NULL AND c.deleted_at IS NULL)
+  `);
+
+  const frequencies = new Map();
+  const count = (text) => tokenize(text).forEach(term => {
+    frequencies.set(term, (frequencies.get(term) || 0) + 1);
+  });
+
+  materials.forEach(row => { count(row.title); count(row.content); count(row.author); });
+  videos.forEach(row => { count(row.title); count(row.description); });
+  categories.forEach(row => count(row.name));
+  translations.forEach(row => {
+    count(row.search_title);
+    if (row.entity_type !== 'category') count(row.search_body);
+  });
+
+  const entries = [...frequencies.entries()];
+  const db = await pool.getConnection();
+  try {
+    await db.beginTransaction();
+    await db.query('DELETE FROM search_terms');
+    for (let i = 0; i < entries.length; i += 500) {
+      await db.query('INSERT INTO search_terms (term, frequency) VALUES ?', [entries.slice(i, i + 500)]);
+    }
+    await db.commit();
+  } catch (error) {
+    await db.rollback();
+    throw error;
+  } finally {
+    db.release();
+  }
+
+  termsCache = frequencies;
+  termsCacheLoadedAt = Date.now();
+  return entries.length;
+};
+
+// Content changes arrive in bursts (e.g. a bulk edit), so rebuild once
+// they settle
+const scheduleSearchTermsRebuild = () => {
+  clearTimeout(rebuildTimer);
+  rebuildTimer = setTimeout(() => {
+    rebuildSearchTerms().catch(error => console.error('Rebuild search terms error:', error));
+  }, REBUILD_DEBOUNCE_MS);
+  rebuildTimer.unref();
+};
+
+contentEvents.on('change', scheduleSearchTermsRebuild);
+
+const loadTerms = async () => {
+  if (termsCache && Date.now() - termsCacheLoadedAt < TERMS_CACHE_TTL_MS) {
+    return termsCache;
+  }
+
+  const [rows] = await pool.execute('SELECT term, frequency FROM search_terms');
+  if (rows.length === 0) {
+    await rebuildSearchTerms();
+    return termsCache;
+  }
+
+  termsCache = new Map(rows.map(row => [row.term, row.frequency]));
+  termsCacheLoadedAt = Date.now();
+  return termsCache;
+};
+
+// Edit distance with an early exit once every cell in a row exceeds max
+const levenshtein = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Replace each query term that is not in the vocabulary with the closest
+// frequent term. Returns the corrected query, or null if nothing changed.
+const suggestQuery = async (terms) => {
+  const vocabulary = await loadTerms();
+  let changed = false;
+
+  const corrected = terms.map(term => {
+    if (vocabulary.has(term)) return term;
+
+    const maxDistance = term.length <= 4 ? 1 : 2;
+    let best = null;
+    vocabulary.forEach((frequency, candidate) => {
+      const distance = levenshtein(term, candidate, maxDistance);
+      if (distance > maxDistance) return;
+      if (!best || distance < best.distance || (distance === best.distance && frequency > best.frequency)) {
+        best = { term: candidate, distance, frequency };
+      }
+    });
+
+    if (best) {
+      changed = true;
+      return best.term;
+    }
+    return term;
+  });
+
+  return changed ? corrected.join(' ') : null;
+};
+
+// Columns matched per type. Outside the default locale the item's
+// translation (mt/vt) and its category's (ct) are matched as well, so
+// content can be found in the language it is shown in.
+const MATCH_COLUMNS = {
+  material: { alias: 'm', title: 'm.title', text: ['m.title', 'm.content', 'm.author'] },
+  video: { alias: 'v', title: 'v.title', text: ['v.title', 'v.description'] }
+};
+
+// Every placeholder of a matcher fragment takes the same value
+const fillParams = (sql, value) => (sql.match(/\?/g) || []).map(() => value);
+
+// Per-type SQL fragments. Full-text matching when the query has indexable
+// terms, LIKE on the title/body otherwise (e.g. two-letter queries).
+const buildMatchers = (query, terms, locale = DEFAULT_LOCALE) => {
+  const translated = locale !== DEFAULT_LOCALE;
+  const matchers = {};
+
+  Object.entries(MATCH_COLUMNS).forEach(([entityType, { alias, title, text }]) => {
+    const translation = `${alias}t`;
+    const joins = translated
+      ? `LEFT JOIN content_translations ${translation} ON ${translation}.entity_type = '${entityType}'
+          AND ${translation}.entity_id = ${alias}.id AND ${translation}.locale = ?
+        LEFT JOIN content_translations ct ON ct.entity_type = 'category' AND ct.entity_id = c.id AND ct.locale = ?`
+      : '';
+
+    let score;
+    let where;
+    let value;
+    if (terms.length > 0) {
+      value = toBooleanQuery(terms);
+      // Joined rows may be missing, so their matches can be NULL
+      const match = (columns, joined = true) => {
+        const sql = `MATCH(${columns}) AGAINST (? IN BOOLEAN MODE)`;
+        return joined ? `IFNULL(${sql}, 0)` : sql;
+      };
+      // A translated item scores by the better matching locale
+      const best = (own, joined, translatedColumns) => (translated
+        ? `GREATEST(${match(own, joined)}, ${match(translatedColumns)})`
+        : match(own, joined));
+
+      const all = text.join(', ');
+      score = `(${best(title, false, `${translation}.search_title`)} * 3
+          + ${best(all, false, `${translation}.search_title, ${translation}.search_body`)}
+          + ${best('c.name', true, 'ct.search_title')} * 2)`;
+      const matched = [`MATCH(${all})`, 'MATCH(c.name)'];
+      if (translated) {
+        matched.push(`MATCH(${translation}.search_title, ${translation}.search_body)`, 'MATCH(ct.search_title)');
+      }
+      where = `(${matched.map(sql => `${sql} AGAINST (? IN BOOLEAN MODE)`).join(' OR ')})`;
+    } else {
+      value = `%${escapeLike(query)}%`;
+      const contains = (column) => `${column} LIKE ? ESCAPE '\\\\'`;
+      const titles = translated ? [title, `${translation}.search_title`] : [title];
+      const texts = translated ? [...text, `${translation}.search_title`, `${translation}.search_body`] : text;
+      score = `(IFNULL(${titles.map(contains).join(' OR ')}, 0) * 3 + 1)`;
+      where = `(${texts.map(contains).join(' OR ')})`;
+    }
+
+    matchers[entityType] = {
+      joins,
+      joinParams: translated ? [locale, locale] : [],
+      score,
+      scoreParams: fillParams(score, value),
+      where,
+      whereParams: fillParams(where, value)
+    };
+  });
+
+  return matchers;
+};
+
+// Results are shown in the requested locale where a translation exists.
+// body is the material's content or the video's description.
+const BODY_FIELDS = { material: 'content', video: 'description' };
+
+const localizeResults = async (rows, locale) => {
+  if (locale === DEFAULT_LOCALE) {
+    return rows.map(row => ({ ...row, locale: DEFAULT_LOCALE }));
+  }
+
+  const translations = {};
+  for (const entityType of Object.keys(BODY_FIELDS)) {
+    const ids = rows.filter(row => row.content_type === entityType).map(row => row.id);
+    translations[entityType] = await loadTranslations(entityType, ids, locale);
+  }
+  const categories = await loadTranslations('category', rows.map(row => row.category_id), locale);
+
+  return rows.map(row => {
+    const data = translations[row.content_type].get(Number(row.id));
+    const category = categories.get(Number(row.category_id));
+    return {
+      ...row,
+      title: (data && data.title) || row.title,
+      body: (data && data[BODY_FIELDS[row.content_type]]) || row.body,
+      category_name: (category && category.name) || row.category_name,
+      locale: data ? locale : DEFAULT_LOCALE
+    };
+  });
+};
+
+const search = async ({ query, type, categoryIds, tags, locale = DEFAULT_LOCALE, page = 1, limit = 10 }) => {
+  const terms = uniqueTerms(query);
+  const matchers = buildMatchers(query, terms, locale);
+  const includeMaterials = !type || type === 'materials';
+  const includeVideos = !type || type === 'videos';
+
+  const selects = [];
+  const selectParams = [];
+  const totals = { materials: 0, videos: 0 };
+
+  if (includeMaterials) {
+    const matcher = matchers.material;
+    let where = `${isPublic('m')} AND ${matcher.where}`;
+    const whereParams = [...matcher.whereParams];
+    if (categoryIds) {
+      where += ` AND m.category_id IN (${categoryIds.map(() => '?').join(', ')})`;
+      whereParams.push(...categoryIds);
+    }
+    if (tags) {
+      const condition = tagCondition('material', 'm', tags);
+      where += ` AND ${condition.sql}`;
+      whereParams.push(...condition.params);
+    }
+
+    selects.push(`
+      SELECT 'material' as content_type, m.id, m.title, m.author, m.content as body,
+        m.image, NULL as thumbnail, NULL as video_url, NULL as duration,
+        m.category_id, c.name as category_name, m.created_at, m.updated_at,
+        ${matcher.score} as score
+      FROM materials m
+      LEFT JOIN categories c ON m.category_id = c.id
+      ${matcher.joins}
+      WHERE ${where}
+    `);
+    selectParams.push(...matcher.scoreParams, ...matcher.joinParams, ...whereParams);
+
+    const [count] = await pool.execute(`
+      SELECT COUNT(*) as total FROM materials m
+      LEFT JOIN categories c ON m.category_id = c.id
+      ${matcher.joins}
+      WHERE ${where}
+    `, [...matcher.joinParams, ...whereParams]);
+    totals.materials = count[0].total;
+  }
+
+  if (includeVideos) {
+    const matcher = matchers.video;
+    let where = `${isPublic('v')} AND ${matcher.where}`;
+    const whereParams = [...matcher.whereParams];
+    if (categoryIds) {
+      where += ` AND v.category_id IN (${categoryIds.map(() => '?').join(', ')})`;
+      whereParams.push(...categoryIds);
+    }
+    if (tags) {
+      const condition = tagCondition('video', 'v', tags);
+      where += ` AND ${condition.sql}`;
+      whereParams.push(...condition.params);
+    }
+
+    selects.push(`
+      SELECT 'video' as content_type, v.id, v.title, NULL as author, v.description as body,
+        NULL as image, v.thumbnail, v.video_url, v.duration,
+        v.category_id, c.name as category_name, v.created_at, v.updated_at,
+        ${matcher.score} as score
+      FROM videos v
+      LEFT JOIN categories c ON v.category_id = c.id
+      ${matcher.joins}
+      WHERE ${where}
+    `);
+    selectParams.push(...matcher.scoreParams, ...matcher.joinParams, ...whereParams);
+
+    const [count] = await pool.execute(`
+      SELECT COUNT(*) as total FROM videos v
+      LEFT JOIN categories c ON v.category_id = c.id
+      ${matcher.joins}
+      WHERE ${where}
+    `, [...matcher.joinParams, ...whereParams]);
+    totals.videos = count[0].total;
+  }
+
+  const total = totals.materials + totals.videos;
+  const offset = (page - 1) * limit;
+  let rows = [];
+
+  if (total > offset) {
+    [rows] = await pool.execute(`
+      ${selects.join(' UNION ALL ')}
+      ORDER BY score DESC, created_at DESC
+      LIMIT ? OFFSET ?
+    `, [...selectParams, limit, offset]);
+    rows = await localizeResults(rows, locale);
+  }
+
+  const highlightTerms = terms.length > 0 ? terms : [normalizeText(query).trim()].filter(Boolean);
+  const materialTags = await attachTags('material', rows.filter(row => row.content_type === 'material'));
+  const videoTags = await attachTags('video', rows.filter(row => row.content_type === 'video'));
+  const tagsByRow = new Map([...materialTags, ...videoTags].map(row => [`${row.content_type}:${row.id}`, row.tags]));
+
+  const results = rows.map(({ body, score, ...row }) => ({
+    ...row,
+    tags: tagsByRow.get(`${row.content_type}:${row.id}`),
+    score: Number(score),
+    snippet: highlight(body, highlightTerms),
+    title_highlighted: highlight(row.title, highlightTerms, row.title.length)
+  }));
+
+  const suggestion = terms.length > 0 ? await suggestQuery(terms) : null;
+
+  return {
+    results,
+    total,
+    totals,
+    suggestions: suggestion ? [suggestion] : []
+  };
+};
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  highlight,
+  suggestQuery,
+  search,
+  rebuildSearchTerms,
+  scheduleSearchTermsRebuild
+};
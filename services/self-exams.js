@@ -0,0 +1,322 @@
+const { pool } = require('../config/database');
+const { DEFAULT_LOCALE } = require('../config/locales');
+const { ServiceError } = require('./errors');
+const { isPublic } = require('./publishing');
+const { categoryFilterIds } = require('./categories');
+const {
+  FINDING_TYPES, SIDES, QUADRANTS, RELATED_TAGS, DOCTOR_TAGS, DOCTOR_CATEGORY_ID,
+  EXAM_DAY_OFFSET, MIN_CYCLE_LENGTH, MAX_CYCLE_LENGTH, DEFAULT_CYCLE_LENGTH
+} = require('../config/self-exam');
+
+// Breast self-examination (SADARI) tracker. Users log exams with optional
+// findings and get the recommended date of their next exam, either a week
+// into their menstrual cycle or on a fixed day each month. Dates are plain
+// YYYY-MM-DD strings in the server's calendar.
+
+const MAX_FINDINGS = 20;
+const DOCTOR_MATERIALS_LIMIT = 5;
+
+const DOCTOR_MESSAGES = {
+  id: 'Temuan ini perlu diperiksakan. Segera konsultasikan ke dokter atau fasilitas kesehatan terdekat.',
+  en: 'This finding should be checked. Please see a doctor or visit a health facility soon.'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const todayString = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+// Date arithmetic in UTC so DST never shifts a day
+const toUtc = (date) => Date.UTC(Number(date.slice(0, 4)), Number(date.slice(5, 7)) - 1, Number(date.slice(8, 10)));
+const fromUtc = (ms) => new Date(ms).toISOString().slice(0, 10);
+const addDays = (date, days) => fromUtc(toUtc(date) + days * DAY_MS);
+const daysBetween = (from, to) => Math.round((toUtc(to) - toUtc(from)) / DAY_MS);
+
+const parseDate = (value, name) => {
+  const date = String(value || '');
+  if (!DATE_PATTERN.test(date) || fromUtc(toUtc(date)) !== date) {
+    throw new ServiceError(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  if (date > todayString()) {
+    throw new ServiceError(`${name} cannot be in the future`);
+  }
+  return date;
+};
+
+const parseInteger = (value, name, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new ServiceError(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+};
+
+const oneOf = (value, allowed, name) => {
+  if (!allowed.includes(value)) {
+    throw new ServiceError(`${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+};
+
+const getSettings = async (userId) => {
+  const [rows] = await pool.execute(
+    `SELECT mode, DATE_FORMAT(last_period_start, '%Y-%m-%d') as last_period_start, cycle_length, fixed_day, updated_at
+     FROM self_exam_settings WHERE user_id = ?`,
+    [userId]
+  );
+  return rows[0] || null;
+};
+
+// { mode: 'cycle', last_period_start, cycle_length? } or
+// { mode: 'fixed_day', fixed_day }
+const saveSettings = async (userId, body) => {
+  const mode = oneOf(body.mode, ['cycle', 'fixed_day'], 'mode');
+  let settings;
+
+  if (mode === 'cycle') {
+    settings = {
+      last_period_start: parseDate(body.last_period_start, 'last_period_start'),
+      cycle_length: body.cycle_length === undefined || body.cycle_length === null || body.cycle_length === ''
+        ? DEFAULT_CYCLE_LENGTH
+        : parseInteger(body.cycle_length, 'cycle_length', MIN_CYCLE_LENGTH, MAX_CYCLE_LENGTH),
+      fixed_day: null
+    };
+  } else {
+    // Up to 28 so the day exists in every month
+    settings = { last_period_start: null, cycle_length: null, fixed_day: parseInteger(body.fixed_day, 'fixed_day', 1, 28) };
+  }
+
+  await pool.execute(
+    `INSERT INTO self_exam_settings (user_id, mode, last_period_start, cycle_length, fixed_day)
+     VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE mode = VALUES(mode), last_period_start = VALUES(last_period_start),
+       cycle_length = VALUES(cycle_length), fixed_day = VALUES(fixed_day)`,
+    [userId, mode, settings.last_period_start, settings.cycle_length, settings.fixed_day]
+  );
+  return getSettings(userId);
+};
+
+// The next recommended exam for the settings, given the date of the last
+// logged exam. Returns { next_exam_date, status } where status is "due" when
+// this period's exam has been missed and should be done today.
+const computeNextExam = (settings, lastExamDate, today = todayString()) => {
+  if (!settings) {
+    return { next_exam_date: null, status: 'unscheduled' };
+  }
+
+  let periodStart;
+  let nextPeriodStart;
+  let examDate;
+
+  if (settings.mode === 'cycle') {
+    // Extend the cycle from the last reported period up to today
+    const cycleLength = settings.cycle_length || DEFAULT_CYCLE_LENGTH;
+    const cycles = Math.max(0, Math.floor(daysBetween(settings.last_period_start, today) / cycleLength));
+    periodStart = addDays(settings.last_period_start, cycles * cycleLength);
+    nextPeriodStart = addDays(periodStart, cycleLength);
+    examDate = addDays(periodStart, EXAM_DAY_OFFSET);
+  } else {
+    periodStart = `${today.slice(0, 8)}01`;
+    const nextMonth = new Date(toUtc(periodStart));
+    nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
+    nextPeriodStart = fromUtc(nextMonth.getTime());
+    examDate = `${today.slice(0, 8)}${pad(settings.fixed_day)}`;
+  }
+
+  // Already examined this cycle/month: the next one
+  if (lastExamDate && lastExamDate >= periodStart) {
+    const nextExamDate = settings.mode === 'cycle'
+      ? addDays(nextPeriodStart, EXAM_DAY_OFFSET)
+      : `${nextPeriodStart.slice(0, 8)}${pad(settings.fixed_day)}`;
+    return { next_exam_date: nextExamDate, status: 'scheduled' };
+  }
+
+  if (today <= examDate) {
+    return { next_exam_date: examDate, status: today === examDate ? 'due' : 'scheduled' };
+  }
+  return { next_exam_date: today, status: 'due' };
+};
+
+const lastExamDate = async (userId) => {
+  const [rows] = await pool.execute(
+    "SELECT DATE_FORMAT(MAX(exam_date), '%Y-%m-%d') as last_exam_date FROM self_exams WHERE user_id = ?",
+    [userId]
+  );
+  return rows[0].last_exam_date;
+};
+
+const getSchedule = async (userId) => {
+  const settings = await getSettings(userId);
+  const last = await lastExamDate(userId);
+  const today = todayString();
+  const { next_exam_date: nextExamDate, status } = computeNextExam(settings, last, today);
+
+  return {
+    settings,
+    last_exam_date: last,
+    next_exam_date: nextExamDate,
+    days_until: nextExamDate ? daysBetween(today, nextExamDate) : null,
+    status
+  };
+};
+
+const parseFindings = (findings) => {
+  if (findings === undefined || findings === null) return [];
+  if (!Array.isArray(findings)) {
+    throw new ServiceError('findings must be an array');
+  }
+  if (findings.length > MAX_FINDINGS) {
+    throw new ServiceError(`At most ${MAX_FINDINGS} findings per exam`);
+  }
+
+  return findings.map((finding, index) => {
+    const label = `findings[${index}]`;
+    if (!finding || typeof finding !== 'object') {
+      throw new ServiceError(`${label} must be an object`);
+    }
+    const notes = finding.notes ? String(finding.notes).trim().slice(0, 500) : null;
+    return {
+      type: oneOf(finding.type, FINDING_TYPES, `${label}.type`),
+      side: oneOf(finding.side, SIDES, `${label}.side`),
+      quadrant: finding.quadrant === undefined || finding.quadrant === null || finding.quadrant === ''
+        ? null
+        : oneOf(finding.quadrant, QUADRANTS, `${label}.quadrant`),
+      notes: notes || null
+    };
+  });
+};
+
+const attachFindings = async (exams) => {
+  if (exams.length === 0) return [];
+  const [rows] = await pool.query(
+    'SELECT exam_id, finding_type, side, quadrant, notes FROM self_exam_findings WHERE exam_id IN (?) ORDER BY id',
+    [exams.map(exam => exam.id)]
+  );
+
+  return exams.map(exam => ({
+    ...exam,
+    has_findings: Boolean(exam.has_findings),
+    findings: rows
+      .filter(row => row.exam_id === exam.id)
+      .map(row => ({ type: row.finding_type, side: row.side, quadrant: row.quadrant, notes: row.notes }))
+  }));
+};
+
+const EXAM_COLUMNS = "id, DATE_FORMAT(exam_date, '%Y-%m-%d') as exam_date, has_findings, notes, created_at";
+
+const getExam = async (userId, id) => {
+  const [rows] = await pool.execute(
+    `SELECT ${EXAM_COLUMNS} FROM self_exams WHERE id = ? AND user_id = ?`,
+    [id, userId]
+  );
+  if (rows.length === 0) {
+    throw new ServiceError('Exam not found', 404);
+  }
+  const [exam] = await attachFindings(rows);
+  return exam;
+};
+
+// { exam_date?, notes?, findings: [{ type, side, quadrant?, notes? }] }.
+// No findings means a normal exam.
+const logExam = async (userId, body) => {
+  const examDate = body.exam_date ? parseDate(body.exam_date, 'exam_date') : todayString();
+  const findings = parseFindings(body.findings);
+  const notes = body.notes ? String(body.notes).trim() : null;
+
+  const db = await pool.getConnection();
+  let examId;
+  try {
+    await db.beginTransaction();
+    const [result] = await db.execute(
+      'INSERT INTO self_exams (user_id, exam_date, has_findings, notes) VALUES (?, ?, ?, ?)',
+      [userId, examDate, findings.length > 0, notes || null]
+    );
+    examId = result.insertId;
+
+    if (findings.length > 0) {
+      await db.query(
+        'INSERT INTO self_exam_findings (exam_id, finding_type, side, quadrant, notes) VALUES ?',
+        [findings.map(finding => [examId, finding.type, finding.side, finding.quadrant, finding.notes])]
+      );
+    }
+    await db.commit();
+  } catch (error) {
+    await db.rollback();
+    throw error;
+  } finally {
+    db.release();
+  }
+
+  return getExam(userId, examId);
+};
+
+const listExams = async (userId, { page = 1, limit = 20 } = {}) => {
+  const offset = (page - 1) * limit;
+  const [rows] = await pool.execute(
+    `SELECT ${EXAM_COLUMNS} FROM self_exams WHERE user_id = ? ORDER BY exam_date DESC, id DESC LIMIT ? OFFSET ?`,
+    [userId, limit, offset]
+  );
+  const [totalResult] = await pool.execute('SELECT COUNT(*) as total FROM self_exams WHERE user_id = ?', [userId]);
+
+  return { items: await attachFindings(rows), total: totalResult[0].total };
+};
+
+const deleteExam = async (userId, id) => {
+  const [result] = await pool.execute('DELETE FROM self_exams WHERE id = ? AND user_id = ?', [id, userId]);
+  if (result.affectedRows === 0) {
+    throw new ServiceError('Exam not found', 404);
+  }
+};
+
+// Public materials related to the findings: tagged with one of the
+// finding's tags or DOCTOR_TAGS, or filed under DOCTOR_CATEGORY_ID. The
+// more matching tags, the higher a material ranks.
+const relatedMaterials = async (findingTypes) => {
+  const slugs = [...new Set([...DOCTOR_TAGS, ...findingTypes.flatMap(type => RELATED_TAGS[type] || [])])];
+  const categoryIds = DOCTOR_CATEGORY_ID ? await categoryFilterIds(DOCTOR_CATEGORY_ID) : [0];
+
+  const tagMatches = `(SELECT COUNT(*) FROM content_tags ct JOIN tags t ON t.id = ct.tag_id
+    WHERE ct.entity_type = 'material' AND ct.entity_id = m.id AND t.slug IN (?))`;
+
+  const [rows] = await pool.query(`
+    SELECT m.*, c.name as category_name, ${tagMatches} as relevance
+    FROM materials m
+    LEFT JOIN categories c ON m.category_id = c.id
+    WHERE ${isPublic('m')} AND (${tagMatches} > 0 OR m.category_id IN (?))
+    ORDER BY relevance DESC, m.created_at DESC
+    LIMIT ?
+  `, [slugs, slugs, categoryIds, DOCTOR_MATERIALS_LIMIT]);
+
+  return rows.map(({ relevance, ...material }) => material);
+};
+
+// The "see a doctor" action for an exam with findings, or null for a
+// normal exam
+const doctorAction = async (exam, locale) => {
+  if (!exam.findings || exam.findings.length === 0) return null;
+
+  const findingTypes = [...new Set(exam.findings.map(finding => finding.type))];
+  return {
+    type: 'see_doctor',
+    message: DOCTOR_MESSAGES[locale] || DOCTOR_MESSAGES[DEFAULT_LOCALE],
+    finding_types: findingTypes,
+    materials: await relatedMaterials(findingTypes)
+  };
+};
+
+module.exports = {
+  computeNextExam,
+  getSettings,
+  saveSettings,
+  getSchedule,
+  getExam,
+  logExam,
+  listExams,
+  deleteExam,
+  doctorAction
+};
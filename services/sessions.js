@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+const { ServiceError } = require('./errors');
+
+// Admin sessions: short-lived JWT access tokens that name their session
+// (sid), plus opaque refresh tokens stored hashed in admin_sessions.
+// Revoking a session invalidates its access token on the next request,
+// because authenticateToken checks the session row. Admin tokens carry the
+// "admin" audience so an end-user token (services/user-sessions) is never
+// accepted in their place.
+
+const ADMIN_TOKEN_AUDIENCE = 'admin';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const signAccessToken = (admin, sessionId) => {
+  return jwt.sign(
+    { id: admin.id, email: admin.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, audience: ADMIN_TOKEN_AUDIENCE }
+  );
+};
+
+const tokenResponse = (admin, sessionId, refreshToken) => {
+  const accessToken = signAccessToken(admin, sessionId);
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+    sessionId
+  };
+};
+
+const createSession = async (admin, { ip = null, userAgent = null } = {}) => {
+  const refreshToken = generateRefreshToken();
+
+  const [result] = await pool.execute(
+    `INSERT INTO admin_sessions (admin_id, refresh_token_hash, expires_at, ip, user_agent, last_used_at)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), ?, ?, NOW())`,
+    [admin.id, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS, ip, userAgent ? userAgent.slice(0, 255) : null]
+  );
+
+  return tokenResponse(admin, result.insertId, refreshToken);
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+  await pool.execute(
+    'UPDATE admin_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+    [reason, sessionId]
+  );
+};
+
+const revokeAllSessions = async (adminId, { reason = 'logout_all', exceptSessionId = null } = {}) => {
+  const [result] = await pool.execute(
+    `UPDATE admin_sessions SET revoked_at = NOW(), revoked_reason = ?
+     WHERE admin_id = ? AND revoked_at IS NULL AND id <> ?`,
+    [reason, adminId, exceptSessionId || 0]
+  );
+  return result.affectedRows;
+};
+
+// Exchange a refresh token for a new access/refresh pair. Presenting a
+// refresh token that was already rotated away means it was copied, so the
+// whole session is revoked.
+const rotateSession = async (refreshToken, { ip = null, userAgent = null } = {}) => {
+  if (!refreshToken) {
+    throw new ServiceError('Refresh token is required');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+
+  const [reused] = await pool.execute(
+    'SELECT id FROM admin_sessions WHERE previous_token_hash = ? AND revoked_at IS NULL',
+    [tokenHash]
+  );
+  if (reused.length > 0) {
+    await revokeSession(reused[0].id, 'refresh_reuse');
+    throw new ServiceError('Refresh token has already been used; session revoked', 401);
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT s.id, a.id as admin_id, a.email, a.is_active
+     FROM admin_sessions s
+     JOIN admins a ON a.id = s.admin_id
+     WHERE s.refresh_token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [tokenHash]
+  );
+
+  if (rows.length === 0 || !rows[0].is_active) {
+    throw new ServiceError('Invalid or expired refresh token', 401);
+  }
+
+  const session = rows[0];
+  const nextRefreshToken = generateRefreshToken();
+
+  // Conditional on the old hash so two concurrent refreshes cannot both win
+  const [update] = await pool.execute(
+    `UPDATE admin_sessions
+     SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, last_used_at = NOW(), ip = ?, user_agent = ?
+     WHERE id = ? AND refresh_token_hash = ?`,
+    [hashToken(nextRefreshToken), ip, userAgent ? userAgent.slice(0, 255) : null, session.id, tokenHash]
+  );
+  if (update.affectedRows === 0) {
+    throw new ServiceError('Invalid or expired refresh token', 401);
+  }
+
+  return tokenResponse({ id: session.admin_id, email: session.email }, session.id, nextRefreshToken);
+};
+
+const findSessionByRefreshToken = async (refreshToken) => {
+  const [rows] = await pool.execute(
+    'SELECT id, admin_id FROM admin_sessions WHERE refresh_token_hash = ? AND revoked_at IS NULL',
+    [hashToken(refreshToken)]
+  );
+  return rows[0] || null;
+};
+
+const listSessions = async (adminId) => {
+  const [rows] = await pool.execute(
+    `SELECT id, ip, user_agent, created_at, last_used_at, expires_at
+     FROM admin_sessions
+     WHERE admin_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [adminId]
+  );
+  return rows;
+};
+
+module.exports = {
+  ADMIN_TOKEN_AUDIENCE,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  findSessionByRefreshToken,
+  listSessions
+};
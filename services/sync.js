@@ -0,0 +1,137 @@
+const { pool } = require('../config/database');
+const { ServiceError } = require('./errors');
+const { contentEvents } = require('./content-events');
+const { isPublic } = require('./publishing');
+const { attachTags } = require('./tags');
+const { localizeRows } = require('./translations');
+
+// Delta sync of categories, materials and videos for offline clients
+// (GET /api/sync, see migrations/024_sync.js).
+//
+// A cursor is an opaque token holding a database timestamp and the locale
+// the client was served in. A delta returns every row whose updated_at (or
+// publish window boundary) falls at or after the cursor: public rows as
+// upserts, the rest as tombstones, plus rows purged since. All reads run in
+// one consistent snapshot, and the next cursor is set SETTLE_SECONDS before
+// the snapshot so edits that were still committing are picked up by the
+// following sync. Clients therefore see some rows twice and must apply
+// changes idempotently; tombstones may also name rows they never had.
+// Without a cursor, with full=1 or after a locale change the response is a
+// full resync: everything public, no tombstones, and the client replaces
+// its copy.
+
+const SETTLE_SECONDS = 10;
+const CURSOR_VERSION = 1;
+
+const TABLES = { category: 'categories', material: 'materials', video: 'videos' };
+
+const encodeCursor = (time, locale) => Buffer
+  .from(JSON.stringify({ v: CURSOR_VERSION, t: time, l: locale }))
+  .toString('base64url');
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (cursor.v === CURSOR_VERSION && Number.isInteger(cursor.t) && typeof cursor.l === 'string') {
+      return { time: cursor.t, locale: cursor.l };
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new ServiceError('Invalid sync cursor, sync again without one for a full resync');
+};
+
+// Sub-resource changes (translations, tags, revisions) leave the row itself
+// alone, so touch updated_at for every content change the admin makes
+contentEvents.on('change', ({ entityType, entityId }) => {
+  if (!TABLES[entityType] || !entityId) return;
+  pool.execute(`UPDATE ${TABLES[entityType]} SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [entityId])
+    .catch(error => console.error(`Touch ${entityType} ${entityId} for sync error:`, error));
+});
+
+// Called inside the trash purge transaction for rows about to be deleted
+const recordTombstones = async (db, entityType, ids) => {
+  if (ids.length === 0) return;
+  await db.query(
+    'INSERT INTO sync_tombstones (entity_type, entity_id) VALUES ?',
+    [ids.map(id => [entityType, id])]
+  );
+};
+
+const readSnapshot = async (since) => {
+  const db = await pool.getConnection();
+  try {
+    await db.query('START TRANSACTION WITH CONSISTENT SNAPSHOT, READ ONLY');
+    const [[{ now }]] = await db.query('SELECT UNIX_TIMESTAMP() as now');
+    const snapshot = { now, rows: {}, purged: [] };
+
+    if (since === null) {
+      [snapshot.rows.category] = await db.execute('SELECT *, 1 as is_public FROM categories WHERE deleted_at IS NULL');
+      for (const entityType of ['material', 'video']) {
+        [snapshot.rows[entityType]] = await db.execute(
+          `SELECT *, 1 as is_public FROM ${TABLES[entityType]} WHERE ${isPublic()}`
+        );
+      }
+    } else {
+      [snapshot.rows.category] = await db.execute(
+        'SELECT *, deleted_at IS NULL as is_public FROM categories WHERE updated_at >= FROM_UNIXTIME(?)',
+        [since]
+      );
+      // Scheduled windows open and close without touching the row
+      for (const entityType of ['material', 'video']) {
+        [snapshot.rows[entityType]] = await db.execute(`
+          SELECT *, ${isPublic()} as is_public FROM ${TABLES[entityType]}
+          WHERE updated_at >= FROM_UNIXTIME(?)
+            OR publish_at BETWEEN FROM_UNIXTIME(?) AND FROM_UNIXTIME(?)
+            OR unpublish_at BETWEEN FROM_UNIXTIME(?) AND FROM_UNIXTIME(?)
+        `, [since, since, now, since, now]);
+      }
+      [snapshot.purged] = await db.execute(
+        'SELECT entity_type, entity_id FROM sync_tombstones WHERE deleted_at >= FROM_UNIXTIME(?)',
+        [since]
+      );
+    }
+
+    await db.commit();
+    return snapshot;
+  } catch (error) {
+    await db.rollback();
+    throw error;
+  } finally {
+    db.release();
+  }
+};
+
+// { since: cursor | undefined, full: boolean, locale }
+const getChanges = async ({ since, full, locale }) => {
+  const cursor = since && !full ? decodeCursor(since) : null;
+  const isFull = !cursor || cursor.locale !== locale;
+  const snapshot = await readSnapshot(isFull ? null : cursor.time);
+
+  const data = {
+    full: isFull,
+    cursor: encodeCursor(snapshot.now - SETTLE_SECONDS, locale),
+    categories: [],
+    materials: [],
+    videos: [],
+    deleted: { categories: [], materials: [], videos: [] }
+  };
+
+  for (const [entityType, table] of Object.entries(TABLES)) {
+    const rows = snapshot.rows[entityType];
+    const live = rows.filter(row => Number(row.is_public) === 1).map(({ is_public: _isPublic, ...row }) => row);
+    rows.filter(row => Number(row.is_public) !== 1).forEach(row => data.deleted[table].push(row.id));
+
+    data[table] = entityType === 'category'
+      ? await localizeRows(entityType, live, locale)
+      : await localizeRows(entityType, await attachTags(entityType, live), locale);
+  }
+  snapshot.purged.forEach(row => {
+    const list = data.deleted[TABLES[row.entity_type]];
+    if (!list.includes(row.entity_id)) list.push(row.entity_id);
+  });
+
+  return data;
+};
+
+module.exports = { recordTombstones, getChanges };
@@ -0,0 +1,182 @@
+const { pool } = require('../config/database');
+const { ServiceError } = require('./errors');
+const { isPublic } = require('./publishing');
+
+// Tags for materials and videos. Tags are created on first use and matched
+// by slug, so "Early Detection" and "early-detection" are the same tag.
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_ITEM = 20;
+const TAG_MODES = ['any', 'all'];
+
+const slugify = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60);
+
+const cleanName = (name) => String(name || '').trim().replace(/\s+/g, ' ');
+
+// Accepts an array or a comma-separated string (multipart forms send
+// either). Returns undefined when the field was not sent at all, so updates
+// can leave tags untouched.
+const parseTagList = (value) => {
+  if (value === undefined) return undefined;
+
+  const names = (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(cleanName)
+    .filter(Boolean);
+
+  const tags = new Map();
+  for (const name of names) {
+    if (name.length > MAX_TAG_LENGTH) {
+      throw new ServiceError(`Tags must be at most ${MAX_TAG_LENGTH} characters`);
+    }
+    const slug = slugify(name);
+    if (slug && !tags.has(slug)) {
+      tags.set(slug, name);
+    }
+  }
+
+  if (tags.size > MAX_TAGS_PER_ITEM) {
+    throw new ServiceError(`At most ${MAX_TAGS_PER_ITEM} tags are allowed`);
+  }
+  return [...tags].map(([slug, name]) => ({ slug, name }));
+};
+
+// Replace the tags on a material or video
+const setContentTags = async (entityType, entityId, tags) => {
+  const db = await pool.getConnection();
+  try {
+    await db.beginTransaction();
+
+    const tagIds = [];
+    for (const { name, slug } of tags) {
+      // LAST_INSERT_ID(id) makes insertId the existing row's id on conflict
+      const [result] = await db.execute(
+        'INSERT INTO tags (name, slug) VALUES (?, ?) ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)',
+        [name, slug]
+      );
+      tagIds.push(result.insertId);
+    }
+
+    await db.execute('DELETE FROM content_tags WHERE entity_type = ? AND entity_id = ?', [entityType, entityId]);
+    if (tagIds.length > 0) {
+      await db.query(
+        'INSERT INTO content_tags (entity_type, entity_id, tag_id) VALUES ?',
+        [tagIds.map(tagId => [entityType, entityId, tagId])]
+      );
+    }
+
+    await db.commit();
+  } catch (error) {
+    await db.rollback();
+    throw error;
+  } finally {
+    db.release();
+  }
+};
+
+const loadTags = async (entityType, ids) => {
+  const byId = new Map(ids.map(id => [Number(id), []]));
+  if (ids.length === 0) return byId;
+
+  const [rows] = await pool.query(
+    `SELECT ct.entity_id, t.name, t.slug
+     FROM content_tags ct
+     JOIN tags t ON t.id = ct.tag_id
+     WHERE ct.entity_type = ? AND ct.entity_id IN (?)
+     ORDER BY t.name`,
+    [entityType, ids]
+  );
+  rows.forEach(row => {
+    byId.get(row.entity_id).push({ name: row.name, slug: row.slug });
+  });
+  return byId;
+};
+
+// Add a `tags` array to each row
+const attachTags = async (entityType, rows) => {
+  const tags = await loadTags(entityType, rows.map(row => row.id));
+  return rows.map(row => ({ ...row, tags: tags.get(Number(row.id)) || [] }));
+};
+
+// Parse ?tags=a,b&tags_mode=any|all into a filter, or null when no tags
+// were given
+const parseTagFilter = ({ tags, tags_mode: mode = 'any' }) => {
+  if (!TAG_MODES.includes(mode)) {
+    throw new ServiceError(`tags_mode must be one of: ${TAG_MODES.join(', ')}`);
+  }
+  if (!tags) return null;
+
+  const slugs = [...new Set(
+    (Array.isArray(tags) ? tags : [tags])
+      .flatMap(item => String(item).split(','))
+      .map(slugify)
+      .filter(Boolean)
+  )];
+  return slugs.length > 0 ? { slugs, mode } : null;
+};
+
+// SQL condition restricting content to the filter's tags: any of them, or
+// all of them. Pass the table alias, or nothing for unaliased queries.
+const tagCondition = (entityType, alias, filter) => {
+  const idColumn = alias ? `${alias}.id` : 'id';
+  const placeholders = filter.slugs.map(() => '?').join(', ');
+  let sql = `${idColumn} IN (
+    SELECT ct.entity_id FROM content_tags ct
+    JOIN tags t ON t.id = ct.tag_id
+    WHERE ct.entity_type = ? AND t.slug IN (${placeholders})`;
+  const params = [entityType, ...filter.slugs];
+
+  if (filter.mode === 'all') {
+    sql += ' GROUP BY ct.entity_id HAVING COUNT(DISTINCT ct.tag_id) = ?';
+    params.push(filter.slugs.length);
+  }
+  return { sql: `${sql})`, params };
+};
+
+// Tags with usage counts, most used first. Public listings only count (and
+// only return tags on) published content; the admin autocomplete counts
+// everything outside the trash.
+const listTags = async ({ q, limit = 20, publicOnly = false } = {}) => {
+  const visible = (alias) => (publicOnly ? isPublic(alias) : `${alias}.deleted_at IS NULL`);
+  const conditions = [];
+  const params = [];
+
+  if (q) {
+    conditions.push('(t.slug LIKE ? OR t.name LIKE ?)');
+    params.push(`${slugify(q)}%`, `%${cleanName(q)}%`);
+  }
+
+  const [tags] = await pool.execute(`
+    SELECT t.id, t.name, t.slug,
+      COUNT(DISTINCT m.id) as material_count,
+      COUNT(DISTINCT v.id) as video_count
+    FROM tags t
+    LEFT JOIN content_tags ct ON ct.tag_id = t.id
+    LEFT JOIN materials m ON ct.entity_type = 'material' AND m.id = ct.entity_id AND ${visible('m')}
+    LEFT JOIN videos v ON ct.entity_type = 'video' AND v.id = ct.entity_id AND ${visible('v')}
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    GROUP BY t.id
+    ${publicOnly ? 'HAVING material_count + video_count > 0' : ''}
+    ORDER BY material_count + video_count DESC, t.name
+    LIMIT ?
+  `, [...params, limit]);
+
+  return tags;
+};
+
+module.exports = {
+  slugify,
+  parseTagList,
+  setContentTags,
+  loadTags,
+  attachTags,
+  parseTagFilter,
+  tagCondition,
+  listTags
+};
@@ -0,0 +1,202 @@
+const { pool } = require('../config/database');
+const { DEFAULT_LOCALE, LOCALES, isSupportedLocale } = require('../config/locales');
+const { ServiceError } = require('./errors');
+
+// Translations of category, material and video text. Rows keep the default
+// locale in their own columns; a translation overrides individual fields and
+// anything missing falls back to the default text.
+
+const TRANSLATABLE_FIELDS = {
+  category: ['name', 'description'],
+  material: ['title', 'content'],
+  video: ['title', 'description']
+};
+
+const TABLES = { category: 'categories', material: 'materials', video: 'videos' };
+const LABELS = { category: 'Category', material: 'Material', video: 'Video' };
+
+const TRANSLATED_LOCALES = LOCALES.filter(locale => locale !== DEFAULT_LOCALE);
+
+const parseData = (data) => (typeof data === 'string' ? JSON.parse(data) : data);
+
+const hasText = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Map of entity id -> translated fields for one locale
+const loadTranslations = async (entityType, ids, locale) => {
+  const translations = new Map();
+  const uniqueIds = [...new Set(ids.filter(Boolean).map(Number))];
+  if (locale === DEFAULT_LOCALE || uniqueIds.length === 0) return translations;
+
+  const [rows] = await pool.query(
+    'SELECT entity_id, data FROM content_translations WHERE entity_type = ? AND locale = ? AND entity_id IN (?)',
+    [entityType, locale, uniqueIds]
+  );
+  rows.forEach(row => translations.set(row.entity_id, parseData(row.data)));
+  return translations;
+};
+
+// Overlay translated fields the row actually has
+const overlay = (entityType, row, data) => {
+  const localized = { ...row };
+  TRANSLATABLE_FIELDS[entityType].forEach(field => {
+    if (field in row && data && hasText(data[field])) {
+      localized[field] = data[field];
+    }
+  });
+  return localized;
+};
+
+// Translate rows into the locale. Each row gets `locale` set to the locale
+// it was served in; a joined category_name is translated too.
+const localizeRows = async (entityType, rows, locale) => {
+  if (locale === DEFAULT_LOCALE || rows.length === 0) {
+    return rows.map(row => ({ ...row, locale: DEFAULT_LOCALE }));
+  }
+
+  const translations = await loadTranslations(entityType, rows.map(row => row.id), locale);
+  const categoryNames = rows.some(row => 'category_name' in row)
+    ? await loadTranslations('category', rows.map(row => row.category_id), locale)
+    : new Map();
+
+  return rows.map(row => {
+    const data = translations.get(Number(row.id));
+    const localized = overlay(entityType, row, data);
+    const category = categoryNames.get(Number(row.category_id));
+    if (category && hasText(category.name) && 'category_name' in row) {
+      localized.category_name = category.name;
+    }
+    localized.locale = data ? locale : DEFAULT_LOCALE;
+    return localized;
+  });
+};
+
+const localizeRow = async (entityType, row, locale) => {
+  const [localized] = await localizeRows(entityType, [row], locale);
+  return localized;
+};
+
+// Translate a nested category tree (see services/categories getCategoryTree)
+const localizeCategoryTree = async (tree, locale) => {
+  const ids = [];
+  const collect = (nodes) => nodes.forEach(node => { ids.push(node.id); collect(node.children); });
+  collect(tree);
+
+  const translations = await loadTranslations('category', ids, locale);
+  const translate = (nodes) => nodes.map(node => ({
+    ...overlay('category', node, translations.get(node.id)),
+    children: translate(node.children)
+  }));
+  return translate(tree);
+};
+
+const loadEntity = async (entityType, id) => {
+  const [rows] = await pool.execute(
+    `SELECT * FROM ${TABLES[entityType]} WHERE id = ? AND deleted_at IS NULL`,
+    [id]
+  );
+  if (rows.length === 0) {
+    throw new ServiceError(`${LABELS[entityType]} not found`, 404);
+  }
+  return rows[0];
+};
+
+// 'complete', 'partial' or 'missing' for one translation, judged against the
+// fields that have default-locale text
+const completeness = (entityType, row, data) => {
+  const fields = TRANSLATABLE_FIELDS[entityType].filter(field => hasText(row[field]));
+  const translated = fields.filter(field => data && hasText(data[field]));
+  if (translated.length === 0) return 'missing';
+  return translated.length === fields.length ? 'complete' : 'partial';
+};
+
+// Add `translations: { en: 'complete' | 'partial' | 'missing' }` to each row
+const attachTranslationStatus = async (entityType, rows) => {
+  const byLocale = {};
+  for (const locale of TRANSLATED_LOCALES) {
+    byLocale[locale] = await loadTranslations(entityType, rows.map(row => row.id), locale);
+  }
+
+  return rows.map(row => {
+    const translations = {};
+    TRANSLATED_LOCALES.forEach(locale => {
+      translations[locale] = completeness(entityType, row, byLocale[locale].get(Number(row.id)));
+    });
+    return { ...row, translations };
+  });
+};
+
+// Every locale's text side by side, for the dashboard editor
+const getTranslations = async (entityType, id) => {
+  const row = await loadEntity(entityType, id);
+  const fields = TRANSLATABLE_FIELDS[entityType];
+
+  const [rows] = await pool.execute(
+    'SELECT locale, data, updated_by, updated_at FROM content_translations WHERE entity_type = ? AND entity_id = ?',
+    [entityType, id]
+  );
+  const stored = new Map(rows.map(translation => [translation.locale, translation]));
+
+  const locales = {};
+  LOCALES.forEach(locale => {
+    if (locale === DEFAULT_LOCALE) {
+      locales[locale] = { fields: Object.fromEntries(fields.map(field => [field, row[field]])), status: 'complete' };
+      return;
+    }
+    const translation = stored.get(locale);
+    const data = translation ? parseData(translation.data) : null;
+    locales[locale] = {
+      fields: Object.fromEntries(fields.map(field => [field, data && data[field] !== undefined ? data[field] : null])),
+      status: completeness(entityType, row, data),
+      updated_by: translation ? translation.updated_by : null,
+      updated_at: translation ? translation.updated_at : null
+    };
+  });
+
+  return { default_locale: DEFAULT_LOCALE, fields, locales };
+};
+
+// Replace one locale's translation. Empty fields are dropped; a translation
+// with no fields left is deleted.
+const saveTranslation = async (req, entityType, id, locale, body) => {
+  if (!isSupportedLocale(locale)) {
+    throw new ServiceError(`Locale must be one of: ${LOCALES.join(', ')}`);
+  }
+  if (locale === DEFAULT_LOCALE) {
+    throw new ServiceError(`${DEFAULT_LOCALE} is the default locale; edit the ${entityType} itself instead`);
+  }
+  await loadEntity(entityType, id);
+
+  const data = {};
+  TRANSLATABLE_FIELDS[entityType].forEach(field => {
+    if (hasText(body[field])) {
+      data[field] = body[field].trim();
+    }
+  });
+
+  if (Object.keys(data).length === 0) {
+    await pool.execute(
+      'DELETE FROM content_translations WHERE entity_type = ? AND entity_id = ? AND locale = ?',
+      [entityType, id, locale]
+    );
+    return null;
+  }
+
+  await pool.execute(
+    `INSERT INTO content_translations (entity_type, entity_id, locale, data, updated_by)
+     VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE data = VALUES(data), updated_by = VALUES(updated_by)`,
+    [entityType, id, locale, JSON.stringify(data), req.user ? req.user.email : null]
+  );
+  return data;
+};
+
+module.exports = {
+  TRANSLATABLE_FIELDS,
+  loadTranslations,
+  localizeRows,
+  localizeRow,
+  localizeCategoryTree,
+  attachTranslationStatus,
+  getTranslations,
+  saveTranslation
+};
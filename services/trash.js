@@ -0,0 +1,336 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../config/database');
+const { ServiceError } = require('./errors');
+const { descendantIds } = require('./categories');
+const { recordTombstones } = require('./sync');
+
+// Soft delete for categories, materials and videos. Deleting sets
+// deleted_at, which hides the row everywhere except the trash. Trashing a
+// category trashes its subcategories and all their content with the same
+// timestamp so restoring the category brings exactly that back. Purging
+// removes the row for good, along with its revisions and any upload files
+// nothing else uses.
+
+const TABLES = { category: 'categories', material: 'materials', video: 'videos' };
+const LABELS = { category: 'Category', material: 'Material', video: 'Video' };
+
+// Columns holding paths under /uploads
+const UPLOAD_FIELDS = { material: ['image'], video: ['video_url', 'thumbnail'] };
+
+// Same relative directory multer writes to and express.static serves
+const UPLOADS_ROOT = path.resolve('uploads');
+
+const notFound = (entityType) => new ServiceError(`${LABELS[entityType]} not found`, 404);
+
+// Refuse to file content under a category that is missing or in the trash
+const assertCategoryActive = async (categoryId) => {
+  if (!categoryId) return;
+  const [rows] = await pool.execute(
+    'SELECT id FROM categories WHERE id = ? AND deleted_at IS NULL',
+    [categoryId]
+  );
+  if (rows.length === 0) {
+    throw new ServiceError('Category not found');
+  }
+};
+
+// Ids of a category and the categories below it, limited to rows matching
+// the filter
+const categorySubtree = async (db, categoryId, filter = () => true) => {
+  const [categories] = await db.execute('SELECT id, parent_id, name, sort_order, deleted_at FROM categories FOR UPDATE');
+  return descendantIds(categories.filter(filter), categoryId);
+};
+
+const sameTime = (a, b) => a && b && new Date(a).getTime() === new Date(b).getTime();
+
+const withTransaction = async (fn) => {
+  const db = await pool.getConnection();
+  try {
+    await db.beginTransaction();
+    const result = await fn(db);
+    await db.commit();
+    return result;
+  } catch (error) {
+    await db.rollback();
+    throw error;
+  } finally {
+    db.release();
+  }
+};
+
+// Rows a category cascade touched besides the category, as
+// [{ entityType, entityId }], so callers can announce each change
+const cascadeChanges = (subcategories, content) => [
+  ...subcategories.map(entityId => ({ entityType: 'category', entityId })),
+  ...['material', 'video'].flatMap(entityType => content[entityType].map(entityId => ({ entityType, entityId })))
+];
+
+// Ids of a category subtree's materials and videos matching the condition
+const subtreeContent = async (db, subtree, condition, params) => {
+  const content = {};
+  for (const entityType of ['material', 'video']) {
+    const [rows] = await db.query(
+      `SELECT id FROM ${TABLES[entityType]} WHERE category_id IN (?) AND ${condition} FOR UPDATE`,
+      [subtree, ...params]
+    );
+    content[entityType] = rows.map(row => row.id);
+  }
+  return content;
+};
+
+// Move a row to the trash. For a category, counts says how many
+// subcategories, materials and videos went with it and changed lists them.
+const trashContent = async (req, entityType, id) => {
+  const deletedBy = req.user ? req.user.email : null;
+
+  return withTransaction(async (db) => {
+    const [rows] = await db.execute(
+      `SELECT id FROM ${TABLES[entityType]} WHERE id = ? AND deleted_at IS NULL FOR UPDATE`,
+      [id]
+    );
+    if (rows.length === 0) {
+      throw notFound(entityType);
+    }
+
+    // One timestamp for the whole cascade
+    const [[{ now }]] = await db.query('SELECT NOW() as now');
+    await db.execute(
+      `UPDATE ${TABLES[entityType]} SET deleted_at = ?, deleted_by = ? WHERE id = ?`,
+      [now, deletedBy, id]
+    );
+
+    if (entityType !== 'category') {
+      return { counts: {}, changed: [] };
+    }
+
+    const subtree = await categorySubtree(db, id, category => !category.deleted_at || category.id === Number(id));
+    const subcategories = subtree.filter(categoryId => categoryId !== Number(id));
+    const content = await subtreeContent(db, subtree, 'deleted_at IS NULL', []);
+
+    if (subcategories.length > 0) {
+      await db.query(
+        'UPDATE categories SET deleted_at = ?, deleted_by = ? WHERE id IN (?)',
+        [now, deletedBy, subcategories]
+      );
+    }
+    for (const entityType of ['material', 'video']) {
+      if (content[entityType].length > 0) {
+        await db.query(
+          `UPDATE ${TABLES[entityType]} SET deleted_at = ?, deleted_by = ? WHERE id IN (?)`,
+          [now, deletedBy, content[entityType]]
+        );
+      }
+    }
+    return {
+      counts: { categories: subcategories.length, materials: content.material.length, videos: content.video.length },
+      changed: cascadeChanges(subcategories, content)
+    };
+  });
+};
+
+// Take a row out of the trash; counts and changed as for trashContent
+const restoreContent = async (entityType, id) => {
+  return withTransaction(async (db) => {
+    const [rows] = await db.execute(
+      `SELECT * FROM ${TABLES[entityType]} WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE`,
+      [id]
+    );
+    if (rows.length === 0) {
+      throw new ServiceError(`${LABELS[entityType]} is not in the trash`, 404);
+    }
+    const row = rows[0];
+
+    const parentId = entityType === 'category' ? row.parent_id : row.category_id;
+    if (parentId) {
+      const [categories] = await db.execute(
+        'SELECT name, deleted_at FROM categories WHERE id = ?',
+        [parentId]
+      );
+      if (categories.length > 0 && categories[0].deleted_at) {
+        throw new ServiceError(`Restore the category "${categories[0].name}" first`, 409);
+      }
+    }
+
+    await db.execute(
+      `UPDATE ${TABLES[entityType]} SET deleted_at = NULL, deleted_by = NULL WHERE id = ?`,
+      [id]
+    );
+
+    if (entityType !== 'category') {
+      return { counts: {}, changed: [] };
+    }
+
+    // Only the subcategories and content trashed together with the category
+    const subtree = await categorySubtree(db, id, category => sameTime(category.deleted_at, row.deleted_at) || category.id === Number(id));
+    const subcategories = subtree.filter(categoryId => categoryId !== Number(id));
+    const content = await subtreeContent(db, subtree, 'deleted_at = ?', [row.deleted_at]);
+
+    if (subcategories.length > 0) {
+      await db.query(
+        'UPDATE categories SET deleted_at = NULL, deleted_by = NULL WHERE id IN (?)',
+        [subcategories]
+      );
+    }
+    for (const entityType of ['material', 'video']) {
+      if (content[entityType].length > 0) {
+        await db.query(
+          `UPDATE ${TABLES[entityType]} SET deleted_at = NULL, deleted_by = NULL WHERE id IN (?)`,
+          [content[entityType]]
+        );
+      }
+    }
+    return {
+      counts: { categories: subcategories.length, materials: content.material.length, videos: content.video.length },
+      changed: cascadeChanges(subcategories, content)
+    };
+  });
+};
+
+const collectUploads = (entityType, data) => {
+  return (UPLOAD_FIELDS[entityType] || [])
+    .map(field => data[field])
+    .filter(value => typeof value === 'string' && value.startsWith('/uploads/'));
+};
+
+const isUploadReferenced = async (uploadPath) => {
+  const [rows] = await pool.execute(
+    `SELECT
+       (SELECT COUNT(*) FROM materials WHERE image = ?)
+       + (SELECT COUNT(*) FROM videos WHERE video_url = ? OR thumbnail = ?)
+       + (SELECT COUNT(*) FROM content_revisions
+          WHERE JSON_UNQUOTE(JSON_EXTRACT(data, '$.image')) = ?
+             OR JSON_UNQUOTE(JSON_EXTRACT(data, '$.video_url')) = ?
+             OR JSON_UNQUOTE(JSON_EXTRACT(data, '$.thumbnail')) = ?) as refs`,
+    [uploadPath, uploadPath, uploadPath, uploadPath, uploadPath, uploadPath]
+  );
+  return rows[0].refs > 0;
+};
+
+// Delete upload files no remaining row or revision points at
+const removeOrphanedUploads = async (uploadPaths) => {
+  const removed = [];
+  for (const uploadPath of new Set(uploadPaths)) {
+    if (await isUploadReferenced(uploadPath)) continue;
+
+    const file = path.resolve(UPLOADS_ROOT, uploadPath.slice('/uploads/'.length));
+    if (!file.startsWith(UPLOADS_ROOT + path.sep)) continue;
+
+    try {
+      await fs.promises.unlink(file);
+      removed.push(uploadPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Remove upload error:', error);
+      }
+    }
+  }
+  return removed;
+};
+
+// Hard-delete a trashed material or video inside a transaction and return
+// the upload paths it (and its history) referenced
+const purgeItem = async (db, entityType, id) => {
+  const [rows] = await db.execute(`SELECT * FROM ${TABLES[entityType]} WHERE id = ?`, [id]);
+  const uploads = rows.length > 0 ? collectUploads(entityType, rows[0]) : [];
+
+  const [revisions] = await db.execute(
+    'SELECT data FROM content_revisions WHERE entity_type = ? AND entity_id = ?',
+    [entityType, id]
+  );
+  revisions.forEach(({ data }) => {
+    uploads.push(...collectUploads(entityType, typeof data === 'string' ? JSON.parse(data) : data));
+  });
+
+  await db.execute('DELETE FROM content_revisions WHERE entity_type = ? AND entity_id = ?', [entityType, id]);
+  await db.execute('DELETE FROM content_tags WHERE entity_type = ? AND entity_id = ?', [entityType, id]);
+  await db.execute('DELETE FROM content_translations WHERE entity_type = ? AND entity_id = ?', [entityType, id]);
+  await db.execute('DELETE FROM user_bookmarks WHERE entity_type = ? AND entity_id = ?', [entityType, id]);
+  await db.execute('DELETE FROM user_progress WHERE entity_type = ? AND entity_id = ?', [entityType, id]);
+  await db.execute('DELETE FROM questionnaire_band_content WHERE entity_type = ? AND entity_id = ?', [entityType, id]);
+  await db.execute(`DELETE FROM ${TABLES[entityType]} WHERE id = ?`, [id]);
+  await recordTombstones(db, entityType, [id]);
+  return uploads;
+};
+
+// Permanently delete a trashed row. Purging a category also purges its
+// subcategories and the content under them, all of which must be in the
+// trash already.
+const purgeContent = async (entityType, id) => {
+  const { uploads, purged } = await withTransaction(async (db) => {
+    const [rows] = await db.execute(
+      `SELECT id FROM ${TABLES[entityType]} WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE`,
+      [id]
+    );
+    if (rows.length === 0) {
+      throw new ServiceError(`${LABELS[entityType]} is not in the trash`, 404);
+    }
+
+    if (entityType !== 'category') {
+      return { uploads: await purgeItem(db, entityType, id), purged: {} };
+    }
+
+    const subtree = await categorySubtree(db, id);
+    const [liveCategories] = await db.query(
+      'SELECT id FROM categories WHERE id IN (?) AND deleted_at IS NULL',
+      [subtree]
+    );
+    if (liveCategories.length > 0) {
+      throw new ServiceError('The category still has subcategories outside the trash', 409);
+    }
+
+    const uploads = [];
+    const purged = { categories: subtree.length - 1 };
+    for (const [itemType, table] of [['material', 'materials'], ['video', 'videos']]) {
+      const [items] = await db.query(`SELECT id, deleted_at FROM ${table} WHERE category_id IN (?)`, [subtree]);
+      if (items.some(item => !item.deleted_at)) {
+        throw new ServiceError(`The category still has ${table} outside the trash`, 409);
+      }
+      for (const item of items) {
+        uploads.push(...await purgeItem(db, itemType, item.id));
+      }
+      purged[table] = items.length;
+    }
+
+    // Deepest first: parent_id references are RESTRICT
+    for (const categoryId of [...subtree].reverse()) {
+      await db.execute('DELETE FROM categories WHERE id = ?', [categoryId]);
+    }
+    await recordTombstones(db, 'category', subtree);
+    await db.query(
+      "DELETE FROM content_translations WHERE entity_type = 'category' AND entity_id IN (?)",
+      [subtree]
+    );
+    return { uploads, purged };
+  });
+
+  const removedFiles = await removeOrphanedUploads(uploads);
+  return { ...purged, removedFiles };
+};
+
+// Trashed rows across the given entity types, most recently deleted first
+const listTrash = async (entityTypes, { page = 1, limit = 20 } = {}) => {
+  const selects = {
+    category: `SELECT 'category' as entity_type, id, name as title, NULL as category_id, deleted_at, deleted_by FROM categories WHERE deleted_at IS NOT NULL`,
+    material: `SELECT 'material' as entity_type, id, title, category_id, deleted_at, deleted_by FROM materials WHERE deleted_at IS NOT NULL`,
+    video: `SELECT 'video' as entity_type, id, title, category_id, deleted_at, deleted_by FROM videos WHERE deleted_at IS NOT NULL`
+  };
+  const union = entityTypes.map(type => selects[type]).join(' UNION ALL ');
+  const offset = (page - 1) * limit;
+
+  const [items] = await pool.execute(
+    `SELECT * FROM (${union}) trash ORDER BY deleted_at DESC, entity_type, id LIMIT ? OFFSET ?`,
+    [limit, offset]
+  );
+  const [totalResult] = await pool.execute(`SELECT COUNT(*) as total FROM (${union}) trash`);
+
+  return { items, total: totalResult[0].total };
+};
+
+module.exports = {
+  assertCategoryActive,
+  trashContent,
+  restoreContent,
+  purgeContent,
+  listTrash
+};
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+const { ServiceError } = require('./errors');
+
+// End-user sessions for the mobile app. Same scheme as admin sessions
+// (services/sessions.js) but in user_sessions, and access tokens carry the
+// "user" audience so they can never pass as admin tokens or vice versa.
+
+const USER_TOKEN_AUDIENCE = 'user';
+const ACCESS_TOKEN_TTL = process.env.USER_ACCESS_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.USER_REFRESH_TOKEN_TTL_DAYS || '90', 10);
+
+const userTokenSecret = () => process.env.USER_JWT_SECRET || process.env.JWT_SECRET;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const tokenResponse = (user, sessionId, refreshToken) => {
+  const accessToken = jwt.sign(
+    { id: user.id, sid: sessionId },
+    userTokenSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL, audience: USER_TOKEN_AUDIENCE }
+  );
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+  };
+};
+
+// Throws if the token is not a valid user access token
+const verifyUserToken = (token) => {
+  return jwt.verify(token, userTokenSecret(), { audience: USER_TOKEN_AUDIENCE });
+};
+
+const createUserSession = async (user, { ip = null, userAgent = null } = {}) => {
+  const refreshToken = generateRefreshToken();
+
+  const [result] = await pool.execute(
+    `INSERT INTO user_sessions (user_id, refresh_token_hash, expires_at, ip, user_agent, last_used_at)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), ?, ?, NOW())`,
+    [user.id, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS, ip, userAgent ? userAgent.slice(0, 255) : null]
+  );
+
+  return tokenResponse(user, result.insertId, refreshToken);
+};
+
+const revokeUserSession = async (sessionId, reason = 'logout') => {
+  await pool.execute(
+    'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+    [reason, sessionId]
+  );
+};
+
+const revokeAllUserSessions = async (userId, { reason = 'logout_all', exceptSessionId = null } = {}) => {
+  const [result] = await pool.execute(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL AND id <> ?`,
+    [reason, userId, exceptSessionId || 0]
+  );
+  return result.affectedRows;
+};
+
+// Exchange a refresh token for a new pair; replaying a rotated-away token
+// revokes the session (see rotateSession in services/sessions.js)
+const rotateUserSession = async (refreshToken, { ip = null, userAgent = null } = {}) => {
+  if (!refreshToken) {
+    throw new ServiceError('Refresh token is required');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+
+  const [reused] = await pool.execute(
+    'SELECT id FROM user_sessions WHERE previous_token_hash = ? AND revoked_at IS NULL',
+    [tokenHash]
+  );
+  if (reused.length > 0) {
+    await revokeUserSession(reused[0].id, 'refresh_reuse');
+    throw new ServiceError('Refresh token has already been used; session revoked', 401);
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT id, user_id FROM user_sessions
+     WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+    [tokenHash]
+  );
+  if (rows.length === 0) {
+    throw new ServiceError('Invalid or expired refresh token', 401);
+  }
+
+  const session = rows[0];
+  const nextRefreshToken = generateRefreshToken();
+
+  const [update] = await pool.execute(
+    `UPDATE user_sessions
+     SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, last_used_at = NOW(), ip = ?, user_agent = ?
+     WHERE id = ? AND refresh_token_hash = ?`,
+    [hashToken(nextRefreshToken), ip, userAgent ? userAgent.slice(0, 255) : null, session.id, tokenHash]
+  );
+  if (update.affectedRows === 0) {
+    throw new ServiceError('Invalid or expired refresh token', 401);
+  }
+
+  return tokenResponse({ id: session.user_id }, session.id, nextRefreshToken);
+};
+
+const findUserSessionByRefreshToken = async (refreshToken) => {
+  const [rows] = await pool.execute(
+    'SELECT id, user_id FROM user_sessions WHERE refresh_token_hash = ? AND revoked_at IS NULL',
+    [hashToken(refreshToken)]
+  );
+  return rows[0] || null;
+};
+
+module.exports = {
+  verifyUserToken,
+  createUserSession,
+  revokeUserSession,
+  revokeAllUserSessions,
+  rotateUserSession,
+  findUserSessionByRefreshToken
+};
@@ -0,0 +1,211 @@
+const bcrypt = require('bcryptjs');
+const { pool } = require('../config/database');
+const { DEFAULT_LOCALE, LOCALES, isSupportedLocale } = require('../config/locales');
+const { ServiceError } = require('./errors');
+const { validatePassword } = require('./passwords');
+const { revokeAllUserSessions } = require('./user-sessions');
+
+// End-user accounts for the mobile app. A user is either a full account
+// (email + password) or an anonymous device account that can later be
+// upgraded in place, keeping its id and everything attached to it.
+
+const BCRYPT_ROUNDS = 12;
+const AGE_RANGES = ['under_20', '20_29', '30_39', '40_49', '50_59', '60_plus'];
+const MAX_DISPLAY_NAME_LENGTH = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Shape returned to the app; never includes the password hash
+const toProfile = (user) => ({
+  id: user.id,
+  email: user.email,
+  display_name: user.display_name,
+  age_range: user.age_range,
+  locale: user.locale,
+  is_anonymous: Boolean(user.is_anonymous),
+  created_at: user.created_at
+});
+
+const normalizeEmail = (email) => {
+  const value = String(email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(value)) {
+    throw new ServiceError('A valid email is required');
+  }
+  return value;
+};
+
+// Validate the editable profile fields present in the body
+const profileFields = (body) => {
+  const fields = {};
+
+  if (body.display_name !== undefined) {
+    const name = body.display_name === null ? '' : String(body.display_name).trim();
+    if (name.length > MAX_DISPLAY_NAME_LENGTH) {
+      throw new ServiceError(`display_name must be at most ${MAX_DISPLAY_NAME_LENGTH} characters`);
+    }
+    fields.display_name = name || null;
+  }
+
+  if (body.age_range !== undefined) {
+    if (body.age_range !== null && body.age_range !== '' && !AGE_RANGES.includes(body.age_range)) {
+      throw new ServiceError(`age_range must be one of: ${AGE_RANGES.join(', ')}`);
+    }
+    fields.age_range = body.age_range || null;
+  }
+
+  if (body.locale !== undefined) {
+    if (!isSupportedLocale(body.locale)) {
+      throw new ServiceError(`locale must be one of: ${LOCALES.join(', ')}`);
+    }
+    fields.locale = body.locale;
+  }
+
+  return fields;
+};
+
+const findUser = async (userId) => {
+  const [rows] = await pool.execute('SELECT * FROM users WHERE id = ?', [userId]);
+  return rows[0] || null;
+};
+
+const assertEmailAvailable = async (email, exceptUserId = 0) => {
+  const [rows] = await pool.execute('SELECT id FROM users WHERE email = ? AND id <> ?', [email, exceptUserId]);
+  if (rows.length > 0) {
+    throw new ServiceError('An account with this email already exists', 409);
+  }
+};
+
+const registerUser = async (body) => {
+  const email = normalizeEmail(body.email);
+  validatePassword(body.password);
+  const fields = profileFields(body);
+  await assertEmailAvailable(email);
+
+  const hashedPassword = await bcrypt.hash(body.password, BCRYPT_ROUNDS);
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO users (email, password, display_name, age_range, locale, is_anonymous, last_login_at)
+       VALUES (?, ?, ?, ?, ?, FALSE, NOW())`,
+      [email, hashedPassword, fields.display_name || null, fields.age_range || null, fields.locale || DEFAULT_LOCALE]
+    );
+    return findUser(result.insertId);
+  } catch (error) {
+    // Lost a race with a concurrent registration
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new ServiceError('An account with this email already exists', 409);
+    }
+    throw error;
+  }
+};
+
+const createAnonymousUser = async (body) => {
+  const fields = profileFields({ locale: body.locale, age_range: body.age_range });
+  const deviceId = body.device_id ? String(body.device_id).slice(0, 100) : null;
+
+  const [result] = await pool.execute(
+    `INSERT INTO users (is_anonymous, device_id, age_range, locale, last_login_at)
+     VALUES (TRUE, ?, ?, ?, NOW())`,
+    [deviceId, fields.age_range || null, fields.locale || DEFAULT_LOCALE]
+  );
+  return findUser(result.insertId);
+};
+
+// Returns the user, or null for a wrong email/password. Callers compare
+// against a dummy hash for unknown emails to keep timing uniform.
+const verifyCredentials = async (email, password, dummyHash) => {
+  const [rows] = await pool.execute(
+    'SELECT * FROM users WHERE email = ? AND is_anonymous = FALSE',
+    [String(email || '').trim().toLowerCase()]
+  );
+  const user = rows[0];
+  const isValid = await bcrypt.compare(String(password || ''), user ? user.password : dummyHash);
+  if (!user || !isValid) return null;
+
+  await pool.execute('UPDATE users SET last_login_at = NOW() WHERE id = ?', [user.id]);
+  return user;
+};
+
+// Turn an anonymous account into a full one, keeping its id
+const upgradeAnonymousUser = async (userId, body) => {
+  const user = await findUser(userId);
+  if (!user) {
+    throw new ServiceError('Account not found', 404);
+  }
+  if (!user.is_anonymous) {
+    throw new ServiceError('Account is already registered', 409);
+  }
+
+  const email = normalizeEmail(body.email);
+  validatePassword(body.password);
+  const fields = profileFields(body);
+  await assertEmailAvailable(email, userId);
+
+  const hashedPassword = await bcrypt.hash(body.password, BCRYPT_ROUNDS);
+  const assignments = Object.keys(fields).map(field => `, ${field} = ?`).join('');
+  try {
+    await pool.execute(
+      `UPDATE users SET email = ?, password = ?, is_anonymous = FALSE, device_id = NULL${assignments}
+       WHERE id = ? AND is_anonymous = TRUE`,
+      [email, hashedPassword, ...Object.values(fields), userId]
+    );
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new ServiceError('An account with this email already exists', 409);
+    }
+    throw error;
+  }
+  return findUser(userId);
+};
+
+const updateProfile = async (userId, body) => {
+  const fields = profileFields(body);
+  if (Object.keys(fields).length > 0) {
+    await pool.execute(
+      `UPDATE users SET ${Object.keys(fields).map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...Object.values(fields), userId]
+    );
+  }
+  return findUser(userId);
+};
+
+const changeUserPassword = async (userId, currentPassword, newPassword, { keepSessionId = null } = {}) => {
+  const user = await findUser(userId);
+  if (!user || user.is_anonymous) {
+    throw new ServiceError('Anonymous accounts have no password', 409);
+  }
+  if (!(await bcrypt.compare(String(currentPassword || ''), user.password))) {
+    throw new ServiceError('Current password is incorrect', 401);
+  }
+  validatePassword(newPassword);
+
+  const hashedPassword = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+  await pool.execute('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, userId]);
+  await revokeAllUserSessions(userId, { reason: 'password_changed', exceptSessionId: keepSessionId });
+};
+
+// Erase the account. Deleting the row removes the email, profile and
+// sessions; everything else owned by the user references users(id) with
+// ON DELETE CASCADE. Full accounts must confirm with their password.
+const deleteUser = async (userId, password) => {
+  const user = await findUser(userId);
+  if (!user) {
+    throw new ServiceError('Account not found', 404);
+  }
+  if (!user.is_anonymous && !(await bcrypt.compare(String(password || ''), user.password))) {
+    throw new ServiceError('Password is incorrect', 401);
+  }
+
+  await pool.execute('DELETE FROM users WHERE id = ?', [userId]);
+};
+
+module.exports = {
+  AGE_RANGES,
+  toProfile,
+  findUser,
+  registerUser,
+  createAnonymousUser,
+  verifyCredentials,
+  upgradeAnonymousUser,
+  updateProfile,
+  changeUserPassword,
+  deleteUser
+};
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../config/database');
+const { trackEvent, flushEvents } = require('../services/analytics');
+
+let nextContentId = 1;
+const track = (userId, { event = 'view', contentId = nextContentId++ } = {}) => trackEvent({
+  entityType: 'material',
+  content: { id: contentId, category_id: 3 },
+  event,
+  viewer: userId === null ? { key: 'ip:127.0.0.1', userId: null } : { key: `user:${userId}`, userId },
+  source: 'app'
+});
+
+const sqlError = (message, errno) => Object.assign(new Error(message), { errno, sqlState: errno === 1452 ? '23000' : 'HY000' });
+
+// Answers the users lookup with existingUsers and hands each insert to
+// onInsert, recording the inserted batches
+const stubPool = (t, existingUsers, onInsert = () => {}) => {
+  const inserts = [];
+  t.mock.method(pool, 'query', async (sql, [values]) => {
+    if (sql.startsWith('SELECT id FROM users')) {
+      return [values.filter(id => existingUsers.includes(id)).map(id => ({ id }))];
+    }
+    inserts.push(values);
+    onInsert(inserts.length);
+    return [{ affectedRows: values.length }];
+  });
+  return inserts;
+};
+
+test('the same viewer counts once per item and event within the dedupe window', async (t) => {
+  const inserts = stubPool(t, [1, 2]);
+  assert.equal(track(1, { contentId: 500 }), true);
+  assert.equal(track(1, { contentId: 500 }), false);
+  assert.equal(track(1, { contentId: 500, event: 'complete' }), true);
+  assert.equal(track(2, { contentId: 500 }), true);
+
+  await flushEvents();
+  assert.deepEqual(inserts[0].map(row => [row[3], row[4]]), [['view', 1], ['complete', 1], ['view', 2]]);
+});
+
+test('events of deleted accounts are written without the user', async (t) => {
+  const inserts = stubPool(t, [7]);
+  track(7);
+  track(8);
+  track(null);
+
+  await flushEvents();
+  assert.equal(inserts.length, 1);
+  assert.deepEqual(inserts[0].map(row => row[4]), [7, null, null]);
+});
+
+test('an account deleted between the check and the insert is unlinked and the insert retried', async (t) => {
+  const existing = [9];
+  const inserts = stubPool(t, existing, (count) => {
+    if (count === 1) {
+      existing.length = 0;
+      throw sqlError('Cannot add or update a child row', 1452);
+    }
+  });
+  track(9);
+
+  await flushEvents();
+  assert.equal(inserts.length, 2);
+  assert.deepEqual(inserts[1].map(row => row[4]), [null]);
+});
+
+test('a batch the database refuses is dropped instead of blocking later events', async (t) => {
+  let refuse = true;
+  const inserts = stubPool(t, [], () => {
+    if (refuse) throw sqlError('Data too long', 1406);
+  });
+  track(null);
+
+  await flushEvents();
+  refuse = false;
+  await flushEvents();
+  assert.equal(inserts.length, 1);
+
+  track(null);
+  await flushEvents();
+  assert.equal(inserts.length, 2);
+});
+
+test('a batch that could not reach the database is kept for the next flush', async (t) => {
+  let reachable = false;
+  const inserts = stubPool(t, [], () => {
+    if (!reachable) throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  });
+  track(null);
+
+  await flushEvents();
+  reachable = true;
+  await flushEvents();
+  assert.equal(inserts.length, 2);
+  assert.equal(inserts[1].length, 1);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { conditionalGet, cacheResponse } = require('../middleware/http-cache');
+const { invalidateTags, clearCache } = require('../services/response-cache');
+
+let builds = 0;
+let title = 'First';
+
+const app = express();
+app.use((req, res, next) => {
+  req.locale = 'id';
+  next();
+});
+app.use(conditionalGet);
+app.get('/plain', (req, res) => res.json({ title }));
+app.get('/cached', cacheResponse(['material']), (req, res) => {
+  builds++;
+  res.json({ title });
+});
+app.get('/missing', (req, res) => res.status(404).json({ error: 'Not found' }));
+
+let server;
+let base;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  clearCache();
+  builds = 0;
+  title = 'First';
+});
+
+test('a matching If-None-Match gets 304 without a body; a changed body a new ETag', async () => {
+  const first = await fetch(`${base}/plain`);
+  const etag = first.headers.get('etag');
+  assert.equal(first.status, 200);
+  assert.match(etag, /^"[\w-]+"$/);
+  assert.equal(first.headers.get('cache-control'), 'public, no-cache');
+  assert.equal(first.headers.get('last-modified'), null);
+
+  const revalidated = await fetch(`${base}/plain`, { headers: { 'If-None-Match': `"other", W/${etag}` } });
+  assert.equal(revalidated.status, 304);
+  assert.equal(await revalidated.text(), '');
+
+  title = 'Second';
+  const changed = await fetch(`${base}/plain`, { headers: { 'If-None-Match': etag } });
+  assert.equal(changed.status, 200);
+  assert.notEqual(changed.headers.get('etag'), etag);
+  assert.deepEqual(await changed.json(), { title: 'Second' });
+});
+
+test('If-Modified-Since alone never produces a 304', async () => {
+  const response = await fetch(`${base}/plain`, { headers: { 'If-Modified-Since': new Date(Date.now() + 60000).toUTCString() } });
+  assert.equal(response.status, 200);
+});
+
+test('cached routes are served from the cache until their tag is invalidated', async () => {
+  const first = await fetch(`${base}/cached`);
+  assert.equal(first.headers.get('x-cache'), 'MISS');
+  assert.match(first.headers.get('cache-control'), /^public, max-age=\d+$/);
+
+  title = 'Second';
+  const hit = await fetch(`${base}/cached`, { headers: { 'If-None-Match': first.headers.get('etag') } });
+  assert.equal(hit.headers.get('x-cache'), 'HIT');
+  assert.equal(hit.status, 304);
+  assert.equal(builds, 1);
+
+  invalidateTags(['video']);
+  assert.equal((await fetch(`${base}/cached`)).headers.get('x-cache'), 'HIT');
+
+  invalidateTags(['material']);
+  const rebuilt = await fetch(`${base}/cached`);
+  assert.equal(rebuilt.headers.get('x-cache'), 'MISS');
+  assert.deepEqual(await rebuilt.json(), { title: 'Second' });
+  assert.equal(builds, 2);
+});
+
+test('error responses are not cacheable', async () => {
+  const response = await fetch(`${base}/missing`);
+  assert.equal(response.status, 404);
+  assert.equal(response.headers.get('cache-control'), 'no-store');
+});
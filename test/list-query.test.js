@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../config/database');
+const { parseListQuery, fetchList, pickFields } = require('../services/list-query');
+const { ServiceError } = require('../services/errors');
+
+const spec = {
+  sortable: { id: 'm.id', title: 'm.title', created_at: 'm.created_at' },
+  defaultSort: '-created_at',
+  dates: { created: 'm.created_at' },
+  fields: ['id', 'title', 'content', 'created_at'],
+  defaultLimit: 2,
+  maxLimit: 5
+};
+
+// Answers fetchList's row query with rows and its count query with total,
+// recording every statement
+const stubPool = (t, rows, total) => {
+  const calls = [];
+  t.mock.method(pool, 'execute', async (sql, params) => {
+    calls.push({ sql, params });
+    return sql.startsWith('SELECT COUNT(*)') ? [[{ total }]] : [rows];
+  });
+  return calls;
+};
+
+test('defaults to the first page, the default sort and id as the tiebreaker', () => {
+  const list = parseListQuery({}, spec);
+  assert.deepEqual(list.sort.map(key => [key.field, key.desc]), [['created_at', true], ['id', true]]);
+  assert.equal(list.page, 1);
+  assert.equal(list.limit, 2);
+  assert.equal(list.offset, 0);
+  assert.equal(list.after, null);
+  assert.equal(list.fields, null);
+});
+
+test('rejects limits and pages that are not whole numbers in range', () => {
+  for (const query of [{ limit: '0' }, { limit: '6' }, { limit: '2.5' }, { limit: 'ten' }, { page: '0' }, { page: '-1' }, { page: '100001' }]) {
+    assert.throws(() => parseListQuery(query, spec), ServiceError, JSON.stringify(query));
+  }
+  assert.equal(parseListQuery({ page: '3', limit: '5' }, spec).offset, 10);
+});
+
+test('an optional list is only paginated when asked to', () => {
+  const optional = { ...spec, optional: true };
+  assert.equal(parseListQuery({}, optional).limit, null);
+  assert.equal(parseListQuery({ page: '2' }, optional).limit, 2);
+});
+
+test('rejects unknown sort fields and fields', () => {
+  assert.throws(() => parseListQuery({ sort: 'content' }, spec), /sort must list fields from/);
+  assert.throws(() => parseListQuery({ sort: 'title,-title' }, spec), /each field once/);
+  assert.throws(() => parseListQuery({ fields: 'title,secret' }, spec), /Unknown fields: secret/);
+  assert.deepEqual(parseListQuery({ fields: 'title' }, spec).fields, ['id', 'title']);
+});
+
+test('a date-only _to includes the whole day; a time is compared as given', () => {
+  const byDay = parseListQuery({ created_from: '2024-01-01', created_to: '2024-01-31' }, spec);
+  assert.deepEqual(byDay.where, ['m.created_at >= ?', 'm.created_at < DATE_ADD(?, INTERVAL 1 DAY)']);
+  assert.deepEqual(byDay.params, ['2024-01-01', '2024-01-31']);
+
+  const byTime = parseListQuery({ created_to: '2024-01-31T12:00:00Z' }, spec);
+  assert.deepEqual(byTime.where, ['m.created_at <= ?']);
+  assert.deepEqual(byTime.params, [new Date('2024-01-31T12:00:00Z')]);
+
+  assert.throws(() => parseListQuery({ created_to: '2024-02-30' }, spec), /must be a date/);
+});
+
+test('a cursor continues after the last row of the page it came from', async (t) => {
+  const rows = [
+    { id: 9, title: 'B', created_at: new Date('2024-03-02T00:00:00Z') },
+    { id: 7, title: 'A', created_at: new Date('2024-03-01T00:00:00Z') },
+    { id: 4, title: 'C', created_at: new Date('2024-03-01T00:00:00Z') }
+  ];
+  const calls = stubPool(t, rows, 3);
+
+  const first = await fetchList({ select: 'm.*', from: 'materials m', where: ['m.deleted_at IS NULL'] }, parseListQuery({}, spec));
+  assert.deepEqual(first.rows.map(row => row.id), [9, 7]);
+  assert.equal(first.pagination.total, 3);
+  assert.equal(first.pagination.pages, 2);
+  assert.deepEqual(calls[0].params, [3, 0]);
+
+  const next = parseListQuery({ cursor: first.pagination.next_cursor }, spec);
+  assert.equal(next.page, null);
+  assert.equal(next.offset, 0);
+  assert.equal(next.after.sql, '((m.created_at < ?) OR (m.created_at = ? AND m.id < ?))');
+  assert.deepEqual(next.after.params, [rows[1].created_at, rows[1].created_at, 7]);
+});
+
+test('a cursor on a mixed-direction sort compares each key in its own direction', async (t) => {
+  const rows = [
+    { id: 1, title: 'A', created_at: new Date('2024-03-02T00:00:00Z') },
+    { id: 2, title: 'B', created_at: new Date('2024-03-01T00:00:00Z') }
+  ];
+  stubPool(t, rows, 2);
+
+  const first = await fetchList({ select: 'm.*', from: 'materials m' }, parseListQuery({ sort: 'title,-created_at', limit: '1' }, spec));
+  const next = parseListQuery({ cursor: first.pagination.next_cursor }, spec);
+  assert.deepEqual(next.sort.map(key => `${key.desc ? '-' : ''}${key.field}`), ['title', '-created_at', 'id']);
+  assert.equal(
+    next.after.sql,
+    '((m.title > ?) OR (m.title = ? AND m.created_at < ?) OR (m.title = ? AND m.created_at = ? AND m.id > ?))'
+  );
+  assert.deepEqual(next.after.params, ['A', 'A', rows[0].created_at, 'A', rows[0].created_at, 1]);
+});
+
+test('rejects tampered cursors, cursors for another sort and a cursor with a page', async (t) => {
+  stubPool(t, [{ id: 2, title: 'B', created_at: new Date() }, { id: 1, title: 'A', created_at: new Date() }], 2);
+  const { pagination } = await fetchList({ select: 'm.*', from: 'materials m' }, parseListQuery({ limit: '1' }, spec));
+
+  assert.throws(() => parseListQuery({ cursor: 'not-a-cursor' }, spec), /Invalid cursor/);
+  assert.throws(() => parseListQuery({ cursor: pagination.next_cursor, sort: 'title' }, spec), /This cursor is for sort=-created_at,-id/);
+  assert.throws(() => parseListQuery({ cursor: pagination.next_cursor, page: '2' }, spec), /either cursor or page/);
+});
+
+test('the last page has no next cursor and an unpaginated list no pagination', async (t) => {
+  stubPool(t, [{ id: 1, title: 'A', created_at: new Date() }], 1);
+  const last = await fetchList({ select: 'm.*', from: 'materials m' }, parseListQuery({}, spec));
+  assert.equal(last.pagination.next_cursor, null);
+
+  const all = await fetchList({ select: 'm.*', from: 'materials m' }, parseListQuery({}, { ...spec, optional: true }));
+  assert.equal(all.pagination, null);
+  assert.deepEqual(pickFields(all.rows, ['id', 'title']), [{ id: 1, title: 'A' }]);
+});
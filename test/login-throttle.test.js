@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  checkLogin, recordFailure, recordSuccess, listLockouts, unlock, consumeRateLimit, setStore
+} = require('../services/login-throttle');
+const { createMemoryStore } = require('../services/login-throttle/memory');
+
+const START = Date.parse('2024-05-01T08:00:00Z');
+let now;
+
+// A fresh store and a clock the test moves by hand
+test.beforeEach((t) => {
+  now = START;
+  t.mock.method(Date, 'now', () => now);
+  setStore(createMemoryStore());
+});
+
+const wait = (seconds) => {
+  now += seconds * 1000;
+};
+
+const fail = async (attempt, times) => {
+  for (let i = 0; i < times; i++) await recordFailure(attempt);
+};
+
+test('account failures past the soft threshold wait an exponentially growing delay', async () => {
+  const attempt = { email: 'Editor@Example.com' };
+  await fail(attempt, 2);
+  assert.deepEqual(await checkLogin(attempt), { allowed: true });
+
+  await fail(attempt, 1);
+  assert.deepEqual(await checkLogin(attempt), { allowed: false, locked: false, retryAfter: 1 });
+  wait(1);
+  assert.deepEqual(await checkLogin(attempt), { allowed: true });
+
+  await fail(attempt, 1);
+  assert.deepEqual(await checkLogin({ email: 'editor@example.com' }), { allowed: false, locked: false, retryAfter: 2 });
+});
+
+test('the hard threshold locks the account out for the lockout period', async () => {
+  const attempt = { email: 'editor@example.com' };
+  await fail(attempt, 5);
+  assert.deepEqual(await checkLogin(attempt), { allowed: false, locked: true, retryAfter: 15 * 60 });
+
+  const [lockout] = await listLockouts();
+  assert.equal(lockout.type, 'account');
+  assert.equal(lockout.identifier, 'editor@example.com');
+  assert.equal(lockout.failures, 5);
+
+  wait(15 * 60);
+  assert.deepEqual(await checkLogin(attempt), { allowed: true });
+});
+
+test('failures older than the window are forgotten', async () => {
+  const attempt = { email: 'editor@example.com' };
+  await fail(attempt, 2);
+  wait(15 * 60 + 1);
+  await fail(attempt, 2);
+  assert.deepEqual(await checkLogin(attempt), { allowed: true });
+});
+
+test('a successful login clears the account but not the IP', async () => {
+  await fail({ email: 'editor@example.com', ip: '10.0.0.1' }, 10);
+  await recordSuccess({ email: 'editor@example.com', ip: '10.0.0.1' });
+
+  assert.deepEqual(await checkLogin({ email: 'editor@example.com' }), { allowed: true });
+  const fromIp = await checkLogin({ email: 'other@example.com', ip: '10.0.0.1' });
+  assert.equal(fromIp.allowed, false);
+  assert.equal(fromIp.locked, false);
+});
+
+test('the IP has its own, higher thresholds and can be unlocked by an admin', async () => {
+  for (let i = 0; i < 20; i++) {
+    await recordFailure({ email: `user${i}@example.com`, ip: '10.0.0.2' });
+  }
+  assert.equal((await checkLogin({ email: 'new@example.com', ip: '10.0.0.2' })).locked, true);
+
+  assert.equal(await unlock('ip:10.0.0.2'), true);
+  assert.deepEqual(await checkLogin({ email: 'new@example.com', ip: '10.0.0.2' }), { allowed: true });
+});
+
+test('a rate limit allows the limit per window and says when the window ends', async () => {
+  const limit = { limit: 2, windowSeconds: 60 };
+  assert.deepEqual(await consumeRateLimit('reset:ip:10.0.0.3', limit), { allowed: true });
+  wait(20);
+  assert.deepEqual(await consumeRateLimit('reset:ip:10.0.0.3', limit), { allowed: true });
+  assert.deepEqual(await consumeRateLimit('reset:ip:10.0.0.3', limit), { allowed: false, retryAfter: 40 });
+  assert.deepEqual(await consumeRateLimit('reset:ip:10.0.0.4', limit), { allowed: true });
+
+  wait(41);
+  assert.deepEqual(await consumeRateLimit('reset:ip:10.0.0.3', limit), { allowed: true });
+});
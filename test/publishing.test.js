@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../config/database');
+const { contentEvents } = require('../services/content-events');
+const {
+  allowedTransitions, parseScheduleTime, validateSchedule, transitionContent, runScheduledPublishing
+} = require('../services/publishing');
+const { ServiceError } = require('../services/errors');
+
+const asRole = (role) => ({ user: { id: 1, email: `${role}@example.com`, role }, ip: '127.0.0.1' });
+
+// Answers the status lookup with status and the conditional update with
+// affectedRows, recording every statement
+const stubPool = (t, status, affectedRows = 1) => {
+  const calls = [];
+  t.mock.method(pool, 'execute', async (sql, params) => {
+    calls.push({ sql, params });
+    if (sql.startsWith('SELECT')) return [status === null ? [] : [{ id: params[0], status }]];
+    return [{ affectedRows }];
+  });
+  return calls;
+};
+
+test('each role only gets the workflow edges its permissions allow', () => {
+  assert.deepEqual(allowedTransitions('editor', 'draft'), ['in_review']);
+  assert.deepEqual(allowedTransitions('editor', 'in_review'), []);
+  assert.deepEqual(allowedTransitions('medical_reviewer', 'in_review'), ['approved', 'draft']);
+  assert.deepEqual(allowedTransitions('medical_reviewer', 'approved'), ['draft']);
+  assert.deepEqual(allowedTransitions('editor', 'approved'), ['published', 'draft']);
+  assert.deepEqual(allowedTransitions('superadmin', 'published'), ['archived']);
+  assert.deepEqual(allowedTransitions('viewer', 'draft'), []);
+  assert.deepEqual(allowedTransitions('editor', 'unknown'), []);
+});
+
+test('a permitted transition only applies if the status is still the one read', async (t) => {
+  const calls = stubPool(t, 'in_review');
+  assert.deepEqual(await transitionContent(asRole('medical_reviewer'), 'material', 5, 'approved'), { from: 'in_review', to: 'approved' });
+  assert.equal(calls[1].sql, 'UPDATE materials SET status = ? WHERE id = ? AND status = ?');
+  assert.deepEqual(calls[1].params, ['approved', 5, 'in_review']);
+});
+
+test('transitions outside the workflow or the role are refused', async (t) => {
+  stubPool(t, 'draft');
+  await assert.rejects(transitionContent(asRole('editor'), 'video', 5, 'live'), { status: 400 });
+  await assert.rejects(transitionContent(asRole('superadmin'), 'video', 5, 'published'), { status: 409, message: 'Cannot move from draft to published' });
+  await assert.rejects(transitionContent(asRole('viewer'), 'video', 5, 'in_review'), { status: 403 });
+
+  t.mock.restoreAll();
+  stubPool(t, null);
+  await assert.rejects(transitionContent(asRole('editor'), 'video', 5, 'in_review'), { status: 404, message: 'Video not found' });
+});
+
+test('a transition that lost the race to another editor is a conflict', async (t) => {
+  stubPool(t, 'approved', 0);
+  await assert.rejects(transitionContent(asRole('editor'), 'material', 5, 'published'), { status: 409, message: /reload/ });
+});
+
+test('schedule times are optional but must be valid and in order', () => {
+  assert.equal(parseScheduleTime(undefined, 'publish_at'), undefined);
+  assert.equal(parseScheduleTime('', 'publish_at'), null);
+  assert.equal(parseScheduleTime(null, 'publish_at'), null);
+  assert.deepEqual(parseScheduleTime('2024-06-01T08:00:00Z', 'publish_at'), new Date('2024-06-01T08:00:00Z'));
+  assert.throws(() => parseScheduleTime('tomorrow', 'publish_at'), ServiceError);
+
+  const publishAt = new Date('2024-06-01T08:00:00Z');
+  validateSchedule(publishAt, null);
+  validateSchedule(publishAt, new Date('2024-06-02T08:00:00Z'));
+  assert.throws(() => validateSchedule(publishAt, publishAt), /later than publish_at/);
+});
+
+test('the scheduler publishes and archives due content and announces only what it changed', async (t) => {
+  const changes = [];
+  const onChange = (change) => changes.push(change);
+  contentEvents.on('change', onChange);
+  t.after(() => contentEvents.off('change', onChange));
+
+  t.mock.method(pool, 'execute', async (sql, params) => {
+    if (sql.startsWith('SELECT id FROM materials') && params[0] === 'approved') return [[{ id: 1 }, { id: 2 }]];
+    if (sql.startsWith('SELECT id FROM videos') && params[0] === 'published') return [[{ id: 3 }]];
+    if (sql.startsWith('SELECT')) return [[]];
+    // Material 2 was moved by an editor in the meantime
+    if (sql.startsWith('UPDATE')) return [{ affectedRows: params[1] === 2 ? 0 : 1 }];
+    return [{ insertId: 1 }];
+  });
+
+  await runScheduledPublishing();
+  assert.deepEqual(changes, [
+    { entityType: 'material', entityId: 1, action: 'publish' },
+    { entityType: 'video', entityId: 3, action: 'update' }
+  ]);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { gradeAnswers } = require('../services/questionnaires');
+const { ServiceError } = require('../services/errors');
+
+const questionnaire = {
+  questions: [
+    {
+      id: 1, section: 'history', question_type: 'single', weight: 1, is_required: true,
+      options: [{ id: 11, score: 0 }, { id: 12, score: 2 }]
+    },
+    {
+      id: 2, section: 'history', question_type: 'multiple', weight: 2, is_required: false,
+      options: [{ id: 21, score: 1 }, { id: 22, score: 1 }, { id: 23, score: -1 }]
+    },
+    {
+      id: 3, section: 'lifestyle', question_type: 'numeric', weight: 1, is_required: false,
+      numeric_min: 0, numeric_max: 120,
+      score_ranges: [{ min: 0, max: 39, score: 0 }, { min: 40, max: null, score: 2 }]
+    }
+  ],
+  bands: [{ id: 1, name: 'Low', min_score: 0 }, { id: 2, name: 'High', min_score: 6 }]
+};
+
+test('weights scores, totals sections and picks the band', () => {
+  const result = gradeAnswers(questionnaire, { 1: 12, 2: [21, 22], 3: '45' });
+  assert.equal(result.score, 8);
+  // Negative options do not lower the maximum
+  assert.equal(result.maxScore, 8);
+  assert.deepEqual(result.sections, { history: 6, lifestyle: 2 });
+  assert.equal(result.band.name, 'High');
+});
+
+test('optional questions may be left out', () => {
+  const result = gradeAnswers(questionnaire, { 1: 11, 2: [] });
+  assert.equal(result.score, 0);
+  assert.equal(result.band.name, 'Low');
+});
+
+test('repeated options in a multiple answer count once', () => {
+  assert.equal(gradeAnswers(questionnaire, { 1: 11, 2: [21, 21, 23] }).score, 0);
+});
+
+test('rejects missing required answers and answers the question cannot take', () => {
+  assert.throws(() => gradeAnswers(questionnaire, { 2: [21] }), /Required questions not answered: 1/);
+  assert.throws(() => gradeAnswers(questionnaire, { 1: 99 }), /not one of the question's options/);
+  assert.throws(() => gradeAnswers(questionnaire, { 1: [11, 12] }), ServiceError);
+  assert.throws(() => gradeAnswers(questionnaire, { 1: 11, 3: 500 }), /out of range/);
+  assert.throws(() => gradeAnswers(questionnaire, [12]), /answers must be an object/);
+});
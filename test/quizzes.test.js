@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { gradeAttempt } = require('../services/quizzes');
+
+const questions = [
+  {
+    id: 1, question_text: 'Self-exams replace mammograms', question_type: 'true_false',
+    options: [
+      { id: 11, label: 'True', is_correct: false, explanation: 'They complement screening' },
+      { id: 12, label: 'False', is_correct: true, explanation: null }
+    ]
+  },
+  {
+    id: 2, question_text: 'Which are warning signs?', question_type: 'multiple_choice',
+    options: [
+      { id: 21, label: 'A new lump', is_correct: true, explanation: null },
+      { id: 22, label: 'Nipple discharge', is_correct: true, explanation: null },
+      { id: 23, label: 'Freckles', is_correct: false, explanation: null }
+    ]
+  },
+  {
+    id: 3, question_text: 'When to self-examine?', question_type: 'multiple_choice',
+    options: [
+      { id: 31, label: 'Monthly', is_correct: true, explanation: null },
+      { id: 32, label: 'Yearly', is_correct: false, explanation: null }
+    ]
+  }
+];
+
+test('a question is correct only with exactly its correct options', () => {
+  const result = gradeAttempt(questions, { 1: '12', 2: [21] });
+  assert.equal(result.correct_count, 1);
+  assert.equal(result.question_count, 3);
+  assert.equal(result.percent, 33.33);
+
+  const [first, second, third] = result.questions;
+  assert.equal(first.correct, true);
+  assert.deepEqual(second.selected_option_ids, [21]);
+  assert.deepEqual(second.correct_option_ids, [21, 22]);
+  assert.equal(second.correct, false);
+  // Unanswered counts as wrong
+  assert.equal(third.answered, false);
+  assert.equal(third.correct, false);
+});
+
+test('feedback lists every option with its explanation and whether it was picked', () => {
+  const [first] = gradeAttempt(questions, { 1: 11 }).questions;
+  assert.deepEqual(first.options[0], {
+    id: 11, label: 'True', is_correct: false, selected: true, explanation: 'They complement screening'
+  });
+});
+
+test('all correct, with duplicate picks ignored', () => {
+  assert.equal(gradeAttempt(questions, { 1: 12, 2: [22, 21, 21], 3: 31 }).percent, 100);
+});
+
+test('rejects unknown questions, foreign options and two answers to true/false', () => {
+  assert.throws(() => gradeAttempt(questions, { 9: 11 }), /Question 9 is not part of this quiz/);
+  assert.throws(() => gradeAttempt(questions, { 1: 21 }), /Invalid option for question 1/);
+  assert.throws(() => gradeAttempt(questions, { 1: [11, 12] }), /Pick one answer for question 1/);
+  assert.throws(() => gradeAttempt(questions, 'x'), /answers must be an object/);
+});
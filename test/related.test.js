@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeRelated } = require('../services/related');
+
+const item = (entityType, id, categoryId, title, body) => ({
+  entityType, id, key: `${entityType}:${id}`, category_id: categoryId, title, body, created_at: new Date(2024, 0, id)
+});
+
+const categories = [
+  { id: 1, parent_id: null },
+  { id: 2, parent_id: 1 },
+  { id: 3, parent_id: null }
+];
+
+const items = [
+  item('material', 1, 1, 'Mammogram screening schedule', '<p>When to book a mammogram screening</p>'),
+  item('video', 2, 2, 'What happens at a mammogram', 'A walk through of mammogram screening'),
+  item('material', 3, 3, 'Healthy eating', 'Vegetables and exercise'),
+  item('material', 4, 3, 'Exercise after treatment', 'Gentle exercise plans')
+];
+
+const noViewers = { viewers: new Map(), itemsByUser: new Map() };
+
+// [entity_type, entity_id, related_type, related_id, score, category, terms, coview]
+const relatedTo = (rows, entityType, id) => rows.filter(row => row[0] === entityType && row[1] === id);
+
+test('scores shared terms and category relations, never an item against itself', () => {
+  const rows = computeRelated(items, categories, noViewers);
+  assert.ok(rows.every(row => !(row[0] === row[2] && row[1] === row[3])));
+
+  const [best] = relatedTo(rows, 'material', 1);
+  assert.deepEqual(best.slice(0, 4), ['material', 1, 'video', 2]);
+  // Parent and child categories
+  assert.equal(best[5], 0.5);
+  assert.ok(best[6] > 0);
+  assert.ok(best[4] > 0 && best[4] <= 1);
+});
+
+test('unrelated items are left out', () => {
+  const rows = computeRelated(items, categories, noViewers);
+  assert.ok(!relatedTo(rows, 'material', 1).some(row => row[3] === 3 || row[3] === 4));
+  // Same category and a shared term
+  assert.deepEqual(relatedTo(rows, 'material', 3).map(row => row[3]), [4]);
+  assert.equal(relatedTo(rows, 'material', 3)[0][5], 1);
+});
+
+test('co-viewing needs at least two shared viewers', () => {
+  const viewed = (users) => {
+    const itemsByUser = new Map(users.map(user => [user, ['material:1', 'material:3']]));
+    const viewers = new Map([['material:1', new Set(users)], ['material:3', new Set(users)]]);
+    return { viewers, itemsByUser };
+  };
+
+  assert.equal(relatedTo(computeRelated(items, categories, viewed([7])), 'material', 1).find(row => row[3] === 3), undefined);
+
+  const row = relatedTo(computeRelated(items, categories, viewed([7, 8])), 'material', 1).find(row => row[3] === 3);
+  assert.equal(row[7], 1);
+  assert.equal(row[4], 0.2);
+});
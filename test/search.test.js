@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../config/database');
+const { normalizeText, tokenize, highlight, suggestQuery, search } = require('../services/search');
+
+test('tokenizing lowercases, strips diacritics and drops words InnoDB would not index', () => {
+  assert.equal(normalizeText('Payudará SADARI'), 'payudara sadari');
+  assert.deepEqual(tokenize('Kanker payudará: apa itu? (2024) ok'), ['kanker', 'payudara', 'apa', 'itu', '2024']);
+  assert.deepEqual(tokenize(`x ${'a'.repeat(65)} yes`), ['yes']);
+});
+
+test('snippets mark matched word prefixes in the text of HTML bodies', () => {
+  assert.equal(
+    highlight('<p>Deteksi <b>dini</b> kanker &amp; pemeriksaan payudara</p>', ['dini', 'payu']),
+    'Deteksi <mark>dini</mark> kanker &amp; pemeriksaan <mark>payu</mark>dara'
+  );
+  assert.equal(highlight('Gejala <script>alert(1)</script> umum', ['umum']), 'Gejala alert(1) <mark>umum</mark>');
+  // Only at word starts, and the original accents are kept
+  assert.equal(highlight('Mamografi dan pemamografian', ['mamo']), '<mark>Mamo</mark>grafi dan pemamografian');
+  assert.equal(highlight('Café', ['cafe']), '<mark>Café</mark>');
+});
+
+test('long snippets are cut around the first match', () => {
+  const text = `${'awal '.repeat(40)}benjolan ${'akhir '.repeat(40)}`;
+  const snippet = highlight(text, ['benjolan'], 60);
+  assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+  assert.ok(snippet.includes('<mark>benjolan</mark>'));
+});
+
+test('short queries with regular expression or LIKE characters are taken literally', async (t) => {
+  const calls = [];
+  t.mock.method(pool, 'execute', async (sql, params) => {
+    calls.push({ sql, params });
+    return [[{ total: 0 }]];
+  });
+
+  const result = await search({ query: '%_', page: 1, limit: 10 });
+  assert.equal(result.total, 0);
+  assert.deepEqual(result.suggestions, []);
+  assert.ok(calls[0].sql.includes("m.title LIKE ? ESCAPE '\\\\'"));
+  assert.deepEqual(calls[0].params, ['%\\%\\_%', '%\\%\\_%', '%\\%\\_%']);
+
+  assert.equal(highlight('a (b+ c', ['(b+']), 'a <mark>(b+</mark> c');
+});
+
+test('unknown terms are replaced by the closest, then most frequent, vocabulary term', async (t) => {
+  t.mock.method(pool, 'execute', async () => [[
+    { term: 'payudara', frequency: 40 },
+    { term: 'kanker', frequency: 30 },
+    { term: 'kanter', frequency: 2 },
+    { term: 'benjolan', frequency: 5 }
+  ]]);
+
+  assert.equal(await suggestQuery(['payudara', 'kanker']), null);
+  assert.equal(await suggestQuery(['payudra', 'kankes']), 'payudara kanker');
+  assert.equal(await suggestQuery(['benjolam', 'xyzxyz']), 'benjolan xyzxyz');
+  // Four letters or fewer allow a single edit
+  assert.equal(await suggestQuery(['kxnk']), null);
+});
+
+test('outside the default locale the translations of items and categories are searched too', async (t) => {
+  const calls = [];
+  t.mock.method(pool, 'execute', async (sql, params) => {
+    calls.push({ sql, params });
+    if (sql.includes('COUNT(*)')) return [[{ total: 1 }]];
+    if (sql.includes('UNION ALL') || sql.includes('LIMIT ? OFFSET ?')) return [[]];
+    return [[{ term: 'breast', frequency: 3 }, { term: 'cancer', frequency: 3 }]];
+  });
+  t.mock.method(pool, 'query', async () => [[]]);
+
+  await search({ query: 'breast cancer', type: 'materials', locale: 'en', page: 1, limit: 10 });
+  const [count, select] = calls;
+  assert.ok(count.sql.includes("LEFT JOIN content_translations mt ON mt.entity_type = 'material'"));
+  assert.ok(count.sql.includes('MATCH(mt.search_title, mt.search_body) AGAINST (? IN BOOLEAN MODE)'));
+  assert.ok(count.sql.includes('MATCH(ct.search_title) AGAINST (? IN BOOLEAN MODE)'));
+  assert.deepEqual(count.params, ['en', 'en', 'breast* cancer*', 'breast* cancer*', 'breast* cancer*', 'breast* cancer*']);
+
+  // The locale parameters follow the score's and precede the filters'
+  assert.equal(select.params.length, select.sql.match(/\?/g).length);
+  assert.deepEqual(select.params.slice(6, 8), ['en', 'en']);
+
+  calls.length = 0;
+  await search({ query: 'ab', type: 'videos', locale: 'en', page: 1, limit: 10 });
+  assert.ok(calls[0].sql.includes("vt.search_body LIKE ? ESCAPE '\\\\'"));
+  assert.deepEqual(calls[0].params, ['en', 'en', '%ab%', '%ab%', '%ab%', '%ab%']);
+
+  calls.length = 0;
+  await search({ query: 'ab', type: 'videos', page: 1, limit: 10 });
+  assert.ok(!calls[0].sql.includes('content_translations'));
+});
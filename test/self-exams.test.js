@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeNextExam } = require('../services/self-exams');
+
+const cycle = { mode: 'cycle', last_period_start: '2024-01-01', cycle_length: 28 };
+const fixedDay = { mode: 'fixed_day', fixed_day: 15 };
+
+test('without settings nothing is scheduled', () => {
+  assert.deepEqual(computeNextExam(null, null, '2024-01-05'), { next_exam_date: null, status: 'unscheduled' });
+});
+
+test('cycle: the exam falls a week after the period starts', () => {
+  assert.deepEqual(computeNextExam(cycle, null, '2024-01-05'), { next_exam_date: '2024-01-08', status: 'scheduled' });
+  assert.deepEqual(computeNextExam(cycle, null, '2024-01-08'), { next_exam_date: '2024-01-08', status: 'due' });
+});
+
+test('cycle: a missed exam is due today', () => {
+  assert.deepEqual(computeNextExam(cycle, null, '2024-01-10'), { next_exam_date: '2024-01-10', status: 'due' });
+  // An exam from before this cycle does not count
+  assert.deepEqual(computeNextExam(cycle, '2023-12-30', '2024-01-10'), { next_exam_date: '2024-01-10', status: 'due' });
+});
+
+test('cycle: rolls over into later cycles from the last reported period', () => {
+  // 2024-01-29 starts the second cycle
+  assert.deepEqual(computeNextExam(cycle, null, '2024-02-01'), { next_exam_date: '2024-02-05', status: 'scheduled' });
+  assert.deepEqual(computeNextExam(cycle, '2024-01-09', '2024-01-10'), { next_exam_date: '2024-02-05', status: 'scheduled' });
+});
+
+test('cycle: a period start in the future schedules from that period', () => {
+  assert.deepEqual(computeNextExam(cycle, null, '2023-12-20'), { next_exam_date: '2024-01-08', status: 'scheduled' });
+});
+
+test('cycle: a missing cycle length falls back to 28 days', () => {
+  const settings = { ...cycle, cycle_length: null };
+  assert.deepEqual(computeNextExam(settings, '2024-01-09', '2024-01-10'), { next_exam_date: '2024-02-05', status: 'scheduled' });
+});
+
+test('fixed day: scheduled, due and missed within the month', () => {
+  assert.deepEqual(computeNextExam(fixedDay, null, '2024-03-10'), { next_exam_date: '2024-03-15', status: 'scheduled' });
+  assert.deepEqual(computeNextExam(fixedDay, null, '2024-03-15'), { next_exam_date: '2024-03-15', status: 'due' });
+  assert.deepEqual(computeNextExam(fixedDay, null, '2024-03-20'), { next_exam_date: '2024-03-20', status: 'due' });
+});
+
+test('fixed day: once examined this month, the next month', () => {
+  assert.deepEqual(computeNextExam(fixedDay, '2024-03-02', '2024-03-20'), { next_exam_date: '2024-04-15', status: 'scheduled' });
+  assert.deepEqual(computeNextExam(fixedDay, '2024-12-05', '2024-12-20'), { next_exam_date: '2025-01-15', status: 'scheduled' });
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../config/database');
+const { getChanges } = require('../services/sync');
+const { ServiceError } = require('../services/errors');
+
+const NOW = 1717228800;
+
+const token = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// A connection whose snapshot is taken at NOW and whose reads answer with
+// the given rows, recording every statement
+const stubSnapshot = (t, { rows = {}, purged = [] } = {}) => {
+  const calls = [];
+  const db = {
+    query: async (sql) => {
+      calls.push({ sql });
+      return sql.startsWith('SELECT UNIX_TIMESTAMP()') ? [[{ now: NOW }]] : [[]];
+    },
+    execute: async (sql, params) => {
+      calls.push({ sql, params });
+      if (sql.includes('sync_tombstones')) return [purged];
+      const table = ['categories', 'materials', 'videos'].find(name => sql.includes(`FROM ${name}`));
+      return [rows[table] || []];
+    },
+    commit: async () => {},
+    rollback: async () => {},
+    release: () => {}
+  };
+  t.mock.method(pool, 'getConnection', async () => db);
+  t.mock.method(pool, 'query', async () => [[]]);
+  return calls;
+};
+
+test('a full resync hands out a cursor that a delta reads back from', async (t) => {
+  const calls = stubSnapshot(t);
+  const full = await getChanges({ since: undefined, full: false, locale: 'id' });
+  assert.equal(full.full, true);
+  assert.match(full.cursor, /^[\w-]+$/);
+  assert.ok(!calls.some(call => call.sql.includes('sync_tombstones')));
+
+  const delta = await getChanges({ since: full.cursor, full: false, locale: 'id' });
+  assert.equal(delta.full, false);
+  // The cursor settles a few seconds before the snapshot it came from
+  const tombstones = calls.find(call => call.sql.includes('sync_tombstones'));
+  assert.deepEqual(tombstones.params, [NOW - 10]);
+});
+
+test('full=1 or a cursor from another locale forces a full resync', async (t) => {
+  stubSnapshot(t);
+  const { cursor } = await getChanges({ since: undefined, full: false, locale: 'id' });
+
+  assert.equal((await getChanges({ since: cursor, full: true, locale: 'id' })).full, true);
+  assert.equal((await getChanges({ since: cursor, full: false, locale: 'en' })).full, true);
+});
+
+test('malformed, foreign and tampered cursors are rejected', async (t) => {
+  stubSnapshot(t);
+  for (const since of [
+    'not-a-cursor',
+    token({ v: 2, t: NOW, l: 'id' }),
+    token({ v: 1, t: String(NOW), l: 'id' }),
+    token({ v: 1, t: NOW + 0.5, l: 'id' }),
+    token({ v: 1, t: NOW })
+  ]) {
+    await assert.rejects(getChanges({ since, full: false, locale: 'id' }), (error) => {
+      assert.ok(error instanceof ServiceError, since);
+      assert.equal(error.status, 400);
+      return /Invalid sync cursor/.test(error.message);
+    });
+  }
+});
+
+test('a delta returns public rows as upserts and the rest, plus purged rows, as tombstones', async (t) => {
+  stubSnapshot(t, {
+    rows: {
+      categories: [{ id: 1, name: 'Umum', is_public: 1 }],
+      materials: [{ id: 4, title: 'Live', is_public: 1 }, { id: 5, title: 'Archived', is_public: 0 }],
+      videos: [{ id: 6, title: 'Trashed', is_public: '0' }]
+    },
+    purged: [{ entity_type: 'material', entity_id: 5 }, { entity_type: 'video', entity_id: 7 }]
+  });
+
+  const changes = await getChanges({ since: token({ v: 1, t: NOW - 60, l: 'id' }), full: false, locale: 'id' });
+  assert.deepEqual(changes.categories, [{ id: 1, name: 'Umum', locale: 'id' }]);
+  assert.deepEqual(changes.materials, [{ id: 4, title: 'Live', tags: [], locale: 'id' }]);
+  assert.deepEqual(changes.videos, []);
+  assert.deepEqual(changes.deleted, { categories: [], materials: [5], videos: [6, 7] });
+});